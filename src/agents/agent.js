@@ -6,66 +6,43 @@
  */
 
 import { parseEventStream } from "../utils/events.js";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
+import { createStreamJsonReader, OUTPUT_FORMATS, OUTPUT_FORMAT_ARGS } from "../utils/stream-json.js";
+import { parseTaskTree, findTaskNode } from "../utils/tasks.js";
+import { resolveTaskFormat } from "../utils/task-formats.js";
+import { loadRole, getRoleNames, getRoleDefinitions } from "../utils/roles.js";
+import { isReplayCommand, createReplayProcess, recordInvocation } from "./cassette.js";
+import { spawnProcessGroup, terminateProcessTree, resolveGracePeriod } from "./processes.js";
 
-// Get the directory of this module for resolving role files
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// How long output already written by a timed-out agent is still read after the kill
+const TIMEOUT_DRAIN_MS = 500;
 
 /**
- * Valid role names that can be spawned
- */
-const VALID_ROLES = ["manage", "plan", "code", "document"];
-
-/**
- * Loads a role meta-prompt from the appropriate file
+ * Reads the TASKS.md file content, rendered as markdown if the file is in
+ * another format (config.tasksFormat or its extension)
  *
- * @param {string} role - Role name (manage, plan, code, document)
- * @returns {Promise<string>} - The role meta-prompt content
- * @throws {Error} If role is invalid or file cannot be read
- */
-async function loadRolePrompt(role) {
-  const normalizedRole = role.toLowerCase();
-
-  if (!VALID_ROLES.includes(normalizedRole)) {
-    throw new Error(`Invalid role: ${role}. Valid roles are: ${VALID_ROLES.join(", ")}`);
-  }
-
-  // Try to load from src/roles/{role}.js first (new structure)
-  const newRolePath = join(__dirname, "..", "roles", `${normalizedRole}.js`);
-
-  try {
-    const roleModule = await import(newRolePath);
-    if (roleModule.default && typeof roleModule.default === "string") {
-      return roleModule.default;
-    }
-    if (roleModule.metaPrompt && typeof roleModule.metaPrompt === "string") {
-      return roleModule.metaPrompt;
-    }
-  } catch (error) {
-    // New role file doesn't exist or failed to load, fall back to legacy .md files
-    throw new Error(`Failed to load role prompt for '${role}': ${error.message}`);
-  }
-}
-
-/**
- * Reads the TASKS.md file content
- *
- * @param {string} tasksFile - Path to TASKS.md file
+ * @param {object} config - Configuration object (tasksFile, tasksFormat)
  * @returns {Promise<string>} - The tasks file content
  */
-async function readTasksFile(tasksFile) {
+async function readTasksFile(config) {
+  const tasksFile = config.tasksFile || "TASKS.md";
+  let content;
   try {
     const file = Bun.file(tasksFile);
-    const content = await file.text();
-    return content;
+    content = await file.text();
   } catch (error) {
     // If file doesn't exist, return empty string
     // The agent can handle this case
     console.warn(`Warning: Could not read tasks file ${tasksFile}: ${error.message}`);
     return "";
   }
+
+  try {
+    return resolveTaskFormat(tasksFile, config.tasksFormat).toMarkdown(content);
+  } catch (error) {
+    // Show the file as it is, so the agent can see and repair it
+    console.warn(`Warning: Could not convert tasks file ${tasksFile} to markdown: ${error.message}`);
+    return content;
+  }
 }
 
 /**
@@ -84,15 +61,49 @@ function buildPrompt(rolePrompt, tasksContent, config) {
   prompt = prompt.replace(/\$MAX_ITERATIONS/g, String(config.maxIterations || 10));
   prompt = prompt.replace(/\$CURRENT_ITERATION/g, String(config.currentIteration || 1));
   prompt = prompt.replace(/\$INITIAL_PROMPT/g, config.initialPrompt || "(No project description provided)");
+  prompt = prompt.replace(/\$AVAILABLE_AGENTS/g, () =>
+    JSON.stringify(getRoleDefinitions(), null, 2));
+  prompt = prompt.replace(/\$ROLE_NAMES/g, () =>
+    getRoleNames().map(name => `\`${name}\``).join(", "));
 
   // Add TASKS.md content if available
   if (tasksContent.trim()) {
     prompt += `\n\nTASK_FILE_NAME=${config.tasksFile || "TASKS.md"}\n\n`;
     prompt += `--- CURRENT CONTENTS OF ${config.tasksFile || "TASKS.md"} ---\n`;
+    const format = resolveTaskFormat(config.tasksFile || "TASKS.md", config.tasksFormat);
+    if (format.name !== "markdown") {
+      prompt += `(Shown as a markdown task list. The file itself is ${format.name}: keep that format when you edit it.)\n`;
+    }
     prompt += tasksContent;
     prompt += `\n--- END CURRENT CONTENTS ---\n`;
   }
 
+  // Restrict the agent to its assigned task when running in parallel
+  if (config.taskId) {
+    const task = findTaskNode(parseTaskTree(tasksContent), config.taskId);
+    const taskName = task && task.title ? `Task ${config.taskId} (${task.title})` : `Task ${config.taskId}`;
+    prompt += `\n--- ASSIGNED TASK ---\n`;
+    prompt += `Work ONLY on ${taskName}. Other tasks are being handled by other agents in parallel; `;
+    prompt += `do not work on them or change their checkboxes.\n`;
+
+    // Parallel coders share the tasks file, so the orchestrator checks their boxes off
+    if (config.taskBoard) {
+      const items = task && task.criteria ? task.criteria : [];
+      prompt += `\nDo NOT edit ${config.tasksFile || "TASKS.md"}: the other agents use it while you work, `;
+      prompt += `and changes you make to it are undone. Instead, end your response with the IDs of `;
+      prompt += `the success parameters you completed and verified:\n\n`;
+      prompt += "```rtf-progress\n";
+      prompt += `{"completed": [${items.slice(0, 2).map(item => `"${item.id}"`).join(", ")}]}\n`;
+      prompt += "```\n\n";
+      if (items.length > 0) {
+        prompt += `Success parameters of this task:\n`;
+        prompt += items.map(item => `${item.id}  [${item.completed ? "x" : " "}] ${item.description}`).join("\n");
+        prompt += `\n`;
+      }
+    }
+    prompt += `--- END ASSIGNED TASK ---\n`;
+  }
+
   // Add continuation prompt if this is a resumed conversation
   if (config.continuationPrompt) {
     prompt += config.continuationPrompt;
@@ -102,31 +113,28 @@ function buildPrompt(rolePrompt, tasksContent, config) {
 }
 
 /**
- * Spawns a Claude CLI subprocess for the given role
+ * Prepares a Claude CLI invocation for the given role without running it:
+ * the fully-substituted prompt and the command line it is piped into
  *
- * @param {string} role - Role name (manage, plan, code, document)
- * @param {object} config - Configuration object
- * @param {string} config.claudeCommand - Claude CLI command (default: "claude")
- * @param {string} config.model - Model to use
- * @param {string} config.tasksFile - Path to TASKS.md
- * @param {number} config.maxIterations - Max iterations allowed
- * @param {number} [config.timeout] - Optional timeout in milliseconds
- * @returns {Promise<object>} - Result object with exitCode, output, events, and optional timedOut
+ * @param {string} role - Role name (manage, plan, code, document, or a custom role)
+ * @param {object} config - Configuration object (same as spawnAgent)
+ * @returns {Promise<{command: string, args: string[], prompt: string}>} - The invocation
+ * @throws {Error} If the role is unknown
  */
-export async function spawnAgent(role, config) {
+export async function prepareInvocation(role, config) {
   const normalizedRole = role.toLowerCase();
 
-  // Load the role prompt
-  const rolePrompt = await loadRolePrompt(normalizedRole);
+  // Load the role prompt (built-in or custom role)
+  const rolePrompt = loadRole(normalizedRole);
 
   // Read TASKS.md
-  const tasksContent = await readTasksFile(config.tasksFile || "TASKS.md");
+  const tasksContent = await readTasksFile(config);
 
   // Build the complete prompt
-  const fullPrompt = buildPrompt(rolePrompt, tasksContent, config);
+  const prompt = buildPrompt(rolePrompt, tasksContent, config);
 
   // Prepare Claude CLI command
-  const claudeCommand = config.claudeCommand || "claude";
+  const command = config.claudeCommand || "claude";
   const args = [];
 
   // Add model if specified
@@ -139,14 +147,73 @@ export async function spawnAgent(role, config) {
     args.push("--dangerously-skip-permissions");
   }
 
-  // Spawn the process with the prompt as stdin
+  // Ask for structured output if configured
+  if (config.outputFormat && config.outputFormat !== "text") {
+    const formatArgs = OUTPUT_FORMAT_ARGS[config.outputFormat];
+    if (!formatArgs) {
+      throw new Error(`Unknown output format '${config.outputFormat}'. Use one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+    args.push(...formatArgs);
+  }
+
+  return { command, args, prompt };
+}
+
+/**
+ * Formats a command and its arguments as a shell command line,
+ * quoting arguments that contain shell metacharacters
+ *
+ * @param {string[]} argv - Command followed by its arguments
+ * @returns {string} - Command line that can be pasted into a shell
+ */
+export function formatCommandLine(argv) {
+  return argv
+    .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`)
+    .join(" ");
+}
+
+/**
+ * Spawns a Claude CLI subprocess for the given role
+ *
+ * @param {string} role - Role name (manage, plan, code, document, or a custom role)
+ * @param {object} config - Configuration object
+ * @param {string} config.claudeCommand - Claude CLI command (default: "claude"),
+ *   or "rtf-replay:<cassette>" to replay a recorded run
+ * @param {string} config.model - Model to use
+ * @param {string} config.tasksFile - Path to TASKS.md
+ * @param {number} config.maxIterations - Max iterations allowed
+ * @param {string} [config.taskId] - Restrict the agent to a single task (parallel runs)
+ * @param {Function} [config.onEvent] - Called with each event as soon as it is parsed
+ * @param {object} [config.env] - Environment variables added to the agent's environment
+ * @param {number} [config.timeout] - Optional timeout in milliseconds; the agent's process
+ *   group is then sent SIGTERM, and SIGKILL after config.killGracePeriod
+ * @param {number} [config.killGracePeriod] - Milliseconds between SIGTERM and SIGKILL (default: 5000)
+ * @param {string} [config.record] - Cassette file to record the invocation to
+ * @param {string} [config.outputFormat] - "text" (default) or "stream-json" to turn Claude's
+ *   messages, tool calls and usage into events
+ * @returns {Promise<object>} - Result object with exitCode, output, stderr, events, and optional timedOut
+ *   (the output captured before a timeout is kept)
+ */
+export async function spawnAgent(role, config) {
+  const { command: claudeCommand, args, prompt: fullPrompt } = await prepareInvocation(role, config);
+  const tasksFile = config.tasksFile || "TASKS.md";
+
+  // Spawn the process with the prompt as stdin (or replay it from a cassette)
   let proc;
   try {
-    proc = Bun.spawn([claudeCommand, ...args], {
-      stdin: "pipe",
-      stdout: "pipe",
-      stderr: "pipe"
-    });
+    proc = isReplayCommand(claudeCommand)
+      ? await createReplayProcess(claudeCommand, {
+        role: role.toLowerCase(),
+        taskId: config.taskId || null,
+        prompt: fullPrompt,
+        tasksFile
+      })
+      : spawnProcessGroup([claudeCommand, ...args], {
+        env: { ...process.env, ...config.env },
+        stdin: "pipe",
+        stdout: "pipe",
+        stderr: "pipe"
+      });
   } catch (error) {
     // Check if this is a "command not found" error
     if (error.code === "ENOENT" || error.message.includes("not found") || error.message.includes("No such file")) {
@@ -174,12 +241,41 @@ export async function spawnAgent(role, config) {
   const events = [];
   const stderrLines = [];
 
+  // Keep each event and forward it live to the listener, if any
+  const recordEvent = (event) => {
+    events.push(event);
+    if (config.onEvent) {
+      try {
+        config.onEvent(event);
+      } catch (error) {
+        console.warn(`Warning: Event listener failed: ${error.message}`);
+      }
+    }
+  };
+
+  // In stream-json mode stdout carries Claude's messages, one JSON object per line
+  const streamJson = config.outputFormat === "stream-json" ? createStreamJsonReader(role.toLowerCase()) : null;
+
   // Process stdout
   const stdoutReader = async () => {
     const decoder = new TextDecoder();
+    let buffer = "";
+
     for await (const chunk of proc.stdout) {
-      const text = decoder.decode(chunk);
+      const text = decoder.decode(chunk, { stream: true });
       output.push(text);
+
+      if (streamJson) {
+        const lines = (buffer + text).split("\n");
+        buffer = lines.pop() || "";
+        for (const line of lines) {
+          streamJson.parseLine(line).forEach(recordEvent);
+        }
+      }
+    }
+
+    if (streamJson && buffer.trim()) {
+      streamJson.parseLine(buffer).forEach(recordEvent);
     }
   };
 
@@ -201,7 +297,7 @@ export async function spawnAgent(role, config) {
         // Try to parse as event
         const event = parseEventStream(line);
         if (event) {
-          events.push(event);
+          recordEvent(event);
         }
       }
     }
@@ -211,7 +307,7 @@ export async function spawnAgent(role, config) {
       stderrLines.push(buffer);
       const event = parseEventStream(buffer);
       if (event) {
-        events.push(event);
+        recordEvent(event);
       }
     }
   };
@@ -219,6 +315,7 @@ export async function spawnAgent(role, config) {
   // Handle timeout if configured
   let timeoutId;
   let timedOut = false;
+  let termination;
 
   const readers = [stdoutReader(), stderrReader()];
 
@@ -226,7 +323,8 @@ export async function spawnAgent(role, config) {
     const timeoutPromise = new Promise((resolve, reject) => {
       timeoutId = setTimeout(() => {
         timedOut = true;
-        proc.kill();
+        // Stop the agent and everything it started
+        termination = terminateProcessTree(proc, resolveGracePeriod(config.killGracePeriod));
         resolve(); // Resolve to stop waiting
       }, config.timeout);
     });
@@ -240,6 +338,12 @@ export async function spawnAgent(role, config) {
     if (timeoutId) {
       clearTimeout(timeoutId);
     }
+
+    // Keep the output the agent wrote before it was stopped
+    if (timedOut) {
+      await termination;
+      await Promise.race([Promise.all(readers).catch(() => {}), Bun.sleep(TIMEOUT_DRAIN_MS)]);
+    }
   } else {
     // No timeout - just wait for completion
     await Promise.all([...readers, proc.exited]);
@@ -256,10 +360,11 @@ export async function spawnAgent(role, config) {
     exitCode = -1;
   }
 
-  // Prepare result
+  // Prepare result (in stream-json mode, the text reassembled from Claude's messages)
   const result = {
     exitCode,
-    output: output.join(""),
+    output: streamJson ? streamJson.getOutput() : output.join(""),
+    stderr: stderrLines.join("\n"),
     events
   };
 
@@ -267,5 +372,24 @@ export async function spawnAgent(role, config) {
     result.timedOut = true;
   }
 
+  // Save the invocation for replay
+  if (config.record) {
+    try {
+      await recordInvocation(config.record, {
+        role: role.toLowerCase(),
+        taskId: config.taskId || null,
+        command: [claudeCommand, ...args],
+        prompt: fullPrompt,
+        stdout: output.join(""),
+        stderr: result.stderr,
+        exitCode,
+        tasksFile,
+        tasks: await Bun.file(tasksFile).exists() ? await Bun.file(tasksFile).text() : null
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not record invocation to ${config.record}: ${error.message}`);
+    }
+  }
+
   return result;
 }
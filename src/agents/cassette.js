@@ -0,0 +1,196 @@
+/**
+ * Record-and-Replay Backend
+ *
+ * Recording (--record <cassette>) appends one JSON line per agent invocation:
+ * the prompt sent to Claude, its stdout, stderr, exit code and the tasks file
+ * as the agent left it.
+ *
+ * Replaying (claudeCommand "rtf-replay:<cassette>") serves those invocations
+ * back instead of spawning Claude. Each invocation takes the next unused entry
+ * for the same role and task, so parallel coders replay correctly. Recorded
+ * tasks file contents are restored as each replayed agent exits, keeping the
+ * following prompts identical to the recorded run. Prompts that differ from
+ * the recording are flagged with a warning and collected as mismatches.
+ */
+
+import { appendFile, mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Cassette format version written to each entry
+ */
+export const CASSETTE_VERSION = 1;
+
+/**
+ * claudeCommand prefix that selects the replay backend
+ */
+export const REPLAY_PREFIX = 'rtf-replay:';
+
+// Replay sessions by cassette path: { entries, used, mismatches }
+const replaySessions = new Map();
+
+/**
+ * Checks whether a claude command selects the replay backend
+ *
+ * @param {string} command - Configured claude command
+ * @returns {boolean} True for "rtf-replay:<cassette>"
+ */
+export function isReplayCommand(command) {
+  return typeof command === 'string' && command.startsWith(REPLAY_PREFIX);
+}
+
+/**
+ * Starts a new, empty cassette for recording
+ *
+ * @param {string} cassettePath - Cassette file path
+ * @returns {Promise<void>}
+ */
+export async function startCassette(cassettePath) {
+  await mkdir(dirname(cassettePath), { recursive: true });
+  await writeFile(cassettePath, '');
+}
+
+/**
+ * Appends a recorded invocation to a cassette
+ *
+ * @param {string} cassettePath - Cassette file path
+ * @param {object} entry - Invocation (role, taskId, prompt, stdout, stderr, exitCode, tasksFile, tasks)
+ * @returns {Promise<void>}
+ */
+export async function recordInvocation(cassettePath, entry) {
+  await mkdir(dirname(cassettePath), { recursive: true });
+  await appendFile(cassettePath, JSON.stringify({ v: CASSETTE_VERSION, ...entry }) + '\n');
+}
+
+/**
+ * Reads all invocations from a cassette
+ *
+ * @param {string} cassettePath - Cassette file path
+ * @returns {Promise<object[]>} Recorded invocations in order
+ * @throws {Error} If the cassette is missing or has an invalid line
+ */
+export async function readCassette(cassettePath) {
+  const file = Bun.file(cassettePath);
+  if (!(await file.exists())) {
+    throw new Error(`Cassette file does not exist: ${cassettePath}`);
+  }
+
+  const lines = (await file.text()).split('\n');
+  const entries = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid cassette entry at ${cassettePath}:${index + 1}: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Returns the replay session for a cassette, loading it on first use
+ *
+ * @param {string} cassettePath - Cassette file path
+ * @returns {Promise<{entries: object[], used: Set<number>, mismatches: object[]}>} Replay session
+ */
+export async function getReplaySession(cassettePath) {
+  if (!replaySessions.has(cassettePath)) {
+    const entries = await readCassette(cassettePath);
+    replaySessions.set(cassettePath, { entries, used: new Set(), mismatches: [] });
+  }
+  return replaySessions.get(cassettePath);
+}
+
+/**
+ * Forgets all replay sessions so cassettes are replayed from the start again
+ */
+export function resetReplaySessions() {
+  replaySessions.clear();
+}
+
+/**
+ * Describes where two prompts first differ
+ *
+ * @param {string} expected - Recorded prompt
+ * @param {string} actual - Current prompt
+ * @returns {{line: number, expected: string, actual: string}} First differing line (1-based)
+ */
+function firstDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return { line: i + 1, expected: expectedLines[i] ?? '', actual: actualLines[i] ?? '' };
+    }
+  }
+  return { line: length, expected: '', actual: '' };
+}
+
+/**
+ * Creates a stream-like object that yields one chunk of text
+ */
+function textStream(text) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      if (text) {
+        yield new TextEncoder().encode(text);
+      }
+    }
+  };
+}
+
+/**
+ * Creates a process-like object that replays the next recorded invocation
+ * for a role, in place of the object returned by Bun.spawn
+ *
+ * @param {string} command - Claude command ("rtf-replay:<cassette>")
+ * @param {object} invocation - The invocation being replayed
+ * @param {string} invocation.role - Role name
+ * @param {string} [invocation.taskId] - Assigned task, for parallel coders
+ * @param {string} invocation.prompt - Prompt that would be sent to Claude
+ * @param {string} invocation.tasksFile - Tasks file to restore the recorded contents to
+ * @returns {Promise<object>} Object with stdin, stdout, stderr, exited, kill and pid
+ * @throws {Error} If the cassette has no invocation left for the role
+ */
+export async function createReplayProcess(command, { role, taskId = null, prompt, tasksFile }) {
+  const cassettePath = command.slice(REPLAY_PREFIX.length);
+  const session = await getReplaySession(cassettePath);
+
+  const index = session.entries.findIndex((entry, i) =>
+    !session.used.has(i) && entry.role === role && (entry.taskId ?? null) === taskId);
+  if (index === -1) {
+    const label = taskId ? `${role} (task ${taskId})` : role;
+    throw new Error(`Cassette ${cassettePath} has no recorded invocation left for ${label}.`);
+  }
+  session.used.add(index);
+  const entry = session.entries[index];
+
+  if (entry.prompt !== prompt) {
+    const difference = firstDifference(entry.prompt, prompt);
+    session.mismatches.push({ index, role, taskId, ...difference });
+    console.warn(
+      `Warning: Replay prompt mismatch for ${role} (cassette entry ${index + 1}) at line ${difference.line}:\n` +
+      `  recorded: ${difference.expected}\n` +
+      `  current:  ${difference.actual}`
+    );
+  }
+
+  const exited = (async () => {
+    // Leave the tasks file as the recorded agent did
+    if (typeof entry.tasks === 'string' && tasksFile) {
+      await Bun.write(tasksFile, entry.tasks);
+    }
+    return entry.exitCode;
+  })();
+
+  return {
+    stdin: { write: () => {}, end: () => {} },
+    stdout: textStream(entry.stdout),
+    stderr: textStream(entry.stderr),
+    exited,
+    kill: () => true,
+    pid: null
+  };
+}
@@ -0,0 +1,958 @@
+/**
+ * Agent Orchestration
+ *
+ * Runs agents and follows the manager's directives (rtf-directive blocks, see
+ * src/utils/directives.js, or legacy **INVOKE** lines), spawning sub-agents
+ * with fresh context and resuming the manager afterwards.
+ * Coder runs can fan out into parallel agents, one per ready task; those
+ * report what they finished and the orchestrator checks it off.
+ * When config.run is set, every step is written to the run journal.
+ * Boxes a coder checks off can be verified by running the project's tests
+ * and, in git mode, are committed task by task. With config.budgetTracker,
+ * the run stops once its token or cost budget is used up. Transient Claude
+ * CLI failures are retried with backoff (config.retry). A planner's plan never
+ * silently drops completed work (config.planConflict).
+ */
+
+import { parseArgs } from '../utils/cli.js';
+import {
+  parseTaskTree,
+  getReadyTasks,
+  diffTaskTrees,
+  setItemsCompleted,
+  extractTasksContent,
+  extractCompletedItems,
+  updateTasksFile
+} from '../utils/tasks.js';
+import { resolveRoleConfig } from '../utils/config.js';
+import { displayStatus } from '../utils/display.js';
+import { appendJournal } from '../utils/journal.js';
+import { createEnvelope, createEventSequence, createLineageEnv } from '../utils/events.js';
+import { commitChanges, formatTaskCommitMessage, getHeadCommit, getChangedFiles } from '../utils/git.js';
+import { runVerifyCommand, formatVerifyFailure } from '../utils/verify.js';
+import { BUDGET_EXIT_CODE, formatRemaining } from '../utils/budget.js';
+import { spawnAgent } from './agent.js';
+import { resolveRetryPolicy, runWithRetry } from './retry.js';
+import { isStopping } from './processes.js';
+import { requestApproval, askUser } from '../utils/approval.js';
+import { parseDirective, parseInvokeDirective, formatDirectiveError } from '../utils/directives.js';
+import { isValidRole } from '../utils/roles.js';
+import { savePlan, formatLostWork } from '../utils/plan-guard.js';
+import {
+  resolveHandoffBudget,
+  diffTaskStates,
+  collectTouchedFiles,
+  snapshotFiles,
+  diffSnapshots,
+  formatHandoff
+} from '../utils/handoff.js';
+import { resolveTaskFormat, readTasksMarkdown } from '../utils/task-formats.js';
+
+export { parseInvokeDirective };
+
+/**
+ * Checks if the output contains a completion signal
+ * (a marker or a "complete" directive block)
+ */
+export function hasCompletionSignal(output) {
+  if (!output) return false;
+  if (parseDirective(output).directive?.action === 'complete') return true;
+  return output.includes('**AGENT COMPLETE**') || output.includes('ALL_TASKS_COMPLETE');
+}
+
+/**
+ * Checks if the output contains a max iterations signal
+ */
+export function hasMaxIterationsSignal(output) {
+  if (!output) return false;
+  return output.includes('REACHED MAX ITERATIONS');
+}
+
+/**
+ * Checks whether a run should fan out into parallel coder agents
+ * Only top-level code runs (not ones already assigned a task) are fanned out
+ */
+function isParallelCodeRun(role, config) {
+  return role.toLowerCase() === 'code' && !config.taskId && (config.concurrency || 1) > 1;
+}
+
+/**
+ * Returns the format of the run's tasks file (config.tasksFormat or its extension)
+ */
+function getTasksFormat(config) {
+  return resolveTaskFormat(config.tasksFile || 'TASKS.md', config.tasksFormat);
+}
+
+/**
+ * Sets every checkbox in the content to checked if its ID is in the set, unchecked otherwise
+ */
+function applyCheckedItems(content, checked) {
+  const items = parseTaskTree(content).items;
+  const done = items.filter(item => checked.has(item.id)).map(item => item.id);
+  const open = items.filter(item => !checked.has(item.id)).map(item => item.id);
+  return setItemsCompleted(setItemsCompleted(content, done, true), open, false);
+}
+
+/**
+ * Reads and parses the tasks file, treating a missing or unreadable file as an empty tree
+ * With a task board, the parallel coders' progress not yet written is included
+ */
+async function loadTaskTree(config, board = null) {
+  try {
+    const content = await readTasksMarkdown(config.tasksFile || 'TASKS.md', getTasksFormat(config));
+    return parseTaskTree(board ? applyCheckedItems(content, new Set([...board.checked, ...board.pending])) : content);
+  } catch (error) {
+    return parseTaskTree('');
+  }
+}
+
+/**
+ * Runs coder agents concurrently on tasks whose dependencies are satisfied
+ *
+ * Each agent is assigned one task ID. As agents finish, TASKS.md is re-read
+ * and newly unblocked tasks are started, never exceeding config.concurrency
+ * agents at once. Each task is attempted at most once per call, so a task
+ * the coder could not finish does not loop forever.
+ *
+ * The agents do not edit the tasks file: each reports the boxes it finished
+ * in an rtf-progress block and the orchestrator checks them off (see
+ * applyReportedProgress), so no agent can overwrite another's progress. The
+ * file is only written while no coder is running, so the orchestrator never
+ * overwrites a change an agent is making either; until then, reported boxes
+ * count as checked when picking the next ready tasks.
+ *
+ * In git mode and with a verify command the task agents run one at a time:
+ * they share one working tree, and each task's commit must hold (and its
+ * verification must judge) only that task's changes.
+ *
+ * Falls back to a single sequential coder when no task is ready (e.g. a flat
+ * checklist without task headings).
+ */
+async function runParallelCoders(role, config) {
+  const oneAtATime = config.git
+    ? 'in git mode each task is committed on its own'
+    : config.verify ? 'the verify command must only see one task\'s changes' : null;
+  const limit = oneAtATime ? 1 : config.concurrency;
+  const running = new Map();
+  const attempted = new Set();
+  const finished = [];
+
+  const initialTree = await loadTaskTree(config);
+  if (getReadyTasks(initialTree).length === 0) {
+    return runAgentWithOrchestration(role, { ...config, concurrency: 1 }, 1);
+  }
+
+  // The boxes the orchestrator has checked (written to the file) and reported
+  // ones waiting for the running coders to exit; anything else an agent
+  // changes is put back
+  const taskBoard = {
+    checked: new Set(initialTree.items.filter(item => item.completed).map(item => item.id)),
+    pending: new Set(),
+    active: 0
+  };
+
+  if (oneAtATime) {
+    console.error(`Warning: Running one coder at a time: ${oneAtATime}`);
+  } else {
+    displayStatus(role, `Running up to ${limit} agents in parallel`);
+  }
+
+  while (true) {
+    const tree = await loadTaskTree(config, taskBoard);
+    const stopStarting = config.budgetTracker?.isExceeded() || isStopping();
+
+    for (const task of stopStarting ? [] : getReadyTasks(tree, attempted)) {
+      if (running.size >= limit) break;
+
+      attempted.add(task.id);
+      displayStatus(role, `Starting task ${task.id}: ${task.title}`);
+
+      const taskConfig = { ...config, taskId: task.id, taskBoard };
+      taskBoard.active++;
+      const promise = runAgentWithOrchestration(role, taskConfig, 1)
+        .catch(error => ({ exitCode: 1, output: '', events: [], error: error.message }))
+        .then(result => {
+          taskBoard.active--;
+          return { taskId: task.id, result };
+        });
+      running.set(task.id, promise);
+    }
+
+    if (running.size === 0) break;
+
+    const { taskId, result } = await Promise.race(running.values());
+    running.delete(taskId);
+    finished.push({ taskId, result });
+
+    if (taskBoard.active === 0 && taskBoard.pending.size > 0) {
+      await writeTaskBoard(config, taskBoard);
+    }
+
+    if (result.error) {
+      console.error(`Warning: Agent for task ${taskId} failed: ${result.error}`);
+    }
+    displayStatus(role, `Task ${taskId} agent exited with code ${result.exitCode}`);
+  }
+
+  const finalTree = await loadTaskTree(config);
+  const remaining = finalTree.tasks.filter(t => !t.completed && t.criteria.length > 0);
+  if (remaining.length > 0) {
+    displayStatus(role, `Tasks still open: ${remaining.map(t => t.id).join(', ')}`);
+  }
+
+  const output = finished
+    .map(({ taskId, result }) => `--- TASK ${taskId} ---\n${result.output || ''}`)
+    .join('\n');
+  const failed = finished.find(({ result }) => result.exitCode !== 0);
+
+  const result = {
+    exitCode: failed ? failed.result.exitCode : 0,
+    output: remaining.length === 0 ? `${output}\nALL_TASKS_COMPLETE\n` : output,
+    events: finished.flatMap(({ result }) => result.events || [])
+  };
+
+  if (isStopping()) {
+    return { ...result, interrupted: true };
+  }
+  if (remaining.length > 0 && config.budgetTracker?.isExceeded()) {
+    return { ...result, exitCode: BUDGET_EXIT_CODE, budgetExceeded: true };
+  }
+  return result;
+}
+
+/**
+ * Appends a step to the run journal, if the run has one
+ * Journal failures are reported but never stop the run
+ */
+async function journal(config, entry) {
+  if (!config.run) return;
+
+  try {
+    await appendJournal(config.run, entry);
+  } catch (error) {
+    console.error(`Warning: Failed to write run journal: ${error.message}`);
+  }
+}
+
+/**
+ * Records the boxes a parallel coder reported in its rtf-progress block
+ *
+ * Only boxes of the coder's own task count. They are written to the tasks
+ * file right away if no other coder is running, and otherwise once the last
+ * one exits, so the orchestrator never rewrites the file under an agent.
+ *
+ * @param {string} role - Role that ran
+ * @param {object} config - Merged configuration (config.taskBoard holds the checked item IDs)
+ * @param {string} output - The coder's output
+ */
+async function applyReportedProgress(role, config, output) {
+  let reported;
+  try {
+    reported = extractCompletedItems(output) || [];
+  } catch (error) {
+    console.error(`Warning: Ignoring the progress report of task ${config.taskId}: ${error.message}`);
+    reported = [];
+  }
+
+  const board = config.taskBoard;
+  const items = (await loadTaskTree(config)).items;
+  const own = new Set(items.filter(item => item.taskId === config.taskId).map(item => item.id));
+  const foreign = reported.filter(id => !own.has(id));
+  if (foreign.length > 0) {
+    console.error(`Warning: Task ${config.taskId} reported items that are not its own: ${foreign.join(', ')}`);
+  }
+  reported.filter(id => own.has(id)).forEach(id => board.pending.add(id));
+
+  // The calling coder is still counted as running
+  if (board.active > 1) {
+    if (board.pending.size > 0) {
+      displayStatus(role, `Progress of task ${config.taskId} is saved once the other coders exit`);
+    }
+    return;
+  }
+  await writeTaskBoard(config, board);
+}
+
+/**
+ * Writes the parallel coders' progress to the tasks file
+ *
+ * Checkboxes an agent changed in the file directly are put back to the state
+ * the orchestrator left them in, since parallel coders must not edit the
+ * shared file. Only called while no coder is running.
+ *
+ * @param {object} config - Merged configuration
+ * @param {object} board - Task board: checked (written) and pending (reported) item IDs
+ */
+async function writeTaskBoard(config, board) {
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  try {
+    await updateTasksFile(tasksFile, content => {
+      if (content === null) return null;
+
+      const edited = parseTaskTree(content).items.filter(item => item.completed !== board.checked.has(item.id));
+      if (edited.length > 0) {
+        console.error(`Warning: A parallel coder changed checkboxes in ${tasksFile} directly; ` +
+          `restored ${edited.map(item => item.id).join(', ')}`);
+      }
+
+      return applyCheckedItems(content, new Set([...board.checked, ...board.pending]));
+    }, { format: getTasksFormat(config) });
+    board.pending.forEach(id => board.checked.add(id));
+    board.pending.clear();
+  } catch (error) {
+    console.error(`Warning: Failed to save the parallel coders' progress: ${error.message}`);
+  }
+}
+
+/**
+ * Compares the tasks file with the tree from before a coder invocation
+ * A parallel coder only answers for its own task; the others report theirs
+ *
+ * @returns {Promise<{after: object, diff: object}>} Current tree and what was checked off
+ */
+async function diffCoderProgress(config, before) {
+  const after = await loadTaskTree(config);
+  const diff = diffTaskTrees(before, after);
+
+  if (config.taskId) {
+    diff.checkedItems = diff.checkedItems.filter(item => item.taskId === config.taskId);
+    diff.completedTasks = diff.completedTasks.filter(task => task.id === config.taskId);
+  }
+
+  return { after, diff };
+}
+
+/**
+ * Runs the verify command if a coder invocation checked off success
+ * parameters. When it fails, those boxes are unchecked again.
+ *
+ * @param {string} role - Role that ran
+ * @param {object} config - Merged configuration
+ * @param {object} before - Task tree from before the invocation
+ * @returns {Promise<string|null>} Continuation prompt describing the failure, or null if nothing failed
+ */
+async function verifyTaskProgress(role, config, before) {
+  const { diff } = await diffCoderProgress(config, before);
+  if (diff.checkedItems.length === 0) return null;
+
+  displayStatus(role, `Verifying with: ${config.verify}`);
+  const verification = await runVerifyCommand(config.verify);
+  await journal(config, {
+    step: 'verify',
+    role,
+    depth: config.depth || 0,
+    taskId: config.taskId,
+    exitCode: verification.exitCode,
+    passed: verification.passed
+  });
+
+  if (verification.passed) {
+    displayStatus(role, 'Verification passed');
+    return null;
+  }
+
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  diff.checkedItems.forEach(item => config.taskBoard?.checked.delete(item.id));
+  try {
+    await updateTasksFile(tasksFile, content =>
+      content === null ? null : setItemsCompleted(content, diff.checkedItems.map(item => item.id), false),
+    { format: getTasksFormat(config) });
+  } catch (error) {
+    console.error(`Warning: Failed to uncheck unverified tasks: ${error.message}`);
+  }
+  displayStatus(role, `Verification failed (exit code ${verification.exitCode}); unchecked ${diff.checkedItems.length} item(s)`);
+
+  return formatVerifyFailure(config.verify, verification, diff.checkedItems);
+}
+
+/**
+ * Commits the work of a coder invocation if it checked off any success
+ * parameters (git mode). Commit failures are reported but never stop the run.
+ *
+ * @param {string} role - Role that ran
+ * @param {object} config - Merged configuration
+ * @param {object} before - Task tree from before the invocation
+ */
+async function commitTaskProgress(role, config, before) {
+  const { after, diff } = await diffCoderProgress(config, before);
+  if (diff.checkedItems.length === 0) return;
+
+  const runId = config.run ? config.run.id : undefined;
+  const message = formatTaskCommitMessage(diff, after, runId);
+  try {
+    const exclude = [config.stateDir || '.rtf', config.record].filter(Boolean);
+    const sha = await commitChanges(message, { exclude });
+    if (sha) {
+      displayStatus(role, `Committed ${sha.slice(0, 7)}: ${message.split('\n')[0]}`);
+      await journal(config, {
+        step: 'commit',
+        role,
+        depth: config.depth || 0,
+        taskId: config.taskId,
+        sha,
+        tasks: diff.completedTasks.map(task => task.id)
+      });
+    }
+  } catch (error) {
+    console.error(`Warning: Failed to commit task progress: ${error.message}`);
+  }
+}
+
+/**
+ * Saves the plan in a planner's output to the tasks file (see utils/plan-guard.js)
+ *
+ * A plan that would drop or uncheck completed work is refused (or merged with
+ * planConflict "merge"). A refusal is published as an error event and added
+ * to the result's events, so the manager sees it in the sub-agent's report.
+ *
+ * @param {string} role - Role that produced the output
+ * @param {object} config - Merged configuration
+ * @param {object} result - Agent result (result.planConflict is set on a refusal)
+ * @param {object} lineage - Invocation IDs for published events
+ */
+async function savePlanOutput(role, config, result, lineage) {
+  const tasksContent = extractTasksContent(result.output);
+  if (!tasksContent) return;
+
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  try {
+    const saved = await savePlan(tasksFile, tasksContent, {
+      stateDir: config.stateDir,
+      planConflict: config.planConflict,
+      format: getTasksFormat(config)
+    });
+
+    if (saved.saved) {
+      displayStatus(role, saved.merged
+        ? `Saved tasks to ${tasksFile}, keeping completed work the new plan dropped: ${formatLostWork(saved.lost)}`
+        : `Saved tasks to ${tasksFile}`);
+    } else if (saved.lost.length > 0) {
+      const message = `Plan not saved: it drops or unchecks completed work in ${tasksFile}: ${formatLostWork(saved.lost)}. ` +
+        `The rejected plan was kept in ${saved.rejected}. Keep completed items checked, or set planConflict to "merge".`;
+      displayStatus(role, message);
+
+      const event = { type: 'error', agent: role, error: message };
+      publishEvent(config, event, lineage);
+      result.events = [...(result.events || []), event];
+      result.planConflict = message;
+    }
+  } catch (writeError) {
+    console.error(`Warning: Failed to save TASKS.md: ${writeError.message}`);
+  }
+}
+
+// Numbers events published by this process, unless config.nextEventSeq is given
+const nextEventSeq = createEventSequence();
+
+/**
+ * Wraps an event in a protocol v2 envelope and forwards it to the live
+ * listener, if any
+ *
+ * @param {object} config - Merged configuration (config.nextEventSeq continues a resumed run's numbering)
+ * @param {object} event - Event payload (type, agent, ...)
+ * @param {{invocationId: string, parentInvocationId: string|null}} lineage - Invocation that produced it
+ */
+function publishEvent(config, event, lineage) {
+  if (!config.onEvent) return;
+
+  const envelope = createEnvelope(event, {
+    runId: getEventRunId(config),
+    ...lineage,
+    seq: (config.nextEventSeq || nextEventSeq)()
+  });
+
+  try {
+    config.onEvent(envelope);
+  } catch (error) {
+    console.warn(`Warning: Event listener failed: ${error.message}`);
+  }
+}
+
+/**
+ * Returns the run ID for event envelopes: the run's own, or for a nested run
+ * without a journal the one its parent passed in config.parentRunId
+ */
+function getEventRunId(config) {
+  return config.run ? config.run.id : config.parentRunId || null;
+}
+
+/**
+ * Creates a short unique ID for one agent invocation
+ */
+function createInvocationId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+/**
+ * Records what a sub-agent is about to change, for its handoff report
+ * Without git, the working tree is snapshotted to find the files it touches
+ *
+ * @returns {Promise<{startedAt: number, tasks: object, head: string|null,
+ *   snapshot: Map<string, string>|null, results: Array<object>}>}
+ */
+async function startHandoff(config) {
+  let head = null;
+  if (config.git) {
+    try {
+      head = await getHeadCommit();
+    } catch (error) {
+      head = null;
+    }
+  }
+
+  return {
+    startedAt: Date.now(),
+    tasks: await loadTaskTree(config),
+    head,
+    snapshot: head ? null : await snapshotFiles({ ignore: getHandoffIgnore(config) }),
+    results: []
+  };
+}
+
+/**
+ * Paths left out of a handoff's touched files: the run's own state
+ */
+function getHandoffIgnore(config) {
+  return [config.stateDir || '.rtf', config.record].filter(Boolean);
+}
+
+/**
+ * Builds the manager's continuation prompt from a finished sub-agent
+ * (see utils/handoff.js)
+ */
+async function finishHandoff(subRole, config, handoff, subResult) {
+  const events = handoff.results.flatMap(result => result.events || []);
+  const files = collectTouchedFiles(events);
+
+  // Git mode, or else the working tree snapshot, also knows about files
+  // changed by shell commands
+  let changed = [];
+  if (handoff.head) {
+    try {
+      changed = await getChangedFiles(handoff.head, { ignore: getHandoffIgnore(config) });
+    } catch (error) {
+      console.error(`Warning: Failed to list files changed by ${subRole}: ${error.message}`);
+    }
+  } else if (handoff.snapshot) {
+    const after = await snapshotFiles({ ignore: getHandoffIgnore(config) });
+    changed = after ? diffSnapshots(handoff.snapshot, after) : [];
+  }
+  for (const file of changed) {
+    if (!files.includes(file)) files.push(file);
+  }
+
+  return formatHandoff({
+    role: subRole,
+    exitCode: subResult.exitCode,
+    completed: hasCompletionSignal(subResult.output),
+    timedOut: subResult.timedOut,
+    durationMs: Date.now() - handoff.startedAt,
+    taskChanges: diffTaskStates(handoff.tasks, await loadTaskTree(config)),
+    files,
+    errors: events.filter(event => event.type === 'error' && event.error).map(event => String(event.error)),
+    output: subResult.output
+  }, resolveHandoffBudget(config.handoffBudget));
+}
+
+/**
+ * Runs the sub-agent requested by a manager's invoke directive, then
+ * resumes the manager at the next iteration with a report of what the
+ * sub-agent did
+ *
+ * @param {{role: string, additionalArgs?: string, taskId?: string, note?: string}} invokeDirective -
+ *   additionalArgs come from a legacy **INVOKE** line; taskId restricts the sub-agent to one
+ *   task and note is passed on to it
+ */
+async function runSubAgent(role, config, iteration, invokeDirective, parentInvocationId = null) {
+  const subRole = invokeDirective.role.toLowerCase();
+  displayStatus(role, `Invoking sub-agent: ${subRole}${invokeDirective.taskId ? ` (task ${invokeDirective.taskId})` : ''}`);
+
+  const subArgs = invokeDirective.additionalArgs ? parseLegacyInvokeArgs(invokeDirective.additionalArgs) : {};
+
+  // Merge with current config, allowing sub-agent to override
+  const subConfig = {
+    ...config,
+    ...subArgs,
+    role: subRole,
+    depth: (config.depth || 0) + 1,
+    parentInvocationId,
+    continuationPrompt: invokeDirective.note
+      ? `\n\n--- NOTE FROM THE MANAGER ---\n${invokeDirective.note}\n--- END NOTE ---\n`
+      : undefined
+  };
+  if (invokeDirective.taskId) {
+    subConfig.taskId = invokeDirective.taskId;
+  }
+
+  // Every invocation in the sub-agent's tree reports to this handoff (and to
+  // the handoffs above it)
+  const handoff = await startHandoff(config);
+  subConfig.onAgentResult = (result) => {
+    handoff.results.push(result);
+    if (config.onAgentResult) config.onAgentResult(result);
+  };
+
+  // Recursively run the sub-agent with fresh context
+  const subResult = await runAgentWithOrchestration(subRole, subConfig, 1);
+
+  // Interrupted: leave TASKS.md alone; resuming runs the sub-agent again
+  if (subResult.interrupted) {
+    return subResult;
+  }
+
+  // Out of budget: stop the whole run instead of resuming the manager
+  if (subResult.budgetExceeded) {
+    return subResult;
+  }
+
+  // Check if sub-agent failed or timed out
+  if (subResult.timedOut) {
+    displayStatus(role, `Sub-agent '${subRole}' timed out`);
+  } else if (subResult.exitCode !== 0) {
+    displayStatus(role, `Sub-agent '${subRole}' exited with code ${subResult.exitCode}`);
+  } else {
+    displayStatus(role, `Sub-agent '${subRole}' completed successfully`);
+  }
+
+  // Resume the manager agent with continuation
+  displayStatus(role, 'Resuming manager after sub-agent completion...');
+
+  // Create a continuation prompt for the manager
+  const continuationPrompt = `\n\n${await finishHandoff(subRole, config, handoff, subResult)}\n\nThe sub-agent has finished. What is the next step?\n`;
+
+  // Recursively call manager again with updated iteration
+  const managerConfig = {
+    ...config,
+    continuationPrompt
+  };
+
+  return await runAgentWithOrchestration(role, managerConfig, iteration + 1);
+}
+
+// Flags a legacy **INVOKE** line may pass to the sub-agent; everything else
+// (git, verify, concurrency, permissions, ...) stays as the run was started
+const LEGACY_INVOKE_FLAGS = ['--model', '-m', '--max-iterations', '--max-iter', '--tasks', '-t'];
+
+/**
+ * Reads the sub-agent settings from a legacy **INVOKE** line's arguments
+ * Only the model, iteration limit and tasks file can be set; other flags are ignored with a warning
+ *
+ * @param {string} additionalArgs - Arguments after the role
+ * @returns {object} Config overrides (model, maxIterations, tasksFile)
+ */
+function parseLegacyInvokeArgs(additionalArgs) {
+  const argv = additionalArgs.split(/\s+/).filter(Boolean);
+  const ignored = argv.filter(arg => arg.startsWith('-') && !LEGACY_INVOKE_FLAGS.includes(arg));
+  if (ignored.length > 0) {
+    console.error(`Warning: Ignoring **INVOKE** arguments a manager cannot set: ${ignored.join(' ')}`);
+  }
+
+  const args = parseArgs(argv.filter(arg => !ignored.includes(arg)));
+  const overrides = {};
+  if (args.model) {
+    overrides.model = args.model;
+  }
+  const maxIterations = parseInt(args.maxIterations, 10);
+  if (maxIterations > 0) {
+    overrides.maxIterations = maxIterations;
+  }
+  if (args.tasks) {
+    overrides.tasksFile = args.tasks;
+  }
+  return overrides;
+}
+
+/**
+ * Asks the user the manager's question and resumes the manager with the answer
+ * Without a terminal, the manager is told that nobody can answer
+ */
+async function answerManagerQuestion(role, config, iteration, directive) {
+  const ask = config.ask || (process.stdin.isTTY ? askUser : null);
+
+  let answer = null;
+  if (ask) {
+    console.log(`\n[${role.toUpperCase()}] Question: ${directive.question}`);
+    answer = String(await ask('Answer: ')).trim();
+  } else {
+    displayStatus(role, `Question for the user (no terminal to answer it): ${directive.question}`);
+  }
+
+  const continuationPrompt = `\n\n--- USER ANSWER ---\nQuestion: ${directive.question}\n` +
+    `Answer: ${answer || '(No answer. The user is not available; use your best judgment.)'}\n` +
+    '--- END USER ANSWER ---\n\nWhat is the next step?\n';
+
+  return runAgentWithOrchestration(role, { ...config, continuationPrompt }, iteration + 1);
+}
+
+/**
+ * Resumes the manager at the next iteration after the user declined the
+ * sub-agent it asked for
+ */
+async function skipSubAgent(role, config, iteration, invokeDirective) {
+  const subRole = invokeDirective.role.toLowerCase();
+  displayStatus(role, `Skipped sub-agent: ${subRole}`);
+
+  const continuationPrompt = `\n\n--- SUB-AGENT SKIPPED ---\nAgent: ${subRole}\nThe user chose not to run this sub-agent.\n--- END SUB-AGENT SKIPPED ---\n\nWhat is the next step?\n`;
+
+  return runAgentWithOrchestration(role, { ...config, continuationPrompt }, iteration + 1);
+}
+
+/**
+ * Continues an interrupted run from state rebuilt from its journal
+ *
+ * If the manager had already chosen a sub-agent that never finished, that
+ * sub-agent is run first; otherwise the last checkpointed iteration is re-run.
+ *
+ * @param {object} state - State returned by rebuildState
+ * @param {object} config - Merged configuration (including the run handle)
+ * @returns {Promise<object>} - Result object from the final agent invocation
+ */
+export async function resumeOrchestration(state, config) {
+  const resumeConfig = {
+    ...config,
+    continuationPrompt: state.continuationPrompt
+  };
+
+  if (state.pendingInvoke) {
+    return runSubAgent(state.role, resumeConfig, state.iteration, state.pendingInvoke);
+  }
+
+  return runAgentWithOrchestration(state.role, resumeConfig, state.iteration);
+}
+
+/**
+ * Recursively runs an agent with orchestration support
+ * Handles **INVOKE** directives for manager role
+ *
+ * @param {string} role - Role to run
+ * @param {object} config - Merged configuration (config.approval "prompt" asks the user
+ *   before each sub-agent runs; config.ask reads the answers, by default from the terminal)
+ * @param {number} [iteration] - Current iteration of this role
+ * @returns {Promise<object>} - Result object from the final agent invocation
+ */
+export async function runAgentWithOrchestration(role, config, iteration = 1) {
+  if (isParallelCodeRun(role, config)) {
+    return runParallelCoders(role, config);
+  }
+
+  // Apply this role's model/maxIterations/timeout; sub-agents resolve
+  // their own settings from the unmodified config
+  const roleConfig = resolveRoleConfig(config, role);
+
+  // Check iteration limit before running
+  if (iteration > roleConfig.maxIterations) {
+    console.error(`\nReached maximum iterations (${roleConfig.maxIterations}). Stopping.`);
+    return {
+      exitCode: 1,
+      output: 'REACHED MAX ITERATIONS\nCannot continue',
+      events: [],
+      reachedMaxIterations: true
+    };
+  }
+
+  // The run was interrupted (Ctrl-C): start nothing new
+  if (isStopping()) {
+    return {
+      exitCode: 1,
+      output: 'INTERRUPTED\nCannot continue',
+      events: [],
+      interrupted: true
+    };
+  }
+
+  // Check the run's budget before spending more
+  if (config.budgetTracker?.isExceeded()) {
+    displayStatus(role, 'Budget exceeded. Stopping.');
+    return {
+      exitCode: BUDGET_EXIT_CODE,
+      output: 'BUDGET EXCEEDED\nCannot continue',
+      events: [],
+      budgetExceeded: true
+    };
+  }
+
+  // Every invocation gets its own ID so live events can be placed in the call tree
+  const invocationId = createInvocationId();
+  const lineage = { invocationId, parentInvocationId: config.parentInvocationId || null };
+
+  // Update config with current iteration
+  const agentConfig = {
+    ...roleConfig,
+    currentIteration: iteration,
+    onEvent: config.onEvent && ((event) => publishEvent(config, event, lineage)),
+    // Nested runs and event-emitting agents place themselves under this invocation
+    env: createLineageEnv({ runId: getEventRunId(config), invocationId })
+  };
+
+  const depth = config.depth || 0;
+  if (depth === 0) {
+    await journal(config, { step: 'checkpoint', role, iteration, depth, continuationPrompt: config.continuationPrompt });
+  }
+  await journal(config, { step: 'agent-start', role, iteration, depth, taskId: config.taskId });
+
+  const label = config.taskId ? `Task ${config.taskId}: running` : 'Running';
+  const remaining = formatRemaining(config.budgetTracker);
+  displayStatus(role, `${label} (iteration ${iteration}/${roleConfig.maxIterations}${remaining ? `, budget: ${remaining}` : ''})...`);
+
+  publishEvent(config, {
+    type: 'status',
+    agent: role,
+    status: 'starting',
+    iteration,
+    taskId: config.taskId
+  }, lineage);
+
+  // Remember which boxes were checked so the coder's progress can be verified and committed
+  const tasksBefore = (config.verify || config.git) && role.toLowerCase() === 'code'
+    ? await loadTaskTree(config)
+    : null;
+
+  // Spawn the agent, retrying transient failures such as rate limits
+  let result;
+  try {
+    result = await runWithRetry(async () => {
+      const attemptResult = await spawnAgent(role, agentConfig);
+
+      // Add the usage Claude reported to the run's budget (failed attempts cost too)
+      if (config.budgetTracker) {
+        for (const event of attemptResult.events || []) {
+          if (event.type === 'usage') {
+            config.budgetTracker.record(role.toLowerCase(), event);
+          }
+        }
+      }
+      return attemptResult;
+    }, resolveRetryPolicy(config.retry), {
+      canRetry: () => !config.budgetTracker?.isExceeded() && !isStopping(),
+      onRetry: (retry) => {
+        displayStatus(role, `Transient failure (${retry.reason}, exit code ${retry.exitCode}); ` +
+          `retrying in ${(retry.delayMs / 1000).toFixed(1)}s (attempt ${retry.attempt}/${retry.maxAttempts})`);
+        publishEvent(config, { type: 'retry', agent: role, ...retry }, lineage);
+      }
+    });
+  } catch (error) {
+    publishEvent(config, { type: 'error', agent: role, error: error.message }, lineage);
+    throw error;
+  }
+
+  if (config.onAgentResult) {
+    config.onAgentResult(result);
+  }
+
+  // An agent stopped by an interrupt left partial work; the run is checkpointed
+  // before it, so nothing is verified, committed or saved from its output
+  if (isStopping()) {
+    return { ...result, interrupted: true };
+  }
+
+  if (result.timedOut) {
+    displayStatus(role, `Timed out after ${roleConfig.timeout}ms; stopped the agent and its child processes`);
+  }
+
+  if (result.output) {
+    publishEvent(config, { type: 'output', agent: role, message: result.output }, lineage);
+  }
+  publishEvent(config, {
+    type: 'status',
+    agent: role,
+    status: result.exitCode === 0 ? 'completed' : 'error',
+    exitCode: result.exitCode
+  }, lineage);
+
+  await journal(config, { step: 'agent-end', role, iteration, depth, taskId: config.taskId, exitCode: result.exitCode });
+
+  // Parallel coders report their progress instead of editing the tasks file
+  if (config.taskBoard && config.taskId) {
+    await applyReportedProgress(role, config, result.output);
+  }
+
+  // Boxes checked against failing tests are unchecked and the coder tries again
+  if (tasksBefore && config.verify) {
+    const verifyFailure = await verifyTaskProgress(role, config, tasksBefore);
+    if (verifyFailure) {
+      return runAgentWithOrchestration(role, { ...config, continuationPrompt: verifyFailure }, iteration + 1);
+    }
+  }
+
+  if (tasksBefore && config.git) {
+    await commitTaskProgress(role, config, tasksBefore);
+  }
+
+  // Display output
+  if (result.output) {
+    console.log(result.output);
+  }
+
+  // Save a planner's plan, once per invocation: here, whether it ran with
+  // --role plan or as the manager's sub-agent
+  if (role.toLowerCase() === 'plan' && result.output) {
+    await savePlanOutput(role, config, result, lineage);
+  }
+
+  // Check for completion signals
+  if (hasCompletionSignal(result.output)) {
+    displayStatus(role, 'Agent signaled completion');
+    return result;
+  }
+
+  // Check for max iterations signal
+  if (hasMaxIterationsSignal(result.output)) {
+    displayStatus(role, 'Agent reached max iterations');
+    return { ...result, reachedMaxIterations: true };
+  }
+
+  // Follow the manager's directive (only for manager role)
+  if (role.toLowerCase() === 'manage') {
+    const tree = await loadTaskTree(config);
+    const isKnownTask = (id) => tree.tasks.some(task => task.id === id) || tree.phases.some(phase => phase.id === id);
+    const { directive, error } = parseDirective(result.output, { isValidRole, isKnownTask });
+
+    // Tell the manager what was wrong with its directive so it can fix it
+    if (error) {
+      displayStatus(role, error);
+      return runAgentWithOrchestration(role, { ...config, continuationPrompt: formatDirectiveError(error) }, iteration + 1);
+    }
+
+    if (directive?.action === 'abort') {
+      displayStatus(role, `Manager aborted the run${directive.note ? `: ${directive.note}` : ''}`);
+      return { ...result, exitCode: 1, aborted: true };
+    }
+
+    if (directive?.action === 'ask_user') {
+      return answerManagerQuestion(role, config, iteration, directive);
+    }
+
+    if (directive?.action === 'invoke') {
+      let invokeDirective = directive;
+
+      // With --approve, the user decides whether (and how) the sub-agent runs
+      if (config.approval === 'prompt') {
+        const approval = await requestApproval(result.output, invokeDirective, { ask: config.ask });
+
+        if (approval.action === 'abort') {
+          displayStatus(role, 'Run aborted by the user');
+          return { ...result, exitCode: 1, aborted: true };
+        }
+        if (approval.action === 'skip') {
+          return skipSubAgent(role, config, iteration, approval.directive);
+        }
+        invokeDirective = approval.directive;
+      }
+
+      await journal(config, {
+        step: 'invoke',
+        role,
+        iteration,
+        depth: config.depth || 0,
+        subRole: invokeDirective.role.toLowerCase(),
+        args: invokeDirective.additionalArgs || '',
+        subTaskId: invokeDirective.taskId,
+        note: invokeDirective.note
+      });
+
+      return runSubAgent(role, config, iteration, invokeDirective, invocationId);
+    }
+  }
+
+  return result;
+}
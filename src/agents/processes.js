@@ -0,0 +1,164 @@
+/**
+ * Agent Process Groups
+ *
+ * Each Claude CLI invocation is spawned as the leader of its own process
+ * group, so everything it starts (tools, nested ralph-thinks-first runs, ...)
+ * can be stopped together. Termination is graceful: the group gets SIGTERM,
+ * then SIGKILL if anything is still running after the grace period:
+ *
+ *   "timeout": 600000, "killGracePeriod": 5000
+ *
+ * Running agents are tracked so an interrupted run (Ctrl-C) can stop them
+ * all; once that starts, no further agent is spawned.
+ */
+
+/**
+ * Default time in milliseconds between SIGTERM and SIGKILL
+ */
+export const DEFAULT_KILL_GRACE_PERIOD = 5000;
+
+// How often a terminating group is checked for remaining processes
+const GROUP_POLL_INTERVAL_MS = 100;
+
+// Processes spawned by spawnProcessGroup that lead their own group
+const groupLeaders = new WeakSet();
+
+// Processes spawned by spawnProcessGroup that have not exited yet
+const activeProcesses = new Set();
+
+// Set once the run is being stopped
+let stopping = false;
+
+/**
+ * Parses the killGracePeriod setting
+ *
+ * @param {*} value - Milliseconds (number or numeric string), or undefined for the default
+ * @returns {number} Grace period in milliseconds
+ */
+export function resolveGracePeriod(value) {
+  const parsed = parseInt(value, 10);
+  return !isNaN(parsed) && parsed >= 0 ? parsed : DEFAULT_KILL_GRACE_PERIOD;
+}
+
+/**
+ * Spawns a command as the leader of a new process group
+ *
+ * @param {string[]} cmd - Command and arguments
+ * @param {object} options - Bun.spawn options
+ * @returns {object} The spawned process
+ * @throws {Error} If the run is being stopped
+ */
+export function spawnProcessGroup(cmd, options) {
+  if (stopping) {
+    throw new Error('Run interrupted; not starting another agent.');
+  }
+
+  // Pass the current environment explicitly: Bun.spawn's default is the one
+  // the process started with, without later changes (e.g. RTF_LOCK_PID)
+  const proc = Bun.spawn(cmd, { env: process.env, ...options, detached: true });
+  activeProcesses.add(proc);
+  const forget = () => activeProcesses.delete(proc);
+  Promise.resolve(proc.exited).then(forget, forget);
+
+  // Only real subprocesses have an OS process group (Bun.Subprocess itself is not exported)
+  if (Number.isInteger(proc.pid) && typeof proc.resourceUsage === 'function') {
+    groupLeaders.add(proc);
+  }
+  return proc;
+}
+
+/**
+ * Sends a signal to every process in a group
+ *
+ * @returns {boolean} False if the group no longer exists
+ */
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (error) {
+    if (error.code === 'ESRCH') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Waits until a process group is empty or the grace period ends
+ *
+ * @returns {Promise<boolean>} True if the group exited in time
+ */
+async function waitForGroupExit(pid, graceMs) {
+  const deadline = Date.now() + graceMs;
+  while (signalGroup(pid, 0)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await Bun.sleep(Math.min(GROUP_POLL_INTERVAL_MS, Math.max(0, deadline - Date.now())));
+  }
+  return true;
+}
+
+/**
+ * Stops a process and everything it started: SIGTERM (or the given signal)
+ * to its process group, then SIGKILL to whatever is left after the grace period
+ *
+ * Processes that do not lead a group (cassette replays, test doubles) are
+ * only sent the signal.
+ *
+ * @param {object} proc - Process from spawnProcessGroup
+ * @param {number} [graceMs] - Time between the signal and SIGKILL
+ * @param {string} [signal] - First signal to send, e.g. "SIGINT" to forward a Ctrl-C
+ * @returns {Promise<void>} Resolves once the group is gone or has been sent SIGKILL
+ */
+export async function terminateProcessTree(proc, graceMs = DEFAULT_KILL_GRACE_PERIOD, signal = 'SIGTERM') {
+  if (!groupLeaders.has(proc)) {
+    proc.kill(signal);
+    return;
+  }
+
+  if (!signalGroup(proc.pid, signal)) {
+    return;
+  }
+  if (!await waitForGroupExit(proc.pid, graceMs)) {
+    signalGroup(proc.pid, 'SIGKILL');
+  }
+}
+
+/**
+ * Whether the run is being stopped by stopAllProcesses
+ *
+ * @returns {boolean}
+ */
+export function isStopping() {
+  return stopping;
+}
+
+/**
+ * Stops every running agent and its process tree, and refuses to spawn new ones
+ *
+ * @param {string} [signal] - Signal to forward first (the one the run received)
+ * @param {number} [graceMs] - Time before SIGKILL
+ * @returns {Promise<number>} Number of agents that were still running
+ */
+export async function stopAllProcesses(signal = 'SIGTERM', graceMs = DEFAULT_KILL_GRACE_PERIOD) {
+  stopping = true;
+  const running = [...activeProcesses];
+  await Promise.all(running.map(proc => terminateProcessTree(proc, graceMs, signal)));
+  return running.length;
+}
+
+/**
+ * Sends SIGKILL to every running agent's process group right away
+ */
+export function killAllProcesses() {
+  stopping = true;
+  for (const proc of activeProcesses) {
+    if (groupLeaders.has(proc)) {
+      signalGroup(proc.pid, 'SIGKILL');
+    } else {
+      proc.kill('SIGKILL');
+    }
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Retries for Transient Agent Failures
+ *
+ * A Claude CLI invocation that exits non-zero because of a rate limit, an
+ * overload or a network problem is worth running again after a pause. The
+ * failure is classified by exit code and by patterns in stderr and the CLI's
+ * error events (never in the agent's own answer on stdout, which may well
+ * talk about rate limits), and retried with exponential backoff and jitter:
+ *
+ *   "retry": { "attempts": 3, "baseDelayMs": 2000, "maxDelayMs": 60000 }
+ *
+ * Permanent failures (bad credentials, an unknown model, ...) are never
+ * retried, and neither are errors thrown before the CLI ran (e.g. the CLI
+ * is not installed).
+ */
+
+/**
+ * Default retry policy
+ */
+export const DEFAULT_RETRY_POLICY = {
+  // Retries after the first attempt (0 disables retrying)
+  attempts: 3,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+  // Exit codes that are always transient
+  exitCodes: [],
+  // stderr or error events that mark a failure as transient (regular expressions, case-insensitive)
+  patterns: [
+    'rate.?limit',
+    'overloaded',
+    'API Error: (429|5\\d\\d)',
+    '\\b(ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|EPIPE)\\b',
+    'socket hang up',
+    'network error'
+  ],
+  // stderr or error events that mark a failure as permanent, even if a transient pattern matches
+  permanentPatterns: [
+    'invalid api key',
+    'authentication_error',
+    'API Error: 401',
+    'credit balance is too low',
+    'model not found'
+  ]
+};
+
+/**
+ * Builds the retry policy from the "retry" config section
+ *
+ * @param {object|number|boolean} [retry] - Policy overrides, a number of attempts,
+ *   or false to disable retries
+ * @returns {object} Complete policy
+ */
+export function resolveRetryPolicy(retry) {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY_POLICY, attempts: 0 };
+  }
+  if (typeof retry === 'number' || typeof retry === 'string') {
+    retry = { attempts: retry };
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(retry && typeof retry === 'object' ? retry : {}) };
+  for (const key of ['attempts', 'baseDelayMs', 'maxDelayMs']) {
+    const value = parseInt(policy[key], 10);
+    policy[key] = !isNaN(value) && value >= 0 ? value : DEFAULT_RETRY_POLICY[key];
+  }
+  return policy;
+}
+
+/**
+ * Collects the text a failure is classified by: stderr and error events
+ * (protocol events on stderr, or the CLI's error result in stream-json mode)
+ */
+function failureText(result) {
+  const errors = (result.events || []).filter(event => event.type === 'error').map(event => event.error);
+  return [result.stderr || '', ...errors].join('\n');
+}
+
+/**
+ * Decides whether a failed agent invocation is worth retrying
+ *
+ * @param {object} result - Result of spawnAgent
+ * @param {object} policy - Retry policy
+ * @returns {string|null} Why the failure looks transient, or null if it should not be retried
+ */
+export function classifyFailure(result, policy) {
+  if (result.exitCode === 0 || result.timedOut) {
+    return null;
+  }
+
+  const text = failureText(result);
+  if (policy.permanentPatterns.some(pattern => new RegExp(pattern, 'i').test(text))) {
+    return null;
+  }
+
+  const match = policy.patterns
+    .map(pattern => new RegExp(pattern, 'i').exec(text))
+    .find(Boolean);
+  if (match) {
+    return match[0];
+  }
+
+  return policy.exitCodes.includes(result.exitCode) ? `exit code ${result.exitCode}` : null;
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter, between half and
+ * all of baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+ *
+ * @param {number} retry - Retry number, starting at 1
+ * @param {object} policy - Retry policy
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(retry, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retry - 1));
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Runs an attempt function until it succeeds, fails permanently or runs out of retries
+ *
+ * @param {Function} attempt - Called with the attempt number (from 1); resolves to a spawnAgent result
+ * @param {object} policy - Retry policy
+ * @param {object} [options]
+ * @param {Function} [options.onRetry] - Called with {attempt, maxAttempts, delayMs, reason, exitCode}
+ *   before waiting for the next attempt
+ * @param {Function} [options.canRetry] - Return false to stop retrying (e.g. out of budget)
+ * @param {Function} [options.sleep] - Waits the given milliseconds (default: Bun.sleep)
+ * @returns {Promise<object>} The last attempt's result, with "attempts" set
+ */
+export async function runWithRetry(attempt, policy, { onRetry, canRetry = () => true, sleep = Bun.sleep } = {}) {
+  const maxAttempts = policy.attempts + 1;
+
+  for (let number = 1; ; number++) {
+    const result = await attempt(number);
+    const reason = number < maxAttempts && canRetry() ? classifyFailure(result, policy) : null;
+    if (!reason) {
+      return { ...result, attempts: number };
+    }
+
+    const delayMs = computeBackoff(number, policy);
+    if (onRetry) {
+      onRetry({ attempt: number + 1, maxAttempts, delayMs, reason, exitCode: result.exitCode });
+    }
+    await sleep(delayMs);
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Convert Command
+ *
+ * `rtf convert <input> [output]` converts a tasks file between the task file
+ * formats (markdown, json, yaml, csv, mermaid; see utils/task-formats.js).
+ * Each format follows the file extension unless --from/--to names it; with
+ * no output file the result is printed as markdown, or as --to.
+ */
+
+import { readTasksFile, writeTasksFile } from '../utils/tasks.js';
+import { getTaskFormat, detectTaskFormat, resolveTaskFormat, convertTasks } from '../utils/task-formats.js';
+
+/**
+ * Runs `rtf convert <input> [output]`
+ *
+ * @param {object} args - Parsed CLI arguments (args._ holds "convert", the input and the optional
+ *   output file; --from, --to and --force are honored)
+ * @throws {Error} If a file or format is missing or invalid, or the output exists without --force
+ */
+export async function runConvertCommand(args) {
+  const [, input, output] = args._ || [];
+  if (!input) {
+    throw new Error('Usage: ralph-thinks-first convert <input> [output] [--from <format>] [--to <format>]');
+  }
+
+  const from = resolveTaskFormat(input, args.from);
+  const to = args.to ? getTaskFormat(args.to) : output ? detectTaskFormat(output) : getTaskFormat('markdown');
+
+  let converted;
+  try {
+    converted = convertTasks(await readTasksFile(input), from, to);
+  } catch (error) {
+    throw new Error(`Cannot convert ${input} from ${from.name}: ${error.message}`);
+  }
+
+  if (!output) {
+    process.stdout.write(converted);
+    return;
+  }
+
+  if (!args.force && await Bun.file(output).exists()) {
+    throw new Error(`${output} already exists. Use --force to overwrite it.`);
+  }
+
+  await writeTasksFile(output, converted);
+  console.log(`Converted ${input} (${from.name}) to ${output} (${to.name})`);
+}
+
+/**
+ * Definition of the convert command
+ */
+export const convertCommand = {
+  name: 'convert',
+  summary: 'Convert a tasks file between formats',
+  usage: ['convert <input> [output] [options]'],
+  description: 'Converts a tasks file between markdown, json, yaml, csv and mermaid. Prints the result if no output file is given.',
+  options: [
+    { flags: '--from <format>', description: 'Format of the input (default: from its extension)' },
+    { flags: '--to <format>', description: 'Format of the output (default: from its extension, or markdown when printing)' },
+    { flags: '--force', description: 'Overwrite an existing output file' }
+  ],
+  examples: [
+    ['Export the tasks as YAML', 'npx ralph-thinks-first convert TASKS.md tasks.yaml'],
+    ['Print the tasks as a Mermaid flowchart', 'npx ralph-thinks-first convert TASKS.md --to mermaid']
+  ],
+  run: runConvertCommand
+};
@@ -0,0 +1,166 @@
+/**
+ * Doctor Command
+ *
+ * `rtf doctor` checks that a run can start here: a recent Bun, a valid
+ * configuration, a Claude CLI (or cassette) to run, a readable tasks file,
+ * loadable custom roles, a git repository when git mode is on, and no run
+ * holding the lock. Each check prints ok, warn or FAIL; any failure makes
+ * the command exit with code 1.
+ */
+
+import { getLockPath, readLock, isStaleLock } from '../utils/lock.js';
+import { isGitRepository } from '../utils/git.js';
+import { loadCustomRoles } from '../utils/roles.js';
+import { resolveTaskFormat, readTasksMarkdown } from '../utils/task-formats.js';
+import { parseTasksFile } from '../utils/tasks.js';
+import { isReplayCommand, REPLAY_PREFIX } from '../agents/cassette.js';
+import { validateConfig } from './run.js';
+
+// Oldest Bun release the CLI is tested with
+const MIN_BUN_VERSION = '1.0.0';
+
+/**
+ * Compares dotted version numbers, e.g. "1.2.3" and "1.10.0"
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Runs every check
+ *
+ * @param {object} config - Merged configuration
+ * @returns {Promise<Array<{name: string, level: 'ok'|'warn'|'fail', message: string}>>} One
+ *   result per check
+ */
+export async function runChecks(config) {
+  const checks = [];
+  const check = (name, level, message) => checks.push({ name, level, message });
+
+  if (compareVersions(Bun.version, MIN_BUN_VERSION) >= 0) {
+    check('bun', 'ok', `Bun ${Bun.version}`);
+  } else {
+    check('bun', 'fail', `Bun ${Bun.version} is older than ${MIN_BUN_VERSION}`);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length === 0) {
+    check('config', 'ok', config.configFile && await Bun.file(config.configFile).exists()
+      ? `${config.configFile} is valid`
+      : 'Using defaults (no config file)');
+  } else {
+    problems.forEach(problem => check('config', 'fail', problem));
+  }
+
+  const command = config.claudeCommand || 'claude';
+  if (isReplayCommand(command)) {
+    const cassette = command.slice(REPLAY_PREFIX.length);
+    if (await Bun.file(cassette).exists()) {
+      check('claude', 'ok', `Replaying cassette ${cassette}`);
+    } else {
+      check('claude', 'fail', `Cassette ${cassette} not found`);
+    }
+  } else {
+    const path = Bun.which(command);
+    if (path) {
+      check('claude', 'ok', `${command} found at ${path}`);
+    } else {
+      check('claude', 'fail', `${command} not found on PATH. Install the Claude CLI or set claudeCommand.`);
+    }
+  }
+
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  if (!(await Bun.file(tasksFile).exists())) {
+    check('tasks', 'warn', `${tasksFile} does not exist yet (the planner creates it, or run init)`);
+  } else {
+    try {
+      const format = resolveTaskFormat(tasksFile, config.tasksFormat);
+      const items = parseTasksFile(await readTasksMarkdown(tasksFile, format));
+      const completed = items.filter(item => item.completed).length;
+      check('tasks', 'ok', `${tasksFile} (${format.name}): ${completed}/${items.length} done`);
+    } catch (error) {
+      check('tasks', 'fail', `${tasksFile}: ${error.message}`);
+    }
+  }
+
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(String(message).replace(/^Warning: /, ''));
+  try {
+    const loaded = await loadCustomRoles(config);
+    if (warnings.length === 0) {
+      check('roles', 'ok', loaded.length > 0 ? `Custom roles: ${loaded.join(', ')}` : 'No custom roles');
+    }
+  } finally {
+    console.warn = originalWarn;
+  }
+  warnings.forEach(warning => check('roles', 'fail', warning));
+
+  if (config.git) {
+    if (await isGitRepository()) {
+      check('git', 'ok', 'Git mode is on and this is a git repository');
+    } else {
+      check('git', 'fail', 'Git mode is on but this is not a git repository');
+    }
+  }
+
+  const lockPath = getLockPath(config.stateDir);
+  const lock = readLock(lockPath);
+  if (!lock) {
+    check('lock', 'ok', 'No run in progress');
+  } else if (isStaleLock(lock)) {
+    check('lock', 'warn', `Stale lock ${lockPath} (the next run takes it over)`);
+  } else {
+    check('lock', 'warn', `${lock.runId ? `Run ${lock.runId}` : 'Another run'} (PID ${lock.pid}) is in progress`);
+  }
+
+  return checks;
+}
+
+/**
+ * Formats check results, one line each
+ *
+ * @param {Array<object>} checks - Result of runChecks
+ * @returns {string} The report
+ */
+export function formatChecks(checks) {
+  const labels = { ok: 'ok  ', warn: 'warn', fail: 'FAIL' };
+  const width = Math.max(...checks.map(check => check.name.length));
+  return checks.map(check => `${labels[check.level]}  ${check.name.padEnd(width)}  ${check.message}`).join('\n');
+}
+
+/**
+ * Runs `rtf doctor`
+ *
+ * @param {object} args - Parsed CLI arguments
+ * @param {object} config - Merged configuration
+ * @returns {Promise<number>} 1 if a check failed, else 0
+ */
+export async function runDoctorCommand(args, config) {
+  const checks = await runChecks(config);
+  console.log(args.json ? JSON.stringify(checks, null, 2) : formatChecks(checks));
+  return checks.some(check => check.level === 'fail') ? 1 : 0;
+}
+
+/**
+ * Definition of the doctor command
+ */
+export const doctorCommand = {
+  name: 'doctor',
+  summary: 'Check that a run can start here',
+  usage: ['doctor [--json]'],
+  description: 'Checks the Bun version, the configuration, the Claude CLI (or replay cassette), the tasks file, custom roles, the git repository in git mode and the run lock. Exits with code 1 if a check fails.',
+  options: [
+    { flags: '--json', description: 'Print the results as JSON' }
+  ],
+  examples: [
+    ['Check the setup before a CI run', 'npx ralph-thinks-first doctor --replay run.cassette.jsonl']
+  ],
+  run: runDoctorCommand
+};
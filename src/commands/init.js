@@ -0,0 +1,110 @@
+/**
+ * Init Command
+ *
+ * `rtf init` sets up a project: a .rtfrc.json with the main settings, an
+ * empty tasks file in the configured format for the planner to fill, and
+ * a .gitignore entry for the .rtf/ state directory. Existing files are
+ * left alone unless --force is given.
+ */
+
+import { writeTasksFile } from '../utils/tasks.js';
+import { resolveTaskFormat } from '../utils/task-formats.js';
+import { isGitRepository } from '../utils/git.js';
+
+// Starter content of a markdown tasks file
+const STARTER_TASKS = `# Tasks
+
+<!--
+The planner (--role plan) fills this file with phases ("## Phase 1: Setup"),
+tasks ("### Task 1.1: Create the project") and the success parameters of
+each task ("- [ ] ..."), which the coder checks off as they hold.
+-->
+`;
+
+/**
+ * Builds the starter .rtfrc.json
+ *
+ * @param {object} config - Merged configuration
+ * @returns {object} Config file contents
+ */
+export function createStarterConfig(config) {
+  return {
+    model: config.model,
+    maxIterations: config.maxIterations,
+    tasksFile: config.tasksFile,
+    ...(config.tasksFormat ? { tasksFormat: config.tasksFormat } : {}),
+    claudeCommand: config.claudeCommand
+  };
+}
+
+/**
+ * Adds the state directory to .gitignore unless it is already listed
+ *
+ * @param {string} stateDir - State directory, e.g. ".rtf"
+ * @returns {Promise<boolean>} True if .gitignore was changed
+ */
+async function ignoreStateDir(stateDir) {
+  const file = Bun.file('.gitignore');
+  const content = await file.exists() ? await file.text() : '';
+  const entry = `${stateDir.replace(/^\.\//, '').replace(/\/+$/, '')}/`;
+
+  if (content.split(/\r?\n/).some(line => [entry, `/${entry}`, entry.slice(0, -1)].includes(line.trim()))) {
+    return false;
+  }
+
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  await Bun.write('.gitignore', `${content}${separator}${entry}\n`);
+  return true;
+}
+
+/**
+ * Runs `rtf init`
+ *
+ * @param {object} args - Parsed CLI arguments (--force overwrites existing files)
+ * @param {object} config - Merged configuration (the settings written to .rtfrc.json)
+ * @throws {Error} If the tasks format is unknown or a file cannot be written
+ */
+export async function runInitCommand(args, config) {
+  const configFile = config.configFile || '.rtfrc.json';
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  const format = resolveTaskFormat(tasksFile, config.tasksFormat);
+
+  const write = async (path, create) => {
+    if (!args.force && await Bun.file(path).exists()) {
+      console.log(`Skipped ${path} (already exists, use --force to overwrite it)`);
+      return;
+    }
+    await create();
+    console.log(`Created ${path}`);
+  };
+
+  await write(configFile, () => Bun.write(configFile, JSON.stringify(createStarterConfig(config), null, 2) + '\n'));
+  await write(tasksFile, () => writeTasksFile(tasksFile, format.fromMarkdown(STARTER_TASKS)));
+
+  const stateDir = config.stateDir || '.rtf';
+  if ((await Bun.file('.gitignore').exists() || await isGitRepository()) && await ignoreStateDir(stateDir)) {
+    console.log(`Added ${stateDir}/ to .gitignore`);
+  }
+
+  console.log('\nNext: npx ralph-thinks-first -p "<describe your project>"');
+}
+
+/**
+ * Definition of the init command
+ */
+export const initCommand = {
+  name: 'init',
+  summary: 'Create a config file and an empty tasks file',
+  usage: ['init [options]'],
+  description: 'Writes .rtfrc.json with the current settings and an empty tasks file in the configured format, and adds the .rtf/ state directory to .gitignore in git repositories. Existing files are kept unless --force is given.',
+  options: [
+    { flags: '--tasks, -t <path>', description: 'Path to tasks file (default: TASKS.md)' },
+    { flags: '--tasks-format <format>', description: 'Format of the tasks file (default: from its extension)' },
+    { flags: '--model, -m <name>', description: 'Claude model to write to the config file' },
+    { flags: '--force', description: 'Overwrite existing files' }
+  ],
+  examples: [
+    ['Set up a project that keeps its tasks in YAML', 'npx ralph-thinks-first init --tasks tasks.yaml']
+  ],
+  run: runInitCommand
+};
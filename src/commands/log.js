@@ -0,0 +1,191 @@
+/**
+ * Log Command
+ *
+ * `rtf log` lists past runs; `rtf log <run-id|latest>` replays a run's
+ * events from .rtf/runs/<run-id>/events.jsonl in the same format the live
+ * console uses, optionally filtered by agent, event type or time range.
+ */
+
+import { formatEvent } from '../utils/display.js';
+import { listRuns, findLatestRun, openRun, readRunMetadata, readEvents } from '../utils/journal.js';
+
+// Units accepted in relative times such as "30m" or "2h"
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a --since/--until value: an ISO date/time or a duration back from now
+ *
+ * @param {string} value - e.g. "2026-01-31T14:00", "30m", "2h", "1d"
+ * @param {Date} [now] - Reference time for durations
+ * @returns {number} Milliseconds since the epoch
+ * @throws {Error} If the value is neither
+ */
+export function parseTimeArg(value, now = new Date()) {
+  const duration = /^(\d+)([smhd])$/.exec(value);
+  if (duration) {
+    return now.getTime() - Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time '${value}'. Use an ISO date (e.g. 2026-01-31T14:00) or a duration such as 30m, 2h or 1d.`);
+  }
+  return time;
+}
+
+/**
+ * Splits a comma-separated filter into lowercase values
+ */
+function parseList(value) {
+  return value ? value.split(',').map(part => part.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+/**
+ * Filters events by agent, type and time range
+ *
+ * @param {object[]} events - Logged events
+ * @param {object} [filters]
+ * @param {string} [filters.agent] - Comma-separated agent names
+ * @param {string} [filters.type] - Comma-separated event types
+ * @param {number} [filters.since] - Earliest timestamp (ms), inclusive
+ * @param {number} [filters.until] - Latest timestamp (ms), inclusive
+ * @returns {object[]} Matching events, in order
+ */
+export function filterEvents(events, { agent, type, since, until } = {}) {
+  const agents = parseList(agent);
+  const types = parseList(type);
+
+  return events.filter(event => {
+    if (agents.length > 0 && !agents.includes(String(event.agent).toLowerCase())) return false;
+    if (types.length > 0 && !types.includes(String(event.type).toLowerCase())) return false;
+
+    if (since !== undefined || until !== undefined) {
+      const time = Date.parse(event.ts);
+      if (Number.isNaN(time)) return false;
+      if (since !== undefined && time < since) return false;
+      if (until !== undefined && time > until) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Formats a logged event as a console line prefixed with its local time
+ *
+ * @param {object} event - Logged event
+ * @returns {string} e.g. "14:02:11 [CODE] Status: running"
+ */
+export function formatLogLine(event) {
+  const time = event.ts ? new Date(event.ts) : null;
+  const prefix = time && !Number.isNaN(time.getTime()) ? time.toTimeString().slice(0, 8) : '--:--:--';
+  return `${prefix} ${formatEvent(event)}`;
+}
+
+/**
+ * Formats an ISO timestamp as "YYYY-MM-DD HH:MM" in local time
+ *
+ * @param {string} iso - ISO timestamp
+ * @returns {string} The local time, or "-" if missing or invalid
+ */
+export function formatDate(iso) {
+  const date = new Date(iso);
+  if (!iso || Number.isNaN(date.getTime())) {
+    return '-';
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Prints a table of past runs, oldest first
+ *
+ * @param {string} stateDir - Base state directory
+ */
+async function listRunsTable(stateDir) {
+  const runIds = await listRuns(stateDir);
+  if (runIds.length === 0) {
+    console.log(`No runs found in ${stateDir}/runs.`);
+    return;
+  }
+
+  const rows = [];
+  for (const id of runIds) {
+    const run = await openRun(id, stateDir).catch(() => null);
+    if (!run) continue; // Not a run directory
+
+    const metadata = await readRunMetadata(run).catch(() => ({}));
+    const events = await readEvents(run);
+    rows.push([id, metadata.status || '-', metadata.role || '-', formatDate(metadata.startedAt), String(events.length)]);
+  }
+
+  const header = ['RUN', 'STATUS', 'ROLE', 'STARTED', 'EVENTS'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+/**
+ * Runs `rtf log [run-id|latest]`
+ *
+ * @param {object} args - Parsed CLI arguments (args._ holds "log" and the optional run ID)
+ * @param {object} config - Merged configuration (for stateDir)
+ * @throws {Error} If the run does not exist or a filter is invalid
+ */
+export async function runLogCommand(args, config) {
+  const target = args._?.[1];
+  if (!target) {
+    await listRunsTable(config.stateDir);
+    return;
+  }
+
+  const runId = target === 'latest' ? await findLatestRun(config.stateDir) : target;
+  if (!runId) {
+    throw new Error('No previous runs found.');
+  }
+
+  const run = await openRun(runId, config.stateDir);
+  const events = filterEvents(await readEvents(run), {
+    agent: args.agent,
+    type: args.type,
+    since: args.since ? parseTimeArg(args.since) : undefined,
+    until: args.until ? parseTimeArg(args.until) : undefined
+  });
+
+  for (const event of events) {
+    if (args.json) {
+      console.log(JSON.stringify(event));
+    } else if (event.type === 'error') {
+      console.error(formatLogLine(event));
+    } else {
+      console.log(formatLogLine(event));
+    }
+  }
+}
+
+/**
+ * Definition of the log command
+ */
+export const logCommand = {
+  name: 'log',
+  summary: 'List past runs, or replay the events of one',
+  usage: ['log', 'log <run-id|latest> [options]'],
+  description: 'Without a run ID, lists the runs in .rtf/runs/. With one (or "latest"), prints that run\'s events the way the live console showed them.',
+  options: [
+    { flags: '--agent <names>', description: 'Only show events from these agents (comma-separated)' },
+    { flags: '--type <types>', description: 'Only show these event types, e.g. status,error' },
+    { flags: '--since <time>', description: 'Only show events from this time on (ISO date or a duration back from now such as 30m, 2h, 1d)' },
+    { flags: '--until <time>', description: 'Only show events up to this time' },
+    { flags: '--json', description: 'Print the raw JSON lines instead' }
+  ],
+  examples: [
+    ['List past runs', 'npx ralph-thinks-first log'],
+    ['Show the errors of the latest run from the last hour', 'npx ralph-thinks-first log latest --type error --since 1h']
+  ],
+  run: runLogCommand
+};
@@ -0,0 +1,56 @@
+/**
+ * Prompt Command
+ *
+ * `rtf prompt [role]` prints the prompt a role would receive on its first
+ * iteration, with the tasks file and the project description filled in,
+ * without running Claude. Handy for reviewing custom roles or piping the
+ * prompt into another tool.
+ */
+
+import { resolveRoleConfig } from '../utils/config.js';
+import { prepareInvocation } from '../agents/agent.js';
+import { loadCustomRoles, isValidRole, getRoleNames } from '../utils/roles.js';
+
+/**
+ * Runs `rtf prompt [role]`
+ *
+ * @param {object} args - Parsed CLI arguments (args._ holds "prompt" and the optional role;
+ *   --role and -p are honored too)
+ * @param {object} config - Merged configuration
+ * @throws {Error} If the role is unknown
+ */
+export async function runPromptCommand(args, config) {
+  await loadCustomRoles(config);
+
+  const role = (args._?.[1] || args.role || 'manage').toLowerCase();
+  if (!isValidRole(role)) {
+    throw new Error(`Unknown role '${role}'. Available roles: ${getRoleNames().join(', ')}`);
+  }
+
+  const invocation = await prepareInvocation(role, {
+    ...resolveRoleConfig(config, role),
+    initialPrompt: args.prompt,
+    currentIteration: 1
+  });
+  console.log(invocation.prompt);
+}
+
+/**
+ * Definition of the prompt command
+ */
+export const promptCommand = {
+  name: 'prompt',
+  summary: 'Print the prompt a role would receive',
+  usage: ['prompt [role] [options]'],
+  description: 'Prints the first-iteration prompt of a role (default: manage) with the tasks file filled in, without running Claude. Use run --dry-run to see the claude command line as well.',
+  options: [
+    { flags: '--prompt, -p <text>', description: 'Project description to include' },
+    { flags: '--tasks, -t <path>', description: 'Path to tasks file (default: TASKS.md)' },
+    { flags: '--tasks-format <format>', description: 'Format of the tasks file (default: from its extension)' }
+  ],
+  examples: [
+    ['Review the coder\'s prompt', 'npx ralph-thinks-first prompt code'],
+    ['Save the manager\'s prompt for a project', 'npx ralph-thinks-first prompt -p "Build a CLI" > manage-prompt.md']
+  ],
+  run: runPromptCommand
+};
@@ -0,0 +1,62 @@
+/**
+ * Roles Command
+ *
+ * `rtf roles` lists the built-in roles and the custom roles found in
+ * .rtf/roles/ and .rtfrc.json, with where each comes from and what it is
+ * for. `--json` prints the full list, including complete purposes.
+ */
+
+import { loadCustomRoles, listRoles } from '../utils/roles.js';
+
+/**
+ * Shortens a role's purpose to its first sentence
+ */
+function firstSentence(text) {
+  const match = String(text || '').match(/^.*?[.!?](?=\s|$)/);
+  return match ? match[0] : String(text || '');
+}
+
+/**
+ * Formats roles as a table with ROLE, SOURCE and PURPOSE columns
+ *
+ * @param {Array<object>} roles - Result of listRoles
+ * @returns {string} The table
+ */
+export function formatRoles(roles) {
+  const rows = roles.map(role => [role.name, role.builtin ? 'built-in' : role.source || 'custom', firstSentence(role.purpose)]);
+  const header = ['ROLE', 'SOURCE', 'PURPOSE'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Runs `rtf roles [--json]`
+ *
+ * @param {object} args - Parsed CLI arguments
+ * @param {object} config - Merged configuration (stateDir and roles locate custom roles)
+ */
+export async function runRolesCommand(args, config) {
+  await loadCustomRoles(config);
+  const roles = listRoles();
+  console.log(args.json ? JSON.stringify(roles, null, 2) : formatRoles(roles));
+}
+
+/**
+ * Definition of the roles command
+ */
+export const rolesCommand = {
+  name: 'roles',
+  summary: 'List the built-in and custom roles',
+  usage: ['roles [--json]'],
+  description: 'Lists every role --role accepts. Custom roles are loaded from .rtf/roles/<name>.md (or .js) and from the "roles" section of .rtfrc.json.',
+  options: [
+    { flags: '--json', description: 'Print the roles as JSON, with their full purpose' }
+  ],
+  examples: [
+    ['See which roles a run can use', 'npx ralph-thinks-first roles']
+  ],
+  run: runRolesCommand
+};
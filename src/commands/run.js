@@ -0,0 +1,665 @@
+/**
+ * Run Command
+ *
+ * `rtf run` starts the agents, and is the command used when none is given,
+ * so `rtf -p "..."` still works. It validates the configuration, takes the
+ * run lock, opens (or resumes) the run journal and hands the role to the
+ * orchestrator; the exit code reflects how the run ended.
+ */
+
+import * as readline from 'readline';
+import { resolveRoleConfig } from '../utils/config.js';
+import { runAgentWithOrchestration, resumeOrchestration } from '../agents/orchestrator.js';
+import { prepareInvocation, formatCommandLine } from '../agents/agent.js';
+import { startCassette, isReplayCommand, getReplaySession, REPLAY_PREFIX } from '../agents/cassette.js';
+import { stopAllProcesses, killAllProcesses, resolveGracePeriod } from '../agents/processes.js';
+import { isGitRepository, getUncommittedChanges, checkoutRunBranch } from '../utils/git.js';
+import { displayStatus, handleEvent } from '../utils/display.js';
+import { loadCustomRoles, isValidRole, getRoleNames } from '../utils/roles.js';
+import { createEventHub, createEventSequence, readLineageEnv } from '../utils/events.js';
+import { OUTPUT_FORMATS } from '../utils/stream-json.js';
+import { APPROVAL_MODES } from '../utils/approval.js';
+import { PLAN_CONFLICT_MODES } from '../utils/plan-guard.js';
+import { acquireRunLock } from '../utils/lock.js';
+import { createBudget, formatBreakdown, BUDGET_EXIT_CODE } from '../utils/budget.js';
+import { resolveTaskFormat } from '../utils/task-formats.js';
+import { startDashboard, DEFAULT_DASHBOARD_PORT } from '../dashboard/server.js';
+import {
+  generateRunId,
+  createRun,
+  openRun,
+  findLatestRun,
+  readRunMetadata,
+  updateRunMetadata,
+  readJournal,
+  readEvents,
+  createEventLog,
+  rebuildState
+} from '../utils/journal.js';
+
+/**
+ * Checks the settings that must name a known mode or format
+ *
+ * @param {object} config - Merged configuration
+ * @returns {string[]} One message per invalid setting (empty if all are valid)
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  if (!OUTPUT_FORMATS.includes(config.outputFormat)) {
+    problems.push(`Unknown output format '${config.outputFormat}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (!APPROVAL_MODES.includes(config.approval)) {
+    problems.push(`Unknown approval mode '${config.approval}'. Use one of: ${APPROVAL_MODES.join(', ')}`);
+  }
+
+  if (!PLAN_CONFLICT_MODES.includes(config.planConflict)) {
+    problems.push(`Unknown planConflict mode '${config.planConflict}'. Use one of: ${PLAN_CONFLICT_MODES.join(', ')}`);
+  }
+
+  try {
+    resolveTaskFormat(config.tasksFile, config.tasksFormat);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  return problems;
+}
+
+/**
+ * Prompts the user for an initial project description if not provided via CLI
+ * @param {string|undefined} cliPrompt - Prompt provided via -p flag
+ * @returns {Promise<string>} - The initial prompt from user
+ */
+async function getInitialPrompt(cliPrompt) {
+  if (cliPrompt) {
+    return cliPrompt;
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question('What would you like to build? ', (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Loads a previous run and the orchestration state to resume it from
+ *
+ * @param {string|boolean} resumeArg - Run ID, or true for the latest run
+ * @param {string} stateDir - Base state directory
+ * @returns {Promise<{run: object, metadata: object, state: object}>}
+ * @throws {Error} If there is no such run or nothing left to resume
+ */
+async function loadRunToResume(resumeArg, stateDir) {
+  const runId = resumeArg === true ? await findLatestRun(stateDir) : resumeArg;
+  if (!runId) {
+    throw new Error('No previous runs found to resume.');
+  }
+
+  const run = await openRun(runId, stateDir);
+  const metadata = await readRunMetadata(run);
+  if (metadata.status === 'completed') {
+    throw new Error(`Run ${runId} already completed. Nothing to resume.`);
+  }
+
+  const state = rebuildState(await readJournal(run));
+  if (!state) {
+    throw new Error(`Run ${runId} has no completed step to resume from.`);
+  }
+
+  return { run, metadata, state };
+}
+
+/**
+ * Renders the first agent invocation of a run without spawning Claude.
+ * Prints the command line and either prints the prompt or writes it to a file.
+ *
+ * @param {string} role - Role to render
+ * @param {object} config - Merged configuration
+ * @param {string|boolean} output - File to write the prompt to, or true to print it
+ */
+async function dryRun(role, config, output) {
+  const roleConfig = resolveRoleConfig(config, role);
+  const invocation = await prepareInvocation(role, { ...roleConfig, currentIteration: 1 });
+  const commandLine = formatCommandLine([invocation.command, ...invocation.args]);
+
+  if (output === true) {
+    console.log(`--- COMMAND ---`);
+    console.log(commandLine);
+    console.log(`--- PROMPT (stdin) ---`);
+    console.log(invocation.prompt);
+    console.log(`--- END PROMPT ---`);
+    return;
+  }
+
+  await Bun.write(output, invocation.prompt);
+  console.log(`Command: ${commandLine}`);
+  console.log(`Prompt (${invocation.prompt.length} characters) written to ${output}`);
+}
+
+/**
+ * Checks that git mode can start: the directory must be a git repository
+ * with no uncommitted changes (outside the state directory), unless forced.
+ * Prints the reason when it cannot.
+ *
+ * @param {object} config - Merged configuration
+ * @param {boolean} force - Start even with uncommitted changes
+ * @returns {Promise<boolean>} True if the run may start
+ */
+async function checkGitWorkingTree(config, force) {
+  if (!(await isGitRepository())) {
+    console.error('Error: --git requires a git repository. Run "git init" first or drop --git.');
+    return false;
+  }
+
+  const changes = await getUncommittedChanges({ ignore: [config.stateDir, config.record].filter(Boolean) });
+  if (changes.length === 0) {
+    return true;
+  }
+
+  if (force) {
+    console.warn(`Warning: Starting with ${changes.length} uncommitted change(s); they will be included in the first task commit.`);
+    return true;
+  }
+
+  console.error('Error: The working tree has uncommitted changes:');
+  changes.slice(0, 10).forEach(path => console.error(`  ${path}`));
+  if (changes.length > 10) {
+    console.error(`  ... and ${changes.length - 10} more`);
+  }
+  console.error('Commit or stash them before starting a run with --git, or pass --force.');
+  return false;
+}
+
+/**
+ * Maps a final orchestration result to a run status for run.json
+ */
+function getRunStatus(result) {
+  if (result.budgetExceeded) return 'budget-exceeded';
+  if (result.aborted) return 'aborted';
+  if (result.timedOut) return 'timed-out';
+  if (result.reachedMaxIterations) return 'max-iterations';
+  return result.exitCode === 0 ? 'completed' : 'failed';
+}
+
+// Exit codes of a run stopped by a signal (128 + signal number)
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+/**
+ * Stops the run cleanly on SIGINT (Ctrl-C) or SIGTERM
+ *
+ * Agents run in their own process groups and do not see the terminal's
+ * Ctrl-C, so the signal is forwarded to them. Once they have exited, the
+ * event log is flushed, the run is marked interrupted and the command to
+ * resume it is printed. A second signal kills the agents and exits at once.
+ *
+ * @param {object} config - Merged configuration (for killGracePeriod)
+ * @param {object|null} run - Run handle
+ * @param {object|null} eventLog - Event log from createEventLog
+ * @returns {{stopping: Function}} stopping() returns the shutdown in progress, or null
+ */
+function handleInterrupts(config, run, eventLog) {
+  let shutdown = null;
+
+  const stop = async (signal) => {
+    console.error(`\nReceived ${signal}. Stopping agents (press Ctrl-C again to force exit)...`);
+    await stopAllProcesses(signal, resolveGracePeriod(config.killGracePeriod));
+    await eventLog?.flush();
+
+    if (run) {
+      await updateRunMetadata(run, { status: 'interrupted', signal, finishedAt: new Date().toISOString() })
+        .catch(error => console.warn(`Warning: Could not save run state: ${error.message}`));
+      console.error(`\nRun ${run.id} interrupted. Resume it with:`);
+      console.error(`  npx ralph-thinks-first --resume ${run.id}`);
+    }
+    process.exit(SIGNAL_EXIT_CODES[signal]);
+  };
+
+  const onSignal = (signal) => {
+    if (shutdown) {
+      console.error('\nForce exit.');
+      killAllProcesses();
+      process.exit(SIGNAL_EXIT_CODES[signal]);
+    }
+    shutdown = stop(signal);
+  };
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  return { stopping: () => shutdown };
+}
+
+/**
+ * Runs `rtf [run] [options]`
+ *
+ * Exits the process itself: with the agent's exit code, 2 for max
+ * iterations, 3 for an exhausted budget, 124 for a timeout and 130/143
+ * when interrupted.
+ *
+ * @param {object} cliArgs - Parsed CLI arguments
+ * @param {object} config - Merged configuration
+ */
+export async function runRunCommand(cliArgs, config) {
+  let run = null;
+  let eventLog = null;
+  let interrupts = null;
+
+  try {
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+      console.error(`Error: ${problems[0]}`);
+      process.exit(1);
+    }
+
+    // Approval prompts read the answers from the terminal
+    if (config.approval === 'prompt' && !process.stdin.isTTY && !cliArgs.dryRun) {
+      console.error('Error: --approve needs an interactive terminal. Use --yes to approve every step automatically.');
+      process.exit(1);
+    }
+
+    // Track token usage and cost against the run's budget
+    try {
+      config.budgetTracker = createBudget(config.budget);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+
+    // Usage is only reported in stream-json output, so budgets need it
+    if (config.budgetTracker.hasLimits() && config.outputFormat !== 'stream-json') {
+      console.warn('Warning: Budgets need usage reports from Claude; switching to --output-format stream-json.');
+      config.outputFormat = 'stream-json';
+    }
+
+    if (cliArgs.dryRun && cliArgs.resume) {
+      console.error('Error: --dry-run cannot be combined with --resume.');
+      process.exit(1);
+    }
+
+    // Step 2.4: Only one run at a time may work in this directory
+    let runLock = null;
+    if (!cliArgs.dryRun) {
+      try {
+        runLock = acquireRunLock({
+          stateDir: config.stateDir,
+          runId: typeof cliArgs.resume === 'string' ? cliArgs.resume : undefined
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      process.on('exit', () => runLock.release());
+    }
+
+    // A run started by another run's agent continues that run's call tree
+    const inherited = readLineageEnv();
+    config.parentInvocationId = inherited.parentInvocationId;
+    config.parentRunId = inherited.runId;
+
+    // Step 2.5: Load the run to resume, restoring its role, prompt and tasks file
+    let resumeState = null;
+    if (cliArgs.resume) {
+      const resumed = await loadRunToResume(cliArgs.resume, config.stateDir);
+      run = resumed.run;
+      resumeState = resumed.state;
+      config.role = resumed.metadata.role || resumeState.role;
+      config.initialPrompt = resumed.metadata.initialPrompt;
+      config.tasksFile = resumed.metadata.tasksFile || config.tasksFile;
+      await updateRunMetadata(run, { status: 'running', resumedAt: new Date().toISOString() });
+    }
+
+    // Step 3: Determine role (from --role flag or default to 'manage')
+    await loadCustomRoles(config);
+    const role = (config.role || 'manage').toLowerCase();
+    if (!isValidRole(role)) {
+      console.error(`Error: Unknown role '${config.role}'. Available roles: ${getRoleNames().join(', ')}`);
+      process.exit(1);
+    }
+
+    // Step 3.5: Get initial prompt for manage role
+    // Only prompt for input when running the manage role (orchestrator)
+    if (role === 'manage' && !resumeState) {
+      const initialPrompt = await getInitialPrompt(cliArgs.prompt);
+      if (!initialPrompt) {
+        console.error('Error: A project description is required to start.');
+        console.error('Provide one with -p "your project description" or enter it when prompted.');
+        process.exit(1);
+      }
+      config.initialPrompt = initialPrompt;
+    }
+
+    // Step 3.75: With --dry-run, show what would be sent to Claude and stop
+    if (cliArgs.dryRun) {
+      await dryRun(role, config, cliArgs.dryRun);
+      process.exit(0);
+    }
+
+    // // Step 4: Load role meta-prompt
+    // let rolePrompt;
+    // try {
+    //   rolePrompt = loadRole(role);
+    // } catch (error) {
+    //   console.error(`Error: ${error.message}`);
+    //   process.exit(1);
+    // }
+
+    // // Step 5: Read TASKS.md file
+    // let tasksContent = '';
+    // try {
+    //   tasksContent = await readTasksFile(config.tasksFile);
+    // } catch (error) {
+    //   // If TASKS.md is not found, create a new one
+    //   if (error.message.includes('not found')) {
+    //     console.warn(`Warning: TASKS.md not found. Creating new file...`);
+
+    //     // Create a new TASKS.md with basic template
+    //     const defaultTasks = `# Tasks\n\n## Todo\n- [ ] Add your first task here\n`;
+
+    //     try {
+    //       await Bun.write(config.tasksFile, defaultTasks);
+    //       tasksContent = defaultTasks;
+    //       console.log(`Created new tasks file: ${config.tasksFile}`);
+    //     } catch (writeError) {
+    //       // If we can't create the file, just warn and continue
+    //       console.warn(`Could not create tasks file: ${writeError.message}`);
+    //     }
+    //   } else {
+    //     // Other errors - just warn and continue
+    //     console.warn(`Warning: ${error.message}`);
+    //   }
+    // }
+
+    // Step 3.8: In git mode, refuse to start on a dirty tree unless forced
+    if (config.git && !(await checkGitWorkingTree(config, cliArgs.force))) {
+      process.exit(1);
+    }
+
+    // Display minimal UI
+    // Start a new run journal so the run can be resumed later
+    if (!run) {
+      try {
+        run = await createRun({
+          role,
+          initialPrompt: config.initialPrompt,
+          tasksFile: config.tasksFile,
+          model: config.model
+        }, config.stateDir);
+      } catch (error) {
+        console.warn(`Warning: Could not create run journal: ${error.message}`);
+      }
+    }
+    config.run = run;
+    if (run && runLock) {
+      try {
+        runLock.update({ runId: run.id });
+      } catch (error) {
+        console.warn(`Warning: Could not update the run lock: ${error.message}`);
+      }
+    }
+
+    // Work on the run's own branch so each task commit lands there
+    let gitBranch = null;
+    if (config.git) {
+      gitBranch = await checkoutRunBranch(run ? run.id : generateRunId());
+      if (run) {
+        await updateRunMetadata(run, { branch: gitBranch });
+      }
+    }
+
+    // Start a fresh cassette when recording (a resumed run appends to it)
+    if (config.record && !resumeState) {
+      await startCassette(config.record);
+    }
+
+    // Append every event to the run's events.jsonl (a resumed run continues its numbering)
+    const eventListeners = [];
+    if (run) {
+      eventLog = createEventLog(run);
+      eventListeners.push(eventLog.append);
+      if (resumeState) {
+        // Continue the event numbering and count what the run already spent
+        const previousEvents = await readEvents(run);
+        const lastSeq = previousEvents.reduce((max, event) => Math.max(max, event.seq || 0), 0);
+        config.nextEventSeq = createEventSequence(lastSeq);
+        previousEvents
+          .filter(event => event.type === 'usage')
+          .forEach(event => config.budgetTracker.record(event.agent, event));
+      }
+    }
+
+    // Start the live dashboard and stream every event to it (port 0 picks a free port)
+    if (config.dashboard !== undefined && config.dashboard !== false) {
+      const hub = createEventHub();
+      const port = config.dashboard === true ? DEFAULT_DASHBOARD_PORT : config.dashboard;
+      const dashboard = startDashboard({ hub, tasksFile: config.tasksFile, tasksFormat: config.tasksFormat, port });
+      eventListeners.push(hub.publish);
+      console.log(`Dashboard: ${dashboard.url}`);
+    }
+
+    if (eventListeners.length > 0) {
+      config.onEvent = (event) => eventListeners.forEach(listener => listener(event));
+    }
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`  Ralph-Thinks-First`);
+    if (run) {
+      console.log(`  Run: ${run.id}${resumeState ? ' (resumed)' : ''}`);
+    }
+    const roleConfig = resolveRoleConfig(config, role);
+    console.log(`  Role: ${role}`);
+    console.log(`  Model: ${roleConfig.model}`);
+    console.log(`  Tasks File: ${config.tasksFile}`);
+    console.log(`  Max Iterations: ${roleConfig.maxIterations}`);
+    if (config.concurrency > 1) {
+      console.log(`  Concurrency: ${config.concurrency}`);
+    }
+    if (config.verify) {
+      console.log(`  Verify: ${config.verify}`);
+    }
+    if (config.budgetTracker.hasLimits()) {
+      const { tokens, usd } = config.budgetTracker.limits;
+      const limits = [tokens !== null && `${tokens.toLocaleString('en-US')} tokens`, usd !== null && `$${usd}`];
+      console.log(`  Budget: ${limits.filter(Boolean).join(', ')}`);
+    }
+    if (gitBranch) {
+      console.log(`  Branch: ${gitBranch}`);
+    }
+    if (config.record) {
+      console.log(`  Recording: ${config.record}`);
+    }
+    if (isReplayCommand(config.claudeCommand)) {
+      console.log(`  Replaying: ${config.claudeCommand.slice(REPLAY_PREFIX.length)}`);
+    }
+    if (config.initialPrompt) {
+      // Truncate long prompts for display
+      const displayPrompt = config.initialPrompt.length > 50
+        ? config.initialPrompt.substring(0, 47) + '...'
+        : config.initialPrompt;
+      console.log(`  Project: ${displayPrompt}`);
+    }
+    console.log(`${'='.repeat(60)}\n`);
+
+    displayStatus(role, 'Starting...');
+
+    // Stop the agents and save the run on Ctrl-C
+    interrupts = handleInterrupts(config, run, eventLog);
+
+    // Step 6: Run agent with orchestration support (handles recursive sub-agent calls)
+    const result = resumeState
+      ? await resumeOrchestration(resumeState, config)
+      : await runAgentWithOrchestration(role, config);
+
+    // An interrupted run is finished by the signal handler (which exits)
+    if (interrupts.stopping()) {
+      await interrupts.stopping();
+    }
+
+    await eventLog?.flush();
+
+    if (run) {
+      await updateRunMetadata(run, {
+        status: getRunStatus(result),
+        exitCode: result.exitCode,
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    // Step 7 & 8: Output and events already handled by runAgentWithOrchestration
+
+    // Summarize prompts that drifted from the cassette being replayed
+    if (isReplayCommand(config.claudeCommand)) {
+      const session = await getReplaySession(config.claudeCommand.slice(REPLAY_PREFIX.length));
+      if (session.mismatches.length > 0) {
+        console.warn(`\nWarning: ${session.mismatches.length} replayed prompt(s) differed from the cassette.`);
+      }
+    }
+
+    // Display events summary if any
+    if (result.events && result.events.length > 0) {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`  Events Summary (${result.events.length} events)`);
+      console.log(`${'='.repeat(60)}`);
+      result.events.forEach(handleEvent);
+    }
+
+    // Show what each role cost (usage is reported in stream-json output)
+    const breakdown = formatBreakdown(config.budgetTracker);
+    if (breakdown.length > 0) {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`  Usage by Role`);
+      console.log(`${'='.repeat(60)}`);
+      breakdown.forEach(line => console.log(`  ${line}`));
+    }
+
+    // Handle an exhausted budget
+    if (result.budgetExceeded) {
+      console.error('\nRun budget exceeded.');
+      process.exit(BUDGET_EXIT_CODE);
+    }
+
+    // Handle timeout
+    if (result.timedOut) {
+      console.error('\nAgent execution timed out.');
+      process.exit(124); // Standard timeout exit code
+    }
+
+    // Handle a run the user aborted at an approval prompt
+    if (result.aborted) {
+      console.error('\nRun aborted.');
+      process.exit(1);
+    }
+
+    // Handle max iterations
+    if (result.reachedMaxIterations) {
+      console.error('\nReached maximum iterations limit.');
+      process.exit(2); // Custom exit code for max iterations
+    }
+
+    // Display completion status
+    console.log(`\n${'='.repeat(60)}`);
+    if (result.exitCode === 0) {
+      displayStatus(role, 'Completed successfully');
+    } else {
+      displayStatus(role, `Exited with code ${result.exitCode}`);
+    }
+    console.log(`${'='.repeat(60)}\n`);
+
+    // Step 9: Exit with agent exit code
+    process.exit(result.exitCode || 0);
+
+  } catch (error) {
+    if (interrupts?.stopping()) {
+      await interrupts.stopping();
+    }
+
+    await eventLog?.flush();
+    if (run) {
+      await updateRunMetadata(run, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() })
+        .catch(() => {});
+    }
+
+    // Handle unexpected errors gracefully
+    console.error('\nFatal Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Definition of the run command (help text and entry point)
+ */
+export const runCommand = {
+  name: 'run',
+  summary: 'Run the agents (the default command)',
+  usage: ['[run] [options]'],
+  description: 'Starts the manager, or the role given with --role, and follows its directives until the project is done. Without -p the project description is asked for when the manager starts.',
+  options: [
+    { flags: '--prompt, -p <text>', description: 'Initial project description (prompted if not provided)' },
+    { flags: '--model, -m <name>', description: 'Override Claude model to use' },
+    { flags: '--max-iterations <n>', description: 'Override maximum iterations per agent' },
+    { flags: '--tasks, -t <path>', description: 'Path to tasks file (default: TASKS.md)' },
+    { flags: '--tasks-format <format>', description: 'Format of the tasks file: markdown, json, yaml, csv or mermaid (default: from its extension)' },
+    { flags: '--role, -r <role>', description: 'Skip directly to a specific role (see the roles command)' },
+    { flags: '--concurrency, -j <n>', description: 'Run up to n coder agents in parallel (default: 1)' },
+    { flags: '--resume [run-id]', description: 'Resume an interrupted run (default: the latest run)' },
+    { flags: '--dashboard [port]', description: `Serve a live dashboard on localhost (default port: ${DEFAULT_DASHBOARD_PORT})` },
+    { flags: '--dry-run [file]', description: 'Print the prompt and claude command line without running Claude (write the prompt to file if given)' },
+    { flags: '--verify <command>', description: 'Run command (e.g. "bun test") after the coder checks off tasks; uncheck them again if it fails' },
+    { flags: '--git', description: 'Work on an rtf/<run-id> branch and commit each task the coder checks off' },
+    { flags: '--force', description: 'With --git, start even if the working tree is dirty' },
+    { flags: '--record <cassette>', description: 'Record every agent invocation to a cassette file' },
+    { flags: '--replay <cassette>', description: 'Replay a recorded cassette instead of running Claude' },
+    { flags: '--output-format <format>', description: 'Claude output format: text (default) or stream-json, which logs tool calls, tool results and token usage' },
+    { flags: '--budget-tokens <n>', description: 'Stop the run once its agents used n tokens in total' },
+    { flags: '--budget-usd <amount>', description: 'Stop the run once its agents cost this many US dollars' },
+    { flags: '--approve', description: 'Ask before each sub-agent the manager invokes: approve, skip, edit the arguments or abort' },
+    { flags: '--yes, -y', description: 'Approve every step automatically (overrides --approve and "approval": "prompt", e.g. in CI)' },
+    { flags: '--retries <n>', description: 'Retry agents that fail with a rate limit, overload or network error up to n times (default: 3, 0 disables)' },
+    { flags: '--timeout <ms>', description: 'Stop an agent and the processes it started after ms milliseconds (SIGTERM, then SIGKILL after a grace period)' },
+    { flags: '--role-model <role>=<name>', description: 'Use a different model for one role (repeatable)' },
+    { flags: '--role-max-iterations <role>=<n>', description: 'Override maximum iterations for one role (repeatable)' },
+    { flags: '--role-timeout <role>=<ms>', description: 'Set an agent timeout for one role (repeatable)' }
+  ],
+  sections: [
+    {
+      title: 'CONFIGURATION',
+      lines: [
+        'Configuration is loaded in the following priority order:',
+        '1. CLI flags (highest priority)',
+        '2. Environment variables (RTF_MODEL, RTF_MAX_ITERATIONS, RTF_ROLE_PLAN_MODEL, etc.)',
+        '3. Config file (.rtfrc.json in current directory)',
+        '4. Built-in defaults (lowest priority)'
+      ]
+    }
+  ],
+  examples: [
+    ['Launch with a project description', 'npx ralph-thinks-first -p "Build a REST API for user management"'],
+    ['Launch interactively (prompts for project description)', 'npx ralph-thinks-first'],
+    ['Run coder role directly', 'npx ralph-thinks-first --role code'],
+    ['Use custom model and tasks file', 'npx ralph-thinks-first --model claude-opus-4 --tasks my-tasks.md'],
+    ['Use custom config file', 'npx ralph-thinks-first --config ./my-config.json'],
+    ['Plan with a stronger model and give the coder more iterations', 'npx ralph-thinks-first --role-model plan=claude-opus-4-5 --role-max-iterations code=30'],
+    [`Watch the run live at http://127.0.0.1:${DEFAULT_DASHBOARD_PORT}/`, 'npx ralph-thinks-first --dashboard'],
+    ['Inspect the coder\'s prompt without spending tokens', 'npx ralph-thinks-first --role code --dry-run'],
+    ['Only accept checked tasks while the test suite passes', 'npx ralph-thinks-first --verify "bun test"'],
+    ['Commit each completed task on its own rtf/<run-id> branch', 'npx ralph-thinks-first -p "Build a CLI" --git'],
+    ['Record a run, then replay it offline', 'npx ralph-thinks-first -p "Build a CLI" --record run.cassette.jsonl\nnpx ralph-thinks-first -p "Build a CLI" --replay run.cassette.jsonl'],
+    ['Continue the most recent run after a crash or Ctrl-C', 'npx ralph-thinks-first --resume'],
+    ['Log every tool call and the token usage of each agent', 'npx ralph-thinks-first -p "Build a CLI" --output-format stream-json'],
+    [`Stop after $2 of total spend (exit code ${BUDGET_EXIT_CODE})`, 'npx ralph-thinks-first -p "Build a CLI" --budget-usd 2'],
+    ['Review each sub-agent the manager wants to run', 'npx ralph-thinks-first -p "Build a CLI" --approve']
+  ],
+  run: runRunCommand
+};
@@ -0,0 +1,163 @@
+/**
+ * Status Command
+ *
+ * `rtf status` reports how far along the project is without running an
+ * agent: completion per phase and overall, the next unchecked success
+ * parameter and the outcome of the last run. `--json` prints the same
+ * report as one JSON object for scripts and dashboards.
+ */
+
+import { parseTasksFile, parseTaskTree } from '../utils/tasks.js';
+import { resolveTaskFormat, readTasksMarkdown } from '../utils/task-formats.js';
+import { findLatestRun, openRun, readRunMetadata } from '../utils/journal.js';
+import { formatDate } from './log.js';
+
+/**
+ * Counts checked items, e.g. { completed: 2, total: 4, percent: 50 }
+ */
+function countItems(items) {
+  const completed = items.filter(item => item.completed).length;
+  return {
+    completed,
+    total: items.length,
+    percent: items.length > 0 ? Math.round((completed / items.length) * 100) : 0
+  };
+}
+
+/**
+ * Summarizes task progress
+ *
+ * @param {string} content - Markdown task list
+ * @returns {{title: string|null, completed: number, total: number, percent: number,
+ *   phases: Array<object>, next: object|null}} Overall and per-phase counts; next is the
+ *   first unchecked success parameter ({id, description, taskId, taskTitle}) or null
+ */
+export function summarizeProgress(content) {
+  const items = parseTasksFile(content);
+  const tree = parseTaskTree(content);
+
+  const phases = tree.phases.map(phase => {
+    const taskIds = new Set(phase.tasks.map(task => task.id));
+    return {
+      id: phase.id,
+      title: phase.title,
+      ...countItems(items.filter(item => taskIds.has(item.taskId)))
+    };
+  });
+
+  const next = items.find(item => !item.completed) || null;
+  const task = next && next.taskId ? tree.tasks.find(t => t.id === next.taskId) : null;
+
+  return {
+    title: tree.title,
+    ...countItems(items),
+    phases,
+    next: next
+      ? { id: next.id, description: next.description, taskId: next.taskId, taskTitle: task ? task.title : null }
+      : null
+  };
+}
+
+/**
+ * Reads the outcome of the most recent run
+ *
+ * @param {string} [stateDir] - Base state directory
+ * @returns {Promise<object|null>} {id, status, role, exitCode, startedAt, finishedAt}, or null
+ *   if there are no runs
+ */
+export async function readLastRun(stateDir) {
+  const runId = await findLatestRun(stateDir);
+  if (!runId) return null;
+
+  const metadata = await readRunMetadata(await openRun(runId, stateDir)).catch(() => ({}));
+  return {
+    id: runId,
+    status: metadata.status || null,
+    role: metadata.role || null,
+    exitCode: metadata.exitCode ?? null,
+    startedAt: metadata.startedAt || null,
+    finishedAt: metadata.finishedAt || null
+  };
+}
+
+/**
+ * Formats a status report for the console
+ *
+ * @param {object} status - Result of summarizeProgress plus tasksFile and lastRun
+ * @returns {string} The report
+ */
+export function formatStatus(status) {
+  const lines = [status.title ? `${status.tasksFile}: ${status.title}` : status.tasksFile, ''];
+
+  if (status.phases.length > 0) {
+    const labels = status.phases.map(phase => `Phase ${phase.id}: ${phase.title}`);
+    const width = Math.max(...labels.map(label => label.length));
+    status.phases.forEach((phase, index) => {
+      const count = `${phase.completed}/${phase.total}`;
+      lines.push(`  ${labels[index].padEnd(width)}  ${count.padStart(7)}  ${String(phase.percent).padStart(3)}%`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`Overall: ${status.completed}/${status.total} (${status.percent}%)`);
+
+  if (status.next) {
+    const task = status.next.taskId
+      ? `Task ${status.next.taskId}${status.next.taskTitle ? ` ${status.next.taskTitle}` : ''}: `
+      : '';
+    lines.push(`Next: ${task}${status.next.description}`);
+  } else {
+    lines.push(status.total > 0 ? 'Next: nothing, every task is checked off' : 'Next: no tasks yet');
+  }
+
+  const run = status.lastRun;
+  if (run) {
+    const exit = run.exitCode !== null ? ` (exit ${run.exitCode})` : '';
+    const role = run.role ? `, ${run.role}` : '';
+    lines.push(`Last run: ${run.id} ${run.status || 'unknown'}${exit}${role}, started ${formatDate(run.startedAt)}`);
+  } else {
+    lines.push('Last run: none');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Runs `rtf status [--json]`
+ *
+ * @param {object} args - Parsed CLI arguments
+ * @param {object} config - Merged configuration (tasksFile, tasksFormat, stateDir)
+ * @throws {Error} If the tasks file cannot be read
+ */
+export async function runStatusCommand(args, config) {
+  const tasksFile = config.tasksFile || 'TASKS.md';
+  const content = await readTasksMarkdown(tasksFile, resolveTaskFormat(tasksFile, config.tasksFormat));
+
+  const status = {
+    tasksFile,
+    ...summarizeProgress(content),
+    lastRun: await readLastRun(config.stateDir)
+  };
+
+  console.log(args.json ? JSON.stringify(status, null, 2) : formatStatus(status));
+}
+
+/**
+ * Definition of the status command
+ */
+export const statusCommand = {
+  name: 'status',
+  summary: 'Show task progress, the next task and the last run',
+  usage: ['status [--json]'],
+  description: 'Reports the completion of each phase and of the whole tasks file, the next unchecked task and the outcome of the last run, without starting an agent.',
+  options: [
+    { flags: '--tasks, -t <path>', description: 'Path to tasks file (default: TASKS.md)' },
+    { flags: '--tasks-format <format>', description: 'Format of the tasks file (default: from its extension)' },
+    { flags: '--json', description: 'Print the report as JSON' }
+  ],
+  examples: [
+    ['Show progress', 'npx ralph-thinks-first status'],
+    ['Read the percentage done in a script', 'npx ralph-thinks-first status --json | jq .percent']
+  ],
+  run: runStatusCommand
+};
@@ -0,0 +1,184 @@
+// Dashboard page
+// Single self-contained HTML page served at / by the dashboard server.
+// It listens to /events and polls /api/tasks; no external assets.
+
+export default `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Ralph-Thinks-First Dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f5f5f5; color: #222; }
+  header { background: #222; color: #fff; padding: 12px 20px; display: flex; justify-content: space-between; }
+  header .conn { font-size: 0.9em; opacity: 0.8; }
+  main { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; padding: 16px; }
+  section { background: #fff; border-radius: 6px; padding: 12px 16px; box-shadow: 0 1px 2px rgba(0,0,0,0.1); }
+  section.wide { grid-column: 1 / -1; }
+  h2 { font-size: 1em; margin: 0 0 8px; text-transform: uppercase; letter-spacing: 0.05em; color: #555; }
+  ul.tree, ul.tree ul { list-style: none; padding-left: 18px; margin: 0; }
+  ul.tree { padding-left: 0; }
+  .node { padding: 2px 0; }
+  .badge { display: inline-block; min-width: 70px; font-size: 0.8em; padding: 1px 6px; border-radius: 3px; color: #fff; background: #888; text-align: center; }
+  .starting, .running { background: #1e6fd9; }
+  .completed { background: #2e8b57; }
+  .error { background: #c0392b; }
+  .role { font-weight: 600; margin: 0 6px; }
+  .meta { color: #777; font-size: 0.85em; }
+  #log { font-family: ui-monospace, monospace; font-size: 0.85em; max-height: 420px; overflow-y: auto; white-space: pre-wrap; }
+  #log .error-line { color: #c0392b; }
+  .bar { background: #e5e5e5; border-radius: 3px; height: 8px; margin: 2px 0 8px; }
+  .bar > div { background: #2e8b57; height: 100%; border-radius: 3px; }
+  .task { font-size: 0.9em; display: flex; justify-content: space-between; }
+  .task.done { color: #2e8b57; }
+  details summary { cursor: pointer; color: #555; font-size: 0.85em; }
+  details pre { white-space: pre-wrap; max-height: 240px; overflow-y: auto; background: #fafafa; padding: 6px; }
+</style>
+</head>
+<body>
+<header>
+  <strong>Ralph-Thinks-First</strong>
+  <span class="conn" id="conn">connecting...</span>
+</header>
+<main>
+  <section>
+    <h2>Agent Call Tree</h2>
+    <ul class="tree" id="tree"><li class="meta">Waiting for agents...</li></ul>
+  </section>
+  <section>
+    <h2>Task Progress</h2>
+    <div id="tasks" class="meta">Loading...</div>
+  </section>
+  <section class="wide">
+    <h2>Events</h2>
+    <div id="log"></div>
+  </section>
+</main>
+<script>
+  var invocations = {};
+  var order = [];
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function renderTree() {
+    var root = document.getElementById('tree');
+    root.innerHTML = '';
+    var children = {};
+    order.forEach(function (id) {
+      var parent = invocations[id].parentInvocationId;
+      var key = parent && invocations[parent] ? parent : '';
+      (children[key] = children[key] || []).push(id);
+    });
+
+    function build(list, parentId) {
+      (children[parentId] || []).forEach(function (id) {
+        var inv = invocations[id];
+        var item = el('li', 'node');
+        item.appendChild(el('span', 'badge ' + inv.status, inv.status));
+        item.appendChild(el('span', 'role', inv.agent));
+        var meta = 'iteration ' + (inv.iteration || 1);
+        if (inv.taskId) meta += ', task ' + inv.taskId;
+        if (inv.exitCode !== undefined) meta += ', exit ' + inv.exitCode;
+        item.appendChild(el('span', 'meta', meta));
+        if (inv.output) {
+          var details = el('details');
+          details.appendChild(el('summary', null, 'output'));
+          details.appendChild(el('pre', null, inv.output));
+          item.appendChild(details);
+        }
+        var sub = el('ul');
+        build(sub, id);
+        if (sub.childNodes.length) item.appendChild(sub);
+        list.appendChild(item);
+      });
+    }
+
+    build(root, '');
+    if (!order.length) root.appendChild(el('li', 'meta', 'Waiting for agents...'));
+  }
+
+  function logEvent(event) {
+    var log = document.getElementById('log');
+    var agent = (event.agent || '?').toUpperCase();
+    var line;
+    if (event.type === 'status') line = '[' + agent + '] Status: ' + event.status;
+    else if (event.type === 'output') line = '[' + agent + '] ' + String(event.message).split('\\n')[0];
+    else if (event.type === 'error') line = '[' + agent + '] ERROR: ' + event.error;
+    else if (event.type === 'assistant') line = '[' + agent + '] ' + String(event.message).split('\\n')[0];
+    else if (event.type === 'tool_use') line = '[' + agent + '] Tool: ' + event.tool;
+    else if (event.type === 'tool_result') line = '[' + agent + '] Tool result' + (event.isError ? ' (error)' : '');
+    else if (event.type === 'retry') line = '[' + agent + '] Retry ' + event.attempt + '/' + event.maxAttempts + ': ' + event.reason;
+    else if (event.type === 'usage') line = '[' + agent + '] Usage: ' + event.inputTokens + ' input / ' + event.outputTokens + ' output tokens';
+    else line = '[EVENT] ' + JSON.stringify(event);
+    var atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+    log.appendChild(el('div', event.type === 'error' ? 'error-line' : null, line));
+    if (atBottom) log.scrollTop = log.scrollHeight;
+  }
+
+  function trackInvocation(event) {
+    var id = event.invocationId;
+    if (!id) return;
+    if (!invocations[id]) {
+      invocations[id] = { agent: event.agent, status: 'starting', parentInvocationId: event.parentInvocationId };
+      order.push(id);
+    }
+    var inv = invocations[id];
+    if (event.type === 'status') {
+      inv.status = event.status;
+      if (event.iteration !== undefined) inv.iteration = event.iteration;
+      if (event.taskId) inv.taskId = event.taskId;
+      if (event.exitCode !== undefined) inv.exitCode = event.exitCode;
+    } else if (event.type === 'output' && event.message && event.message.length > 80) {
+      inv.output = event.message;
+    } else if (event.type === 'error') {
+      inv.status = 'error';
+    }
+    renderTree();
+  }
+
+  function renderTasks(progress) {
+    var box = document.getElementById('tasks');
+    box.innerHTML = '';
+    if (progress.error) {
+      box.appendChild(el('div', 'meta', progress.error));
+      return;
+    }
+    var pct = progress.total ? Math.round(100 * progress.completed / progress.total) : 0;
+    box.appendChild(el('div', null, progress.tasksFile + ': ' + progress.completed + '/' + progress.total + ' checked (' + pct + '%)'));
+    var bar = el('div', 'bar');
+    var fill = el('div');
+    fill.style.width = pct + '%';
+    bar.appendChild(fill);
+    box.appendChild(bar);
+    progress.tasks.forEach(function (task) {
+      var row = el('div', 'task' + (task.completed ? ' done' : ''));
+      row.appendChild(el('span', null, task.id + '  ' + task.title));
+      row.appendChild(el('span', 'meta', task.done + '/' + task.total));
+      box.appendChild(row);
+    });
+  }
+
+  function refreshTasks() {
+    fetch('/api/tasks').then(function (r) { return r.json(); }).then(renderTasks).catch(function () {});
+  }
+
+  var source = new EventSource('/events');
+  source.onopen = function () { document.getElementById('conn').textContent = 'live'; };
+  source.onerror = function () { document.getElementById('conn').textContent = 'disconnected'; };
+  source.onmessage = function (message) {
+    var event = JSON.parse(message.data);
+    logEvent(event);
+    trackInvocation(event);
+    if (event.type === 'status') refreshTasks();
+  };
+
+  refreshTasks();
+  setInterval(refreshTasks, 5000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,167 @@
+/**
+ * Local Web Dashboard
+ *
+ * Serves a single-page view of a running orchestration on localhost:
+ *
+ * - GET /            Dashboard page (agent call tree, live events, task progress)
+ * - GET /events      Server-Sent Events stream of protocol events
+ * - GET /api/events  Events seen so far, as JSON
+ * - GET /api/tasks   Current TASKS.md progress, as JSON
+ *
+ * Events come from an event hub (see createEventHub in utils/events.js) that
+ * the orchestrator publishes to.
+ */
+
+import dashboardPage from './page.js';
+import { parseTaskTree } from '../utils/tasks.js';
+import { resolveTaskFormat, readTasksMarkdown } from '../utils/task-formats.js';
+
+/**
+ * Default port for --dashboard when none is given
+ */
+export const DEFAULT_DASHBOARD_PORT = 4848;
+
+// Interval for SSE keep-alive comments, so proxies and browsers keep the stream open
+const KEEP_ALIVE_MS = 15000;
+
+/**
+ * Summarizes task progress for the dashboard
+ *
+ * @param {string} tasksFile - Path to the tasks file
+ * @param {string} [tasksFormat] - Its format (default: by extension)
+ * @returns {Promise<object>} Phases and tasks with completion counts
+ */
+export async function getTaskProgress(tasksFile, tasksFormat) {
+  let content = '';
+  try {
+    content = await readTasksMarkdown(tasksFile, resolveTaskFormat(tasksFile, tasksFormat));
+  } catch (error) {
+    return { tasksFile, error: error.message, phases: [], tasks: [], completed: 0, total: 0 };
+  }
+
+  const tree = parseTaskTree(content);
+  const summarizeTask = (task) => ({
+    id: task.id,
+    title: task.title,
+    phaseId: task.phaseId,
+    completed: task.completed,
+    done: task.criteria.filter(c => c.completed).length,
+    total: task.criteria.length
+  });
+
+  return {
+    tasksFile,
+    title: tree.title,
+    phases: tree.phases.map(phase => ({
+      id: phase.id,
+      title: phase.title,
+      completed: phase.completed,
+      tasks: phase.tasks.map(summarizeTask)
+    })),
+    tasks: tree.tasks.map(summarizeTask),
+    completed: tree.items.filter(item => item.completed).length,
+    total: tree.items.length
+  };
+}
+
+/**
+ * Formats an event as a Server-Sent Events message
+ *
+ * @param {object} event - Protocol event
+ * @returns {string} SSE message
+ */
+export function formatSseMessage(event) {
+  return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Creates a Server-Sent Events response that replays past events and then
+ * streams new ones until the client disconnects
+ *
+ * @param {object} hub - Event hub
+ * @returns {Response} Streaming response
+ */
+function createEventStream(hub) {
+  const encoder = new TextEncoder();
+  let unsubscribe = () => {};
+  let keepAlive;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (error) {
+          // Stream already closed; cleanup happens in cancel()
+        }
+      };
+
+      for (const event of hub.getHistory()) {
+        send(formatSseMessage(event));
+      }
+      unsubscribe = hub.subscribe(event => send(formatSseMessage(event)));
+      keepAlive = setInterval(() => send(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    },
+    cancel() {
+      unsubscribe();
+      clearInterval(keepAlive);
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * Starts the dashboard HTTP server on localhost
+ *
+ * @param {object} options
+ * @param {object} options.hub - Event hub to stream from
+ * @param {string} options.tasksFile - Tasks file to report progress for
+ * @param {string} [options.tasksFormat] - Format of the tasks file (default: by extension)
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @param {string} [options.hostname] - Interface to bind (default: 127.0.0.1)
+ * @returns {{url: string, port: number, stop: Function}} Handle for the running server
+ * @throws {Error} If the port cannot be bound
+ */
+export function startDashboard({ hub, tasksFile, tasksFormat, port = DEFAULT_DASHBOARD_PORT, hostname = '127.0.0.1' }) {
+  const server = Bun.serve({
+    port,
+    hostname,
+    // SSE connections stay open for the whole run
+    idleTimeout: 0,
+    async fetch(request) {
+      const { pathname } = new URL(request.url);
+
+      if (request.method !== 'GET') {
+        return new Response('Method Not Allowed', { status: 405 });
+      }
+
+      switch (pathname) {
+        case '/':
+          return new Response(dashboardPage, {
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+          });
+        case '/events':
+          return createEventStream(hub);
+        case '/api/events':
+          return Response.json(hub.getHistory());
+        case '/api/tasks':
+          return Response.json(await getTaskProgress(tasksFile, tasksFormat));
+        default:
+          return new Response('Not Found', { status: 404 });
+      }
+    }
+  });
+
+  return {
+    url: `http://${hostname}:${server.port}/`,
+    port: server.port,
+    stop: () => server.stop(true)
+  };
+}
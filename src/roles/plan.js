@@ -22,7 +22,9 @@ Your process is as follows:
 1. Analyze the Initial Project Request above.
 2. Break the project down into small, concrete, and executable tasks.
 3. For **every task**, you MUST define clear 'Success Parameters.' These are acceptance criteria that must be met for the task to be considered complete. They should be objective and measurable.
-4. You will be shown the current TASKS.md content in each prompt. You must edit and refine this content based on the project requirements.
+   - Use headings of the form \`## Phase N: Title\` and \`### Task N.M: Title\`, with success parameters as \`- [ ]\` checkboxes under each task.
+   - If a task cannot start until other tasks are finished, add a line \`depends: N.M, N.K\` under its heading. Tasks without dependencies may be worked on in parallel.
+4. You will be shown the current TASKS.md content in each prompt. You must edit and refine this content based on the project requirements. Keep every checked \`- [x]\` item, checked: a plan that drops or unchecks completed work is not saved.
 5. Structure your entire response in two parts:
    - First, any analysis or observations about the project.
    - Second, the complete and updated TASKS.md content, enclosed between '---BEGIN TASKS.MD---' and '---END TASKS.MD---'.
@@ -0,0 +1,178 @@
+/**
+ * Human Approval Gates
+ *
+ * Agents run with stdin closed, so the manager cannot ask the user anything
+ * itself. With approval "prompt" (--approve), the orchestrator pauses before
+ * each invoke directive, shows the manager's summary and the proposed
+ * sub-agent, and lets the user approve, skip, edit the arguments or abort.
+ * Approval "auto" (the default, or --yes) runs every invocation unasked.
+ */
+
+import * as readline from 'readline';
+import { stripDirectives } from './directives.js';
+import { isValidRole, getRoleNames } from './roles.js';
+
+/**
+ * Supported values of the approval setting
+ */
+export const APPROVAL_MODES = ['auto', 'prompt'];
+
+// Lines of the manager's output shown above the proposal
+const SUMMARY_LINES = 20;
+
+// Answers accepted at the approval prompt
+const ANSWERS = {
+  '': 'approve',
+  a: 'approve',
+  approve: 'approve',
+  y: 'approve',
+  yes: 'approve',
+  s: 'skip',
+  skip: 'skip',
+  n: 'skip',
+  no: 'skip',
+  e: 'edit',
+  edit: 'edit',
+  b: 'abort',
+  abort: 'abort',
+  q: 'abort',
+  quit: 'abort'
+};
+
+/**
+ * Maps an answer typed at the approval prompt to an action
+ *
+ * @param {string} answer - What the user typed
+ * @returns {string|null} "approve", "skip", "edit" or "abort", or null if not understood
+ */
+export function parseApprovalAnswer(answer) {
+  return ANSWERS[String(answer ?? '').trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Extracts the manager's summary: its output without the directive, last lines only
+ *
+ * @param {string} output - Manager output
+ * @returns {string} Summary text
+ */
+export function summarizeManagerOutput(output) {
+  const lines = stripDirectives(output).split('\n');
+
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+
+  return lines.length > SUMMARY_LINES
+    ? ['[...]', ...lines.slice(-SUMMARY_LINES)].join('\n')
+    : lines.join('\n');
+}
+
+/**
+ * Formats a directive as the command line it stands for
+ */
+function formatDirective(directive) {
+  return `ralph-thinks-first --role ${directive.role}${directive.additionalArgs ? ` ${directive.additionalArgs}` : ''}`;
+}
+
+/**
+ * Applies edited arguments to a directive
+ *
+ * @param {{role: string, additionalArgs?: string}} directive - Proposed invocation
+ * @param {string} edited - New arguments, optionally starting with "--role <name>"
+ * @returns {{role: string, additionalArgs: string}} Edited invocation (task ID and note are kept)
+ */
+export function editDirective(directive, edited) {
+  const text = String(edited ?? '').trim().replace(/^ralph-thinks-first\s+/, '');
+  const withRole = /^--role\s+(\S+)(?:\s+(.*))?$/.exec(text);
+  if (withRole) {
+    return { ...directive, role: withRole[1], additionalArgs: withRole[2] || '' };
+  }
+  return { ...directive, additionalArgs: text };
+}
+
+/**
+ * Lets the user edit the proposed invocation until it names a known role
+ *
+ * @param {object} directive - Proposed invocation
+ * @param {Function} ask - Reads an answer: ask(question, initial)
+ * @returns {Promise<object>} The edited invocation
+ */
+async function askForEdit(directive, ask) {
+  let initial = formatDirective(directive);
+  while (true) {
+    const text = await ask('Arguments: ', initial);
+    const edited = editDirective(directive, text);
+    if (isValidRole(edited.role)) {
+      return edited;
+    }
+    console.log(`Unknown role '${edited.role}'. Available roles: ${getRoleNames().join(', ')}`);
+    initial = String(text ?? '').trim();
+  }
+}
+
+/**
+ * Reads one line from the terminal
+ *
+ * @param {string} question - Prompt text
+ * @param {string} [initial] - Text placed on the line for the user to edit
+ * @returns {Promise<string>} The line typed
+ */
+export function askUser(question, initial = '') {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  // The terminal is in raw mode, so pass Ctrl-C on to the run's own handler
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.kill(process.pid, 'SIGINT');
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+    if (initial) {
+      rl.write(initial);
+    }
+  });
+}
+
+/**
+ * Asks the user whether a manager's **INVOKE** directive may run
+ *
+ * @param {string} output - The manager's output (its summary is shown)
+ * @param {{role: string, additionalArgs?: string, taskId?: string, note?: string}} directive -
+ *   Proposed invocation
+ * @param {object} [options]
+ * @param {Function} [options.ask] - Reads an answer: ask(question, initial) (default: askUser)
+ * @returns {Promise<{action: string, directive: object}>} action is "approve", "skip" or "abort";
+ *   directive holds the (possibly edited) invocation
+ */
+export async function requestApproval(output, directive, { ask = askUser } = {}) {
+  const summary = summarizeManagerOutput(output);
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('  Approval Needed');
+  console.log(`${'='.repeat(60)}`);
+  if (summary) {
+    console.log(`${summary}\n`);
+  }
+
+  let proposed = directive;
+  while (true) {
+    console.log(`Proposed: ${formatDirective(proposed)}`);
+    if (proposed.taskId) console.log(`  Task: ${proposed.taskId}`);
+    if (proposed.note) console.log(`  Note: ${proposed.note}`);
+    const action = parseApprovalAnswer(await ask('[a]pprove, [s]kip, [e]dit arguments or a[b]ort? '));
+
+    if (action === 'edit') {
+      proposed = await askForEdit(proposed, ask);
+    } else if (action) {
+      return { action, directive: proposed };
+    } else {
+      console.log('Please answer a, s, e or b.');
+    }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Run Budget
+ *
+ * Adds up the token usage and cost reported by every agent invocation of a
+ * run (usage events, see src/utils/stream-json.js) and checks it against
+ * the configured limits:
+ *
+ *   "budget": { "tokens": 2000000, "usd": 5 }
+ *
+ * Tokens are input, output and cache tokens combined. The orchestrator
+ * stops the run once either limit is reached.
+ */
+
+/**
+ * Exit code of a run stopped by its budget
+ */
+export const BUDGET_EXIT_CODE = 3;
+
+/**
+ * Parses one budget limit
+ *
+ * @param {*} value - Raw limit (number or numeric string), or undefined for none
+ * @param {string} name - Limit name for the error message
+ * @returns {number|null} The limit, or null if not set
+ * @throws {Error} If the value is not a positive number
+ */
+function parseLimit(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new Error(`Invalid budget.${name}: ${JSON.stringify(value)}. Use a positive number.`);
+  }
+  return limit;
+}
+
+/**
+ * Counts the tokens of a usage event
+ *
+ * @param {object} usage - Usage event
+ * @returns {number} Input, output and cache tokens combined
+ */
+export function countTokens(usage) {
+  return (usage.inputTokens || 0) +
+    (usage.outputTokens || 0) +
+    (usage.cacheCreationInputTokens || 0) +
+    (usage.cacheReadInputTokens || 0);
+}
+
+/**
+ * Creates a budget tracker for one run
+ *
+ * @param {object} [limits] - The "budget" config section
+ * @param {number|string} [limits.tokens] - Maximum tokens for the whole run
+ * @param {number|string} [limits.usd] - Maximum cost in US dollars for the whole run
+ * @returns {object} Tracker with record(role, usage), getSpent(), getRemaining(),
+ *   isExceeded(), hasLimits() and getBreakdown()
+ * @throws {Error} If a limit is invalid
+ */
+export function createBudget(limits = {}) {
+  const tokenLimit = parseLimit(limits.tokens, 'tokens');
+  const usdLimit = parseLimit(limits.usd, 'usd');
+  const spent = { tokens: 0, usd: 0 };
+  const byRole = new Map();
+
+  return {
+    limits: { tokens: tokenLimit, usd: usdLimit },
+
+    /**
+     * Adds one invocation's usage to the run total and the role's share
+     */
+    record(role, usage) {
+      const tokens = countTokens(usage);
+      const usd = usage.costUsd || 0;
+      spent.tokens += tokens;
+      spent.usd += usd;
+
+      const share = byRole.get(role) || { role, invocations: 0, tokens: 0, usd: 0 };
+      share.invocations++;
+      share.tokens += tokens;
+      share.usd += usd;
+      byRole.set(role, share);
+    },
+
+    getSpent() {
+      return { ...spent };
+    },
+
+    /**
+     * Remaining tokens and dollars, or null for a limit that is not set
+     */
+    getRemaining() {
+      return {
+        tokens: tokenLimit === null ? null : Math.max(0, tokenLimit - spent.tokens),
+        usd: usdLimit === null ? null : Math.max(0, usdLimit - spent.usd)
+      };
+    },
+
+    hasLimits() {
+      return tokenLimit !== null || usdLimit !== null;
+    },
+
+    isExceeded() {
+      return (tokenLimit !== null && spent.tokens >= tokenLimit) ||
+        (usdLimit !== null && spent.usd >= usdLimit);
+    },
+
+    /**
+     * Usage per role, most expensive first
+     */
+    getBreakdown() {
+      return [...byRole.values()]
+        .map(share => ({ ...share }))
+        .sort((a, b) => b.usd - a.usd || b.tokens - a.tokens);
+    }
+  };
+}
+
+/**
+ * Formats the remaining budget, e.g. "120,000 tokens, $1.2500 left"
+ *
+ * @param {object} budget - Tracker from createBudget
+ * @returns {string|null} Remaining budget, or null if no limit is set
+ */
+export function formatRemaining(budget) {
+  if (!budget || !budget.hasLimits()) {
+    return null;
+  }
+
+  const remaining = budget.getRemaining();
+  const parts = [];
+  if (remaining.tokens !== null) {
+    parts.push(`${remaining.tokens.toLocaleString('en-US')} tokens`);
+  }
+  if (remaining.usd !== null) {
+    parts.push(`$${remaining.usd.toFixed(4)}`);
+  }
+  return `${parts.join(', ')} left`;
+}
+
+/**
+ * Formats the per-role usage table for the final summary
+ *
+ * @param {object} budget - Tracker from createBudget
+ * @returns {string[]} Table lines, including a total row (empty if nothing was recorded)
+ */
+export function formatBreakdown(budget) {
+  const shares = budget.getBreakdown();
+  if (shares.length === 0) {
+    return [];
+  }
+
+  const spent = budget.getSpent();
+  const rows = [
+    ['ROLE', 'INVOCATIONS', 'TOKENS', 'COST'],
+    ...shares.map(share => [share.role, String(share.invocations), share.tokens.toLocaleString('en-US'), `$${share.usd.toFixed(4)}`]),
+    ['total', String(shares.reduce((sum, share) => sum + share.invocations, 0)), spent.tokens.toLocaleString('en-US'), `$${spent.usd.toFixed(4)}`]
+  ];
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row
+    .map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))
+    .join('  '));
+}
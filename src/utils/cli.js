@@ -2,25 +2,36 @@
  * CLI Argument Parser
  *
  * Parses command-line arguments for the Ralph-Thinks-First CLI.
- * Supports flags: --config, --model, --max-iterations, --tasks, --role, --prompt
+ * Supports flags: --config, --model, --max-iterations, --tasks, --tasks-format, --role, --prompt,
+ * --concurrency, --resume, --dashboard, --dry-run, --verify, --git, --force, --record, --replay,
+ * --output-format, --budget-tokens, --budget-usd, --retries, --timeout, --approve, --yes,
+ * --role-model, --role-max-iterations, --role-timeout, the log filters --agent, --type, --since,
+ * --until, --json, and the convert options --from, --to.
+ * All commands share this one set of flags. Arguments that are not flags (the
+ * subcommand such as "log" and its operands) are collected in args._; see
+ * utils/commands.js for how the command is picked.
  */
 
+/**
+ * Per-role flags and the role setting each one sets
+ */
+const ROLE_FLAGS = {
+  '--role-model': 'model',
+  '--role-max-iterations': 'maxIterations',
+  '--role-timeout': 'timeout'
+};
+
 /**
  * Parses command-line arguments into a structured object
- * @param {string[]} argv - Array of command-line arguments (typically process.argv or Bun.argv)
+ * @param {string[]} argv - The user's arguments, without the runtime and script path
+ *   (Bun.argv.slice(2)); the first one is never mistaken for a subcommand
  * @returns {object} Parsed arguments object with keys: config, model, maxIterations, tasks, role
  */
 export function parseArgs(argv) {
   const args = {};
+  const positionals = [];
 
-  // Skip first two arguments (interpreter and script path) if present
-  // Bun.argv already excludes them, but process.argv includes them
-  let startIndex = 0;
-  if (argv[0] && (argv[0].includes('bun') || argv[0].includes('node'))) {
-    startIndex = 2;
-  }
-
-  for (let i = startIndex; i < argv.length; i++) {
+  for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
 
     // Parse --config <path>
@@ -51,6 +62,13 @@ export function parseArgs(argv) {
         i++; // Skip next argument
       }
     }
+    // Parse --tasks-format <format>
+    else if (arg === '--tasks-format') {
+      if (i + 1 < argv.length) {
+        args.tasksFormat = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
     // Parse --role <role-name>
     else if (arg === '--role' || arg === '-r') {
       if (i + 1 < argv.length) {
@@ -73,10 +91,155 @@ export function parseArgs(argv) {
         i++; // Skip next argument
       }
     }
+    // Parse --concurrency <n>
+    else if (arg === '--concurrency' || arg === '-j') {
+      if (i + 1 < argv.length) {
+        args.concurrency = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --resume [run-id] (run ID is optional; defaults to the latest run)
+    else if (arg === '--resume') {
+      if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+        args.resume = argv[i + 1];
+        i++; // Skip next argument
+      } else {
+        args.resume = true;
+      }
+    }
+    // Parse --dashboard [port] (port is optional)
+    else if (arg === '--dashboard') {
+      if (i + 1 < argv.length && /^\d+$/.test(argv[i + 1])) {
+        args.dashboard = argv[i + 1];
+        i++; // Skip next argument
+      } else {
+        args.dashboard = true;
+      }
+    }
+    // Parse --dry-run [file] (file is optional; the prompt is printed when omitted)
+    else if (arg === '--dry-run') {
+      if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+        args.dryRun = argv[i + 1];
+        i++; // Skip next argument
+      } else {
+        args.dryRun = true;
+      }
+    }
+    // Parse --verify <command>
+    else if (arg === '--verify') {
+      if (i + 1 < argv.length) {
+        args.verify = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --git (boolean flag)
+    else if (arg === '--git') {
+      args.git = true;
+    }
+    // Parse --approve (boolean flag)
+    else if (arg === '--approve') {
+      args.approve = true;
+    }
+    // Parse --yes (boolean flag)
+    else if (arg === '--yes' || arg === '-y') {
+      args.yes = true;
+    }
+    // Parse --force (boolean flag)
+    else if (arg === '--force') {
+      args.force = true;
+    }
+    // Parse --record <cassette>
+    else if (arg === '--record') {
+      if (i + 1 < argv.length) {
+        args.record = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --replay <cassette>
+    else if (arg === '--replay') {
+      if (i + 1 < argv.length) {
+        args.replay = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --output-format <format>
+    else if (arg === '--output-format') {
+      if (i + 1 < argv.length) {
+        args.outputFormat = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --budget-tokens <n>
+    else if (arg === '--budget-tokens') {
+      if (i + 1 < argv.length) {
+        args.budgetTokens = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --budget-usd <amount>
+    else if (arg === '--budget-usd') {
+      if (i + 1 < argv.length) {
+        args.budgetUsd = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --retries <n>
+    else if (arg === '--retries') {
+      if (i + 1 < argv.length) {
+        args.retries = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --timeout <ms>
+    else if (arg === '--timeout') {
+      if (i + 1 < argv.length) {
+        args.timeout = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --role-model <role>=<model>, --role-max-iterations <role>=<n>,
+    // --role-timeout <role>=<ms> (repeatable)
+    else if (Object.hasOwn(ROLE_FLAGS, arg)) {
+      if (i + 1 < argv.length) {
+        const [roleName, ...rest] = argv[i + 1].split('=');
+        const value = rest.join('=');
+        if (roleName && value) {
+          args.roles = args.roles || {};
+          args.roles[roleName] = { ...args.roles[roleName], [ROLE_FLAGS[arg]]: value };
+        }
+        i++; // Skip next argument
+      }
+    }
+    // Parse --agent, --type, --since, --until <value> (filters for the log command)
+    else if (arg === '--agent' || arg === '--type' || arg === '--since' || arg === '--until') {
+      if (i + 1 < argv.length) {
+        args[arg.slice(2)] = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --from, --to <format> (formats for the convert command)
+    else if (arg === '--from' || arg === '--to') {
+      if (i + 1 < argv.length) {
+        args[arg.slice(2)] = argv[i + 1];
+        i++; // Skip next argument
+      }
+    }
+    // Parse --json (boolean flag)
+    else if (arg === '--json') {
+      args.json = true;
+    }
     // Parse --skip-permissions (boolean flag)
     else if (arg === '--skip-permissions' || arg === '--dangerously-skip-permissions') {
       args.skipPermissions = true;
     }
+    // Collect positional arguments (subcommand and its operands)
+    else if (!arg.startsWith('-')) {
+      positionals.push(arg);
+    }
+  }
+
+  if (positionals.length > 0) {
+    args._ = positionals;
   }
 
   return args;
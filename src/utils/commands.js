@@ -0,0 +1,220 @@
+// Command registry and help text
+// Maps subcommand names to their definitions in src/commands/ and builds
+// the --help output from those definitions. A definition describes one
+// command: name, summary, usage lines, description, options, extra
+// sections, examples, and run(args, config), which returns the exit code.
+
+import { runCommand } from '../commands/run.js';
+import { statusCommand } from '../commands/status.js';
+import { logCommand } from '../commands/log.js';
+import { initCommand } from '../commands/init.js';
+import { rolesCommand } from '../commands/roles.js';
+import { doctorCommand } from '../commands/doctor.js';
+import { promptCommand } from '../commands/prompt.js';
+import { convertCommand } from '../commands/convert.js';
+import packageJson from '../../package.json' assert { type: 'json' };
+
+/**
+ * Command run when none is given
+ */
+export const DEFAULT_COMMAND = 'run';
+
+// Name the CLI is invoked by in usage lines and examples
+const CLI_NAME = 'npx ralph-thinks-first';
+
+// Width of the flag column and of the whole help text
+const FLAG_COLUMN = 26;
+const HELP_WIDTH = 80;
+
+// Options every command accepts
+const GLOBAL_OPTIONS = [
+  { flags: '--help, -h', description: 'Show help (for a command: <command> --help)' },
+  { flags: '--version, -v', description: 'Show version number' },
+  { flags: '--config, -c <path>', description: 'Path to custom config file (default: .rtfrc.json)' }
+];
+
+/**
+ * Definition of the help command
+ */
+const helpCommand = {
+  name: 'help',
+  summary: 'Show help for all commands or for one',
+  usage: ['help [command]'],
+  options: [],
+  examples: [['Show the options of the log command', `${CLI_NAME} help log`]],
+  run(args) {
+    const name = args._?.[1];
+    if (!name) {
+      console.log(formatHelp());
+      return 0;
+    }
+    console.log(formatCommandHelp(getCommand(name)));
+    return 0;
+  }
+};
+
+// Commands in the order they are listed in the help
+const COMMANDS = [
+  runCommand,
+  statusCommand,
+  logCommand,
+  initCommand,
+  rolesCommand,
+  doctorCommand,
+  promptCommand,
+  convertCommand,
+  helpCommand
+];
+
+/**
+ * List all commands
+ *
+ * @returns {object[]} Command definitions, in help order
+ */
+export function getCommands() {
+  return [...COMMANDS];
+}
+
+/**
+ * Find a command by name (case-insensitive)
+ *
+ * @param {string} name - Command name, e.g. "status"
+ * @returns {object} The command definition
+ * @throws {Error} If there is no such command
+ */
+export function getCommand(name) {
+  const command = COMMANDS.find(c => c.name === String(name).toLowerCase());
+  if (!command) {
+    throw new Error(`Unknown command '${name}'. Commands: ${COMMANDS.map(c => c.name).join(', ')}`);
+  }
+  return command;
+}
+
+/**
+ * Picks the command for parsed CLI arguments: the first positional
+ * argument, or the default command when there is none
+ *
+ * @param {object} args - Parsed CLI arguments
+ * @returns {object} The command definition
+ * @throws {Error} If the first positional argument is not a command
+ */
+export function resolveCommand(args) {
+  const name = args._?.[0];
+  return getCommand(name === undefined ? DEFAULT_COMMAND : name);
+}
+
+/**
+ * Wraps text into lines of at most width characters
+ */
+function wrap(text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Formats entries as a two-column list: flags (or a name), then the wrapped description
+ * A label too long for the column gets a line of its own
+ */
+function formatColumns(entries) {
+  const indent = ' '.repeat(FLAG_COLUMN + 2);
+  const lines = [];
+
+  for (const { flags, description } of entries) {
+    const text = wrap(description, HELP_WIDTH - indent.length);
+    if (flags.length < FLAG_COLUMN) {
+      lines.push(`  ${flags.padEnd(FLAG_COLUMN)}${text[0]}`);
+    } else {
+      lines.push(`  ${flags}`, `${indent}${text[0]}`);
+    }
+    lines.push(...text.slice(1).map(line => `${indent}${line}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Formats a command's examples: a "#" comment line, then the command line(s)
+ */
+function formatExamples(examples) {
+  return examples.flatMap(([comment, commandLines], index) => [
+    ...(index > 0 ? [''] : []),
+    `  # ${comment}`,
+    ...commandLines.split('\n').map(line => `  ${line}`)
+  ]);
+}
+
+/**
+ * Builds the help text of one command from its definition
+ *
+ * @param {object} command - Command definition
+ * @returns {string} Help text
+ */
+export function formatCommandHelp(command) {
+  const lines = [
+    '',
+    'USAGE:',
+    ...command.usage.map(usage => `  ${CLI_NAME} ${usage}`)
+  ];
+
+  if (command.description) {
+    lines.push('', ...wrap(command.description, HELP_WIDTH - 2).map(line => `  ${line}`));
+  }
+
+  if (command.options.length > 0) {
+    lines.push('', 'OPTIONS:', ...formatColumns(command.options));
+  }
+
+  for (const section of command.sections || []) {
+    lines.push('', `${section.title}:`, ...section.lines.map(line => `  ${line}`));
+  }
+
+  if (command.examples?.length > 0) {
+    lines.push('', 'EXAMPLES:', ...formatExamples(command.examples));
+  }
+
+  lines.push('', 'GLOBAL OPTIONS:', ...formatColumns(GLOBAL_OPTIONS), '');
+  return lines.join('\n');
+}
+
+/**
+ * Builds the top-level help text: every command with its summary
+ *
+ * @returns {string} Help text
+ */
+export function formatHelp() {
+  const lines = [
+    '',
+    `Ralph-Thinks-First v${packageJson.version}`,
+    packageJson.description,
+    '',
+    'USAGE:',
+    `  ${CLI_NAME} [command] [options]`,
+    '',
+    'COMMANDS:',
+    ...formatColumns(COMMANDS.map(command => ({ flags: command.name, description: command.summary }))),
+    '',
+    'GLOBAL OPTIONS:',
+    ...formatColumns(GLOBAL_OPTIONS),
+    '',
+    `Without a command, the agents run (the ${DEFAULT_COMMAND} command), e.g.:`,
+    `  ${CLI_NAME} -p "Build a REST API for user management"`,
+    '',
+    `Run '${CLI_NAME} help <command>' to see a command's options.`,
+    '',
+    `For more information, visit: ${packageJson.repository?.url || 'https://github.com/yourusername/ralph-thinks-first'}`,
+    ''
+  ];
+  return lines.join('\n');
+}
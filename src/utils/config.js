@@ -14,7 +14,13 @@ const DEFAULT_CONFIG = {
   tasksFile: "TASKS.md",
   configFile: ".rtfrc.json",
   claudeCommand: "claude",
-  skipPermissions: false
+  skipPermissions: false,
+  git: false,
+  outputFormat: "text",
+  approval: "auto",
+  planConflict: "refuse",
+  concurrency: 1,
+  stateDir: ".rtf"
 };
 
 /**
@@ -66,6 +72,123 @@ async function loadConfigFile(configFilePath) {
   }
 }
 
+/**
+ * Per-role settings that can be set in the "roles" section, and the
+ * environment variable suffix for each (RTF_ROLE_<ROLE>_<SUFFIX>)
+ */
+const ROLE_SETTINGS = {
+  model: "MODEL",
+  maxIterations: "MAX_ITERATIONS",
+  timeout: "TIMEOUT"
+};
+
+/**
+ * Normalizes a role name for matching role settings
+ * "Security_Review" and "security-review" refer to the same role, since
+ * environment variable names cannot contain dashes
+ * @param {string} role - Role name
+ * @returns {string} Normalized role name
+ */
+function normalizeRoleKey(role) {
+  return String(role).toLowerCase().replace(/_/g, "-");
+}
+
+/**
+ * Parses a positive integer setting, ignoring invalid values
+ * @param {*} value - Raw value (number or string)
+ * @returns {number|undefined} The parsed value
+ */
+function parsePositiveInt(value) {
+  const parsed = parseInt(value, 10);
+  return !isNaN(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Deep-merges "roles" sections: later sources override earlier ones per setting
+ *
+ * Role names keep the spelling they were first given in, since custom roles
+ * are registered under it; later sources that spell the same role
+ * differently (e.g. from an environment variable) are merged into that entry.
+ *
+ * @param {...object} sources - Role sections, lowest priority first
+ * @returns {object} Merged role section
+ */
+function mergeRoleSettings(...sources) {
+  const merged = {};
+
+  for (const source of sources) {
+    if (!source || typeof source !== "object") continue;
+
+    for (const [role, settings] of Object.entries(source)) {
+      if (!settings || typeof settings !== "object") continue;
+      const key = Object.keys(merged).find(name => normalizeRoleKey(name) === normalizeRoleKey(role)) || role;
+      merged[key] = { ...merged[key], ...settings };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Loads per-role settings from RTF_ROLE_<ROLE>_<SETTING> environment variables
+ * e.g. RTF_ROLE_PLAN_MODEL=opus, RTF_ROLE_CODE_MAX_ITERATIONS=30
+ * @returns {object} Role section from environment variables
+ */
+function loadEnvRoleSettings() {
+  const roles = {};
+  const suffixes = Object.entries(ROLE_SETTINGS);
+
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!name.startsWith("RTF_ROLE_") || value === undefined || value === "") continue;
+
+    for (const [setting, suffix] of suffixes) {
+      if (name.endsWith(`_${suffix}`) && name.length > "RTF_ROLE_".length + suffix.length + 1) {
+        const role = normalizeRoleKey(name.slice("RTF_ROLE_".length, -(suffix.length + 1)));
+        roles[role] = { ...roles[role], [setting]: value };
+        break;
+      }
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * Applies a role's settings from the "roles" section on top of the global config
+ *
+ * Per-role settings (model, maxIterations, timeout) win over the global ones
+ * for that role only. The "roles" section itself is kept so sub-agents can be
+ * resolved from the same config.
+ *
+ * @param {object} config - Merged configuration
+ * @param {string} role - Role name
+ * @returns {object} Configuration for running the role
+ */
+export function resolveRoleConfig(config, role) {
+  const roles = config.roles && typeof config.roles === "object" ? config.roles : {};
+  const key = normalizeRoleKey(role);
+  const entry = Object.entries(roles).find(([name]) => normalizeRoleKey(name) === key);
+  const settings = entry && entry[1] && typeof entry[1] === "object" ? entry[1] : {};
+
+  const resolved = { ...config };
+
+  if (settings.model) {
+    resolved.model = settings.model;
+  }
+
+  const maxIterations = parsePositiveInt(settings.maxIterations);
+  if (maxIterations !== undefined) {
+    resolved.maxIterations = maxIterations;
+  }
+
+  const timeout = parsePositiveInt(settings.timeout);
+  if (timeout !== undefined) {
+    resolved.timeout = timeout;
+  }
+
+  return resolved;
+}
+
 /**
  * Loads configuration from environment variables
  * @returns {object} Configuration object from environment variables
@@ -88,6 +211,10 @@ function loadEnvConfig() {
     config.tasksFile = process.env.RTF_TASKS_FILE;
   }
 
+  if (process.env.RTF_TASKS_FORMAT) {
+    config.tasksFormat = process.env.RTF_TASKS_FORMAT;
+  }
+
   if (process.env.RTF_CONFIG_FILE) {
     config.configFile = process.env.RTF_CONFIG_FILE;
   }
@@ -96,11 +223,73 @@ function loadEnvConfig() {
     config.claudeCommand = process.env.RTF_CLAUDE_COMMAND;
   }
 
+  if (process.env.RTF_CONCURRENCY) {
+    const parsed = parseInt(process.env.RTF_CONCURRENCY, 10);
+    if (!isNaN(parsed) && parsed > 0) {
+      config.concurrency = parsed;
+    }
+  }
+
   if (process.env.RTF_SKIP_PERMISSIONS) {
     const val = process.env.RTF_SKIP_PERMISSIONS.toLowerCase();
     config.skipPermissions = val === "true" || val === "1" || val === "yes";
   }
 
+  if (process.env.RTF_VERIFY) {
+    config.verify = process.env.RTF_VERIFY;
+  }
+
+  if (process.env.RTF_GIT) {
+    const val = process.env.RTF_GIT.toLowerCase();
+    config.git = val === "true" || val === "1" || val === "yes";
+  }
+
+  if (process.env.RTF_OUTPUT_FORMAT) {
+    config.outputFormat = process.env.RTF_OUTPUT_FORMAT;
+  }
+
+  if (process.env.RTF_BUDGET_TOKENS) {
+    config.budget = { ...config.budget, tokens: process.env.RTF_BUDGET_TOKENS };
+  }
+
+  if (process.env.RTF_BUDGET_USD) {
+    config.budget = { ...config.budget, usd: process.env.RTF_BUDGET_USD };
+  }
+
+  if (process.env.RTF_RETRIES) {
+    config.retry = { attempts: process.env.RTF_RETRIES };
+  }
+
+  if (process.env.RTF_APPROVAL) {
+    config.approval = process.env.RTF_APPROVAL;
+  }
+
+  if (process.env.RTF_PLAN_CONFLICT) {
+    config.planConflict = process.env.RTF_PLAN_CONFLICT;
+  }
+
+  const timeout = parsePositiveInt(process.env.RTF_TIMEOUT);
+  if (timeout !== undefined) {
+    config.timeout = timeout;
+  }
+
+  if (process.env.RTF_KILL_GRACE_PERIOD) {
+    const parsed = parseInt(process.env.RTF_KILL_GRACE_PERIOD, 10);
+    if (!isNaN(parsed) && parsed >= 0) {
+      config.killGracePeriod = parsed;
+    }
+  }
+
+  const handoffBudget = parsePositiveInt(process.env.RTF_HANDOFF_BUDGET);
+  if (handoffBudget !== undefined) {
+    config.handoffBudget = handoffBudget;
+  }
+
+  const roles = loadEnvRoleSettings();
+  if (Object.keys(roles).length > 0) {
+    config.roles = roles;
+  }
+
   return config;
 }
 
@@ -127,6 +316,10 @@ function cliArgsToConfig(cliArgs) {
     config.tasksFile = cliArgs.tasks;
   }
 
+  if (cliArgs.tasksFormat !== undefined && cliArgs.tasksFormat !== null) {
+    config.tasksFormat = cliArgs.tasksFormat;
+  }
+
   if (cliArgs.config !== undefined && cliArgs.config !== null) {
     config.configFile = cliArgs.config;
   }
@@ -135,10 +328,72 @@ function cliArgsToConfig(cliArgs) {
     config.role = cliArgs.role;
   }
 
+  if (cliArgs.concurrency !== undefined && cliArgs.concurrency !== null) {
+    const parsed = parseInt(cliArgs.concurrency, 10);
+    if (!isNaN(parsed) && parsed > 0) {
+      config.concurrency = parsed;
+    }
+  }
+
   if (cliArgs.skipPermissions !== undefined && cliArgs.skipPermissions !== null) {
     config.skipPermissions = cliArgs.skipPermissions;
   }
 
+  if (cliArgs.verify !== undefined && cliArgs.verify !== null) {
+    config.verify = cliArgs.verify;
+  }
+
+  if (cliArgs.git !== undefined && cliArgs.git !== null) {
+    config.git = cliArgs.git;
+  }
+
+  if (cliArgs.outputFormat !== undefined && cliArgs.outputFormat !== null) {
+    config.outputFormat = cliArgs.outputFormat;
+  }
+
+  if (cliArgs.budgetTokens !== undefined && cliArgs.budgetTokens !== null) {
+    config.budget = { ...config.budget, tokens: cliArgs.budgetTokens };
+  }
+
+  if (cliArgs.budgetUsd !== undefined && cliArgs.budgetUsd !== null) {
+    config.budget = { ...config.budget, usd: cliArgs.budgetUsd };
+  }
+
+  if (cliArgs.retries !== undefined && cliArgs.retries !== null) {
+    config.retry = { attempts: cliArgs.retries };
+  }
+
+  // --yes wins over --approve, so CI can override an interactive config
+  if (cliArgs.yes) {
+    config.approval = "auto";
+  } else if (cliArgs.approve) {
+    config.approval = "prompt";
+  }
+
+  if (cliArgs.timeout !== undefined && cliArgs.timeout !== null) {
+    const timeout = parsePositiveInt(cliArgs.timeout);
+    if (timeout !== undefined) {
+      config.timeout = timeout;
+    }
+  }
+
+  if (cliArgs.dashboard !== undefined && cliArgs.dashboard !== null) {
+    config.dashboard = cliArgs.dashboard === true ? true : parseInt(cliArgs.dashboard, 10);
+  }
+
+  if (cliArgs.roles !== undefined && cliArgs.roles !== null) {
+    config.roles = cliArgs.roles;
+  }
+
+  if (cliArgs.record !== undefined && cliArgs.record !== null) {
+    config.record = cliArgs.record;
+  }
+
+  // --replay <cassette> is shorthand for claudeCommand "rtf-replay:<cassette>"
+  if (cliArgs.replay !== undefined && cliArgs.replay !== null) {
+    config.claudeCommand = `rtf-replay:${cliArgs.replay}`;
+  }
+
   return config;
 }
 
@@ -169,5 +424,23 @@ export async function loadConfig(cliArgs = {}) {
   // Merge CLI arguments (highest priority)
   config = { ...config, ...cliConfig };
 
+  // Per-role settings are merged setting by setting, not replaced wholesale
+  const roles = mergeRoleSettings(fileConfig.roles, envConfig.roles, cliConfig.roles);
+  if (Object.keys(roles).length > 0) {
+    config.roles = roles;
+  }
+
+  // Budget limits are merged limit by limit, like role settings
+  const budget = { ...fileConfig.budget, ...envConfig.budget, ...cliConfig.budget };
+  if (Object.keys(budget).length > 0) {
+    config.budget = budget;
+  }
+
+  // A retry section in the config file keeps its other settings when the
+  // number of attempts comes from the environment or CLI
+  if (fileConfig.retry && typeof fileConfig.retry === "object") {
+    config.retry = { ...fileConfig.retry, ...envConfig.retry, ...cliConfig.retry };
+  }
+
   return config;
 }
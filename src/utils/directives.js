@@ -0,0 +1,186 @@
+/**
+ * Directive Protocol
+ *
+ * The manager tells the orchestrator what to do next with a fenced JSON
+ * block tagged rtf-directive:
+ *
+ *   ```rtf-directive
+ *   {"action": "invoke", "role": "code", "taskId": "1.2", "note": "Start with the parser"}
+ *   ```
+ *
+ * Action       Parameters
+ * invoke       role (required), taskId, note
+ * complete     note
+ * ask_user     question (required), note
+ * abort        note
+ *
+ * Blocks are validated against DIRECTIVE_SCHEMA, and an invoke's role and
+ * taskId (a task or phase ID in the tasks file) against the run; a malformed
+ * block is reported back to the manager so it can correct it. The legacy
+ * `**INVOKE**: ralph-thinks-first --role <role> [args]` line is still
+ * accepted when a response has no block, with the same role check.
+ */
+
+/**
+ * Parameters of each action: name -> {type, required}
+ */
+export const DIRECTIVE_SCHEMA = {
+  invoke: {
+    role: { type: 'string', required: true },
+    taskId: { type: 'string' },
+    note: { type: 'string' }
+  },
+  complete: {
+    note: { type: 'string' }
+  },
+  ask_user: {
+    question: { type: 'string', required: true },
+    note: { type: 'string' }
+  },
+  abort: {
+    note: { type: 'string' }
+  }
+};
+
+/**
+ * Supported directive actions
+ */
+export const DIRECTIVE_ACTIONS = Object.keys(DIRECTIVE_SCHEMA);
+
+// A fenced block tagged rtf-directive (``` or ~~~ fences)
+const BLOCK_PATTERN = /^[ \t]*(```|~~~)[ \t]*rtf-directive[ \t]*\r?\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm;
+
+// The legacy directive line
+const LEGACY_INVOKE_PATTERN = /\*\*INVOKE\*\*:\s*ralph-thinks-first\s+--role\s+(\S+)(?:\s+(.*))?/i;
+
+/**
+ * Validates a parsed directive against DIRECTIVE_SCHEMA
+ *
+ * @param {*} directive - Parsed block content
+ * @param {object} [options]
+ * @param {Function} [options.isValidRole] - Checks the role of an invoke directive
+ * @param {Function} [options.isKnownTask] - Checks the taskId of an invoke directive
+ * @returns {string[]} Problems found (empty if the directive is valid)
+ */
+export function validateDirective(directive, { isValidRole, isKnownTask } = {}) {
+  if (!directive || typeof directive !== 'object' || Array.isArray(directive)) {
+    return ['the block must contain a JSON object'];
+  }
+
+  const schema = DIRECTIVE_SCHEMA[directive.action];
+  if (!schema) {
+    return [`"action" must be one of ${DIRECTIVE_ACTIONS.map(action => `"${action}"`).join(', ')}`];
+  }
+
+  const errors = [];
+  for (const [name, { type, required }] of Object.entries(schema)) {
+    const value = directive[name];
+    if (value === undefined || value === null) {
+      if (required) errors.push(`"${name}" is required for "${directive.action}"`);
+    } else if (typeof value !== type || (type === 'string' && !value.trim())) {
+      errors.push(`"${name}" must be a non-empty ${type}`);
+    }
+  }
+
+  for (const name of Object.keys(directive)) {
+    if (name !== 'action' && !schema[name]) {
+      errors.push(`unknown parameter "${name}" for "${directive.action}" (allowed: ${Object.keys(schema).join(', ')})`);
+    }
+  }
+
+  if (errors.length === 0 && directive.action === 'invoke' && isValidRole && !isValidRole(directive.role)) {
+    errors.push(`unknown role "${directive.role}"`);
+  }
+
+  if (errors.length === 0 && directive.action === 'invoke' && directive.taskId && isKnownTask && !isKnownTask(directive.taskId)) {
+    errors.push(`unknown task "${directive.taskId}" (use the ID of a task or phase in the tasks file)`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parses the legacy **INVOKE** directive line
+ * Only the first line in the output counts
+ *
+ * @param {string} output - Agent output
+ * @returns {{role: string, additionalArgs: string}|null} The invocation, or null if there is none
+ */
+export function parseInvokeDirective(output) {
+  const match = output ? output.match(LEGACY_INVOKE_PATTERN) : null;
+  return match ? { role: match[1], additionalArgs: match[2] || '' } : null;
+}
+
+/**
+ * Finds the directive in an agent's output
+ *
+ * @param {string} output - Agent output
+ * @param {object} [options]
+ * @param {Function} [options.isValidRole] - Checks the role of an invoke directive (block or legacy)
+ * @param {Function} [options.isKnownTask] - Checks the taskId of an invoke block
+ * @returns {{directive: object|null, error: string|null}} The directive (with "source"
+ *   "block" or "legacy"), or an error describing a malformed block; both null if there is none
+ */
+export function parseDirective(output, options = {}) {
+  if (!output) {
+    return { directive: null, error: null };
+  }
+
+  const blocks = [...output.matchAll(BLOCK_PATTERN)].map(match => match[2]);
+  if (blocks.length > 1) {
+    return { directive: null, error: `Found ${blocks.length} rtf-directive blocks; use exactly one per response.` };
+  }
+
+  if (blocks.length === 1) {
+    let parsed;
+    try {
+      parsed = JSON.parse(blocks[0]);
+    } catch (error) {
+      return { directive: null, error: `The rtf-directive block is not valid JSON: ${error.message}` };
+    }
+
+    const errors = validateDirective(parsed, options);
+    if (errors.length > 0) {
+      return { directive: null, error: `Invalid rtf-directive block: ${errors.join('; ')}.` };
+    }
+    return { directive: { ...parsed, source: 'block' }, error: null };
+  }
+
+  const legacy = parseInvokeDirective(output);
+  if (legacy) {
+    if (options.isValidRole && !options.isValidRole(legacy.role)) {
+      return { directive: null, error: `Invalid **INVOKE** directive: unknown role "${legacy.role}".` };
+    }
+    return { directive: { action: 'invoke', ...legacy, source: 'legacy' }, error: null };
+  }
+
+  return { directive: null, error: null };
+}
+
+/**
+ * Removes directive blocks and legacy directive lines from output
+ *
+ * @param {string} output - Agent output
+ * @returns {string} The output without directives
+ */
+export function stripDirectives(output) {
+  return String(output ?? '')
+    .replace(BLOCK_PATTERN, '')
+    .split('\n')
+    .filter(line => !LEGACY_INVOKE_PATTERN.test(line))
+    .join('\n');
+}
+
+/**
+ * Formats the feedback a manager gets for a malformed directive
+ *
+ * @param {string} error - Error from parseDirective
+ * @returns {string} Continuation prompt section
+ */
+export function formatDirectiveError(error) {
+  return `\n\n--- DIRECTIVE ERROR ---\n${error}\n` +
+    'Reply with exactly one block like:\n' +
+    '```rtf-directive\n{"action": "invoke", "role": "code", "note": "..."}\n```\n' +
+    `Actions: ${DIRECTIVE_ACTIONS.join(', ')}.\n` +
+    '--- END DIRECTIVE ERROR ---\n';
+}
@@ -0,0 +1,84 @@
+/**
+ * Console Display Helpers
+ *
+ * Formats agent status lines and protocol events for the terminal.
+ * Shared by the CLI entry point and the orchestrator.
+ */
+
+/**
+ * Displays formatted output to the console
+ *
+ * @param {string} role - Role name shown as the line prefix
+ * @param {string} message - Message to display
+ */
+export function displayStatus(role, message) {
+  console.log(`[${role.toUpperCase()}] ${message}`);
+}
+
+/**
+ * Shortens text to its first line, at most maxLength characters
+ */
+function firstLine(text, maxLength = 100) {
+  const line = String(text ?? '').split('\n')[0];
+  return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+}
+
+/**
+ * Summarizes a tool call's input by its most telling field
+ * (the shell command, file path or search pattern), or as JSON
+ *
+ * @param {object} input - Tool input
+ * @returns {string} Short summary
+ */
+function summarizeToolInput(input) {
+  if (!input || typeof input !== 'object') return '';
+  const key = ['command', 'file_path', 'path', 'pattern', 'url', 'description'].find(name => typeof input[name] === 'string');
+  return firstLine(key ? input[key] : JSON.stringify(input), 80);
+}
+
+/**
+ * Formats a protocol event as a single console line
+ *
+ * @param {object} event - Parsed protocol event
+ * @returns {string} The line handleEvent prints for the event
+ */
+export function formatEvent(event) {
+  switch (event.type) {
+    case 'status':
+      return `[${event.agent.toUpperCase()}] Status: ${event.status}`;
+    case 'output':
+      return `[${event.agent.toUpperCase()}] ${event.message}`;
+    case 'error':
+      return `[${event.agent.toUpperCase()}] ERROR: ${event.error}`;
+    case 'assistant':
+      return `[${event.agent.toUpperCase()}] ${event.message}`;
+    case 'tool_use':
+      return `[${event.agent.toUpperCase()}] Tool: ${event.tool} ${summarizeToolInput(event.input)}`.trimEnd();
+    case 'tool_result':
+      return `[${event.agent.toUpperCase()}] Tool result${event.isError ? ' (error)' : ''}: ${firstLine(event.content)}`;
+    case 'retry':
+      return `[${event.agent.toUpperCase()}] Retry ${event.attempt}/${event.maxAttempts} in ${(event.delayMs / 1000).toFixed(1)}s: ${event.reason} (exit code ${event.exitCode})`;
+    case 'usage': {
+      const cost = typeof event.costUsd === 'number' ? `, $${event.costUsd.toFixed(4)}` : '';
+      return `[${event.agent.toUpperCase()}] Usage: ${event.inputTokens} input / ${event.outputTokens} output tokens${cost}`;
+    }
+    default:
+      // Unknown event type - log as-is for debugging
+      return `[EVENT] ${JSON.stringify(event)}`;
+  }
+}
+
+/**
+ * Handles and displays events from agent subprocesses
+ *
+ * @param {object} event - Parsed protocol event
+ */
+export function handleEvent(event) {
+  if (!event) return;
+
+  if (event.type === 'error') {
+    console.error(formatEvent(event));
+  } else {
+    console.log(formatEvent(event));
+  }
+}
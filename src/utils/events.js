@@ -8,8 +8,89 @@
  * - Status: {"type":"status","agent":"<role>","status":"starting|running|completed|error"}
  * - Output: {"type":"output","agent":"<role>","message":"<text>"}
  * - Error:  {"type":"error","agent":"<role>","error":"<error message>"}
+ *
+ * With the stream-json output format, Claude's messages add (see src/utils/stream-json.js):
+ * - Assistant:   {"type":"assistant","agent":"<role>","message":"<text>"}
+ * - Tool use:    {"type":"tool_use","agent":"<role>","toolUseId":"<id>","tool":"<name>","input":{...}}
+ * - Tool result: {"type":"tool_result","agent":"<role>","toolUseId":"<id>","isError":false,"content":"<text>"}
+ * - Usage:       {"type":"usage","agent":"<role>","inputTokens":0,"outputTokens":0,"costUsd":0.01,...}
+ *
+ * The orchestrator announces each retry of a transient failure (see src/agents/retry.js):
+ * - Retry:       {"type":"retry","agent":"<role>","attempt":2,"maxAttempts":4,"delayMs":2150,"reason":"<match>","exitCode":1}
+ *
+ * Version 2 wraps the same payloads in an envelope:
+ *   {"v":2,"runId":"...","invocationId":"...","parentInvocationId":null,"seq":1,"ts":"<ISO 8601>", ...payload}
+ * Events without "v" are version 1 and remain valid.
+ *
+ * Agent processes are told where they sit in the call tree through the
+ * RTF_RUN_ID and RTF_PARENT_INVOCATION_ID environment variables, so a nested
+ * run or an event-emitting agent can fill in its own envelopes.
  */
 
+/**
+ * Current event protocol version
+ */
+export const EVENT_PROTOCOL_VERSION = 2;
+
+/**
+ * Event types and the payload fields each one requires, with their types
+ */
+const EVENT_PAYLOAD_FIELDS = {
+  status: { status: 'string' },
+  output: { message: 'string' },
+  error: { error: 'string' },
+  assistant: { message: 'string' },
+  tool_use: { toolUseId: 'string', tool: 'string' },
+  tool_result: { toolUseId: 'string' },
+  usage: { inputTokens: 'number', outputTokens: 'number' },
+  retry: { attempt: 'number', maxAttempts: 'number', delayMs: 'number' }
+};
+
+/**
+ * Valid values of a status event's "status" field
+ */
+const STATUS_VALUES = ['starting', 'running', 'completed', 'error'];
+
+// Envelope fields, in the order they are written
+const ENVELOPE_FIELDS = ['v', 'runId', 'invocationId', 'parentInvocationId', 'seq', 'ts'];
+
+/**
+ * Environment variables passing the lineage of an agent invocation to the
+ * processes it starts: the run ID and the ID of the invocation itself (the
+ * parent of anything the process runs)
+ */
+export const RUN_ID_ENV = 'RTF_RUN_ID';
+export const PARENT_INVOCATION_ENV = 'RTF_PARENT_INVOCATION_ID';
+
+/**
+ * Builds the environment variables that pass an invocation's lineage on
+ *
+ * @param {Object} lineage
+ * @param {string|null} [lineage.runId] - Run the invocation belongs to
+ * @param {string} lineage.invocationId - The invocation starting the process
+ * @returns {Object} Environment variables to add to the child's environment
+ */
+export function createLineageEnv({ runId = null, invocationId }) {
+  return {
+    ...(runId ? { [RUN_ID_ENV]: runId } : {}),
+    [PARENT_INVOCATION_ENV]: invocationId
+  };
+}
+
+/**
+ * Reads the lineage a parent process passed in the environment
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{runId: string|null, parentInvocationId: string|null}} Inherited lineage
+ *   (both null for a top-level process)
+ */
+export function readLineageEnv(env = process.env) {
+  return {
+    runId: env[RUN_ID_ENV] || null,
+    parentInvocationId: env[PARENT_INVOCATION_ENV] || null
+  };
+}
+
 /**
  * Emits an event to stderr in JSON Lines format
  *
@@ -19,19 +100,23 @@
  *   - For "status": { status: "starting|running|completed|error" }
  *   - For "output": { message: "<text>" }
  *   - For "error":  { error: "<error message>" }
+ * @param {Object} [envelope] - Envelope fields (see createEnvelope); when given,
+ *   a version 2 event is emitted, otherwise a version 1 event
  *
  * @example
  * emitEvent("status", "code", { status: "running" });
  * emitEvent("output", "plan", { message: "Analyzing requirements..." });
  * emitEvent("error", "document", { error: "File not found" });
+ * emitEvent("status", "code", { status: "running" }, { runId, invocationId: "3f2a9c1e", seq: 4 });
  */
-export function emitEvent(type, agent, data) {
+export function emitEvent(type, agent, data, envelope) {
   // Construct the event object
-  const event = {
+  const payload = {
     type,
     agent,
     ...data
   };
+  const event = envelope ? createEnvelope(payload, envelope) : payload;
 
   // Serialize to JSON and write to stderr with newline
   // Using process.stderr.write directly for better testability
@@ -52,6 +137,8 @@ export function emitEvent(type, agent, data) {
  *
  * If parsing succeeds and required fields are present, returns the full
  * parsed object including any additional fields (for future extensibility).
+ * Version 1 and version 2 events are both accepted; use validateEvent for a
+ * strict check.
  *
  * @example
  * parseEventStream('{"type":"status","agent":"code","status":"running"}')
@@ -97,3 +184,181 @@ export function parseEventStream(stderrLine) {
     return null;
   }
 }
+
+/**
+ * Wraps an event payload in a version 2 envelope
+ *
+ * When a parent process re-publishes a version 2 event from a nested process,
+ * the event keeps its own runId, invocationId and parentInvocationId, so the
+ * call tree reaches into the nested run; seq and ts are always replaced.
+ *
+ * @param {Object} event - Event with "type", "agent" and payload fields
+ * @param {Object} envelope
+ * @param {string|null} [envelope.runId] - Run the event belongs to
+ * @param {string} envelope.invocationId - Agent invocation that produced the event
+ * @param {string|null} [envelope.parentInvocationId] - Invocation that started that agent
+ * @param {number} envelope.seq - Position of the event in the run, starting at 1
+ * @param {string} [envelope.ts] - ISO 8601 timestamp (default: now)
+ * @returns {Object} Version 2 event
+ *
+ * @example
+ * createEnvelope({ type: "status", agent: "plan", status: "starting" },
+ *   { runId: "20260131-142501-3fa9", invocationId: "3f2a9c1e", parentInvocationId: "b7d04e55", seq: 12 })
+ */
+export function createEnvelope(event, { runId = null, invocationId, parentInvocationId = null, seq, ts = new Date().toISOString() }) {
+  const payload = { ...event };
+  for (const field of ENVELOPE_FIELDS) {
+    delete payload[field];
+  }
+
+  if (event.v === EVENT_PROTOCOL_VERSION && typeof event.invocationId === 'string' && event.invocationId !== '') {
+    // A nested invocation without a parent was started by the re-publishing one
+    runId = typeof event.runId === 'string' ? event.runId : runId;
+    parentInvocationId = typeof event.parentInvocationId === 'string' ? event.parentInvocationId : invocationId;
+    invocationId = event.invocationId;
+  }
+
+  return {
+    v: EVENT_PROTOCOL_VERSION,
+    runId,
+    invocationId,
+    parentInvocationId,
+    seq,
+    ts,
+    ...payload
+  };
+}
+
+/**
+ * Creates a counter for the "seq" envelope field
+ *
+ * @param {number} [last=0] - Last sequence number already used (e.g. when resuming a run)
+ * @returns {Function} Returns the next sequence number on each call
+ */
+export function createEventSequence(last = 0) {
+  let seq = last;
+  return () => ++seq;
+}
+
+/**
+ * Checks an event against the protocol specification
+ *
+ * Version 1 events (no "v" field) need a known type, an agent and the
+ * type's payload field. Version 2 events also need a complete envelope.
+ *
+ * @param {Object} event - Parsed event
+ * @returns {{valid: boolean, errors: string[]}} Validation result with one message per problem
+ *
+ * @example
+ * validateEvent({ type: "status", agent: "code", status: "running" })
+ * // Returns: { valid: true, errors: [] }
+ */
+export function validateEvent(event) {
+  const errors = [];
+  const isString = (value) => typeof value === 'string' && value !== '';
+
+  if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+    return { valid: false, errors: ['event must be an object'] };
+  }
+
+  if (!Object.hasOwn(EVENT_PAYLOAD_FIELDS, event.type)) {
+    errors.push(`unknown type: ${JSON.stringify(event.type)}`);
+  } else {
+    for (const [field, kind] of Object.entries(EVENT_PAYLOAD_FIELDS[event.type])) {
+      if (typeof event[field] !== kind) {
+        errors.push(`${event.type} event requires a ${kind} "${field}"`);
+      }
+    }
+    if (event.type === 'status' && typeof event.status === 'string' && !STATUS_VALUES.includes(event.status)) {
+      errors.push(`invalid status: ${JSON.stringify(event.status)}`);
+    }
+  }
+
+  if (!isString(event.agent)) {
+    errors.push('"agent" must be a non-empty string');
+  }
+
+  if (event.v !== undefined && event.v !== 1) {
+    if (event.v !== EVENT_PROTOCOL_VERSION) {
+      errors.push(`unsupported protocol version: ${JSON.stringify(event.v)}`);
+    } else {
+      if (event.runId !== null && !isString(event.runId)) {
+        errors.push('"runId" must be a string or null');
+      }
+      if (!isString(event.invocationId)) {
+        errors.push('"invocationId" must be a non-empty string');
+      }
+      if (event.parentInvocationId !== null && !isString(event.parentInvocationId)) {
+        errors.push('"parentInvocationId" must be a string or null');
+      }
+      if (!Number.isInteger(event.seq) || event.seq < 1) {
+        errors.push('"seq" must be a positive integer');
+      }
+      if (!isString(event.ts) || Number.isNaN(Date.parse(event.ts))) {
+        errors.push('"ts" must be an ISO 8601 timestamp');
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Creates an in-process event hub that fans events out to subscribers
+ *
+ * Used to stream agent events live (e.g. to the dashboard). The hub keeps
+ * the most recent events so late subscribers can catch up.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.historyLimit=1000] - Number of past events to keep
+ * @returns {{publish: Function, subscribe: Function, getHistory: Function}}
+ *
+ * @example
+ * const hub = createEventHub();
+ * const unsubscribe = hub.subscribe(event => console.log(event.type));
+ * hub.publish({ type: "status", agent: "code", status: "running" });
+ * unsubscribe();
+ */
+export function createEventHub({ historyLimit = 1000 } = {}) {
+  const listeners = new Set();
+  const history = [];
+
+  return {
+    /**
+     * Records an event and delivers it to every subscriber
+     * @param {Object} event - Event object
+     */
+    publish(event) {
+      history.push(event);
+      if (history.length > historyLimit) {
+        history.shift();
+      }
+
+      for (const listener of listeners) {
+        try {
+          listener(event);
+        } catch (e) {
+          // A failing subscriber must not break the agent run
+        }
+      }
+    },
+
+    /**
+     * Registers a listener for future events
+     * @param {Function} listener - Called with each published event
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Returns a copy of the retained events, oldest first
+     * @returns {Object[]} Past events
+     */
+    getHistory() {
+      return [...history];
+    }
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Git Integration
+ *
+ * Opt-in git mode (--git): each run works on its own rtf/<run-id> branch,
+ * and every coder invocation that checks off success parameters in the
+ * tasks file is committed with a message naming the task, so reviewers can
+ * audit the agent's work task by task.
+ */
+
+import { findTaskNode } from './tasks.js';
+
+// Commits are chained so parallel coders never run git at the same time
+let commitQueue = Promise.resolve();
+
+/**
+ * Runs a git command
+ *
+ * @param {string[]} args - Arguments to git
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory (default: current directory)
+ * @param {boolean} [options.allowFailure] - Return instead of throwing on a non-zero exit
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} Command result
+ * @throws {Error} If git is not installed, or the command fails and allowFailure is not set
+ */
+export async function runGit(args, { cwd, allowFailure = false } = {}) {
+  let proc;
+  try {
+    proc = Bun.spawn(['git', ...args], { cwd, stdout: 'pipe', stderr: 'pipe' });
+  } catch (error) {
+    throw new Error(`git is not available: ${error.message}`);
+  }
+
+  const [stdout, stderr, exitCode] = await Promise.all([
+    new Response(proc.stdout).text(),
+    new Response(proc.stderr).text(),
+    proc.exited
+  ]);
+
+  if (exitCode !== 0 && !allowFailure) {
+    throw new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${exitCode}`}`);
+  }
+
+  return { exitCode, stdout, stderr };
+}
+
+/**
+ * Checks whether a directory is inside a git work tree
+ *
+ * @param {string} [cwd] - Directory to check
+ * @returns {Promise<boolean>} True inside a work tree
+ */
+export async function isGitRepository(cwd) {
+  const result = await runGit(['rev-parse', '--is-inside-work-tree'], { cwd, allowFailure: true });
+  return result.exitCode === 0 && result.stdout.trim() === 'true';
+}
+
+/**
+ * Lists uncommitted changes, ignoring the given paths (e.g. the .rtf state directory)
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @param {string[]} [options.ignore] - Paths whose changes do not count
+ * @returns {Promise<string[]>} Changed paths
+ */
+export async function getUncommittedChanges({ cwd, ignore = [] } = {}) {
+  const { stdout } = await runGit(['status', '--porcelain', '--untracked-files=all'], { cwd });
+  const ignored = ignore.map(path => path.replace(/\/+$/, ''));
+
+  return stdout
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => line.slice(3))
+    .filter(path => !ignored.some(prefix => path === prefix || path.startsWith(`${prefix}/`)));
+}
+
+/**
+ * Resolves the commit HEAD points to
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @returns {Promise<string|null>} Commit hash, or null if there is no commit yet
+ */
+export async function getHeadCommit({ cwd } = {}) {
+  const result = await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd, allowFailure: true });
+  return result.exitCode === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Lists the files changed since a commit, whether committed since or not,
+ * including new untracked files
+ *
+ * @param {string} since - Commit to compare with
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @param {string[]} [options.ignore] - Paths whose changes do not count
+ * @returns {Promise<string[]>} Changed paths
+ */
+export async function getChangedFiles(since, { cwd, ignore = [] } = {}) {
+  const [changed, untracked] = await Promise.all([
+    runGit(['diff', '--name-only', since, '--'], { cwd }),
+    runGit(['ls-files', '--others', '--exclude-standard'], { cwd })
+  ]);
+  const ignored = ignore.map(path => path.replace(/\/+$/, ''));
+
+  return [...new Set(`${changed.stdout}\n${untracked.stdout}`.split('\n'))]
+    .filter(path => path.trim())
+    .filter(path => !ignored.some(prefix => path === prefix || path.startsWith(`${prefix}/`)));
+}
+
+/**
+ * Name of the branch a run works on
+ *
+ * @param {string} runId - Run ID
+ * @returns {string} Branch name
+ */
+export function getRunBranchName(runId) {
+  return `rtf/${runId}`;
+}
+
+/**
+ * Switches to the run's branch, creating it from HEAD if it does not exist yet
+ * (a resumed run goes back to its existing branch)
+ *
+ * @param {string} runId - Run ID
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @returns {Promise<string>} Branch name
+ */
+export async function checkoutRunBranch(runId, { cwd } = {}) {
+  const branch = getRunBranchName(runId);
+  const exists = await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd, allowFailure: true });
+
+  await runGit(exists.exitCode === 0 ? ['checkout', branch] : ['checkout', '-b', branch], { cwd });
+  return branch;
+}
+
+/**
+ * Stages every change except the excluded paths and commits it
+ *
+ * Calls are serialized, so concurrent callers commit one after another.
+ *
+ * @param {string} message - Commit message
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @param {string[]} [options.exclude] - Paths never to stage (e.g. the .rtf state directory)
+ * @returns {Promise<string|null>} Commit hash, or null if there was nothing to commit
+ */
+export function commitChanges(message, { cwd, exclude = [] } = {}) {
+  const commit = async () => {
+    const pathspec = ['.', ...exclude.map(path => `:(exclude)${path}`)];
+    await runGit(['add', '-A', '--', ...pathspec], { cwd });
+
+    const staged = await runGit(['diff', '--cached', '--quiet'], { cwd, allowFailure: true });
+    if (staged.exitCode === 0) {
+      return null;
+    }
+
+    await runGit(['commit', '-q', '-m', message], { cwd });
+    const { stdout } = await runGit(['rev-parse', 'HEAD'], { cwd });
+    return stdout.trim();
+  };
+
+  const result = commitQueue.then(commit, commit);
+  commitQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Builds the commit message for checkboxes a coder checked off
+ *
+ * The subject names the completed task(s), or the task that progressed when
+ * none was completed. The body lists the checked success parameters.
+ *
+ * @param {{checkedItems: Array<object>, completedTasks: Array<object>}} diff - Result of diffTaskTrees
+ * @param {object} tree - Task tree after the change
+ * @param {string} [runId] - Run ID, added as a trailer
+ * @returns {string} Commit message
+ */
+export function formatTaskCommitMessage(diff, tree, runId) {
+  const { checkedItems, completedTasks } = diff;
+  const describe = (task) => task.title ? `task ${task.id}: ${task.title}` : `task ${task.id}`;
+
+  const taskIds = [...new Set(checkedItems.map(item => item.taskId).filter(Boolean))];
+  const tasks = taskIds.map(id => findTaskNode(tree, id)).filter(Boolean);
+
+  let subject;
+  if (completedTasks.length === 1) {
+    subject = `Complete ${describe(completedTasks[0])}`;
+  } else if (completedTasks.length > 1) {
+    subject = `Complete tasks ${completedTasks.map(task => task.id).join(', ')}`;
+  } else if (tasks.length === 1) {
+    subject = `Progress on ${describe(tasks[0])}`;
+  } else if (tasks.length > 1) {
+    subject = `Progress on tasks ${tasks.map(task => task.id).join(', ')}`;
+  } else {
+    subject = `Check off ${checkedItems.length === 1 ? checkedItems[0].description : `${checkedItems.length} items`}`;
+  }
+
+  const lines = [subject, '', ...checkedItems.map(item => `- [x] ${item.description}`)];
+
+  const trailers = [];
+  if (runId) {
+    trailers.push(`RTF-Run: ${runId}`);
+  }
+  if (taskIds.length > 0) {
+    trailers.push(`RTF-Task: ${taskIds.join(', ')}`);
+  }
+  if (trailers.length > 0) {
+    lines.push('', ...trailers);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,272 @@
+/**
+ * Sub-Agent Handoff
+ *
+ * When a sub-agent finishes, the manager is resumed with a report of what it
+ * did: exit code, duration, the tasks whose state changed in TASKS.md, the
+ * files it touched, its error events and the end of its output. The report
+ * is capped at config.handoffBudget characters; the output excerpt keeps
+ * at least half of it (or what it needs) and gets whatever the lists leave.
+ *
+ * Touched files come from Claude's file tools (stream-json output), from git
+ * in git mode, and otherwise from comparing the modification time and size of
+ * the working tree's files before and after the sub-agent ran.
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import { isAbsolute, relative, join } from 'path';
+
+/**
+ * Default size limit of a handoff report, in characters
+ */
+export const DEFAULT_HANDOFF_BUDGET = 4000;
+
+// Claude tools that write files, and the input field naming the file
+const FILE_TOOLS = {
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  Write: 'file_path',
+  NotebookEdit: 'notebook_path'
+};
+
+// Directories never walked when snapshotting the working tree
+const SNAPSHOT_SKIP_DIRS = ['.git', 'node_modules'];
+
+// Most files a snapshot records; a larger tree is not compared at all
+export const MAX_SNAPSHOT_FILES = 20000;
+
+// Longest error message quoted in a report
+const MAX_ERROR_CHARS = 300;
+
+// An output excerpt shorter than this is left out rather than shown as a stub
+const MIN_EXCERPT_CHARS = 80;
+
+/**
+ * Resolves the handoffBudget setting
+ *
+ * @param {*} value - Configured budget (characters)
+ * @returns {number} The budget, or DEFAULT_HANDOFF_BUDGET if unset or invalid
+ */
+export function resolveHandoffBudget(value) {
+  const parsed = parseInt(value, 10);
+  return !isNaN(parsed) && parsed > 0 ? parsed : DEFAULT_HANDOFF_BUDGET;
+}
+
+/**
+ * Describes a task's state, e.g. "done" or "open (1/3)"
+ */
+function describeTaskState(task) {
+  if (task.completed) return 'done';
+  const checked = task.criteria.filter(item => item.completed).length;
+  return `open (${checked}/${task.criteria.length})`;
+}
+
+/**
+ * Lists the tasks whose state differs between two task trees
+ *
+ * @param {object} before - Tree returned by parseTaskTree, before the sub-agent ran
+ * @param {object} after - Tree returned by parseTaskTree, after it finished
+ * @returns {Array<{id: string, title: string, before: string|null, after: string|null}>}
+ *   Changed tasks in file order; before is null for added tasks, after for removed ones
+ */
+export function diffTaskStates(before, after) {
+  const previous = new Map(before.tasks.map(task => [task.id, task]));
+  const changes = [];
+
+  for (const task of after.tasks) {
+    const old = previous.get(task.id);
+    previous.delete(task.id);
+
+    const state = describeTaskState(task);
+    const oldState = old ? describeTaskState(old) : null;
+    if (state !== oldState) {
+      changes.push({ id: task.id, title: task.title, before: oldState, after: state });
+    }
+  }
+
+  for (const task of previous.values()) {
+    changes.push({ id: task.id, title: task.title, before: describeTaskState(task), after: null });
+  }
+
+  return changes;
+}
+
+/**
+ * Collects the files written by Claude's file tools (stream-json output)
+ *
+ * @param {Array<object>} events - Events of the sub-agent's invocations
+ * @param {string} [cwd] - Directory that paths below it are made relative to
+ * @returns {string[]} File paths, in the order first written
+ */
+export function collectTouchedFiles(events, cwd = process.cwd()) {
+  const files = new Set();
+
+  for (const event of events) {
+    const field = event.type === 'tool_use' ? FILE_TOOLS[event.tool] : null;
+    const path = field && event.input ? event.input[field] : null;
+    if (typeof path === 'string' && path) {
+      const local = isAbsolute(path) ? relative(cwd, path) : path;
+      files.add(local && !local.startsWith('..') ? local : path);
+    }
+  }
+
+  return [...files];
+}
+
+/**
+ * Records the modification time and size of every file in the working tree
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory to walk (default: current directory)
+ * @param {string[]} [options.ignore] - Paths (files or directories) relative to cwd to leave out
+ * @param {number} [options.limit] - Most files to record (default: MAX_SNAPSHOT_FILES)
+ * @returns {Promise<Map<string, string>|null>} Relative path -> "mtime:size", or null
+ *   if the tree has more files than the limit
+ */
+export async function snapshotFiles({ cwd = process.cwd(), ignore = [], limit = MAX_SNAPSHOT_FILES } = {}) {
+  const ignored = new Set(ignore.map(path => path.replace(/^\.\//, '').replace(/\/+$/, '')));
+  const files = new Map();
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    let entries;
+    try {
+      entries = await readdir(join(cwd, dir), { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      if (ignored.has(path)) continue;
+
+      if (entry.isDirectory()) {
+        if (!SNAPSHOT_SKIP_DIRS.includes(entry.name)) pending.push(path);
+      } else if (entry.isFile()) {
+        if (files.size >= limit) return null;
+        try {
+          const info = await stat(join(cwd, path));
+          files.set(path, `${info.mtimeMs}:${info.size}`);
+        } catch (error) {
+          // Removed while walking
+        }
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Lists the files added, changed or removed between two snapshots
+ *
+ * @param {Map<string, string>} before - Result of snapshotFiles
+ * @param {Map<string, string>} after - Result of snapshotFiles
+ * @returns {string[]} Paths, sorted
+ */
+export function diffSnapshots(before, after) {
+  const changed = [...after].filter(([path, state]) => before.get(path) !== state).map(([path]) => path);
+  const removed = [...before.keys()].filter(path => !after.has(path));
+  return [...changed, ...removed].sort();
+}
+
+/**
+ * Formats a duration as e.g. "2m 05s" or "12.3s"
+ */
+function formatDuration(ms) {
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Appends a list section, dropping the entries that do not fit the budget
+ * (the section is left out if not even its heading and a count fit)
+ */
+function appendList(lines, heading, entries, remaining) {
+  if (entries.length === 0) return remaining;
+
+  // Room kept for the "... and N more" line
+  const reserve = `- ... and ${entries.length} more`.length + 1;
+  if (heading.length + 1 + reserve > remaining) return remaining;
+
+  let used = heading.length + 1;
+  const shown = [];
+  for (const [index, entry] of entries.entries()) {
+    const line = `- ${entry}`;
+    const needed = line.length + 1 + (index < entries.length - 1 ? reserve : 0);
+    if (used + needed > remaining) break;
+    shown.push(line);
+    used += line.length + 1;
+  }
+  if (shown.length < entries.length) {
+    const more = `- ... and ${entries.length - shown.length} more`;
+    shown.push(more);
+    used += more.length + 1;
+  }
+
+  lines.push(heading, ...shown);
+  return remaining - used;
+}
+
+/**
+ * Builds the continuation prompt section that hands a sub-agent's result to the manager
+ *
+ * @param {object} report
+ * @param {string} report.role - Sub-agent role
+ * @param {number} report.exitCode - Exit code of its last invocation
+ * @param {boolean} report.completed - Whether it signaled completion
+ * @param {boolean} [report.timedOut] - Whether it was stopped by a timeout
+ * @param {number} report.durationMs - Time it ran, in milliseconds
+ * @param {Array<object>} [report.taskChanges] - Result of diffTaskStates
+ * @param {string[]} [report.files] - Files it touched
+ * @param {string[]} [report.errors] - Messages of its error events
+ * @param {string} [report.output] - Output of its last invocation
+ * @param {number} [budget] - Size limit in characters (the header is always kept)
+ * @returns {string} The "--- SUB-AGENT RESULT ---" section
+ */
+export function formatHandoff(report, budget = DEFAULT_HANDOFF_BUDGET) {
+  const { taskChanges = [], files = [], errors = [] } = report;
+
+  const lines = [
+    '--- SUB-AGENT RESULT ---',
+    `Agent: ${report.role}`,
+    `Exit Code: ${report.exitCode}`,
+    `Completed: ${report.completed ? 'Yes' : 'No'}`
+  ];
+  if (report.timedOut) {
+    lines.push('Timed Out: Yes');
+  }
+  lines.push(`Duration: ${formatDuration(report.durationMs)}`);
+
+  const footer = '--- END SUB-AGENT RESULT ---';
+  const output = String(report.output ?? '').trim();
+  const heading = 'Output (end):';
+  let remaining = budget - lines.join('\n').length - footer.length - 2;
+
+  // The lists may take up to half the budget away from the output excerpt
+  const excerptShare = output ? Math.min(output.length + heading.length + 2, Math.floor(budget / 2)) : 0;
+  remaining -= excerptShare;
+
+  remaining = appendList(lines, 'Tasks changed:', taskChanges.map(change =>
+    `Task ${change.id}${change.title ? ` ${change.title}` : ''}: ` +
+    (change.before === null ? `added (${change.after})` : change.after === null ? 'removed' : `${change.before} -> ${change.after}`)
+  ), remaining);
+
+  remaining = appendList(lines, 'Errors:', errors.map(error =>
+    error.length > MAX_ERROR_CHARS ? `${error.slice(0, MAX_ERROR_CHARS)}...` : error
+  ), remaining);
+
+  remaining = appendList(lines, 'Files touched:', files, remaining) + excerptShare;
+
+  const room = remaining - heading.length - 2;
+  if (output && (output.length <= room || room >= MIN_EXCERPT_CHARS)) {
+    const excerpt = output.length > room ? `[...]${output.slice(-(room - 5))}` : output;
+    lines.push(heading, excerpt);
+  }
+
+  lines.push(footer);
+  return lines.join('\n');
+}
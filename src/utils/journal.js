@@ -0,0 +1,295 @@
+/**
+ * Orchestration Journal
+ *
+ * Persists the state of each run under .rtf/runs/<run-id>/ so an interrupted
+ * run can be resumed with --resume. Each run directory holds:
+ *
+ * - run.json       Run metadata (ID, role, status, timestamps)
+ * - journal.jsonl  One JSON line per orchestration step, in order
+ * - events.jsonl   Every protocol event of the run (see docs/EVENT_PROTOCOL.md)
+ *
+ * Journal entries (all carry "step" and an ISO "ts"):
+ * - {"step":"agent-start","role","iteration","depth"}        An agent was spawned
+ * - {"step":"agent-end","role","iteration","depth","exitCode"} An agent exited
+ * - {"step":"invoke","role","iteration","depth","subRole","args"} The manager asked for a sub-agent
+ * - {"step":"checkpoint","role","iteration","depth","continuationPrompt"} Manager state before an iteration
+ * - {"step":"verify","role","depth","taskId","exitCode","passed"} The verify command ran
+ * - {"step":"commit","role","depth","taskId","sha","tasks"} Coder progress was committed (git mode)
+ */
+
+import { mkdir, appendFile, readdir } from 'node:fs/promises';
+import { join } from 'path';
+
+/**
+ * Default directory for run state, relative to the working directory
+ */
+export const DEFAULT_STATE_DIR = '.rtf';
+
+/**
+ * Generates a sortable run ID from the current time, e.g. 20260131-142501-3fa9
+ *
+ * @param {Date} [date] - Time to base the ID on
+ * @returns {string} The run ID
+ */
+export function generateRunId(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  const suffix = Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0');
+  return `${day}-${time}-${suffix}`;
+}
+
+/**
+ * Returns the directory holding all runs
+ *
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {string} Path to the runs directory
+ */
+export function getRunsDir(stateDir = DEFAULT_STATE_DIR) {
+  return join(stateDir, 'runs');
+}
+
+/**
+ * Creates a new run directory and writes its metadata
+ *
+ * @param {object} metadata - Initial metadata (role, initialPrompt, tasksFile, ...)
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {Promise<{id: string, dir: string}>} Handle for the new run
+ */
+export async function createRun(metadata = {}, stateDir = DEFAULT_STATE_DIR) {
+  const id = generateRunId();
+  const dir = join(getRunsDir(stateDir), id);
+
+  await mkdir(dir, { recursive: true });
+
+  const run = { id, dir };
+  await writeRunMetadata(run, {
+    id,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    ...metadata
+  });
+
+  return run;
+}
+
+/**
+ * Opens an existing run by ID
+ *
+ * @param {string} runId - The run ID
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {Promise<{id: string, dir: string}>} Handle for the run
+ * @throws {Error} If the run does not exist
+ */
+export async function openRun(runId, stateDir = DEFAULT_STATE_DIR) {
+  const dir = join(getRunsDir(stateDir), runId);
+  const exists = await Bun.file(join(dir, 'run.json')).exists();
+
+  if (!exists) {
+    throw new Error(`Run not found: ${runId} (looked in ${dir})`);
+  }
+
+  return { id: runId, dir };
+}
+
+/**
+ * Lists the IDs of all recorded runs, oldest first
+ *
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {Promise<string[]>} Run IDs
+ */
+export async function listRuns(stateDir = DEFAULT_STATE_DIR) {
+  try {
+    const entries = await readdir(getRunsDir(stateDir), { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the ID of the most recent run, or null if there are none
+ *
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {Promise<string|null>} The latest run ID
+ */
+export async function findLatestRun(stateDir = DEFAULT_STATE_DIR) {
+  const runs = await listRuns(stateDir);
+  return runs.length > 0 ? runs[runs.length - 1] : null;
+}
+
+/**
+ * Reads a run's metadata
+ *
+ * @param {{dir: string}} run - Run handle
+ * @returns {Promise<object>} The metadata, or an empty object if unreadable
+ */
+export async function readRunMetadata(run) {
+  try {
+    return JSON.parse(await Bun.file(join(run.dir, 'run.json')).text());
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Writes a run's metadata
+ *
+ * @param {{dir: string}} run - Run handle
+ * @param {object} metadata - Metadata to store
+ */
+export async function writeRunMetadata(run, metadata) {
+  await Bun.write(join(run.dir, 'run.json'), JSON.stringify(metadata, null, 2) + '\n');
+}
+
+/**
+ * Merges fields into a run's metadata
+ *
+ * @param {{dir: string}} run - Run handle
+ * @param {object} patch - Fields to update
+ * @returns {Promise<object>} The updated metadata
+ */
+export async function updateRunMetadata(run, patch) {
+  const metadata = { ...(await readRunMetadata(run)), ...patch };
+  await writeRunMetadata(run, metadata);
+  return metadata;
+}
+
+/**
+ * Appends a step to a run's journal
+ *
+ * @param {{dir: string}|null|undefined} run - Run handle (no-op when absent)
+ * @param {object} entry - Journal entry; must include "step"
+ */
+export async function appendJournal(run, entry) {
+  if (!run) {
+    return;
+  }
+
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...entry });
+  await appendFile(join(run.dir, 'journal.jsonl'), line + '\n');
+}
+
+/**
+ * Reads a JSON Lines file, skipping malformed lines
+ *
+ * @param {string} path - File path
+ * @returns {Promise<object[]>} Parsed lines in order (empty if the file is missing)
+ */
+async function readJsonLines(path) {
+  const file = Bun.file(path);
+  if (!(await file.exists())) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of (await file.text()).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash - ignore it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Reads all entries of a run's journal, skipping malformed lines
+ *
+ * @param {{dir: string}} run - Run handle
+ * @returns {Promise<object[]>} Journal entries in order
+ */
+export async function readJournal(run) {
+  return readJsonLines(join(run.dir, 'journal.jsonl'));
+}
+
+/**
+ * Appends a protocol event to a run's event log
+ *
+ * @param {{dir: string}|null|undefined} run - Run handle (no-op when absent)
+ * @param {object} event - Protocol event
+ */
+export async function appendEvent(run, event) {
+  if (!run) {
+    return;
+  }
+
+  await appendFile(join(run.dir, 'events.jsonl'), JSON.stringify(event) + '\n');
+}
+
+/**
+ * Reads all events of a run, skipping malformed lines
+ *
+ * @param {{dir: string}} run - Run handle
+ * @returns {Promise<object[]>} Events in the order they were logged
+ */
+export async function readEvents(run) {
+  return readJsonLines(join(run.dir, 'events.jsonl'));
+}
+
+/**
+ * Creates an event listener that appends events to a run's event log
+ *
+ * Events arrive synchronously from the orchestrator; writes are chained so
+ * they land in the file in the order they were published. Write failures
+ * are reported but never stop the run.
+ *
+ * @param {{dir: string}} run - Run handle
+ * @returns {{append: Function, flush: Function}} append(event) queues an event; flush() resolves once all are written
+ */
+export function createEventLog(run) {
+  let pending = Promise.resolve();
+
+  return {
+    append(event) {
+      pending = pending
+        .then(() => appendEvent(run, event))
+        .catch(error => console.warn(`Warning: Failed to write event log: ${error.message}`));
+    },
+    flush() {
+      return pending;
+    }
+  };
+}
+
+/**
+ * Rebuilds the top-level orchestration state from journal entries
+ *
+ * Only entries at depth 0 (the agent the run was started with) matter: the
+ * last checkpoint says which iteration to run next and with what
+ * continuation prompt, and an invoke after it means the manager had already
+ * chosen a sub-agent that has not finished yet.
+ *
+ * @param {object[]} entries - Journal entries from readJournal
+ * @returns {{role: string, iteration: number, continuationPrompt: string|undefined, pendingInvoke: object|null}|null}
+ *   State to resume from, or null if the journal holds no resumable step
+ */
+export function rebuildState(entries) {
+  let state = null;
+
+  for (const entry of entries) {
+    if ((entry.depth || 0) !== 0) continue;
+
+    if (entry.step === 'checkpoint') {
+      state = {
+        role: entry.role,
+        iteration: entry.iteration,
+        continuationPrompt: entry.continuationPrompt,
+        pendingInvoke: null
+      };
+    } else if (entry.step === 'invoke' && state) {
+      state.pendingInvoke = { role: entry.subRole, additionalArgs: entry.args || '' };
+      if (entry.subTaskId) state.pendingInvoke.taskId = entry.subTaskId;
+      if (entry.note) state.pendingInvoke.note = entry.note;
+    }
+  }
+
+  return state;
+}
@@ -0,0 +1,219 @@
+/**
+ * Run Lock
+ *
+ * Only one run may work in a directory at a time, since runs share the
+ * tasks file and the .rtf state. The active run holds <stateDir>/lock, a
+ * JSON file naming its PID, host, run ID and start time. A lock whose
+ * process is no longer running (on this host) is stale and taken over.
+ *
+ * The lock file is always written to a temporary file and then linked or
+ * renamed into place, so no reader ever sees a partly written lock.
+ *
+ * A ralph-thinks-first started by one of the run's own agents (a nested
+ * run) shares the lock: RTF_LOCK_PID tells it which process holds it.
+ */
+
+import { readFileSync, writeFileSync, linkSync, renameSync, unlinkSync, mkdirSync } from 'node:fs';
+import { hostname } from 'node:os';
+import { join } from 'path';
+import { DEFAULT_STATE_DIR } from './journal.js';
+
+/**
+ * Environment variable passed to agents naming the process that holds the lock
+ */
+export const LOCK_PID_ENV = 'RTF_LOCK_PID';
+
+/**
+ * Returns the path of the lock file
+ *
+ * @param {string} [stateDir] - Base state directory (default: .rtf)
+ * @returns {string} Path to the lock file
+ */
+export function getLockPath(stateDir = DEFAULT_STATE_DIR) {
+  return join(stateDir, 'lock');
+}
+
+/**
+ * Checks whether a process is running
+ * EPERM means it exists but belongs to another user
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Reads a lock file
+ *
+ * @param {string} path - Lock file path
+ * @returns {object|null} Lock contents ({pid, hostname, runId, startedAt}), {} if unreadable,
+ *   or null if there is no lock
+ */
+export function readLock(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const lock = JSON.parse(text);
+    return lock && typeof lock === 'object' ? lock : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Decides whether a lock was left behind by a process that is gone
+ *
+ * @param {object} lock - Lock contents
+ * @returns {boolean} True if the lock can be taken over
+ */
+export function isStaleLock(lock) {
+  if (!Number.isInteger(lock.pid) || lock.pid <= 0) return true;
+  // A process on another host (shared directory) cannot be checked
+  if (lock.hostname && lock.hostname !== hostname()) return false;
+  return !isProcessRunning(lock.pid);
+}
+
+/**
+ * Describes the run holding a lock, for error messages
+ */
+function describeLock(lock) {
+  const run = lock.runId ? `Run ${lock.runId}` : 'Another run';
+  const host = lock.hostname && lock.hostname !== hostname() ? ` on ${lock.hostname}` : '';
+  const since = lock.startedAt ? `, started ${lock.startedAt}` : '';
+  return `${run} (PID ${lock.pid}${host}${since})`;
+}
+
+/**
+ * Writes the lock file through a temporary file
+ *
+ * @param {string} path - Lock file path
+ * @param {object} lock - Lock contents
+ * @param {boolean} replace - Rename over an existing lock; otherwise the
+ *   lock is linked into place, failing with EEXIST if one exists
+ */
+function writeLockFile(path, lock, replace) {
+  const tempPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(lock, null, 2) + '\n');
+  try {
+    if (replace) {
+      renameSync(tempPath, path);
+    } else {
+      linkSync(tempPath, path);
+    }
+  } finally {
+    try {
+      unlinkSync(tempPath);
+    } catch {
+      // Renamed into place
+    }
+  }
+}
+
+/**
+ * Checks whether a lock read from the file is the one this process wrote
+ */
+function isOwnLock(held, lock) {
+  return Boolean(held) && held.pid === lock.pid && held.startedAt === lock.startedAt;
+}
+
+/**
+ * Takes the run lock for the state directory
+ *
+ * @param {object} [options]
+ * @param {string} [options.stateDir] - Base state directory (default: .rtf)
+ * @param {string} [options.runId] - ID of the run taking the lock, if known yet
+ * @returns {{path: string, shared: boolean, update: Function, release: Function}} Lock handle:
+ *   update(fields) records e.g. the run ID once known; release() removes the lock (synchronous,
+ *   so it can run in an exit handler). A shared lock (nested run) is never written or removed.
+ * @throws {Error} If another running process holds the lock
+ */
+export function acquireRunLock({ stateDir = DEFAULT_STATE_DIR, runId } = {}) {
+  const path = getLockPath(stateDir);
+  mkdirSync(stateDir, { recursive: true });
+
+  const lock = {
+    pid: process.pid,
+    hostname: hostname(),
+    runId: runId || null,
+    startedAt: new Date().toISOString()
+  };
+
+  let acquired = false;
+  for (let attempt = 0; attempt < 3 && !acquired; attempt++) {
+    try {
+      writeLockFile(path, lock, false);
+      acquired = true;
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const held = readLock(path);
+    if (held === null) continue;
+
+    // Started by an agent of the run that holds the lock
+    if (held.pid && String(held.pid) === process.env[LOCK_PID_ENV]) {
+      return { path, shared: true, update: () => {}, release: () => {} };
+    }
+
+    if (!isStaleLock(held)) {
+      throw new Error(
+        `${describeLock(held)} is already active in this directory.\n` +
+        `Wait for it to finish, or stop it first. If it is not running, delete ${path}.`
+      );
+    }
+
+    console.warn(`Warning: Removing stale lock of ${describeLock(held)}; the process is not running.`);
+
+    // Another run may have taken the stale lock over since it was read; only
+    // the lock that was judged stale is replaced, and the replacement is read
+    // back in case another run renamed its own lock over it at the same time
+    if (JSON.stringify(readLock(path)) !== JSON.stringify(held)) continue;
+    writeLockFile(path, lock, true);
+    acquired = isOwnLock(readLock(path), lock);
+  }
+
+  if (!acquired) {
+    throw new Error(`Could not take the run lock ${path}; another run took it first.`);
+  }
+
+  // Agents started by this run inherit the environment
+  process.env[LOCK_PID_ENV] = String(process.pid);
+
+  let released = false;
+  return {
+    path,
+    shared: false,
+    update(fields) {
+      if (released) return;
+      Object.assign(lock, fields);
+      if (!isOwnLock(readLock(path), lock)) {
+        console.error(`Warning: The run lock ${path} is no longer held by this run; not updating it.`);
+        return;
+      }
+      writeLockFile(path, lock, true);
+    },
+    release() {
+      if (released) return;
+      released = true;
+      try {
+        const held = readLock(path);
+        if (isOwnLock(held, lock)) {
+          unlinkSync(path);
+        }
+      } catch (error) {
+        console.error(`Warning: Could not remove the run lock ${path}: ${error.message}`);
+      }
+    }
+  };
+}
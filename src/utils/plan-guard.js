@@ -0,0 +1,195 @@
+/**
+ * Plan Guard
+ *
+ * Saves a plan written by the planner without losing completed work. Before
+ * TASKS.md is replaced, the old and new task trees are compared: a checked
+ * success parameter that is missing from the new plan, or unchecked in it,
+ * is a conflict. With planConflict "refuse" (the default) the new plan is
+ * not saved; with "merge" it is saved with the completed items put back.
+ *
+ * Every save keeps a timestamped copy of the replaced file, and a refused
+ * plan is kept too, both in <stateDir>/backups/. Plans are markdown; for a
+ * tasks file in another format they are converted on the way in and out.
+ */
+
+import { mkdir } from 'node:fs/promises';
+import { basename, join } from 'path';
+import { parseTaskTree, updateTasksFile, setItemsCompleted } from './tasks.js';
+import { DEFAULT_STATE_DIR } from './journal.js';
+
+/**
+ * Supported values of the planConflict setting
+ */
+export const PLAN_CONFLICT_MODES = ['refuse', 'merge'];
+
+// Heading of the section that collects completed tasks a merged plan dropped
+const KEPT_SECTION_HEADING = '## Previously Completed';
+
+/**
+ * Normalizes a checkbox description for matching across plans
+ */
+function normalizeDescription(description) {
+  return description.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Finds checked success parameters of the old plan that the new plan drops or unchecks
+ *
+ * Items are matched by their description, preferring the same task ID, since
+ * item IDs shift when a planner inserts or reorders checkboxes.
+ *
+ * @param {object} before - Tree returned by parseTaskTree for the current file
+ * @param {object} after - Tree returned by parseTaskTree for the new plan
+ * @returns {Array<{item: object, task: object|null, status: string, match: object|null}>}
+ *   Lost items (from `before`); status is "removed" or "unchecked", match is the new plan's item
+ */
+export function findLostWork(before, after) {
+  const byDescription = new Map();
+  for (const item of after.items) {
+    const key = normalizeDescription(item.description);
+    byDescription.set(key, [...(byDescription.get(key) || []), item]);
+  }
+
+  const lost = [];
+  for (const item of before.items.filter(i => i.completed)) {
+    const candidates = byDescription.get(normalizeDescription(item.description)) || [];
+    const sameTask = candidates.filter(candidate => candidate.taskId === item.taskId);
+    const matches = sameTask.length > 0 ? sameTask : candidates;
+
+    if (matches.some(candidate => candidate.completed)) continue;
+
+    lost.push({
+      item,
+      task: item.taskId ? before.tasks.find(task => task.id === item.taskId) || null : null,
+      status: matches.length > 0 ? 'unchecked' : 'removed',
+      match: matches[0] || null
+    });
+  }
+
+  return lost;
+}
+
+/**
+ * Describes lost work, e.g. 'Task 1.1 Init: "Repo created" (removed)'
+ *
+ * @param {Array<object>} lost - Result of findLostWork
+ * @returns {string} One entry per item, separated by "; "
+ */
+export function formatLostWork(lost) {
+  return lost.map(({ item, task, status }) => {
+    const where = task ? `Task ${task.id}${task.title ? ` ${task.title}` : ''}: ` : '';
+    return `${where}"${item.description}" (${status})`;
+  }).join('; ');
+}
+
+/**
+ * Puts lost work back into a new plan
+ *
+ * Unchecked items are checked again. Removed items are added to their task
+ * if the new plan still has it, otherwise to a "Previously Completed"
+ * section at the end, under their old task heading.
+ *
+ * @param {string} content - The new plan
+ * @param {Array<object>} lost - Result of findLostWork
+ * @returns {string} The merged plan
+ */
+export function mergeLostWork(content, lost) {
+  const merged = setItemsCompleted(content, lost.filter(l => l.status === 'unchecked').map(l => l.match.id), true);
+  const removed = lost.filter(l => l.status === 'removed');
+  if (removed.length === 0) return merged;
+
+  const tree = parseTaskTree(merged);
+  const lines = merged.replace(/\n+$/, '').split('\n');
+  const insertions = new Map();
+  const kept = [];
+
+  for (const entry of removed) {
+    const line = `- [x] ${entry.item.description}`;
+    const task = entry.task ? tree.tasks.find(t => t.id === entry.task.id) : null;
+    if (task) {
+      const after = task.criteria.length > 0 ? task.criteria[task.criteria.length - 1].line : task.startLine;
+      insertions.set(after, [...(insertions.get(after) || []), line]);
+    } else {
+      const heading = entry.task ? `### Task ${entry.task.id}: ${entry.task.title}` : null;
+      const group = kept.find(g => g.heading === heading);
+      if (group) {
+        group.lines.push(line);
+      } else {
+        kept.push({ heading, lines: [line] });
+      }
+    }
+  }
+
+  // Insert from the bottom up so earlier line numbers stay valid
+  for (const after of [...insertions.keys()].sort((a, b) => b - a)) {
+    lines.splice(after, 0, ...insertions.get(after));
+  }
+
+  if (kept.length > 0) {
+    lines.push('', KEPT_SECTION_HEADING);
+    for (const group of kept) {
+      lines.push('', ...(group.heading ? [group.heading] : []), ...group.lines);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a copy of a tasks file to <stateDir>/backups/<name>.<timestamp>[.<label>]
+ *
+ * @param {string} filePath - Path of the tasks file
+ * @param {string} content - Content to keep
+ * @param {object} [options]
+ * @param {string} [options.stateDir] - Base state directory (default: .rtf)
+ * @param {string} [options.label] - Suffix, e.g. "rejected"
+ * @returns {Promise<string>} Path of the backup
+ */
+export async function backupTasksFile(filePath, content, { stateDir = DEFAULT_STATE_DIR, label } = {}) {
+  const dir = join(stateDir, 'backups');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const path = join(dir, `${basename(filePath)}.${stamp}${label ? `.${label}` : ''}`);
+
+  await mkdir(dir, { recursive: true });
+  await Bun.write(path, content);
+  return path;
+}
+
+/**
+ * Saves a planner's plan, protecting the completed work in the current file
+ *
+ * @param {string} filePath - Path of the tasks file
+ * @param {string} content - The new plan
+ * @param {object} [options]
+ * @param {string} [options.stateDir] - Base state directory for backups (default: .rtf)
+ * @param {string} [options.planConflict] - "refuse" (default) or "merge"
+ * @param {object} [options.format] - Format of the tasks file (default: markdown)
+ * @returns {Promise<{saved: boolean, lost: Array<object>, merged?: boolean, backup?: string, rejected?: string}>}
+ *   saved is false if the plan was unchanged or refused; lost lists the completed work it dropped
+ * @throws {Error} If a file cannot be written
+ */
+export async function savePlan(filePath, content, { stateDir = DEFAULT_STATE_DIR, planConflict = 'refuse', format } = {}) {
+  // Backups are kept in the file's own format
+  const render = text => format ? format.fromMarkdown(text) : text;
+  let outcome;
+
+  await updateTasksFile(filePath, async (current) => {
+    if (current !== null && current.trim() === content.trim()) {
+      outcome = { saved: false, lost: [] };
+      return null;
+    }
+
+    const lost = current !== null ? findLostWork(parseTaskTree(current), parseTaskTree(content)) : [];
+    if (lost.length > 0 && planConflict !== 'merge') {
+      const rejected = await backupTasksFile(filePath, render(content), { stateDir, label: 'rejected' });
+      outcome = { saved: false, lost, rejected };
+      return null;
+    }
+
+    const backup = current !== null ? await backupTasksFile(filePath, render(current), { stateDir }) : undefined;
+    outcome = { saved: true, lost, merged: lost.length > 0, backup };
+    return lost.length > 0 ? mergeLostWork(content, lost) : content;
+  }, { format });
+
+  return outcome;
+}
@@ -1,13 +1,17 @@
 // Role loading utility
-// Maps role names to role files with case-insensitive matching
+// Maps role names to role files with case-insensitive matching.
+// Built-in roles live in src/roles/; custom roles are loaded from
+// .rtf/roles/ and the "roles" section of .rtfrc.json.
 
+import { readdir } from 'node:fs/promises';
+import { join, resolve, extname, basename } from 'path';
 import manageRole from '../roles/manage.js';
 import planRole from '../roles/plan.js';
 import codeRole from '../roles/code.js';
 import documentRole from '../roles/document.js';
 
-// Valid role names (all lowercase for comparison)
-const VALID_ROLES = ['manage', 'plan', 'code', 'document'];
+// Valid built-in role names (all lowercase for comparison)
+const BUILTIN_ROLES = ['manage', 'plan', 'code', 'document'];
 
 // Map of role names to role prompts
 const ROLE_MAP = {
@@ -17,6 +21,253 @@ const ROLE_MAP = {
   document: documentRole,
 };
 
+// Purpose of each built-in role, as advertised to the manager
+const ROLE_PURPOSES = {
+  manage: 'Manages the project and orchestrates the other agents described here until the project is complete. The manager invokes one sub-agent at a time with an rtf-directive block ({"action": "invoke", "role": ...}), decides the next step from the report it gets when the sub-agent finishes, and signals the project\'s completion with {"action": "complete"}.',
+  plan: 'Clearly defines the project\'s individual tasks in a task list. The task list is usually specified in TASKS.md. Invoke the architect again if the task list needs more work.',
+  code: 'Faithfully follows the task list provided in TASKS.md. The coder writes clean, concise, testable code. The coder writes tests, if possible. When tests pass for a given task, the coder checks off tasks in the task list. Give a taskId to restrict the coder to one task.',
+  document: 'Clearly documents code. Writes documentation in a specific Markdown format. The documentor tries to catch buggy code or bad code style.',
+};
+
+// Custom roles registered at runtime: name -> { prompt, purpose, source }
+const customRoles = new Map();
+
+// Role names must be usable as a --role argument
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Parse simple "key: value" front matter at the top of a markdown role file
+ *
+ * @param {string} text - The file contents
+ * @returns {{attributes: object, body: string}} Front matter attributes and the remaining prompt
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+    if (pair) {
+      attributes[pair[1].toLowerCase()] = pair[2].trim().replace(/^["']|["']$/g, '');
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Load a role definition from a .md or .js file
+ *
+ * Markdown files hold the prompt, with an optional "purpose:" in front matter.
+ * JavaScript files export the prompt as default (or `metaPrompt`) and may
+ * export a `purpose` string.
+ *
+ * @param {string} filePath - Path to the role file
+ * @returns {Promise<{prompt: string, purpose: string|undefined}>} The role definition
+ * @throws {Error} If the file does not define a prompt
+ */
+async function loadRoleFile(filePath) {
+  if (extname(filePath) === '.js') {
+    const roleModule = await import(resolve(filePath));
+    const prompt = typeof roleModule.default === 'string' ? roleModule.default : roleModule.metaPrompt;
+    if (typeof prompt !== 'string') {
+      throw new Error(`Role file ${filePath} must export a prompt string as default or "metaPrompt"`);
+    }
+    return { prompt, purpose: roleModule.purpose };
+  }
+
+  const { attributes, body } = parseFrontMatter(await Bun.file(filePath).text());
+  return { prompt: body, purpose: attributes.purpose || attributes.description };
+}
+
+/**
+ * Normalize a role name for lookup (lowercase, trimmed)
+ *
+ * @param {string} roleName - The role name
+ * @returns {string} The normalized name
+ */
+function normalizeRoleName(roleName) {
+  return roleName.toLowerCase().trim();
+}
+
+/**
+ * Register a custom role
+ *
+ * @param {string} roleName - Role name (e.g. "security-review")
+ * @param {object} definition - Role definition
+ * @param {string} definition.prompt - The role meta-prompt
+ * @param {string} [definition.purpose] - Short description shown to the manager
+ * @param {string} [definition.source] - Where the role was defined (for messages)
+ * @throws {Error} If the name is invalid, clashes with a built-in role, or the prompt is empty
+ */
+export function registerRole(roleName, definition) {
+  if (!roleName || typeof roleName !== 'string') {
+    throw new Error(`Invalid role name: ${roleName}. Role name must be a non-empty string.`);
+  }
+
+  const normalizedRole = normalizeRoleName(roleName);
+
+  if (!ROLE_NAME_REGEX.test(normalizedRole)) {
+    throw new Error(
+      `Invalid role name '${roleName}'. Use letters, digits, '-' and '_', starting with a letter.`
+    );
+  }
+
+  if (BUILTIN_ROLES.includes(normalizedRole)) {
+    throw new Error(`Cannot redefine built-in role '${normalizedRole}'.`);
+  }
+
+  if (!definition || typeof definition.prompt !== 'string' || definition.prompt.trim() === '') {
+    throw new Error(`Custom role '${normalizedRole}' has no prompt.`);
+  }
+
+  customRoles.set(normalizedRole, {
+    prompt: definition.prompt,
+    purpose: definition.purpose || `Custom role '${normalizedRole}'.`,
+    source: definition.source || null
+  });
+}
+
+/**
+ * Remove all registered custom roles
+ */
+export function clearCustomRoles() {
+  customRoles.clear();
+}
+
+/**
+ * Load custom roles from the roles directory and the config file
+ *
+ * Files in <stateDir>/roles/ (default .rtf/roles/) define one role each,
+ * named after the file: security-review.md -> "security-review".
+ * Entries in config.roles with a "prompt" or "promptFile" define roles too;
+ * entries for built-in roles are left for per-role settings.
+ *
+ * Invalid definitions are skipped with a warning so one bad file does not
+ * stop the run.
+ *
+ * @param {object} config - Merged configuration
+ * @returns {Promise<string[]>} Names of the custom roles that were loaded
+ */
+export async function loadCustomRoles(config = {}) {
+  const loaded = [];
+  const rolesDir = join(config.stateDir || '.rtf', 'roles');
+
+  const register = (name, definition) => {
+    try {
+      registerRole(name, definition);
+      loaded.push(normalizeRoleName(name));
+    } catch (error) {
+      console.warn(`Warning: Skipping role from ${definition.source}: ${error.message}`);
+    }
+  };
+
+  let files = [];
+  try {
+    files = (await readdir(rolesDir)).filter(file => ['.md', '.js'].includes(extname(file))).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: Could not read roles directory ${rolesDir}: ${error.message}`);
+    }
+  }
+
+  for (const file of files) {
+    const filePath = join(rolesDir, file);
+    try {
+      const definition = await loadRoleFile(filePath);
+      register(basename(file, extname(file)), { ...definition, source: filePath });
+    } catch (error) {
+      console.warn(`Warning: Skipping role file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const configured = config.roles && typeof config.roles === 'object' ? config.roles : {};
+  for (const [name, entry] of Object.entries(configured)) {
+    if (!entry || typeof entry !== 'object' || (!entry.prompt && !entry.promptFile)) {
+      continue;
+    }
+
+    const source = `${config.configFile || '.rtfrc.json'} (roles.${name})`;
+    try {
+      const definition = entry.promptFile
+        ? await loadRoleFile(entry.promptFile)
+        : { prompt: entry.prompt };
+      register(name, {
+        prompt: definition.prompt,
+        purpose: entry.purpose || definition.purpose,
+        source
+      });
+    } catch (error) {
+      console.warn(`Warning: Skipping role from ${source}: ${error.message}`);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * List all available role names: built-in roles first, then custom roles
+ *
+ * @returns {string[]} Role names
+ */
+export function getRoleNames() {
+  return [...BUILTIN_ROLES, ...customRoles.keys()];
+}
+
+/**
+ * List every available role with where it comes from
+ *
+ * @returns {Array<{name: string, builtin: boolean, source: string|null, purpose: string}>}
+ *   Built-in roles first, then custom roles; source is the file or config
+ *   entry a custom role was loaded from
+ */
+export function listRoles() {
+  return getRoleNames().map(name => {
+    const custom = customRoles.get(name);
+    return {
+      name,
+      builtin: !custom,
+      source: custom ? custom.source : null,
+      purpose: custom ? custom.purpose : ROLE_PURPOSES[name]
+    };
+  });
+}
+
+/**
+ * Check whether a role name refers to a built-in or registered custom role
+ *
+ * @param {string} roleName - The role name (case-insensitive)
+ * @returns {boolean} True if the role can be loaded
+ */
+export function isValidRole(roleName) {
+  if (!roleName || typeof roleName !== 'string') {
+    return false;
+  }
+  return getRoleNames().includes(normalizeRoleName(roleName));
+}
+
+/**
+ * Describe every available role for the manager's "Available Agents" list
+ *
+ * @returns {object} Map of role name -> { purpose, directive }, where directive is
+ *   the rtf-directive object that invokes the role
+ */
+export function getRoleDefinitions() {
+  const definitions = {};
+
+  for (const name of getRoleNames()) {
+    definitions[name] = {
+      purpose: customRoles.has(name) ? customRoles.get(name).purpose : ROLE_PURPOSES[name],
+      directive: { action: 'invoke', role: name }
+    };
+  }
+
+  return definitions;
+}
+
 /**
  * Load a role meta-prompt by name (case-insensitive)
  *
@@ -31,15 +282,17 @@ export function loadRole(roleName) {
   }
 
   // Normalize to lowercase for case-insensitive matching
-  const normalizedRole = roleName.toLowerCase().trim();
+  const normalizedRole = normalizeRoleName(roleName);
 
   // Check if role exists
-  if (!VALID_ROLES.includes(normalizedRole)) {
+  if (!isValidRole(normalizedRole)) {
     throw new Error(
-      `Error: Unknown role '${roleName}'. Available roles: ${VALID_ROLES.join(', ')}`
+      `Error: Unknown role '${roleName}'. Available roles: ${getRoleNames().join(', ')}`
     );
   }
 
   // Return the role prompt
-  return ROLE_MAP[normalizedRole];
+  return customRoles.has(normalizedRole)
+    ? customRoles.get(normalizedRole).prompt
+    : ROLE_MAP[normalizedRole];
 }
@@ -0,0 +1,174 @@
+/**
+ * Claude CLI Stream-JSON Reader
+ *
+ * With outputFormat "stream-json", the Claude CLI writes one JSON message per
+ * line to stdout instead of plain text. This module turns those messages into
+ * protocol events and reassembles the text the agent would have printed in
+ * text mode, so directives and completion signals are detected the same way.
+ *
+ * Claude message               -> Event
+ * assistant: text block        -> {"type":"assistant","agent","message"}
+ * assistant: tool_use block    -> {"type":"tool_use","agent","toolUseId","tool","input"}
+ * user: tool_result block      -> {"type":"tool_result","agent","toolUseId","isError","content"}
+ * result                       -> {"type":"usage","agent","inputTokens","outputTokens",...}
+ *                                 (plus an error event if the result is an error)
+ */
+
+/**
+ * Claude CLI arguments for each value of the outputFormat setting
+ */
+export const OUTPUT_FORMAT_ARGS = {
+  'text': [],
+  'stream-json': ['--print', '--output-format', 'stream-json', '--verbose']
+};
+
+/**
+ * Supported values of the outputFormat setting
+ */
+export const OUTPUT_FORMATS = Object.keys(OUTPUT_FORMAT_ARGS);
+
+// Tool results can be whole files; keep the start so the event log stays small
+const MAX_TOOL_RESULT_CHARS = 2000;
+
+/**
+ * Flattens tool result content (a string or a list of content blocks) to text
+ *
+ * @param {string|Array<object>} content - tool_result content
+ * @returns {string} Text, truncated to MAX_TOOL_RESULT_CHARS
+ */
+function toolResultText(content) {
+  const text = Array.isArray(content)
+    ? content.map(block => block.type === 'text' ? block.text : `[${block.type}]`).join('\n')
+    : String(content ?? '');
+
+  return text.length > MAX_TOOL_RESULT_CHARS
+    ? `${text.slice(0, MAX_TOOL_RESULT_CHARS)}\n[... ${text.length - MAX_TOOL_RESULT_CHARS} more characters ...]`
+    : text;
+}
+
+/**
+ * Builds a usage event from the final result message
+ *
+ * @param {string} agent - Agent role name
+ * @param {object} message - Claude "result" message
+ * @returns {object} Usage event
+ */
+function usageEvent(agent, message) {
+  const usage = message.usage || {};
+  const event = {
+    type: 'usage',
+    agent,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0
+  };
+
+  if (typeof message.total_cost_usd === 'number') {
+    event.costUsd = message.total_cost_usd;
+  }
+  if (typeof message.duration_ms === 'number') {
+    event.durationMs = message.duration_ms;
+  }
+  if (typeof message.num_turns === 'number') {
+    event.numTurns = message.num_turns;
+  }
+
+  return event;
+}
+
+/**
+ * Creates a reader for one agent invocation's stream-json stdout
+ *
+ * @param {string} agent - Agent role name stamped on every event
+ * @returns {{parseLine: Function, getOutput: Function}}
+ *   parseLine(line) returns the events for one stdout line;
+ *   getOutput() returns the reassembled text output
+ */
+export function createStreamJsonReader(agent) {
+  const texts = [];
+  let resultText = null;
+
+  /**
+   * Converts one stdout line into events
+   *
+   * @param {string} line - A line of stdout
+   * @returns {Array<object>} Events (empty for lines that carry none)
+   */
+  function parseLine(line) {
+    if (!line.trim()) {
+      return [];
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      // Not JSON (e.g. a wrapper script's own output) - keep it as text
+      texts.push(line);
+      return [];
+    }
+
+    if (!message || typeof message !== 'object') {
+      return [];
+    }
+
+    const events = [];
+    const content = Array.isArray(message.message?.content) ? message.message.content : [];
+
+    switch (message.type) {
+      case 'assistant':
+        for (const block of content) {
+          if (block.type === 'text' && block.text) {
+            texts.push(block.text);
+            events.push({ type: 'assistant', agent, message: block.text });
+          } else if (block.type === 'tool_use') {
+            events.push({ type: 'tool_use', agent, toolUseId: block.id, tool: block.name, input: block.input ?? {} });
+          }
+        }
+        break;
+      case 'user':
+        for (const block of content) {
+          if (block.type === 'tool_result') {
+            events.push({
+              type: 'tool_result',
+              agent,
+              toolUseId: block.tool_use_id,
+              isError: block.is_error === true,
+              content: toolResultText(block.content)
+            });
+          }
+        }
+        break;
+      case 'result':
+        if (typeof message.result === 'string') {
+          resultText = message.result;
+        }
+        events.push(usageEvent(agent, message));
+        if (message.is_error) {
+          events.push({ type: 'error', agent, error: message.result || `Claude CLI reported ${message.subtype || 'an error'}` });
+        }
+        break;
+      default:
+        // system/init and future message types carry nothing we display
+        break;
+    }
+
+    return events;
+  }
+
+  /**
+   * Returns the text the agent printed: the final result, like text mode,
+   * or every text block if the stream ended before a result arrived
+   *
+   * @returns {string} Reassembled output
+   */
+  function getOutput() {
+    if (resultText !== null) {
+      return resultText.endsWith('\n') ? resultText : `${resultText}\n`;
+    }
+    return texts.length > 0 ? `${texts.join('\n\n')}\n` : '';
+  }
+
+  return { parseLine, getOutput };
+}
@@ -0,0 +1,532 @@
+/**
+ * Task File Formats
+ *
+ * The task model is the markdown task list read by parseTaskTree. Other
+ * formats convert to and from that markdown, so every format feeds the same
+ * tree and agents always see markdown in their prompts:
+ *
+ * - markdown  Checkbox task lists (.md, .markdown)
+ * - json      A task document (.json), see treeToDocument
+ * - yaml      The same document as YAML (.yaml, .yml)
+ * - csv       One row per success parameter (.csv)
+ * - mermaid   A flowchart of phases, tasks and dependencies (.mmd, .mermaid),
+ *             with the task list embedded in comments so it can be read back
+ *
+ * A tasks file's format is config.tasksFormat if set, otherwise it follows
+ * the file extension. registerTaskFormat adds formats.
+ */
+
+import { extname } from 'path';
+import { readTasksFile, parseTaskTree } from './tasks.js';
+
+// Registered formats by name, in registration order
+const formats = new Map();
+
+// IDs that parseTaskTree reads back from "Phase <id>" and "Task <id>" headings
+const ID_REGEX = /^\d+(?:\.\d+)*$/;
+
+/**
+ * Registers a task file format
+ *
+ * @param {object} format
+ * @param {string} format.name - Name used by tasksFormat and --from/--to
+ * @param {string[]} format.extensions - File extensions, e.g. [".json"]
+ * @param {Function} format.toMarkdown - Converts file content to a markdown task list
+ * @param {Function} format.fromMarkdown - Converts a markdown task list to file content
+ * @throws {Error} If the format is incomplete
+ */
+export function registerTaskFormat(format) {
+  if (!format || typeof format.name !== 'string' || !format.name) {
+    throw new Error('A task format needs a name');
+  }
+  if (typeof format.toMarkdown !== 'function' || typeof format.fromMarkdown !== 'function') {
+    throw new Error(`Task format '${format.name}' needs toMarkdown and fromMarkdown functions`);
+  }
+  formats.set(format.name.toLowerCase(), { extensions: [], ...format });
+}
+
+/**
+ * Returns the names of the registered task formats
+ *
+ * @returns {string[]} Format names
+ */
+export function getTaskFormatNames() {
+  return [...formats.keys()];
+}
+
+/**
+ * Looks up a task format by name
+ *
+ * @param {string} name - Format name (case-insensitive)
+ * @returns {object} The format
+ * @throws {Error} If no such format is registered
+ */
+export function getTaskFormat(name) {
+  const format = formats.get(String(name).toLowerCase());
+  if (!format) {
+    throw new Error(`Unknown tasks format '${name}'. Use one of: ${getTaskFormatNames().join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Picks the format of a file from its extension (markdown if none matches)
+ *
+ * @param {string} filePath - Path of the tasks file
+ * @returns {object} The format
+ */
+export function detectTaskFormat(filePath) {
+  const extension = extname(filePath || '').toLowerCase();
+  for (const format of formats.values()) {
+    if (format.extensions.includes(extension)) return format;
+  }
+  return formats.get('markdown');
+}
+
+/**
+ * Resolves the format of a tasks file
+ *
+ * @param {string} filePath - Path of the tasks file
+ * @param {string} [name] - Configured format (config.tasksFormat); the extension decides if unset
+ * @returns {object} The format
+ * @throws {Error} If the configured format is unknown
+ */
+export function resolveTaskFormat(filePath, name) {
+  return name ? getTaskFormat(name) : detectTaskFormat(filePath);
+}
+
+/**
+ * Reads a tasks file in any format as a markdown task list
+ *
+ * @param {string} filePath - Path of the tasks file
+ * @param {object} [format] - Its format (default: by extension)
+ * @returns {Promise<string>} Markdown task list
+ * @throws {Error} If the file cannot be read or is not valid in its format
+ */
+export async function readTasksMarkdown(filePath, format = detectTaskFormat(filePath)) {
+  return format.toMarkdown(await readTasksFile(filePath));
+}
+
+/**
+ * Converts task file content from one format to another
+ *
+ * @param {string} content - Content in the `from` format
+ * @param {object} from - Source format
+ * @param {object} to - Target format
+ * @returns {string} Content in the `to` format
+ * @throws {Error} If the content is not valid in the source format
+ */
+export function convertTasks(content, from, to) {
+  return to.fromMarkdown(from.toMarkdown(content));
+}
+
+/**
+ * Converts a task tree to a plain task document (the JSON/YAML format)
+ *
+ * { title, items: [loose checkboxes], tasks: [tasks outside phases],
+ *   phases: [{ id, title, tasks }] }, where a task is
+ * { id, title, description?, dependsOn?, criteria: [{ description, done }] }
+ *
+ * @param {object} tree - Tree returned by parseTaskTree
+ * @returns {object} The document (empty sections are left out)
+ */
+export function treeToDocument(tree) {
+  const item = (entry) => ({ description: entry.description, done: entry.completed });
+  const task = (entry) => ({
+    id: entry.id,
+    title: entry.title,
+    ...(entry.description ? { description: entry.description } : {}),
+    ...(entry.dependsOn.length > 0 ? { dependsOn: [...entry.dependsOn] } : {}),
+    criteria: entry.criteria.map(item)
+  });
+
+  const items = tree.items.filter(entry => entry.taskId === null).map(item);
+  const tasks = tree.tasks.filter(entry => entry.phaseId === null).map(task);
+
+  return {
+    ...(tree.title ? { title: tree.title } : {}),
+    ...(items.length > 0 ? { items } : {}),
+    ...(tasks.length > 0 ? { tasks } : {}),
+    ...(tree.phases.length > 0
+      ? { phases: tree.phases.map(phase => ({ id: phase.id, title: phase.title, tasks: phase.tasks.map(task) })) }
+      : {})
+  };
+}
+
+/**
+ * Returns a document section as an array, rejecting anything else
+ */
+function documentList(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`"${name}" must be a list`);
+  }
+  return value;
+}
+
+/**
+ * Formats an ID for a heading, rejecting IDs parseTaskTree would not read back
+ */
+function headingId(id, kind) {
+  if (id === undefined || id === null || id === '') return '';
+  const text = String(id).trim();
+  if (!ID_REGEX.test(text)) {
+    throw new Error(`Invalid ${kind} ID '${id}'. Use numbers such as 1 or 1.2`);
+  }
+  return ` ${text}`;
+}
+
+/**
+ * Collapses text to a single line
+ */
+function singleLine(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Formats a document checkbox ("text" or { description, done })
+ */
+function checkboxLine(entry) {
+  const description = singleLine(typeof entry === 'object' && entry !== null ? entry.description : entry);
+  if (!description) {
+    throw new Error('Every success parameter needs a description');
+  }
+  return `- [${entry?.done === true ? 'x' : ' '}] ${description}`;
+}
+
+/**
+ * Converts a task document (see treeToDocument) to a markdown task list
+ *
+ * @param {object} doc - The document
+ * @returns {string} Markdown task list
+ * @throws {Error} If the document is malformed
+ */
+export function documentToMarkdown(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('expected an object with "phases", "tasks" or "items"');
+  }
+
+  const lines = [];
+  if (doc.title) {
+    lines.push(`# ${singleLine(doc.title)}`, '');
+  }
+
+  const items = documentList(doc.items, 'items');
+  if (items.length > 0) {
+    lines.push(...items.map(checkboxLine), '');
+  }
+
+  const pushTask = (task) => {
+    if (!task || typeof task !== 'object') {
+      throw new Error('Every task must be an object');
+    }
+    const title = singleLine(task.title);
+    lines.push(`### Task${headingId(task.id, 'task')}${title ? `: ${title}` : ''}`);
+    if (task.description) {
+      lines.push(`**Description**: ${singleLine(task.description)}`);
+    }
+    const dependsOn = documentList(task.dependsOn, 'dependsOn');
+    if (dependsOn.length > 0) {
+      lines.push(`**Depends on**: ${dependsOn.join(', ')}`);
+    }
+    lines.push(...documentList(task.criteria, 'criteria').map(checkboxLine), '');
+  };
+
+  documentList(doc.tasks, 'tasks').forEach(pushTask);
+
+  for (const phase of documentList(doc.phases, 'phases')) {
+    if (!phase || typeof phase !== 'object') {
+      throw new Error('Every phase must be an object');
+    }
+    const title = singleLine(phase.title);
+    lines.push(`## Phase${headingId(phase.id, 'phase')}${title ? `: ${title}` : ''}`, '');
+    documentList(phase.tasks, 'tasks').forEach(pushTask);
+  }
+
+  return `${lines.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+/**
+ * Parses a JSON or YAML task document, naming the format in errors
+ */
+function parseDocument(content, parse, formatName) {
+  let doc;
+  try {
+    doc = parse(content);
+  } catch (error) {
+    throw new Error(`Invalid ${formatName}: ${error.message}`);
+  }
+  try {
+    return documentToMarkdown(doc);
+  } catch (error) {
+    throw new Error(`Invalid ${formatName} task document: ${error.message}`);
+  }
+}
+
+// CSV columns, one row per success parameter
+const CSV_COLUMNS = ['phase', 'phase_title', 'task', 'task_title', 'description', 'depends_on', 'item', 'done'];
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting), skipping blank rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Quotes a CSV field if needed
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts CSV rows (with a header of CSV_COLUMNS) to a markdown task list
+ */
+function csvToMarkdown(content) {
+  const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+  if (!header) return '';
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('item') && !columns.includes('task') && !columns.includes('task_title')) {
+    throw new Error(`Invalid CSV: the header must name the columns ${CSV_COLUMNS.join(', ')}`);
+  }
+
+  const doc = { items: [], tasks: [], phases: [] };
+  const phases = new Map();
+  const tasks = new Map();
+
+  for (const cells of rows) {
+    const row = Object.fromEntries(columns.map((name, index) => [name, (cells[index] || '').trim()]));
+    const item = row.item ? { description: row.item, done: /^(x|yes|true|1)$/i.test(row.done || '') } : null;
+
+    let phase = null;
+    if (row.phase || row.phase_title) {
+      const key = row.phase || row.phase_title;
+      phase = phases.get(key);
+      if (!phase) {
+        phase = { id: row.phase, title: row.phase_title, tasks: [] };
+        phases.set(key, phase);
+        doc.phases.push(phase);
+      }
+    }
+
+    if (!row.task && !row.task_title) {
+      if (item) doc.items.push(item);
+      continue;
+    }
+
+    const key = `${phase ? phase.id || phase.title : ''}|${row.task || row.task_title}`;
+    let task = tasks.get(key);
+    if (!task) {
+      task = {
+        id: row.task,
+        title: row.task_title,
+        description: row.description,
+        dependsOn: (row.depends_on || '').split(/[,\s]+/).filter(Boolean),
+        criteria: []
+      };
+      tasks.set(key, task);
+      (phase ? phase.tasks : doc.tasks).push(task);
+    }
+    if (item) task.criteria.push(item);
+  }
+
+  return documentToMarkdown(doc);
+}
+
+/**
+ * Converts a markdown task list to CSV rows
+ */
+function markdownToCsv(markdown) {
+  const tree = parseTaskTree(markdown);
+  const rows = [CSV_COLUMNS];
+  const done = (entry) => entry.completed ? 'x' : '';
+
+  for (const entry of tree.items.filter(i => i.taskId === null)) {
+    rows.push(['', '', '', '', '', '', entry.description, done(entry)]);
+  }
+
+  const taskRows = (task, phase) => {
+    const columns = [phase?.id || '', phase?.title || '', task.id, task.title, task.description || '', task.dependsOn.join(', ')];
+    if (task.criteria.length === 0) {
+      rows.push([...columns, '', '']);
+    }
+    for (const entry of task.criteria) {
+      rows.push([...columns, entry.description, done(entry)]);
+    }
+  };
+
+  tree.tasks.filter(task => task.phaseId === null).forEach(task => taskRows(task, null));
+  for (const phase of tree.phases) {
+    if (phase.tasks.length === 0) {
+      rows.push([phase.id, phase.title, '', '', '', '', '', '']);
+    }
+    phase.tasks.forEach(task => taskRows(task, phase));
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Comment line after which a Mermaid file carries its task list
+const MERMAID_SOURCE_MARKER = '%% rtf:tasks';
+
+/**
+ * Makes a Mermaid node ID from a phase or task ID
+ */
+function mermaidNode(kind, id) {
+  return `${kind}_${String(id).replace(/[^A-Za-z0-9]/g, '_')}`;
+}
+
+/**
+ * Escapes a Mermaid node label
+ */
+function mermaidLabel(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Draws a markdown task list as a Mermaid flowchart, embedding the list
+ */
+function markdownToMermaid(markdown) {
+  const tree = parseTaskTree(markdown);
+  const lines = [];
+  if (tree.title) {
+    lines.push(`%% ${tree.title}`);
+  }
+  lines.push('flowchart TD');
+
+  const taskNode = (task, indent) => {
+    const checked = task.criteria.filter(c => c.completed).length;
+    lines.push(`${indent}${mermaidNode('task', task.id)}[${mermaidLabel(`${task.id} ${task.title} (${checked}/${task.criteria.length})`)}]`);
+  };
+
+  tree.tasks.filter(task => task.phaseId === null).forEach(task => taskNode(task, '  '));
+  for (const phase of tree.phases) {
+    lines.push(`  subgraph ${mermaidNode('phase', phase.id)}[${mermaidLabel(`Phase ${phase.id}: ${phase.title}`)}]`);
+    phase.tasks.forEach(task => taskNode(task, '    '));
+    lines.push('  end');
+  }
+
+  // An edge points from a prerequisite to the task waiting for it
+  const phaseIds = new Set(tree.phases.map(phase => phase.id));
+  const taskIds = new Set(tree.tasks.map(task => task.id));
+  for (const task of tree.tasks) {
+    for (const dependency of task.dependsOn) {
+      const from = taskIds.has(dependency) ? mermaidNode('task', dependency)
+        : phaseIds.has(dependency) ? mermaidNode('phase', dependency)
+        : null;
+      if (from) {
+        lines.push(`  ${from} --> ${mermaidNode('task', task.id)}`);
+      }
+    }
+  }
+
+  const done = [
+    ...tree.phases.filter(phase => phase.completed).map(phase => mermaidNode('phase', phase.id)),
+    ...tree.tasks.filter(task => task.completed).map(task => mermaidNode('task', task.id))
+  ];
+  if (done.length > 0) {
+    lines.push('  classDef done fill:#d4edda,stroke:#2e7d32', `  class ${done.join(',')} done`);
+  }
+
+  lines.push(MERMAID_SOURCE_MARKER);
+  for (const line of markdown.replace(/\n+$/, '').split('\n')) {
+    lines.push(line ? `%% ${line}` : '%%');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Reads the task list embedded in a Mermaid file written by markdownToMermaid
+ */
+function mermaidToMarkdown(content) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() === MERMAID_SOURCE_MARKER);
+  if (start === -1) {
+    throw new Error(`This Mermaid file has no embedded task list ("${MERMAID_SOURCE_MARKER}"); only diagrams exported by ralph-thinks-first can be read back`);
+  }
+
+  const markdown = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.startsWith('%%')) break;
+    markdown.push(line.replace(/^%% ?/, ''));
+  }
+  return `${markdown.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+registerTaskFormat({
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  toMarkdown: content => content,
+  fromMarkdown: markdown => markdown
+});
+
+registerTaskFormat({
+  name: 'json',
+  extensions: ['.json'],
+  toMarkdown: content => parseDocument(content, JSON.parse, 'JSON'),
+  fromMarkdown: markdown => `${JSON.stringify(treeToDocument(parseTaskTree(markdown)), null, 2)}\n`
+});
+
+registerTaskFormat({
+  name: 'yaml',
+  extensions: ['.yaml', '.yml'],
+  toMarkdown: content => parseDocument(content, text => Bun.YAML.parse(text) ?? {}, 'YAML'),
+  fromMarkdown: markdown => `${Bun.YAML.stringify(treeToDocument(parseTaskTree(markdown)), null, 2).replace(/\n*$/, '')}\n`
+});
+
+registerTaskFormat({
+  name: 'csv',
+  extensions: ['.csv'],
+  toMarkdown: csvToMarkdown,
+  fromMarkdown: markdownToCsv
+});
+
+registerTaskFormat({
+  name: 'mermaid',
+  extensions: ['.mmd', '.mermaid'],
+  toMarkdown: mermaidToMarkdown,
+  fromMarkdown: markdownToMermaid
+});
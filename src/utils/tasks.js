@@ -1,5 +1,7 @@
 // TASKS.md file reader and parser utilities
 
+import { rename, unlink } from 'node:fs/promises';
+
 /**
  * Read a TASKS.md file and return its contents as a string
  *
@@ -32,35 +34,313 @@ export async function readTasksFile(filePath) {
   }
 }
 
+// Matches markdown checkboxes: - [ ] or - [x]
+// Supports indentation (spaces or tabs)
+const CHECKBOX_REGEX = /^(\s*)-\s*\[([ xX])\]\s*(.+)$/;
+
+// Matches markdown headings: ## Heading text
+// A closing run of #s only counts after whitespace, so "Port to C#" keeps its #
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+
+// Matches "Phase 1: Title" and "Task 1.2: Title" heading text
+// (the number is optional; unnumbered headings are identified by position)
+const PHASE_HEADING_REGEX = /^Phase\b(?:\s+(\d+(?:\.\d+)*))?\s*(?:[:.\-\u2013\u2014]\s*)?(.*)$/i;
+const TASK_HEADING_REGEX = /^Task\b(?:\s+(\d+(?:\.\d+)*))?\s*(?:[:.\-\u2013\u2014]\s*)?(.*)$/i;
+
+// Matches "**Description**: text" lines inside a task
+const DESCRIPTION_REGEX = /^\s*\*\*Description\*\*\s*:\s*(.+)$/i;
+
+// Matches "depends: 1.1, 1.3" lines inside a task (optionally bold or bulleted)
+const DEPENDS_REGEX = /^\s*(?:[-*]\s+)?(?:\*\*)?depends(?:\s+on)?(?:\*\*)?\s*:\s*(?:\*\*)?\s*(.+)$/i;
+
 /**
- * Parse TASKS.md content and extract task items
+ * Returns an ID that is not already taken, suffixing duplicates with -2, -3, ...
+ *
+ * @param {string} id - The preferred ID
+ * @param {Set<string>} taken - IDs already in use (updated in place)
+ * @returns {string} A unique ID
+ */
+function uniqueId(id, taken) {
+  let candidate = id;
+  let suffix = 2;
+  while (taken.has(candidate)) {
+    candidate = `${id}-${suffix}`;
+    suffix++;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Parse TASKS.md content into a hierarchical task model
+ *
+ * Recognizes the structure generated by the plan role:
+ *
+ *   ## Phase 1: Setup              -> phase "1"
+ *   ### Task 1.2: Configure Build  -> task "1.2"
+ *   depends: 1.1                   -> task 1.2 waits for task 1.1
+ *   - [ ] Build script added       -> success parameter "1.2:1"
+ *
+ * IDs are derived from the heading numbers so they stay stable when tasks are
+ * reordered or reworded. Headings without a number fall back to their
+ * position. Checkboxes outside any task heading are kept as loose items with
+ * IDs "#1", "#2", ... so flat task lists still work. Line numbers are 1-based
+ * and ranges are inclusive.
  *
  * @param {string} content - The raw markdown content
- * @returns {Array<{completed: boolean, description: string}>} Array of parsed tasks
+ * @returns {{title: string|null, phases: Array<object>, tasks: Array<object>, items: Array<object>}}
+ *   The parsed tree: phases contain tasks, tasks contain success parameters
+ *   (`criteria`), and `tasks`/`items` list every task and checkbox in file order
  */
-export function parseTasksFile(content) {
+export function parseTaskTree(content) {
+  const tree = { title: null, phases: [], tasks: [], items: [] };
+
   // Handle null/undefined
   if (!content) {
-    return [];
+    return tree;
   }
 
-  const tasks = [];
   const lines = content.split('\n');
+  const phaseIds = new Set();
+  const taskIds = new Set();
+  let currentPhase = null;
+  let currentTask = null;
+  let looseCount = 0;
+
+  const closeTask = (endLine) => {
+    if (currentTask) {
+      currentTask.endLine = endLine;
+      currentTask = null;
+    }
+  };
+
+  const closePhase = (endLine) => {
+    closeTask(endLine);
+    if (currentPhase) {
+      currentPhase.endLine = endLine;
+      currentPhase = null;
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+      const level = heading[1].length;
+      const text = heading[2].trim();
+
+      if (level === 1 && tree.title === null) {
+        tree.title = text;
+      }
+
+      // Any heading at or above the current task's level ends that task,
+      // and likewise for the current phase
+      if (currentTask && level <= currentTask.level) {
+        closeTask(lineNumber - 1);
+      }
+      if (currentPhase && level <= currentPhase.level) {
+        closePhase(lineNumber - 1);
+      }
+
+      const phaseMatch = text.match(PHASE_HEADING_REGEX);
+      const taskMatch = text.match(TASK_HEADING_REGEX);
+
+      if (phaseMatch) {
+        currentPhase = {
+          id: uniqueId(phaseMatch[1] || String(tree.phases.length + 1), phaseIds),
+          title: phaseMatch[2].trim() || text,
+          heading: text,
+          level,
+          startLine: lineNumber,
+          endLine: lines.length,
+          tasks: [],
+          completed: false
+        };
+        tree.phases.push(currentPhase);
+      } else if (taskMatch) {
+        const phaseTaskCount = currentPhase ? currentPhase.tasks.length : tree.tasks.length;
+        const fallbackId = currentPhase
+          ? `${currentPhase.id}.${phaseTaskCount + 1}`
+          : String(phaseTaskCount + 1);
+        currentTask = {
+          id: uniqueId(taskMatch[1] || fallbackId, taskIds),
+          title: taskMatch[2].trim() || text,
+          heading: text,
+          description: null,
+          dependsOn: [],
+          phaseId: currentPhase ? currentPhase.id : null,
+          level,
+          startLine: lineNumber,
+          endLine: lines.length,
+          criteria: [],
+          completed: false
+        };
+        tree.tasks.push(currentTask);
+        if (currentPhase) {
+          currentPhase.tasks.push(currentTask);
+        }
+      }
+      return;
+    }
+
+    const checkbox = line.match(CHECKBOX_REGEX);
+    if (checkbox) {
+      const item = {
+        id: null,
+        taskId: currentTask ? currentTask.id : null,
+        completed: checkbox[2].toLowerCase() === 'x',
+        description: checkbox[3].trim(),
+        line: lineNumber,
+        indent: checkbox[1].length
+      };
+      if (currentTask) {
+        currentTask.criteria.push(item);
+        item.id = `${currentTask.id}:${currentTask.criteria.length}`;
+      } else {
+        looseCount++;
+        item.id = `#${looseCount}`;
+      }
+      tree.items.push(item);
+      return;
+    }
+
+    if (currentTask) {
+      const depends = line.match(DEPENDS_REGEX);
+      if (depends) {
+        const ids = depends[1]
+          .split(/[,\s]+/)
+          .map(id => id.replace(/^(?:task|phase)$/i, '').replace(/[.;*]+$/, '').trim())
+          .filter(id => id && id.toLowerCase() !== 'none');
+        currentTask.dependsOn.push(...ids);
+        return;
+      }
+
+      if (currentTask.description === null) {
+        const description = line.match(DESCRIPTION_REGEX);
+        if (description) {
+          currentTask.description = description[1].trim();
+        }
+      }
+    }
+  });
+
+  closePhase(lines.length);
+
+  // A task is complete once all of its success parameters are checked;
+  // a phase once all of its tasks are
+  for (const task of tree.tasks) {
+    task.completed = task.criteria.length > 0 && task.criteria.every(c => c.completed);
+  }
+  for (const phase of tree.phases) {
+    phase.completed = phase.tasks.length > 0 && phase.tasks.every(t => t.completed);
+  }
+
+  return tree;
+}
+
+/**
+ * Find a phase, task or checkbox in a parsed task tree by its ID
+ *
+ * @param {object} tree - Tree returned by parseTaskTree
+ * @param {string} id - Phase ID ("1"), task ID ("1.2") or item ID ("1.2:3")
+ * @returns {object|null} The matching node, or null if not found
+ */
+export function findTaskNode(tree, id) {
+  if (!tree || id === undefined || id === null) {
+    return null;
+  }
+
+  const key = String(id).trim();
+  return tree.tasks.find(t => t.id === key)
+    || tree.phases.find(p => p.id === key)
+    || tree.items.find(i => i.id === key)
+    || null;
+}
+
+/**
+ * List the tasks whose dependencies are satisfied and that are not yet complete
+ *
+ * A dependency may name a task ("1.2") or a whole phase ("1"); it is satisfied
+ * once that task or phase is complete. Dependencies on unknown IDs are never
+ * satisfied, so a typo blocks the task instead of letting it run too early.
+ *
+ * @param {object} tree - Tree returned by parseTaskTree
+ * @param {Iterable<string>} [exclude] - Task IDs to leave out (e.g. already running)
+ * @returns {Array<object>} Ready tasks in file order
+ */
+export function getReadyTasks(tree, exclude = []) {
+  if (!tree) {
+    return [];
+  }
+
+  const excluded = new Set(exclude);
+  const isSatisfied = (id) => {
+    const node = tree.tasks.find(t => t.id === id) || tree.phases.find(p => p.id === id);
+    return Boolean(node && node.completed);
+  };
+
+  return tree.tasks.filter(task =>
+    !task.completed &&
+    task.criteria.length > 0 &&
+    !excluded.has(task.id) &&
+    task.dependsOn.every(isSatisfied)
+  );
+}
+
+/**
+ * Compare two parsed task trees and report what was checked off in between
+ *
+ * Checkboxes and tasks are matched by ID and only count if they already
+ * existed, unchecked, in the earlier tree; new or reworded items are not
+ * progress.
+ *
+ * @param {object} before - Tree returned by parseTaskTree, before the change
+ * @param {object} after - Tree returned by parseTaskTree, after the change
+ * @returns {{checkedItems: Array<object>, completedTasks: Array<object>}} Newly checked items and newly completed tasks (from `after`)
+ */
+export function diffTaskTrees(before, after) {
+  const uncheckedItems = new Set(before.items.filter(i => !i.completed).map(i => i.id));
+  const openTasks = new Set(before.tasks.filter(t => !t.completed).map(t => t.id));
 
-  // Regex to match markdown checkboxes: - [ ] or - [x]
-  // Supports indentation (spaces or tabs)
-  const checkboxRegex = /^\s*-\s*\[([ xX])\]\s*(.+)$/;
+  return {
+    checkedItems: after.items.filter(i => i.completed && uncheckedItems.has(i.id)),
+    completedTasks: after.tasks.filter(t => t.completed && openTasks.has(t.id))
+  };
+}
 
-  for (const line of lines) {
-    const match = line.match(checkboxRegex);
-    if (match) {
-      const completed = match[1].toLowerCase() === 'x';
-      const description = match[2].trim();
-      tasks.push({ completed, description });
+/**
+ * Check or uncheck checkboxes by ID, leaving the rest of the content untouched
+ *
+ * @param {string} content - The raw markdown content
+ * @param {Iterable<string>} itemIds - Item IDs ("1.2:3") to change
+ * @param {boolean} completed - Whether the items should end up checked
+ * @returns {string} The updated content
+ */
+export function setItemsCompleted(content, itemIds, completed) {
+  const ids = new Set(itemIds);
+  const lines = content.split('\n');
+
+  for (const item of parseTaskTree(content).items) {
+    if (ids.has(item.id)) {
+      lines[item.line - 1] = lines[item.line - 1].replace(/\[[ xX]\]/, completed ? '[x]' : '[ ]');
     }
   }
 
-  return tasks;
+  return lines.join('\n');
+}
+
+/**
+ * Parse TASKS.md content and extract task items
+ *
+ * Returns every checkbox in file order. Each item carries its stable ID and
+ * the ID of the task it belongs to (see parseTaskTree for the full model).
+ *
+ * @param {string} content - The raw markdown content
+ * @returns {Array<{id: string, taskId: string|null, completed: boolean, description: string, line: number, indent: number}>} Array of parsed tasks
+ */
+export function parseTasksFile(content) {
+  return parseTaskTree(content).items;
 }
 
 /**
@@ -88,9 +368,55 @@ export function extractTasksContent(response) {
   return content;
 }
 
+// A fenced block tagged rtf-progress (``` or ~~~ fences)
+const PROGRESS_BLOCK_PATTERN = /^[ \t]*(```|~~~)[ \t]*rtf-progress[ \t]*\r?\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm;
+
+/**
+ * Extract the checkboxes a parallel coder reports as done
+ *
+ * Parallel coders leave the tasks file alone and end their response with
+ *
+ *   ```rtf-progress
+ *   {"completed": ["1.2:1", "1.2:3"]}
+ *   ```
+ *
+ * The last block counts.
+ *
+ * @param {string} response - The full response text
+ * @returns {string[]|null} Reported item IDs, or null if there is no block
+ * @throws {Error} If the block is not a JSON object with a "completed" list of item IDs
+ */
+export function extractCompletedItems(response) {
+  if (!response || typeof response !== 'string') {
+    return null;
+  }
+
+  const blocks = [...response.matchAll(PROGRESS_BLOCK_PATTERN)];
+  if (blocks.length === 0) {
+    return null;
+  }
+
+  let report;
+  try {
+    report = JSON.parse(blocks[blocks.length - 1][2]);
+  } catch (error) {
+    throw new Error(`The rtf-progress block is not valid JSON: ${error.message}`);
+  }
+
+  const completed = report && typeof report === 'object' ? report.completed : undefined;
+  if (!Array.isArray(completed) || !completed.every(id => typeof id === 'string' || typeof id === 'number')) {
+    throw new Error('The rtf-progress block must be an object with a "completed" list of item IDs');
+  }
+
+  return completed.map(id => String(id).trim());
+}
+
 /**
  * Write content to a TASKS.md file
  *
+ * The content is written to a temporary file next to it and renamed over
+ * the tasks file, so a crash never leaves a truncated file behind.
+ *
  * @param {string} filePath - Path to the tasks file
  * @param {string} content - Content to write
  * @throws {Error} If file path is invalid or write fails
@@ -104,9 +430,51 @@ export async function writeTasksFile(filePath, content) {
     throw new Error('Content cannot be null or undefined');
   }
 
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
   try {
-    await Bun.write(filePath, content);
+    await Bun.write(tempPath, content);
+    await rename(tempPath, filePath);
   } catch (error) {
+    await unlink(tempPath).catch(() => {});
     throw new Error(`Failed to write task file ${filePath}: ${error.message}`);
   }
 }
+
+// Read-modify-write updates are chained so this process never interleaves two.
+// Agents are separate processes that edit the file themselves and are not
+// covered; the orchestrator only updates it while no agent is running.
+let updateQueue = Promise.resolve();
+
+/**
+ * Reads, changes and writes the tasks file, one update at a time
+ *
+ * Updates are only ordered within this process: an agent that writes the
+ * file between the read and the write has its change overwritten.
+ *
+ * For a file in another format (see utils/task-formats.js), update works on
+ * its markdown rendering and the result is converted back.
+ *
+ * @param {string} filePath - Path to the tasks file
+ * @param {Function} update - Receives the content (null if the file does not exist) and
+ *   returns the new content, or null/undefined to leave the file alone; may be async
+ * @param {object} [options]
+ * @param {object} [options.format] - Format of the file (default: markdown as is)
+ * @returns {Promise<string|null|undefined>} What update returned
+ * @throws {Error} If the file cannot be read, converted or written, or update throws
+ */
+export function updateTasksFile(filePath, update, { format } = {}) {
+  const apply = async () => {
+    const file = Bun.file(filePath);
+    const raw = await file.exists() ? await file.text() : null;
+    const content = raw !== null && format ? format.toMarkdown(raw) : raw;
+    const updated = await update(content);
+    if (updated !== null && updated !== undefined && updated !== content) {
+      await writeTasksFile(filePath, format ? format.fromMarkdown(updated) : updated);
+    }
+    return updated;
+  };
+
+  const result = updateQueue.then(apply, apply);
+  updateQueue = result.catch(() => {});
+  return result;
+}
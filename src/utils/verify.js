@@ -0,0 +1,72 @@
+/**
+ * Verification Gate
+ *
+ * Runs the project's configured verify command (e.g. "bun test") after a
+ * coder checks off success parameters. A failing command means the boxes
+ * are not accepted: the orchestrator unchecks them and hands the output
+ * back to the coder.
+ */
+
+// Keep the end of the output, where test runners print failures and summaries
+const MAX_OUTPUT_LINES = 200;
+const MAX_OUTPUT_CHARS = 8000;
+
+/**
+ * Shortens command output to its last lines
+ *
+ * @param {string} output - Full command output
+ * @returns {string} The tail of the output, marked if anything was cut
+ */
+export function tailOutput(output) {
+  const lines = output.trimEnd().split('\n');
+  let text = lines.slice(-MAX_OUTPUT_LINES).join('\n');
+  if (text.length > MAX_OUTPUT_CHARS) {
+    text = text.slice(-MAX_OUTPUT_CHARS);
+  }
+  return text.length < output.trimEnd().length ? `[... output truncated ...]\n${text}` : text;
+}
+
+/**
+ * Runs the verify command through the shell
+ *
+ * @param {string} command - Shell command, e.g. "bun test"
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory (default: current directory)
+ * @returns {Promise<{passed: boolean, exitCode: number, output: string}>} Result with combined stdout/stderr
+ */
+export async function runVerifyCommand(command, { cwd } = {}) {
+  let proc;
+  try {
+    proc = Bun.spawn(['sh', '-c', command], { cwd, stdout: 'pipe', stderr: 'pipe' });
+  } catch (error) {
+    return { passed: false, exitCode: -1, output: `Could not run verify command: ${error.message}` };
+  }
+
+  const [stdout, stderr, exitCode] = await Promise.all([
+    new Response(proc.stdout).text(),
+    new Response(proc.stderr).text(),
+    proc.exited
+  ]);
+
+  return { passed: exitCode === 0, exitCode, output: [stdout, stderr].filter(Boolean).join('\n') };
+}
+
+/**
+ * Builds the continuation prompt telling the coder why its boxes were unchecked
+ *
+ * @param {string} command - The verify command
+ * @param {{exitCode: number, output: string}} verification - Result of runVerifyCommand
+ * @param {Array<object>} revertedItems - Items that were unchecked
+ * @returns {string} Continuation prompt
+ */
+export function formatVerifyFailure(command, verification, revertedItems) {
+  const items = revertedItems.map(item => `- ${item.id}: ${item.description}`).join('\n');
+
+  return `\n\n--- VERIFICATION FAILED ---\n` +
+    `Command: ${command}\n` +
+    `Exit Code: ${verification.exitCode}\n` +
+    `These success parameters were unchecked because verification failed:\n${items}\n\n` +
+    `Output:\n${tailOutput(verification.output)}\n` +
+    `--- END VERIFICATION FAILED ---\n\n` +
+    `Fix the failures and make sure \`${command}\` passes before checking these boxes again.\n`;
+}
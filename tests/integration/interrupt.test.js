@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { writeFileSync, readFileSync, existsSync, readdirSync, chmodSync } from "node:fs";
+
+/**
+ * Integration Test: Ctrl-C
+ *
+ * Runs the CLI against a fake Claude CLI that starts a background process,
+ * interrupts it with SIGINT and checks that the agent's whole process tree
+ * is gone, the run is marked interrupted and the resume command is printed.
+ */
+
+const CLI = join(import.meta.dir, "../../src/index.js");
+const TASKS = "# Tasks\n\n### Task 1: Build it\n- [ ] It works\n";
+
+describe("Interrupting a run", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-interrupt-"));
+    writeFileSync(join(dir, "TASKS.md"), TASKS);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Starts the CLI with a fake Claude CLI running the given shell script,
+   * and resolves once the fake agent wrote its child's PID
+   */
+  async function startRun(script, env = {}) {
+    const claude = join(dir, "fake-claude.sh");
+    writeFileSync(claude, `#!/bin/sh\n${script}\n`);
+    chmodSync(claude, 0o755);
+    writeFileSync(join(dir, ".rtfrc.json"), JSON.stringify({ claudeCommand: claude }));
+
+    const proc = Bun.spawn(["bun", CLI, "--role", "code"], {
+      cwd: dir,
+      env: { ...process.env, ...env },
+      stdout: "pipe",
+      stderr: "pipe"
+    });
+
+    const pidFile = join(dir, "child.pid");
+    for (let i = 0; i < 100 && !existsSync(pidFile); i++) {
+      await Bun.sleep(50);
+    }
+    const child = Number(readFileSync(pidFile, "utf8"));
+    return { proc, child };
+  }
+
+  function isRunning(pid) {
+    try {
+      process.kill(pid, 0);
+    } catch (error) {
+      return false;
+    }
+    try {
+      return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, "utf8"));
+    } catch (error) {
+      return true;
+    }
+  }
+
+  test("stops the agent, checkpoints the run and prints how to resume", async () => {
+    const { proc, child } = await startRun(
+      "trap 'exit 130' INT\nsleep 30 &\necho $! > child.pid\nwait",
+      { RTF_KILL_GRACE_PERIOD: "500" }
+    );
+
+    proc.kill("SIGINT");
+    expect(await proc.exited).toBe(130);
+
+    const stderr = await new Response(proc.stderr).text();
+    const runId = readdirSync(join(dir, ".rtf", "runs"))[0];
+    const metadata = JSON.parse(readFileSync(join(dir, ".rtf", "runs", runId, "run.json"), "utf8"));
+
+    expect(metadata.status).toBe("interrupted");
+    expect(metadata.signal).toBe("SIGINT");
+    expect(stderr).toContain(`--resume ${runId}`);
+    expect(isRunning(child)).toBe(false);
+    expect(readFileSync(join(dir, "TASKS.md"), "utf8")).toBe(TASKS);
+    expect(existsSync(join(dir, ".rtf", "lock"))).toBe(false);
+  }, 15000);
+
+  test("a second run in the same directory is refused", async () => {
+    const { proc } = await startRun(
+      "trap 'exit 130' INT\nsleep 30 &\necho $! > child.pid\nwait",
+      { RTF_KILL_GRACE_PERIOD: "500" }
+    );
+
+    try {
+      const second = Bun.spawn(["bun", CLI, "--role", "code"], { cwd: dir, stdout: "pipe", stderr: "pipe" });
+      expect(await second.exited).toBe(1);
+      const stderr = await new Response(second.stderr).text();
+      expect(stderr).toMatch(new RegExp(`Error: Run \\S+ \\(PID ${proc.pid}, started .+\\) is already active in this directory`));
+    } finally {
+      proc.kill("SIGINT");
+      await proc.exited;
+    }
+  }, 15000);
+
+  test("a second Ctrl-C forces exit", async () => {
+    const { proc, child } = await startRun(
+      "trap '' INT TERM\nsleep 30 &\necho $! > child.pid\nwait",
+      { RTF_KILL_GRACE_PERIOD: "30000" }
+    );
+
+    const start = Date.now();
+    proc.kill("SIGINT");
+    await Bun.sleep(300);
+    proc.kill("SIGINT");
+
+    expect(await proc.exited).toBe(130);
+    expect(Date.now() - start).toBeLessThan(5000);
+    expect(await new Response(proc.stderr).text()).toContain("Force exit.");
+    await Bun.sleep(50);
+    expect(isRunning(child)).toBe(false);
+  }, 15000);
+});
@@ -1,5 +1,6 @@
 import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
-import { spawnAgent } from "../../src/agents/agent.js";
+import { spawnAgent, prepareInvocation, formatCommandLine } from "../../src/agents/agent.js";
+import { registerRole, clearCustomRoles } from "../../src/utils/roles.js";
 
 describe("Agent Spawning", () => {
   let originalSpawn;
@@ -311,4 +312,67 @@ describe("Agent Spawning", () => {
     expect(command).toContain("claude");
     // Model should be passed via CLI args or environment
   });
+
+  test("advertises custom roles to the manager", async () => {
+    let prompt = "";
+    Bun.spawn = mock(() => ({
+      stdin: {
+        write: mock((data) => { prompt += data; }),
+        end: mock(() => {})
+      },
+      stdout: { async *[Symbol.asyncIterator]() {} },
+      stderr: { async *[Symbol.asyncIterator]() {} },
+      exited: Promise.resolve(0),
+      kill: mock(() => true),
+      pid: 12349
+    }));
+
+    registerRole("security-review", { prompt: "# Security Reviewer", purpose: "Reviews code for vulnerabilities." });
+    try {
+      await spawnAgent("manage", { claudeCommand: "claude", tasksFile: "TASKS.md", maxIterations: 10 });
+    } finally {
+      clearCustomRoles();
+    }
+
+    expect(prompt).toContain('"security-review"');
+    expect(prompt).toContain("Reviews code for vulnerabilities.");
+    expect(prompt).toContain("`security-review`");
+    expect(prompt).not.toContain("$AVAILABLE_AGENTS");
+  });
+});
+
+describe("Dry run", () => {
+  test("prepareInvocation renders the prompt and command without spawning", async () => {
+    const originalSpawn = Bun.spawn;
+    const mockSpawn = mock(() => { throw new Error("should not spawn"); });
+    Bun.spawn = mockSpawn;
+
+    try {
+      const invocation = await prepareInvocation("manage", {
+        claudeCommand: "claude",
+        model: "claude-opus-4-5",
+        skipPermissions: true,
+        tasksFile: "tests/fixtures/sample-tasks.md",
+        maxIterations: 7,
+        currentIteration: 3,
+        initialPrompt: "Build a todo app"
+      });
+
+      expect(mockSpawn).not.toHaveBeenCalled();
+      expect(invocation.command).toBe("claude");
+      expect(invocation.args).toEqual(["--model", "claude-opus-4-5", "--dangerously-skip-permissions"]);
+      expect(invocation.prompt).toContain("Build a todo app");
+      expect(invocation.prompt).toContain("iteration 3 out of a maximum of 7 iterations");
+      expect(invocation.prompt).toContain("--- CURRENT CONTENTS OF tests/fixtures/sample-tasks.md ---");
+      expect(invocation.prompt).not.toMatch(/\$(INITIAL_PROMPT|CURRENT_ITERATION|MAX_ITERATIONS|TASKS_FILE)/);
+    } finally {
+      Bun.spawn = originalSpawn;
+    }
+  });
+
+  test("formatCommandLine quotes arguments for the shell", () => {
+    expect(formatCommandLine(["claude", "--model", "claude-sonnet-4-5"])).toBe("claude --model claude-sonnet-4-5");
+    expect(formatCommandLine(["claude", "--model", "my model"])).toBe("claude --model 'my model'");
+    expect(formatCommandLine(["echo", "it's", ""])).toBe("echo 'it'\\''s' ''");
+  });
 });
@@ -0,0 +1,192 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { parseApprovalAnswer, summarizeManagerOutput, editDirective, requestApproval } from "../../src/utils/approval.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { loadConfig } from "../../src/utils/config.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+const directive = { role: "code", additionalArgs: "--tasks TASKS.md" };
+
+/**
+ * Returns a mock ask() that gives the answers in order
+ */
+function answering(...answers) {
+  return mock(async () => answers.shift());
+}
+
+describe("parseApprovalAnswer", () => {
+  test("understands letters, words and Enter", () => {
+    expect(parseApprovalAnswer("")).toBe("approve");
+    expect(parseApprovalAnswer(" A ")).toBe("approve");
+    expect(parseApprovalAnswer("skip")).toBe("skip");
+    expect(parseApprovalAnswer("e")).toBe("edit");
+    expect(parseApprovalAnswer("b")).toBe("abort");
+    expect(parseApprovalAnswer("maybe")).toBeNull();
+  });
+});
+
+describe("summarizeManagerOutput", () => {
+  test("drops the directive and surrounding blank lines", () => {
+    const output = "\nPlan is ready.\nNext: implement it.\n\n**INVOKE**: ralph-thinks-first --role code\n\n";
+    expect(summarizeManagerOutput(output)).toBe("Plan is ready.\nNext: implement it.");
+  });
+
+  test("keeps only the end of long output", () => {
+    const output = Array.from({ length: 50 }, (_, i) => `line ${i}`).join("\n");
+    const summary = summarizeManagerOutput(output);
+    expect(summary).toStartWith("[...]\nline 30");
+    expect(summary).toEndWith("line 49");
+  });
+});
+
+describe("editDirective", () => {
+  test("replaces the arguments", () => {
+    expect(editDirective(directive, "--tasks OTHER.md")).toEqual({ role: "code", additionalArgs: "--tasks OTHER.md" });
+  });
+
+  test("accepts a full command line with a different role", () => {
+    expect(editDirective(directive, "ralph-thinks-first --role plan --tasks TASKS.md"))
+      .toEqual({ role: "plan", additionalArgs: "--tasks TASKS.md" });
+  });
+});
+
+describe("requestApproval", () => {
+  let originalLog;
+
+  beforeEach(() => {
+    originalLog = console.log;
+    console.log = mock(() => {});
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+  });
+
+  test("returns the user's decision", async () => {
+    expect(await requestApproval("Summary", directive, { ask: answering("s") })).toEqual({ action: "skip", directive });
+  });
+
+  test("asks again until the answer is understood", async () => {
+    const ask = answering("huh?", "b");
+    expect((await requestApproval("", directive, { ask })).action).toBe("abort");
+    expect(ask).toHaveBeenCalledTimes(2);
+  });
+
+  test("offers the proposed command line for editing", async () => {
+    const ask = answering("e", "--role code --tasks OTHER.md --model opus", "a");
+    const approval = await requestApproval("", directive, { ask });
+
+    expect(ask.mock.calls[1]).toEqual(["Arguments: ", "ralph-thinks-first --role code --tasks TASKS.md"]);
+    expect(approval).toEqual({ action: "approve", directive: { role: "code", additionalArgs: "--tasks OTHER.md --model opus" } });
+  });
+
+  test("asks for the arguments again when the edit names an unknown role", async () => {
+    const ask = answering("e", "--role coed --tasks TASKS.md", "--role code --tasks TASKS.md --model opus", "a");
+    const approval = await requestApproval("", directive, { ask });
+
+    expect(console.log).toHaveBeenCalledWith("Unknown role 'coed'. Available roles: manage, plan, code, document");
+    expect(ask.mock.calls[2]).toEqual(["Arguments: ", "--role coed --tasks TASKS.md"]);
+    expect(approval).toEqual({ action: "approve", directive: { role: "code", additionalArgs: "--tasks TASKS.md --model opus" } });
+  });
+});
+
+describe("Approval gates in the orchestrator", () => {
+  let originalSpawn;
+  let originalLog;
+  let prompts;
+
+  beforeEach(() => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    prompts = [];
+
+    // The manager invokes the coder once, then completes
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            const managerRuns = prompts.filter(prompt => prompt.includes("Project Management Agent")).length;
+            const output = !stdin.includes("Project Management Agent")
+              ? "Coded\n**AGENT COMPLETE**\n"
+              : managerRuns === 1
+                ? "The plan is ready.\n**INVOKE**: ralph-thinks-first --role code --tasks TASKS.md\n"
+                : "All done\n**AGENT COMPLETE**\n";
+            yield new TextEncoder().encode(output);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20004
+      };
+    });
+  });
+
+  afterEach(() => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+  });
+
+  const config = (ask) => ({
+    claudeCommand: "claude",
+    tasksFile: "tests/fixtures/sample-tasks.md",
+    maxIterations: 5,
+    approval: "prompt",
+    ask
+  });
+
+  test("runs the sub-agent once approved", async () => {
+    const result = await runAgentWithOrchestration("manage", config(answering("a")));
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(3);
+    expect(prompts[1]).toContain("# Coder Agent");
+  });
+
+  test("resumes the manager without the sub-agent when skipped", async () => {
+    const result = await runAgentWithOrchestration("manage", config(answering("s")));
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(2);
+    expect(prompts[1]).toContain("--- SUB-AGENT SKIPPED ---");
+    expect(prompts[1]).toContain("Agent: code");
+  });
+
+  test("stops the run when aborted", async () => {
+    const result = await runAgentWithOrchestration("manage", config(answering("b")));
+
+    expect(result.aborted).toBe(true);
+    expect(result.exitCode).toBe(1);
+    expect(prompts.length).toBe(1);
+  });
+
+  test("does not ask with automatic approval", async () => {
+    const ask = answering();
+    const result = await runAgentWithOrchestration("manage", { ...config(ask), approval: "auto" });
+
+    expect(result.exitCode).toBe(0);
+    expect(ask).not.toHaveBeenCalled();
+    expect(prompts.length).toBe(3);
+  });
+});
+
+describe("approval config", () => {
+  const saved = process.env.RTF_APPROVAL;
+  afterEach(() => saved === undefined ? delete process.env.RTF_APPROVAL : (process.env.RTF_APPROVAL = saved));
+
+  test("--approve asks, --yes overrides it", async () => {
+    const load = (...argv) => loadConfig(parseArgs([...argv, "--config", "tests/fixtures/missing-rtfrc.json"]));
+
+    expect((await load()).approval).toBe("auto");
+    expect((await load("--approve")).approval).toBe("prompt");
+    expect((await load("--approve", "-y")).approval).toBe("auto");
+
+    process.env.RTF_APPROVAL = "prompt";
+    expect((await load()).approval).toBe("prompt");
+    expect((await load("--yes")).approval).toBe("auto");
+  });
+});
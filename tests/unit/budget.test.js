@@ -0,0 +1,143 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { createBudget, countTokens, formatRemaining, formatBreakdown, BUDGET_EXIT_CODE } from "../../src/utils/budget.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { loadConfig } from "../../src/utils/config.js";
+
+const usage = (inputTokens, outputTokens, costUsd) => ({ type: "usage", agent: "code", inputTokens, outputTokens, costUsd });
+
+describe("createBudget", () => {
+  test("adds up usage per role and in total", () => {
+    const budget = createBudget({ tokens: 1000, usd: "0.5" });
+    budget.record("manage", usage(100, 20, 0.01));
+    budget.record("code", usage(300, 80, 0.2));
+    budget.record("code", { ...usage(50, 10, 0.05), cacheReadInputTokens: 40 });
+
+    expect(budget.getSpent()).toEqual({ tokens: 600, usd: 0.26 });
+    expect(budget.getRemaining()).toEqual({ tokens: 400, usd: 0.24 });
+    expect(budget.getBreakdown()).toEqual([
+      { role: "code", invocations: 2, tokens: 480, usd: 0.25 },
+      { role: "manage", invocations: 1, tokens: 120, usd: 0.01 }
+    ]);
+    expect(budget.isExceeded()).toBe(false);
+
+    budget.record("code", usage(400, 0, 0));
+    expect(budget.isExceeded()).toBe(true);
+  });
+
+  test("is never exceeded without limits", () => {
+    const budget = createBudget();
+    budget.record("code", usage(1e9, 1e9, 1e6));
+    expect(budget.hasLimits()).toBe(false);
+    expect(budget.isExceeded()).toBe(false);
+    expect(formatRemaining(budget)).toBeNull();
+  });
+
+  test("rejects invalid limits", () => {
+    expect(() => createBudget({ tokens: "lots" })).toThrow('Invalid budget.tokens: "lots"');
+    expect(() => createBudget({ usd: -1 })).toThrow("Invalid budget.usd: -1");
+  });
+
+  test("counts input, output and cache tokens", () => {
+    expect(countTokens({ inputTokens: 1, outputTokens: 2, cacheCreationInputTokens: 3, cacheReadInputTokens: 4 })).toBe(10);
+  });
+});
+
+describe("budget formatting", () => {
+  test("formats the remaining budget and the per-role table", () => {
+    const budget = createBudget({ tokens: 50000, usd: 2 });
+    budget.record("plan", usage(1000, 234, 0.5));
+
+    expect(formatRemaining(budget)).toBe("48,766 tokens, $1.5000 left");
+    expect(formatBreakdown(budget)).toEqual([
+      "ROLE   INVOCATIONS  TOKENS     COST",
+      "plan             1   1,234  $0.5000",
+      "total            1   1,234  $0.5000"
+    ]);
+    expect(formatBreakdown(createBudget())).toEqual([]);
+  });
+});
+
+describe("budget config", () => {
+  const keys = ["RTF_BUDGET_TOKENS", "RTF_BUDGET_USD"];
+  const saved = {};
+
+  beforeEach(() => keys.forEach(key => { saved[key] = process.env[key]; delete process.env[key]; }));
+  afterEach(() => keys.forEach(key => saved[key] === undefined ? delete process.env[key] : (process.env[key] = saved[key])));
+
+  test("merges limits from the environment and CLI flags", async () => {
+    process.env.RTF_BUDGET_TOKENS = "100000";
+    const config = await loadConfig({ budgetUsd: "3", config: "tests/fixtures/missing-rtfrc.json" });
+    expect(config.budget).toEqual({ tokens: "100000", usd: "3" });
+  });
+});
+
+describe("budget enforcement", () => {
+  let originalSpawn;
+  let originalLog;
+  let calls;
+
+  beforeEach(() => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    calls = [];
+
+    // Manager invokes the coder; every invocation reports 500 tokens and $0.10
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            const role = stdin.includes("# Project Management Agent") ? "manage" : "code";
+            calls.push(role);
+            const text = role === "code" || stdin.includes("--- SUB-AGENT RESULT ---")
+              ? "Done.\n**AGENT COMPLETE**"
+              : "**INVOKE**: ralph-thinks-first --role code";
+            const result = { type: "result", result: text, total_cost_usd: 0.1, usage: { input_tokens: 400, output_tokens: 100 } };
+            yield new TextEncoder().encode(JSON.stringify(result) + "\n");
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20002
+      };
+    });
+  });
+
+  afterEach(() => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+  });
+
+  const run = (budget) => runAgentWithOrchestration("manage", {
+    claudeCommand: "claude",
+    tasksFile: "tests/fixtures/sample-tasks.md",
+    maxIterations: 5,
+    outputFormat: "stream-json",
+    budgetTracker: createBudget(budget)
+  });
+
+  test("stops before the next invocation once the budget is used up", async () => {
+    const result = await run({ usd: 0.15 });
+
+    expect(calls).toEqual(["manage", "code"]);
+    expect(result.budgetExceeded).toBe(true);
+    expect(result.exitCode).toBe(BUDGET_EXIT_CODE);
+  });
+
+  test("runs to completion within budget and shows what is left", async () => {
+    const tracker = createBudget({ tokens: 10000 });
+    const result = await runAgentWithOrchestration("manage", {
+      claudeCommand: "claude", tasksFile: "tests/fixtures/sample-tasks.md", maxIterations: 5,
+      outputFormat: "stream-json", budgetTracker: tracker
+    });
+
+    expect(calls).toEqual(["manage", "code", "manage"]);
+    expect(result.exitCode).toBe(0);
+    expect(tracker.getSpent().tokens).toBe(1500);
+    expect(console.log.mock.calls.map(call => call[0])).toContain("[CODE] Running (iteration 1/5, budget: 9,500 tokens left)...");
+  });
+});
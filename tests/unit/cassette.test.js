@@ -0,0 +1,148 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { spawnAgent } from "../../src/agents/agent.js";
+import {
+  readCassette,
+  startCassette,
+  recordInvocation,
+  getReplaySession,
+  resetReplaySessions,
+  isReplayCommand
+} from "../../src/agents/cassette.js";
+import { mkdtemp, rm, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+
+describe("Record and replay", () => {
+  let dir;
+  let cassette;
+  let tasksFile;
+  let originalSpawn;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-cassette-"));
+    cassette = join(dir, "run.cassette.jsonl");
+    tasksFile = join(dir, "TASKS.md");
+    await Bun.write(tasksFile, "# Tasks\n- [ ] First\n");
+    originalSpawn = Bun.spawn;
+    resetReplaySessions();
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    resetReplaySessions();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // Fake Claude that checks the first box and reports on stderr
+  const mockClaude = () => mock(() => ({
+    stdin: { write: mock(() => {}), end: mock(() => {}) },
+    stdout: {
+      async *[Symbol.asyncIterator]() {
+        yield new TextEncoder().encode("Checked it\n**AGENT COMPLETE**\n");
+      }
+    },
+    stderr: {
+      async *[Symbol.asyncIterator]() {
+        yield new TextEncoder().encode('{"type":"output","agent":"code","message":"working"}\n');
+      }
+    },
+    exited: (async () => {
+      await Bun.write(tasksFile, "# Tasks\n- [x] First\n");
+      return 0;
+    })(),
+    kill: mock(() => true),
+    pid: 12345
+  }));
+
+  test("records each invocation to the cassette", async () => {
+    Bun.spawn = mockClaude();
+    await startCassette(cassette);
+
+    await spawnAgent("code", { claudeCommand: "claude", model: "claude-sonnet-4-5", tasksFile, record: cassette });
+
+    const entries = await readCassette(cassette);
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toMatchObject({
+      v: 1,
+      role: "code",
+      taskId: null,
+      command: ["claude", "--model", "claude-sonnet-4-5"],
+      stdout: "Checked it\n**AGENT COMPLETE**\n",
+      stderr: '{"type":"output","agent":"code","message":"working"}',
+      exitCode: 0,
+      tasks: "# Tasks\n- [x] First\n"
+    });
+    expect(entries[0].prompt).toContain("- [ ] First");
+  });
+
+  test("replays a recorded invocation without spawning Claude", async () => {
+    Bun.spawn = mockClaude();
+    await spawnAgent("code", { claudeCommand: "claude", tasksFile, record: cassette });
+    await Bun.write(tasksFile, "# Tasks\n- [ ] First\n");
+
+    const spawn = mock(() => { throw new Error("should not spawn"); });
+    Bun.spawn = spawn;
+    const result = await spawnAgent("code", { claudeCommand: `rtf-replay:${cassette}`, tasksFile });
+
+    expect(spawn).not.toHaveBeenCalled();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toBe("Checked it\n**AGENT COMPLETE**\n");
+    expect(result.events).toEqual([{ type: "output", agent: "code", message: "working" }]);
+    expect(await readFile(tasksFile, "utf8")).toBe("# Tasks\n- [x] First\n");
+    expect((await getReplaySession(cassette)).mismatches).toEqual([]);
+  });
+
+  test("flags prompts that differ from the recording", async () => {
+    await recordInvocation(cassette, {
+      role: "code", taskId: null, prompt: "# Old prompt", stdout: "", stderr: "", exitCode: 0, tasks: null
+    });
+
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      await spawnAgent("code", { claudeCommand: `rtf-replay:${cassette}`, tasksFile });
+    } finally {
+      console.warn = originalWarn;
+    }
+
+    const { mismatches } = await getReplaySession(cassette);
+    expect(mismatches.length).toBe(1);
+    expect(mismatches[0]).toMatchObject({ index: 0, role: "code", line: 1, expected: "# Old prompt", actual: "# Coder Agent" });
+    expect(warnings[0]).toContain("Replay prompt mismatch for code");
+    // Unchanged tasks file when none was recorded
+    expect(await readFile(tasksFile, "utf8")).toBe("# Tasks\n- [ ] First\n");
+  });
+
+  test("matches entries by role and task, in order", async () => {
+    const entry = (role, taskId, stdout) => ({ role, taskId, prompt: "", stdout, stderr: "", exitCode: 0, tasks: null });
+    await recordInvocation(cassette, entry("code", "2", "task 2"));
+    await recordInvocation(cassette, entry("code", "1", "task 1"));
+    await recordInvocation(cassette, entry("plan", null, "plan 1"));
+    await recordInvocation(cassette, entry("plan", null, "plan 2"));
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const replay = (role, taskId) => spawnAgent(role, { claudeCommand: `rtf-replay:${cassette}`, tasksFile, taskId });
+      expect((await replay("code", "1")).output).toBe("task 1");
+      expect((await replay("plan")).output).toBe("plan 1");
+      expect((await replay("code", "2")).output).toBe("task 2");
+      expect((await replay("plan")).output).toBe("plan 2");
+      await expect(replay("plan")).rejects.toThrow("no recorded invocation left for plan");
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+
+  test("reports a missing cassette", async () => {
+    await expect(spawnAgent("code", { claudeCommand: `rtf-replay:${join(dir, "missing.jsonl")}`, tasksFile }))
+      .rejects.toThrow("Cassette file does not exist");
+  });
+
+  test("isReplayCommand recognizes the replay prefix", () => {
+    expect(isReplayCommand("rtf-replay:run.jsonl")).toBe(true);
+    expect(isReplayCommand("claude")).toBe(false);
+    expect(isReplayCommand(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm, mkdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  getCommands,
+  getCommand,
+  resolveCommand,
+  formatHelp,
+  formatCommandHelp,
+  DEFAULT_COMMAND
+} from "../../src/utils/commands.js";
+import { validateConfig } from "../../src/commands/run.js";
+import { runInitCommand } from "../../src/commands/init.js";
+import { runRolesCommand, formatRoles } from "../../src/commands/roles.js";
+import { runChecks, formatChecks } from "../../src/commands/doctor.js";
+import { runPromptCommand } from "../../src/commands/prompt.js";
+import { clearCustomRoles, listRoles } from "../../src/utils/roles.js";
+import { getTaskFormat } from "../../src/utils/task-formats.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+describe("Command registry", () => {
+  test("has a definition with help text for every command", () => {
+    expect(getCommands().map(c => c.name)).toEqual(
+      ["run", "status", "log", "init", "roles", "doctor", "prompt", "convert", "help"]);
+    for (const command of getCommands()) {
+      expect(command.summary).toBeTruthy();
+      expect(command.usage.length).toBeGreaterThan(0);
+      expect(typeof command.run).toBe("function");
+    }
+  });
+
+  test("runs the default command when none is given, so old invocations keep working", () => {
+    expect(DEFAULT_COMMAND).toBe("run");
+    expect(resolveCommand(parseArgs(["-p", "Build a CLI", "--role", "code"])).name).toBe("run");
+    expect(resolveCommand(parseArgs(["run", "--dry-run"])).name).toBe("run");
+    expect(resolveCommand(parseArgs(["Status"])).name).toBe("status");
+  });
+
+  test("takes every argument as the user's, whatever the first one is called", () => {
+    // The entry point drops the runtime and script path itself (Bun.argv.slice(2))
+    expect(parseArgs(["node-setup", "--dry-run"])).toEqual({ _: ["node-setup"], dryRun: true });
+    expect(resolveCommand(parseArgs(["status"])).name).toBe("status");
+  });
+
+  test("rejects unknown commands", () => {
+    expect(() => getCommand("deploy")).toThrow("Unknown command 'deploy'. Commands: run, status, log");
+  });
+
+  test("generates a command's help from its definition", () => {
+    const help = formatCommandHelp({
+      name: "demo",
+      summary: "Demo",
+      usage: ["demo <file>"],
+      description: "Does a demo.",
+      options: [
+        { flags: "--fast", description: "Go fast" },
+        { flags: "--very-long-flag-name <value>", description: "Explained on its own line" }
+      ],
+      sections: [{ title: "NOTES", lines: ["Note one"] }],
+      examples: [["Run it", "npx ralph-thinks-first demo a.md"]]
+    });
+
+    expect(help).toContain("USAGE:\n  npx ralph-thinks-first demo <file>\n\n  Does a demo.\n");
+    expect(help).toContain(`OPTIONS:\n  --fast${" ".repeat(20)}Go fast\n  --very-long-flag-name <value>\n${" ".repeat(28)}Explained on its own line\n`);
+    expect(help).toContain("NOTES:\n  Note one\n\nEXAMPLES:\n  # Run it\n  npx ralph-thinks-first demo a.md\n");
+    expect(help).toContain("GLOBAL OPTIONS:\n  --help, -h");
+  });
+
+  test("lists every command in the global help and wraps long lines", () => {
+    const help = formatHelp();
+    for (const command of getCommands()) {
+      expect(help).toContain(`\n  ${command.name.padEnd(26)}${command.summary}`);
+    }
+
+    const runHelp = formatCommandHelp(getCommand("run"));
+    expect(runHelp).toContain("--tasks-format <format>");
+    expect(Math.max(...runHelp.split("\n").map(line => line.length))).toBeLessThanOrEqual(100);
+  });
+
+  test("validates the run configuration", () => {
+    expect(validateConfig({ outputFormat: "text", approval: "auto", planConflict: "refuse", tasksFile: "TASKS.md" })).toEqual([]);
+    expect(validateConfig({ outputFormat: "xml", approval: "auto", planConflict: "refuse", tasksFile: "TASKS.md", tasksFormat: "toml" }))
+      .toEqual([
+        "Unknown output format 'xml'. Use one of: text, stream-json",
+        expect.stringContaining("Unknown tasks format 'toml'")
+      ]);
+  });
+});
+
+describe("Management commands", () => {
+  let dir;
+  let originalCwd;
+  let originalLog;
+  let originalWarn;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-commands-"));
+    originalCwd = process.cwd();
+    process.chdir(dir);
+    originalLog = console.log;
+    originalWarn = console.warn;
+    console.log = mock(() => {});
+    console.warn = mock(() => {});
+    clearCustomRoles();
+  });
+
+  afterEach(async () => {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    process.chdir(originalCwd);
+    clearCustomRoles();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const printed = () => console.log.mock.calls.map(call => call[0]).join("\n");
+
+  test("init writes a config and a tasks file in the configured format, then keeps them", async () => {
+    writeFileSync(".gitignore", "node_modules/");
+    const config = { model: "claude-sonnet-4-5", maxIterations: 10, tasksFile: "tasks.json", claudeCommand: "claude", stateDir: ".rtf" };
+
+    await runInitCommand(parseArgs(["init"]), config);
+
+    expect(JSON.parse(readFileSync(".rtfrc.json", "utf8"))).toEqual({
+      model: "claude-sonnet-4-5", maxIterations: 10, tasksFile: "tasks.json", claudeCommand: "claude"
+    });
+    expect(JSON.parse(readFileSync("tasks.json", "utf8"))).toEqual({ title: "Tasks" });
+    expect(readFileSync(".gitignore", "utf8")).toBe("node_modules/\n.rtf/\n");
+
+    writeFileSync("tasks.json", "{}");
+    await runInitCommand(parseArgs(["init"]), config);
+    expect(readFileSync("tasks.json", "utf8")).toBe("{}");
+    expect(readFileSync(".gitignore", "utf8")).toBe("node_modules/\n.rtf/\n");
+    expect(printed()).toContain("Skipped tasks.json (already exists, use --force to overwrite it)");
+  });
+
+  test("roles lists built-in and custom roles", async () => {
+    await mkdir(join(".rtf", "roles"), { recursive: true });
+    writeFileSync(join(".rtf", "roles", "review.md"), "---\npurpose: Reviews code. Thoroughly.\n---\n# Reviewer\n");
+
+    await runRolesCommand(parseArgs(["roles"]), { stateDir: ".rtf" });
+
+    expect(printed()).toContain(`review    ${join(".rtf", "roles", "review.md")}  Reviews code.`);
+    expect(listRoles().find(role => role.name === "code")).toMatchObject({ builtin: true, source: null });
+    expect(formatRoles([{ name: "a", builtin: true, source: null, purpose: "One. Two." }])).toBe("ROLE  SOURCE    PURPOSE\na     built-in  One.");
+  });
+
+  test("doctor reports failures and warnings", async () => {
+    const checks = await runChecks({
+      outputFormat: "xml",
+      approval: "auto",
+      planConflict: "refuse",
+      tasksFile: "TASKS.md",
+      claudeCommand: "rtf-replay:missing.jsonl",
+      stateDir: ".rtf"
+    });
+    const levels = Object.fromEntries(checks.map(check => [check.name, check.level]));
+
+    expect(levels).toMatchObject({ bun: "ok", config: "fail", claude: "fail", tasks: "warn", roles: "ok", lock: "ok" });
+    expect(formatChecks(checks)).toContain("FAIL  claude  Cassette missing.jsonl not found");
+  });
+
+  test("doctor reads tasks files in their format", async () => {
+    writeFileSync("tasks.yaml", getTaskFormat("yaml").fromMarkdown("- [x] One\n- [ ] Two\n"));
+    const checks = await runChecks({ outputFormat: "text", approval: "auto", planConflict: "refuse", tasksFile: "tasks.yaml", claudeCommand: "bun" });
+    expect(checks.find(check => check.name === "tasks").message).toBe("tasks.yaml (yaml): 1/2 done");
+  });
+
+  test("prompt prints a role's prompt with the project description", async () => {
+    writeFileSync("TASKS.md", "- [ ] One\n");
+
+    await runPromptCommand(parseArgs(["prompt", "code", "-p", "Build a CLI"]), { claudeCommand: "claude", tasksFile: "TASKS.md" });
+
+    expect(printed()).toContain("# Coder Agent");
+    expect(printed()).toContain("- [ ] One");
+    await expect(runPromptCommand(parseArgs(["prompt", "nope"]), {})).rejects.toThrow("Unknown role 'nope'");
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { loadConfig, resolveRoleConfig } from "../../src/utils/config.js";
+import { parseArgs } from "../../src/utils/cli.js";
+import { loadCustomRoles, clearCustomRoles, isValidRole } from "../../src/utils/roles.js";
+import { unlink } from "node:fs/promises";
+
+const configFile = "tests/fixtures/test-rtfrc.json";
+
+describe("per-role settings", () => {
+  const savedEnv = {};
+  const envKeys = ["RTF_ROLE_PLAN_MODEL", "RTF_ROLE_CODE_MAX_ITERATIONS", "RTF_ROLE_SECURITY_REVIEW_TIMEOUT", "RTF_ROLE_MIGRATE_DB_MODEL"];
+
+  beforeEach(() => {
+    for (const key of envKeys) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(async () => {
+    for (const key of envKeys) {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    }
+    try {
+      await unlink(configFile);
+    } catch {
+      // File may not exist, ignore
+    }
+  });
+
+  test("parseArgs collects --role-* flags", () => {
+    const args = parseArgs([
+      "--role-model", "plan=claude-opus-4-5",
+      "--role-max-iterations", "code=30",
+      "--role-timeout", "document=60000",
+      "--role-model", "code=claude-haiku-4-5"
+    ]);
+
+    expect(args.roles).toEqual({
+      plan: { model: "claude-opus-4-5" },
+      code: { maxIterations: "30", model: "claude-haiku-4-5" },
+      document: { timeout: "60000" }
+    });
+  });
+
+  test("resolveRoleConfig applies the role's settings over global ones", () => {
+    const config = {
+      model: "claude-sonnet-4-5",
+      maxIterations: 10,
+      roles: { plan: { model: "claude-opus-4-5", maxIterations: "3", timeout: 60000 } }
+    };
+
+    const planConfig = resolveRoleConfig(config, "PLAN");
+    expect(planConfig.model).toBe("claude-opus-4-5");
+    expect(planConfig.maxIterations).toBe(3);
+    expect(planConfig.timeout).toBe(60000);
+    expect(planConfig.roles).toBe(config.roles);
+
+    const codeConfig = resolveRoleConfig(config, "code");
+    expect(codeConfig.model).toBe("claude-sonnet-4-5");
+    expect(codeConfig.maxIterations).toBe(10);
+  });
+
+  test("resolveRoleConfig ignores invalid numbers", () => {
+    const config = { maxIterations: 10, roles: { code: { maxIterations: "lots", timeout: -5 } } };
+    const resolved = resolveRoleConfig(config, "code");
+    expect(resolved.maxIterations).toBe(10);
+    expect(resolved.timeout).toBeUndefined();
+  });
+
+  test("loadConfig merges role settings from file, env and CLI", async () => {
+    await Bun.write(configFile, JSON.stringify({
+      roles: {
+        plan: { model: "file-model", maxIterations: 4 },
+        "security-review": { prompt: "# Reviewer", timeout: 1000 }
+      }
+    }));
+    process.env.RTF_ROLE_PLAN_MODEL = "env-model";
+    process.env.RTF_ROLE_CODE_MAX_ITERATIONS = "30";
+    process.env.RTF_ROLE_SECURITY_REVIEW_TIMEOUT = "2000";
+
+    const config = await loadConfig({ config: configFile, roles: { code: { maxIterations: "40" } } });
+
+    expect(config.roles.plan).toEqual({ model: "env-model", maxIterations: 4 });
+    expect(config.roles.code).toEqual({ maxIterations: "40" });
+    expect(config.roles["security-review"]).toEqual({ prompt: "# Reviewer", timeout: "2000" });
+    expect(resolveRoleConfig(config, "code").maxIterations).toBe(40);
+  });
+
+  test("loadConfig keeps custom role names with underscores", async () => {
+    await Bun.write(configFile, JSON.stringify({ roles: { migrate_db: { prompt: "Do migrations" } } }));
+    process.env.RTF_ROLE_MIGRATE_DB_MODEL = "env-model";
+
+    const config = await loadConfig({ config: configFile });
+
+    expect(Object.keys(config.roles)).toEqual(["migrate_db"]);
+    expect(config.roles.migrate_db).toEqual({ prompt: "Do migrations", model: "env-model" });
+    expect(resolveRoleConfig(config, "migrate_db").model).toBe("env-model");
+    expect(resolveRoleConfig(config, "MIGRATE-DB").model).toBe("env-model");
+
+    clearCustomRoles();
+    try {
+      expect(await loadCustomRoles(config)).toEqual(["migrate_db"]);
+      expect(isValidRole("migrate_db")).toBe(true);
+    } finally {
+      clearCustomRoles();
+    }
+  });
+});
+
+describe("--dry-run", () => {
+  test("parseArgs accepts --dry-run with or without an output file", () => {
+    expect(parseArgs(["--dry-run", "--role", "code"])).toEqual({ dryRun: true, role: "code" });
+    expect(parseArgs(["--dry-run", "prompt.txt"])).toEqual({ dryRun: "prompt.txt" });
+  });
+});
+
+describe("log command arguments", () => {
+  test("parseArgs collects positionals and log filters", () => {
+    expect(parseArgs(["log", "latest", "--agent", "code", "--type", "error", "--since", "1h", "--json"])).toEqual({
+      _: ["log", "latest"], agent: "code", type: "error", since: "1h", json: true
+    });
+    expect(parseArgs(["log", "--until", "2026-01-31T14:00"])).toEqual({ _: ["log"], until: "2026-01-31T14:00" });
+  });
+});
+
+describe("task formats", () => {
+  const saved = process.env.RTF_TASKS_FORMAT;
+  afterEach(() => saved === undefined ? delete process.env.RTF_TASKS_FORMAT : (process.env.RTF_TASKS_FORMAT = saved));
+
+  test("parseArgs accepts --tasks-format and the convert options", () => {
+    expect(parseArgs(["--tasks-format", "json"])).toEqual({ tasksFormat: "json" });
+    expect(parseArgs(["convert", "TASKS.md", "--from", "markdown", "--to", "csv", "--force"])).toEqual({
+      _: ["convert", "TASKS.md"], from: "markdown", to: "csv", force: true
+    });
+  });
+
+  test("tasksFormat is read from RTF_TASKS_FORMAT and overridden by --tasks-format", async () => {
+    process.env.RTF_TASKS_FORMAT = "yaml";
+    expect((await loadConfig(parseArgs(["--config", "tests/fixtures/missing-rtfrc.json"]))).tasksFormat).toBe("yaml");
+    expect((await loadConfig(parseArgs(["--config", "tests/fixtures/missing-rtfrc.json", "--tasks-format", "csv"]))).tasksFormat).toBe("csv");
+  });
+});
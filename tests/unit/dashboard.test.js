@@ -0,0 +1,81 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { startDashboard, getTaskProgress, formatSseMessage } from "../../src/dashboard/server.js";
+import { createEventHub } from "../../src/utils/events.js";
+
+describe("getTaskProgress", () => {
+  test("summarizes the tasks file", async () => {
+    const progress = await getTaskProgress("tests/fixtures/sample-tasks.md");
+    expect(progress.total).toBe(9);
+    expect(progress.completed).toBe(0);
+    expect(progress.phases[0].tasks.map(t => t.id)).toEqual(["1.1", "2", "3"]);
+    expect(progress.tasks[0]).toEqual({ id: "1.1", title: "Setup Project", phaseId: "1", completed: false, done: 0, total: 3 });
+  });
+
+  test("reports a missing tasks file", async () => {
+    const progress = await getTaskProgress("tests/fixtures/missing.md");
+    expect(progress.error).toContain("not found");
+    expect(progress.total).toBe(0);
+  });
+});
+
+describe("formatSseMessage", () => {
+  test("wraps the event as an SSE data line", () => {
+    expect(formatSseMessage({ type: "status" })).toBe('data: {"type":"status"}\n\n');
+  });
+});
+
+describe("startDashboard", () => {
+  let hub;
+  let dashboard;
+
+  beforeEach(() => {
+    hub = createEventHub();
+    dashboard = startDashboard({ hub, tasksFile: "tests/fixtures/sample-tasks.md", port: 0 });
+  });
+
+  afterEach(() => {
+    dashboard.stop();
+  });
+
+  test("serves the dashboard page on localhost", async () => {
+    expect(dashboard.url).toStartWith("http://127.0.0.1:");
+    const response = await fetch(dashboard.url);
+    expect(response.headers.get("content-type")).toContain("text/html");
+    expect(await response.text()).toContain("Agent Call Tree");
+  });
+
+  test("serves task progress and event history as JSON", async () => {
+    hub.publish({ type: "status", agent: "manage", status: "starting", invocationId: "a1" });
+
+    const tasks = await (await fetch(`${dashboard.url}api/tasks`)).json();
+    expect(tasks.total).toBe(9);
+
+    const events = await (await fetch(`${dashboard.url}api/events`)).json();
+    expect(events).toEqual([{ type: "status", agent: "manage", status: "starting", invocationId: "a1" }]);
+  });
+
+  test("streams past and live events over SSE", async () => {
+    hub.publish({ type: "status", agent: "manage", status: "starting" });
+
+    const response = await fetch(`${dashboard.url}events`);
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = decoder.decode((await reader.read()).value);
+
+    hub.publish({ type: "output", agent: "plan", message: "Planning" });
+    while (!text.includes("Planning")) {
+      text += decoder.decode((await reader.read()).value);
+    }
+    await reader.cancel();
+
+    expect(text).toContain('"status":"starting"');
+    expect(text).toContain('"message":"Planning"');
+  });
+
+  test("returns 404 for unknown paths", async () => {
+    const response = await fetch(`${dashboard.url}nope`);
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { parseDirective, validateDirective, stripDirectives, formatDirectiveError } from "../../src/utils/directives.js";
+import { runAgentWithOrchestration, hasCompletionSignal } from "../../src/agents/orchestrator.js";
+import { rebuildState } from "../../src/utils/journal.js";
+
+/**
+ * Wraps JSON in an rtf-directive block
+ */
+function block(json) {
+  return `Summary of the work so far.\n\n\`\`\`rtf-directive\n${typeof json === "string" ? json : JSON.stringify(json)}\n\`\`\`\n`;
+}
+
+const knownRoles = (role) => ["plan", "code", "document"].includes(role);
+
+describe("parseDirective", () => {
+  test("reads an rtf-directive block", () => {
+    const { directive, error } = parseDirective(block({ action: "invoke", role: "code", taskId: "1.2", note: "Parser first" }));
+    expect(error).toBeNull();
+    expect(directive).toEqual({ action: "invoke", role: "code", taskId: "1.2", note: "Parser first", source: "block" });
+  });
+
+  test("accepts the legacy INVOKE line", () => {
+    const { directive } = parseDirective("**INVOKE**: ralph-thinks-first --role plan --tasks TASKS.md");
+    expect(directive).toEqual({ action: "invoke", role: "plan", additionalArgs: "--tasks TASKS.md", source: "legacy" });
+  });
+
+  test("prefers the block over a legacy line", () => {
+    const output = `**INVOKE**: ralph-thinks-first --role plan\n${block({ action: "complete" })}`;
+    expect(parseDirective(output).directive.action).toBe("complete");
+  });
+
+  test("returns neither without a directive", () => {
+    expect(parseDirective("Just thinking out loud")).toEqual({ directive: null, error: null });
+  });
+
+  test("reports invalid JSON", () => {
+    expect(parseDirective(block("{action: invoke}")).error).toStartWith("The rtf-directive block is not valid JSON");
+  });
+
+  test("reports more than one block", () => {
+    const output = block({ action: "complete" }) + block({ action: "abort" });
+    expect(parseDirective(output).error).toBe("Found 2 rtf-directive blocks; use exactly one per response.");
+  });
+
+  test("reports unknown roles when a role check is given", () => {
+    const { error } = parseDirective(block({ action: "invoke", role: "tester" }), { isValidRole: knownRoles });
+    expect(error).toBe('Invalid rtf-directive block: unknown role "tester".');
+  });
+
+  test("checks the role of a legacy INVOKE line too", () => {
+    const { directive, error } = parseDirective("**INVOKE**: ralph-thinks-first --role coed", { isValidRole: knownRoles });
+    expect(directive).toBeNull();
+    expect(error).toBe('Invalid **INVOKE** directive: unknown role "coed".');
+  });
+
+  test("reports task IDs that are not in the tasks file when a task check is given", () => {
+    const isKnownTask = (id) => ["1", "1.1"].includes(id);
+    expect(parseDirective(block({ action: "invoke", role: "code", taskId: "1.1" }), { isKnownTask }).error).toBeNull();
+    expect(parseDirective(block({ action: "invoke", role: "code", taskId: "9.9" }), { isKnownTask }).error)
+      .toBe('Invalid rtf-directive block: unknown task "9.9" (use the ID of a task or phase in the tasks file).');
+  });
+});
+
+describe("validateDirective", () => {
+  test("checks actions, required and unknown parameters and types", () => {
+    expect(validateDirective({ action: "deploy" })[0]).toStartWith('"action" must be one of "invoke", "complete", "ask_user", "abort"');
+    expect(validateDirective({ action: "invoke" })).toEqual(['"role" is required for "invoke"']);
+    expect(validateDirective({ action: "ask_user", question: "" })).toEqual(['"question" must be a non-empty string']);
+    expect(validateDirective({ action: "invoke", role: "code", taskId: 3 })).toEqual(['"taskId" must be a non-empty string']);
+    expect(validateDirective({ action: "complete", role: "code" })).toEqual(['unknown parameter "role" for "complete" (allowed: note)']);
+    expect(validateDirective(["invoke"])).toEqual(["the block must contain a JSON object"]);
+    expect(validateDirective({ action: "abort", note: "Out of scope" })).toEqual([]);
+  });
+});
+
+describe("stripDirectives", () => {
+  test("removes blocks and legacy lines", () => {
+    const output = `${block({ action: "complete" })}**INVOKE**: ralph-thinks-first --role code\nDone`;
+    expect(stripDirectives(output).trim()).toBe("Summary of the work so far.\n\n\nDone");
+  });
+});
+
+describe("hasCompletionSignal", () => {
+  test("accepts a complete directive", () => {
+    expect(hasCompletionSignal(block({ action: "complete", note: "Shipped" }))).toBe(true);
+    expect(hasCompletionSignal(block({ action: "abort" }))).toBe(false);
+  });
+});
+
+describe("formatDirectiveError", () => {
+  test("explains the error and the expected format", () => {
+    const feedback = formatDirectiveError("Invalid rtf-directive block: unknown role \"tester\".");
+    expect(feedback).toContain("--- DIRECTIVE ERROR ---");
+    expect(feedback).toContain('unknown role "tester"');
+    expect(feedback).toContain("```rtf-directive");
+  });
+});
+
+describe("rebuildState", () => {
+  test("keeps the task ID and note of a pending invocation", () => {
+    const state = rebuildState([
+      { step: "checkpoint", role: "manage", iteration: 1, depth: 0 },
+      { step: "invoke", role: "manage", iteration: 1, depth: 0, subRole: "code", args: "", subTaskId: "2", note: "Tests first" }
+    ]);
+    expect(state.pendingInvoke).toEqual({ role: "code", additionalArgs: "", taskId: "2", note: "Tests first" });
+  });
+});
+
+describe("Directives in the orchestrator", () => {
+  let originalSpawn;
+  let originalLog;
+  let prompts;
+  let managerOutputs;
+
+  beforeEach(() => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    prompts = [];
+    managerOutputs = [];
+
+    // The manager answers with the queued outputs; sub-agents complete at once
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            const output = stdin.includes("Project Management Agent")
+              ? managerOutputs.shift() ?? block({ action: "complete" })
+              : "Done\n**AGENT COMPLETE**\n";
+            yield new TextEncoder().encode(output);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20005
+      };
+    });
+  });
+
+  afterEach(() => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+  });
+
+  const config = { claudeCommand: "claude", tasksFile: "tests/fixtures/sample-tasks.md", maxIterations: 5 };
+
+  test("runs the sub-agent with its task and the manager's note", async () => {
+    managerOutputs.push(block({ action: "invoke", role: "code", taskId: "1", note: "Keep the diff small" }));
+    const result = await runAgentWithOrchestration("manage", config);
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(3);
+    expect(prompts[1]).toContain("--- NOTE FROM THE MANAGER ---\nKeep the diff small");
+    expect(prompts[2]).toContain("--- SUB-AGENT RESULT ---\nAgent: code");
+  });
+
+  test("sends a malformed directive back to the manager", async () => {
+    managerOutputs.push(block({ action: "invoke", role: "tester" }));
+    const result = await runAgentWithOrchestration("manage", config);
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(2);
+    expect(prompts[1]).toContain("--- DIRECTIVE ERROR ---");
+    expect(prompts[1]).toContain('unknown role "tester"');
+  });
+
+  test("sends a legacy INVOKE line with an unknown role back to the manager", async () => {
+    managerOutputs.push("**INVOKE**: ralph-thinks-first --role coed\n");
+    const result = await runAgentWithOrchestration("manage", config);
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(2);
+    expect(prompts[1]).toContain('--- DIRECTIVE ERROR ---\nInvalid **INVOKE** directive: unknown role "coed".');
+  });
+
+  test("lets a legacy INVOKE line set only the model, iterations and tasks file", async () => {
+    managerOutputs.push("**INVOKE**: ralph-thinks-first --role code --git --concurrency 8 --skip-permissions --model haiku-x --max-iterations 2\n");
+    const originalError = console.error;
+    const errors = mock(() => {});
+    console.error = errors;
+
+    try {
+      await runAgentWithOrchestration("manage", config);
+    } finally {
+      console.error = originalError;
+    }
+
+    const coderArgs = Bun.spawn.mock.calls[1][0];
+    expect(coderArgs).toContain("haiku-x");
+    expect(coderArgs).not.toContain("--dangerously-skip-permissions");
+    expect(errors).toHaveBeenCalledWith("Warning: Ignoring **INVOKE** arguments a manager cannot set: --git --concurrency --skip-permissions");
+  });
+
+  test("sends an unknown task ID back to the manager", async () => {
+    managerOutputs.push(block({ action: "invoke", role: "code", taskId: "7.1" }));
+    await runAgentWithOrchestration("manage", config);
+
+    expect(prompts.length).toBe(2);
+    expect(prompts[1]).toContain('unknown task "7.1"');
+  });
+
+  test("asks the user and passes the answer on", async () => {
+    managerOutputs.push(block({ action: "ask_user", question: "Postgres or SQLite?" }));
+    const ask = mock(async () => "SQLite");
+    await runAgentWithOrchestration("manage", { ...config, ask });
+
+    expect(ask).toHaveBeenCalledTimes(1);
+    expect(prompts[1]).toContain("--- USER ANSWER ---\nQuestion: Postgres or SQLite?\nAnswer: SQLite");
+  });
+
+  test("stops the run on abort", async () => {
+    managerOutputs.push(block({ action: "abort", note: "Requirements contradict each other" }));
+    const result = await runAgentWithOrchestration("manage", config);
+
+    expect(result.aborted).toBe(true);
+    expect(result.exitCode).toBe(1);
+    expect(prompts.length).toBe(1);
+  });
+
+  test("still follows legacy INVOKE lines", async () => {
+    managerOutputs.push("**INVOKE**: ralph-thinks-first --role document --tasks tests/fixtures/sample-tasks.md\n");
+    await runAgentWithOrchestration("manage", config);
+
+    expect(prompts.length).toBe(3);
+    expect(prompts[1]).not.toContain("Project Management Agent");
+  });
+});
@@ -13,12 +13,15 @@ import { describe, test, expect, beforeEach, afterEach } from "bun:test";
 
 // Import the functions to test (will be implemented in Task 2.3)
 // For now, these imports will fail - that's expected in TDD
-let emitEvent, parseEventStream;
+let emitEvent, parseEventStream, createEventHub, createEnvelope, validateEvent;
 
 try {
   const events = await import("../../src/utils/events.js");
   emitEvent = events.emitEvent;
   parseEventStream = events.parseEventStream;
+  createEventHub = events.createEventHub;
+  createEnvelope = events.createEnvelope;
+  validateEvent = events.validateEvent;
 } catch (e) {
   // Module doesn't exist yet - tests will fail as expected
   console.log("Note: src/utils/events.js not yet implemented - tests will fail");
@@ -339,3 +342,141 @@ describe("Edge Cases", () => {
     expect(result.message).toBe(longMessage);
   });
 });
+
+describe("createEventHub", () => {
+  test("delivers events to subscribers until they unsubscribe", () => {
+    const hub = createEventHub();
+    const received = [];
+    const unsubscribe = hub.subscribe(event => received.push(event.status));
+
+    hub.publish({ type: "status", agent: "code", status: "starting" });
+    unsubscribe();
+    hub.publish({ type: "status", agent: "code", status: "completed" });
+
+    expect(received).toEqual(["starting"]);
+    expect(hub.getHistory().length).toBe(2);
+  });
+
+  test("keeps a bounded history", () => {
+    const hub = createEventHub({ historyLimit: 2 });
+    hub.publish({ type: "output", agent: "a", message: "1" });
+    hub.publish({ type: "output", agent: "a", message: "2" });
+    hub.publish({ type: "output", agent: "a", message: "3" });
+
+    expect(hub.getHistory().map(e => e.message)).toEqual(["2", "3"]);
+  });
+
+  test("isolates failing subscribers", () => {
+    const hub = createEventHub();
+    const received = [];
+    hub.subscribe(() => { throw new Error("boom"); });
+    hub.subscribe(event => received.push(event));
+
+    hub.publish({ type: "status", agent: "plan", status: "running" });
+
+    expect(received.length).toBe(1);
+  });
+});
+
+describe("Event protocol v2", () => {
+  const envelope = {
+    runId: "20260131-142501-3fa9",
+    invocationId: "3f2a9c1e",
+    parentInvocationId: "b7d04e55",
+    seq: 7,
+    ts: "2026-01-31T14:25:09.123Z"
+  };
+
+  test("createEnvelope wraps the payload", () => {
+    const event = createEnvelope({ type: "status", agent: "plan", status: "starting" }, envelope);
+
+    expect(event).toEqual({ v: 2, ...envelope, type: "status", agent: "plan", status: "starting" });
+    expect(Object.keys(event).slice(0, 6)).toEqual(["v", "runId", "invocationId", "parentInvocationId", "seq", "ts"]);
+  });
+
+  test("createEnvelope keeps the lineage of a re-published v2 event and renumbers it", () => {
+    const nested = { v: 2, runId: "nested-run", invocationId: "child", parentInvocationId: "3f2a9c1e", seq: 1, ts: "2026-01-31T14:00:00.000Z" };
+    const event = createEnvelope({ ...nested, type: "output", agent: "code", message: "hi" }, envelope);
+    expect(event).toMatchObject({ runId: "nested-run", invocationId: "child", parentInvocationId: "3f2a9c1e", seq: 7, ts: envelope.ts });
+
+    // A nested top-level invocation without a parent of its own goes under the re-publishing one
+    const orphan = createEnvelope({ v: 2, runId: null, invocationId: "child", parentInvocationId: null, seq: 1, ts: nested.ts, type: "output", agent: "code", message: "hi" }, envelope);
+    expect(orphan).toMatchObject({ runId: envelope.runId, invocationId: "child", parentInvocationId: envelope.invocationId });
+
+    // Version 1 events and partial envelopes get the re-publisher's lineage
+    expect(createEnvelope({ v: 2, invocationId: "", type: "output", agent: "code", message: "hi" }, envelope).invocationId).toBe("3f2a9c1e");
+  });
+
+  test("passes lineage through the environment", async () => {
+    const { createLineageEnv, readLineageEnv } = await import("../../src/utils/events.js");
+    const env = createLineageEnv({ runId: envelope.runId, invocationId: envelope.invocationId });
+
+    expect(env).toEqual({ RTF_RUN_ID: envelope.runId, RTF_PARENT_INVOCATION_ID: envelope.invocationId });
+    expect(readLineageEnv(env)).toEqual({ runId: envelope.runId, parentInvocationId: envelope.invocationId });
+    expect(createLineageEnv({ invocationId: "a" })).toEqual({ RTF_PARENT_INVOCATION_ID: "a" });
+    expect(readLineageEnv({})).toEqual({ runId: null, parentInvocationId: null });
+  });
+
+  test("createEnvelope defaults to a null run, no parent and the current time", () => {
+    const event = createEnvelope({ type: "output", agent: "code", message: "hi" }, { invocationId: "a", seq: 1 });
+    expect(event.runId).toBeNull();
+    expect(event.parentInvocationId).toBeNull();
+    expect(Number.isNaN(Date.parse(event.ts))).toBe(false);
+  });
+
+  test("emitEvent writes a v2 event when given an envelope", () => {
+    const originalWrite = process.stderr.write;
+    const output = [];
+    process.stderr.write = (chunk) => { output.push(chunk.toString()); return true; };
+    try {
+      emitEvent("status", "code", { status: "running" }, envelope);
+    } finally {
+      process.stderr.write = originalWrite;
+    }
+
+    expect(JSON.parse(output[0])).toEqual({ v: 2, ...envelope, type: "status", agent: "code", status: "running" });
+  });
+
+  test("parseEventStream accepts v1 and v2 events", () => {
+    const v1 = '{"type":"status","agent":"code","status":"running"}';
+    const v2 = JSON.stringify(createEnvelope({ type: "status", agent: "code", status: "running" }, envelope));
+
+    expect(parseEventStream(v1)).toEqual({ type: "status", agent: "code", status: "running" });
+    expect(parseEventStream(v2)).toEqual(JSON.parse(v2));
+  });
+
+  test("validateEvent accepts v1 and v2 events", () => {
+    expect(validateEvent({ type: "output", agent: "plan", message: "Working" })).toEqual({ valid: true, errors: [] });
+    expect(validateEvent({ v: 1, type: "error", agent: "plan", error: "boom" }).valid).toBe(true);
+    expect(validateEvent(createEnvelope({ type: "status", agent: "code", status: "completed" }, envelope)).valid).toBe(true);
+  });
+
+  test("validateEvent reports payload problems", () => {
+    expect(validateEvent({ type: "progress", agent: "code" }).errors).toEqual(['unknown type: "progress"']);
+    expect(validateEvent({ type: "status", agent: "code", status: "done" }).errors).toEqual(['invalid status: "done"']);
+    expect(validateEvent({ type: "output", agent: "", message: 1 }).errors).toEqual([
+      'output event requires a string "message"',
+      '"agent" must be a non-empty string'
+    ]);
+    expect(validateEvent(null).valid).toBe(false);
+  });
+
+  test("validateEvent checks stream-json event payloads", () => {
+    expect(validateEvent({ type: "tool_use", agent: "code", toolUseId: "toolu_1", tool: "Bash", input: {} }).valid).toBe(true);
+    expect(validateEvent({ type: "usage", agent: "code", inputTokens: "10" }).errors).toEqual([
+      'usage event requires a number "inputTokens"',
+      'usage event requires a number "outputTokens"'
+    ]);
+  });
+
+  test("validateEvent reports envelope problems", () => {
+    const event = { v: 2, runId: 5, invocationId: "", parentInvocationId: null, seq: 0, ts: "yesterday", type: "output", agent: "code", message: "hi" };
+    expect(validateEvent(event).errors).toEqual([
+      '"runId" must be a string or null',
+      '"invocationId" must be a non-empty string',
+      '"seq" must be a positive integer',
+      '"ts" must be an ISO 8601 timestamp'
+    ]);
+    expect(validateEvent({ v: 3, type: "output", agent: "code", message: "hi" }).errors).toEqual(["unsupported protocol version: 3"]);
+  });
+});
@@ -0,0 +1,268 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import {
+  runGit,
+  isGitRepository,
+  getUncommittedChanges,
+  getRunBranchName,
+  checkoutRunBranch,
+  commitChanges,
+  formatTaskCommitMessage,
+  getHeadCommit,
+  getChangedFiles
+} from "../../src/utils/git.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { parseTaskTree, diffTaskTrees } from "../../src/utils/tasks.js";
+import { mkdtemp, rm, mkdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync } from "node:fs";
+
+const tasks = `# Tasks
+
+## Phase 1: Setup
+### Task 1.1: Init
+- [ ] Repo created
+- [ ] README added
+### Task 1.2: Lint
+- [ ] Linter configured
+`;
+
+/**
+ * Creates a temporary git repository with one commit
+ */
+async function createRepo() {
+  const dir = await mkdtemp(join(tmpdir(), "rtf-git-"));
+  await runGit(["init", "-q", "-b", "main"], { cwd: dir });
+  await runGit(["config", "user.email", "rtf@example.com"], { cwd: dir });
+  await runGit(["config", "user.name", "RTF Test"], { cwd: dir });
+  await Bun.write(join(dir, "TASKS.md"), tasks);
+  await runGit(["add", "-A"], { cwd: dir });
+  await runGit(["commit", "-q", "-m", "Initial commit"], { cwd: dir });
+  return dir;
+}
+
+describe("diffTaskTrees", () => {
+  test("reports newly checked items and newly completed tasks", () => {
+    const before = parseTaskTree(tasks);
+    const after = parseTaskTree(tasks
+      .replace("- [ ] Repo created", "- [x] Repo created")
+      .replace("- [ ] README added", "- [x] README added")
+      .replace("- [ ] Linter configured", "- [ ] Linter configured\n- [x] Added by hand"));
+
+    const diff = diffTaskTrees(before, after);
+    expect(diff.checkedItems.map(item => item.id)).toEqual(["1.1:1", "1.1:2"]);
+    expect(diff.completedTasks.map(task => task.id)).toEqual(["1.1"]);
+  });
+
+  test("reports nothing when no box was checked", () => {
+    const tree = parseTaskTree(tasks);
+    expect(diffTaskTrees(tree, tree)).toEqual({ checkedItems: [], completedTasks: [] });
+  });
+});
+
+describe("formatTaskCommitMessage", () => {
+  test("names the completed task and lists checked items", () => {
+    const after = parseTaskTree(tasks.replace(/- \[ \] (Repo|README)/g, "- [x] $1"));
+    const message = formatTaskCommitMessage(diffTaskTrees(parseTaskTree(tasks), after), after, "20260101-000000-abcd");
+
+    expect(message).toBe([
+      "Complete task 1.1: Init",
+      "",
+      "- [x] Repo created",
+      "- [x] README added",
+      "",
+      "RTF-Run: 20260101-000000-abcd",
+      "RTF-Task: 1.1"
+    ].join("\n"));
+  });
+
+  test("names the task that progressed when none was completed", () => {
+    const after = parseTaskTree(tasks.replace("- [ ] Repo created", "- [x] Repo created"));
+    const message = formatTaskCommitMessage(diffTaskTrees(parseTaskTree(tasks), after), after);
+    expect(message.split("\n")[0]).toBe("Progress on task 1.1: Init");
+    expect(message).not.toContain("RTF-Run");
+  });
+
+  test("handles items outside any task", () => {
+    const flat = "# Todo\n- [ ] Write code\n";
+    const after = parseTaskTree(flat.replace("[ ]", "[x]"));
+    const message = formatTaskCommitMessage(diffTaskTrees(parseTaskTree(flat), after), after);
+    expect(message).toBe("Check off Write code\n\n- [x] Write code");
+  });
+});
+
+describe("git helpers", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await createRepo();
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("isGitRepository detects work trees", async () => {
+    expect(await isGitRepository(dir)).toBe(true);
+    const plain = await mkdtemp(join(tmpdir(), "rtf-plain-"));
+    try {
+      expect(await isGitRepository(plain)).toBe(false);
+    } finally {
+      await rm(plain, { recursive: true, force: true });
+    }
+  });
+
+  test("getUncommittedChanges ignores the state directory", async () => {
+    expect(await getUncommittedChanges({ cwd: dir })).toEqual([]);
+
+    await mkdir(join(dir, ".rtf", "runs"), { recursive: true });
+    await Bun.write(join(dir, ".rtf", "runs", "run.json"), "{}");
+    await Bun.write(join(dir, "notes.txt"), "wip");
+
+    expect(await getUncommittedChanges({ cwd: dir, ignore: [".rtf"] })).toEqual(["notes.txt"]);
+  });
+
+  test("checkoutRunBranch creates the branch, then reuses it", async () => {
+    expect(await checkoutRunBranch("run-1", { cwd: dir })).toBe(getRunBranchName("run-1"));
+    await runGit(["checkout", "-q", "main"], { cwd: dir });
+    await checkoutRunBranch("run-1", { cwd: dir });
+
+    const { stdout } = await runGit(["branch", "--show-current"], { cwd: dir });
+    expect(stdout.trim()).toBe("rtf/run-1");
+  });
+
+  test("commitChanges commits everything except excluded paths", async () => {
+    await Bun.write(join(dir, "src.js"), "export {};\n");
+    await mkdir(join(dir, ".rtf"), { recursive: true });
+    await Bun.write(join(dir, ".rtf", "state.json"), "{}");
+
+    const sha = await commitChanges("Add source", { cwd: dir, exclude: [".rtf"] });
+    expect(sha).toMatch(/^[0-9a-f]{40}$/);
+
+    const { stdout } = await runGit(["show", "--name-only", "--format=%s", "HEAD"], { cwd: dir });
+    expect(stdout.trim().split("\n")).toEqual(["Add source", "", "src.js"]);
+    expect(await commitChanges("Nothing", { cwd: dir, exclude: [".rtf"] })).toBeNull();
+  });
+
+  test("getChangedFiles lists committed, uncommitted and new files since a commit", async () => {
+    const start = await getHeadCommit({ cwd: dir });
+    expect(start).toMatch(/^[0-9a-f]{40}$/);
+
+    await Bun.write(join(dir, "src.js"), "export {};\n");
+    await commitChanges("Add source", { cwd: dir });
+    await Bun.write(join(dir, "TASKS.md"), "# Tasks\n");
+    await mkdir(join(dir, ".rtf"), { recursive: true });
+    await Bun.write(join(dir, ".rtf", "state.json"), "{}");
+    await Bun.write(join(dir, "notes.txt"), "wip");
+
+    expect((await getChangedFiles(start, { cwd: dir, ignore: [".rtf"] })).sort()).toEqual(["TASKS.md", "notes.txt", "src.js"]);
+  });
+
+  test("concurrent commits are serialized", async () => {
+    await Bun.write(join(dir, "a.txt"), "a");
+    const first = commitChanges("First", { cwd: dir });
+    const second = commitChanges("Second", { cwd: dir });
+
+    expect(await first).not.toBeNull();
+    expect(await second).toBeNull();
+  });
+});
+
+describe("git mode", () => {
+  let dir;
+  let originalCwd;
+  let originalSpawn;
+
+  beforeEach(async () => {
+    dir = await createRepo();
+    originalCwd = process.cwd();
+    process.chdir(dir);
+    originalSpawn = Bun.spawn;
+
+    // Fake coder that finishes Task 1.1 and writes a file; git still runs for real
+    Bun.spawn = mock((cmd, options) => {
+      if (cmd[0] === "git") {
+        return originalSpawn(cmd, options);
+      }
+      return {
+        stdin: { write: mock(() => {}), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            const content = readFileSync("TASKS.md", "utf8");
+            writeFileSync("TASKS.md", content.replace(/- \[ \] (Repo|README)/g, "- [x] $1"));
+            writeFileSync("README.md", "# Project\n");
+            yield new TextEncoder().encode("Done\n**AGENT COMPLETE**\n");
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 12345
+      };
+    });
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    process.chdir(originalCwd);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("commits each coder invocation that checks off a task", async () => {
+    await runAgentWithOrchestration("code", { tasksFile: "TASKS.md", maxIterations: 5, git: true });
+
+    const { stdout } = await runGit(["log", "-1", "--name-only", "--format=%s"]);
+    expect(stdout.trim().split("\n")).toEqual(["Complete task 1.1: Init", "", "README.md", "TASKS.md"]);
+  });
+
+  test("runs parallel coders one at a time so each commit holds one task", async () => {
+    const active = { now: 0, max: 0 };
+    Bun.spawn = mock((cmd, options) => {
+      if (cmd[0] === "git") {
+        return originalSpawn(cmd, options);
+      }
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            const taskId = stdin.match(/Work ONLY on Task (\S+)/)[1];
+            active.max = Math.max(active.max, ++active.now);
+            writeFileSync(`task-${taskId}.txt`, "half done\n");
+            await Bun.sleep(20);
+            writeFileSync(`task-${taskId}.txt`, "done\n");
+            active.now--;
+            const items = taskId === "1.1" ? '"1.1:1", "1.1:2"' : '"1.2:1"';
+            yield new TextEncoder().encode(`\`\`\`rtf-progress\n{"completed": [${items}]}\n\`\`\`\n**AGENT COMPLETE**\n`);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 12345
+      };
+    });
+    const originalError = console.error;
+    console.error = mock(() => {});
+
+    try {
+      await runAgentWithOrchestration("code", { tasksFile: "TASKS.md", maxIterations: 5, git: true, concurrency: 2 });
+    } finally {
+      console.error = originalError;
+    }
+
+    expect(active.max).toBe(1);
+    const { stdout } = await runGit(["log", "-2", "--name-only", "--format=%s"]);
+    expect(stdout.trim().split("\n")).toEqual([
+      "Complete task 1.2: Lint", "", "TASKS.md", "task-1.2.txt",
+      "Complete task 1.1: Init", "", "TASKS.md", "task-1.1.txt"
+    ]);
+  });
+
+  test("does not commit when git mode is off", async () => {
+    await runAgentWithOrchestration("code", { tasksFile: "TASKS.md", maxIterations: 5 });
+
+    const { stdout } = await runGit(["log", "--format=%s"]);
+    expect(stdout.trim()).toBe("Initial commit");
+  });
+});
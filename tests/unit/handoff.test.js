@@ -0,0 +1,276 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from "node:fs";
+import {
+  diffTaskStates,
+  collectTouchedFiles,
+  snapshotFiles,
+  diffSnapshots,
+  formatHandoff,
+  resolveHandoffBudget,
+  DEFAULT_HANDOFF_BUDGET
+} from "../../src/utils/handoff.js";
+import { parseTaskTree } from "../../src/utils/tasks.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { loadConfig } from "../../src/utils/config.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+const TASKS = `# Project
+
+### Task 1: Setup
+- [x] Repo
+- [ ] CI
+
+### Task 2: Build
+- [ ] Compile
+- [ ] Bundle
+
+### Task 3: Old
+- [ ] Remove me
+`;
+
+const report = {
+  role: "code",
+  exitCode: 0,
+  completed: true,
+  durationMs: 125000
+};
+
+describe("diffTaskStates", () => {
+  test("lists progressed, completed, added and removed tasks", () => {
+    const after = TASKS
+      .replace("- [ ] CI", "- [x] CI")
+      .replace("- [ ] Compile", "- [x] Compile")
+      .replace("### Task 3: Old\n- [ ] Remove me\n", "### Task 4: Docs\n- [ ] README\n");
+
+    expect(diffTaskStates(parseTaskTree(TASKS), parseTaskTree(after))).toEqual([
+      { id: "1", title: "Setup", before: "open (1/2)", after: "done" },
+      { id: "2", title: "Build", before: "open (0/2)", after: "open (1/2)" },
+      { id: "4", title: "Docs", before: null, after: "open (0/1)" },
+      { id: "3", title: "Old", before: "open (0/1)", after: null }
+    ]);
+  });
+
+  test("is empty when nothing changed", () => {
+    expect(diffTaskStates(parseTaskTree(TASKS), parseTaskTree(TASKS))).toEqual([]);
+  });
+});
+
+describe("collectTouchedFiles", () => {
+  test("takes the paths written by file tools, relative to the working directory", () => {
+    const events = [
+      { type: "tool_use", tool: "Read", input: { file_path: "/work/README.md" } },
+      { type: "tool_use", tool: "Edit", input: { file_path: "/work/src/a.js" } },
+      { type: "tool_use", tool: "Write", input: { file_path: "/elsewhere/b.js" } },
+      { type: "tool_use", tool: "MultiEdit", input: { file_path: "/work/src/a.js" } },
+      { type: "tool_use", tool: "NotebookEdit", input: { notebook_path: "notes.ipynb" } },
+      { type: "assistant", message: "Done" }
+    ];
+    expect(collectTouchedFiles(events, "/work")).toEqual(["src/a.js", "/elsewhere/b.js", "notes.ipynb"]);
+  });
+});
+
+describe("snapshotFiles", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-snapshot-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("finds files added, changed and removed, leaving out ignored paths", async () => {
+    mkdirSync(join(dir, "src"));
+    mkdirSync(join(dir, "node_modules"));
+    writeFileSync(join(dir, "src", "a.js"), "a");
+    writeFileSync(join(dir, "old.txt"), "old");
+    const before = await snapshotFiles({ cwd: dir, ignore: [".rtf"] });
+
+    writeFileSync(join(dir, "src", "a.js"), "changed");
+    writeFileSync(join(dir, "src", "b.js"), "b");
+    writeFileSync(join(dir, "node_modules", "dep.js"), "dep");
+    mkdirSync(join(dir, ".rtf"));
+    writeFileSync(join(dir, ".rtf", "state.json"), "{}");
+    rmSync(join(dir, "old.txt"));
+    const after = await snapshotFiles({ cwd: dir, ignore: [".rtf"] });
+
+    expect(diffSnapshots(before, after)).toEqual(["old.txt", "src/a.js", "src/b.js"]);
+  });
+
+  test("gives up on trees larger than the limit", async () => {
+    writeFileSync(join(dir, "a"), "");
+    writeFileSync(join(dir, "b"), "");
+    expect(await snapshotFiles({ cwd: dir, limit: 1 })).toBeNull();
+  });
+});
+
+describe("formatHandoff", () => {
+  test("reports status, tasks, errors, files and output", () => {
+    const text = formatHandoff({
+      ...report,
+      timedOut: true,
+      taskChanges: [{ id: "1.2", title: "Configure Build", before: "open (1/3)", after: "done" }],
+      files: ["src/build.js"],
+      errors: ["Tool failed"],
+      output: "Built it\n**AGENT COMPLETE**\n"
+    });
+
+    expect(text).toBe([
+      "--- SUB-AGENT RESULT ---",
+      "Agent: code",
+      "Exit Code: 0",
+      "Completed: Yes",
+      "Timed Out: Yes",
+      "Duration: 2m 05s",
+      "Tasks changed:",
+      "- Task 1.2 Configure Build: open (1/3) -> done",
+      "Errors:",
+      "- Tool failed",
+      "Files touched:",
+      "- src/build.js",
+      "Output (end):",
+      "Built it\n**AGENT COMPLETE**",
+      "--- END SUB-AGENT RESULT ---"
+    ].join("\n"));
+  });
+
+  test("stays within the budget, keeping the end of the output", () => {
+    const output = Array.from({ length: 500 }, (_, i) => `line ${i}`).join("\n");
+    const files = Array.from({ length: 100 }, (_, i) => `src/file-${i}.js`);
+    const text = formatHandoff({ ...report, files, output }, 1000);
+
+    expect(text.length).toBeLessThanOrEqual(1000);
+    expect(text).toMatch(/- \.\.\. and \d+ more\n/);
+    expect(text).toContain("line 499\n--- END SUB-AGENT RESULT ---");
+  });
+
+  test("keeps only the header when nothing else fits", () => {
+    const files = Array.from({ length: 100 }, (_, i) => `src/file-${i}.js`);
+    const text = formatHandoff({ ...report, files, output: "x".repeat(1000) }, 150);
+
+    expect(text).toBe("--- SUB-AGENT RESULT ---\nAgent: code\nExit Code: 0\nCompleted: Yes\nDuration: 2m 05s\n--- END SUB-AGENT RESULT ---");
+  });
+});
+
+describe("handoffBudget", () => {
+  const saved = process.env.RTF_HANDOFF_BUDGET;
+  afterEach(() => saved === undefined ? delete process.env.RTF_HANDOFF_BUDGET : (process.env.RTF_HANDOFF_BUDGET = saved));
+
+  test("defaults when unset or invalid, and is read from RTF_HANDOFF_BUDGET", async () => {
+    expect(resolveHandoffBudget(undefined)).toBe(DEFAULT_HANDOFF_BUDGET);
+    expect(resolveHandoffBudget("-5")).toBe(DEFAULT_HANDOFF_BUDGET);
+    expect(resolveHandoffBudget("2500")).toBe(2500);
+
+    process.env.RTF_HANDOFF_BUDGET = "6000";
+    const config = await loadConfig(parseArgs(["--config", "tests/fixtures/missing-rtfrc.json"]));
+    expect(config.handoffBudget).toBe(6000);
+  });
+});
+
+describe("Handoff to the manager", () => {
+  let dir;
+  let tasksFile;
+  let originalSpawn;
+  let originalLog;
+  let prompts;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-handoff-"));
+    tasksFile = join(dir, "TASKS.md");
+    writeFileSync(tasksFile, TASKS);
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    prompts = [];
+
+    // The manager invokes the coder once; the coder edits a file and checks off CI
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            const isManager = stdin.includes("Project Management Agent");
+            let lines;
+            if (!isManager) {
+              writeFileSync(tasksFile, readFileSync(tasksFile, "utf8").replace("- [ ] CI", "- [x] CI"));
+              lines = [
+                { type: "assistant", message: { content: [{ type: "tool_use", id: "t1", name: "Write", input: { file_path: join(process.cwd(), "ci.yml") } }] } },
+                { type: "assistant", message: { content: [{ type: "text", text: "CI is set up\n**AGENT COMPLETE**" }] } },
+                { type: "result", subtype: "success", is_error: false, result: "CI is set up\n**AGENT COMPLETE**" }
+              ];
+            } else {
+              const text = prompts.length === 1
+                ? "```rtf-directive\n{\"action\": \"invoke\", \"role\": \"code\"}\n```"
+                : "**AGENT COMPLETE**";
+              lines = [{ type: "assistant", message: { content: [{ type: "text", text }] } }];
+            }
+            yield new TextEncoder().encode(lines.map(line => JSON.stringify(line)).join("\n") + "\n");
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20006
+      };
+    });
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("tells the manager which tasks and files the sub-agent changed", async () => {
+    await runAgentWithOrchestration("manage", { claudeCommand: "claude", tasksFile, maxIterations: 5, outputFormat: "stream-json" });
+
+    expect(prompts.length).toBe(3);
+    expect(prompts[2]).toContain("Agent: code\nExit Code: 0\nCompleted: Yes\n");
+    expect(prompts[2]).toContain("Tasks changed:\n- Task 1 Setup: open (1/2) -> done\n");
+    expect(prompts[2]).toContain("Files touched:\n- ci.yml\n");
+    expect(prompts[2]).toContain("Output (end):\nCI is set up\n**AGENT COMPLETE**\n--- END SUB-AGENT RESULT ---");
+  });
+
+  test("finds the files a text-mode sub-agent touched without git", async () => {
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            let text = "**AGENT COMPLETE**\n";
+            if (prompts.length === 1) {
+              text = "```rtf-directive\n{\"action\": \"invoke\", \"role\": \"code\"}\n```\n";
+            } else if (!stdin.includes("Project Management Agent")) {
+              writeFileSync(join(dir, "ci.yml"), "on: push\n");
+            }
+            yield new TextEncoder().encode(text);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20006
+      };
+    });
+    const originalCwd = process.cwd();
+    process.chdir(dir);
+
+    try {
+      await runAgentWithOrchestration("manage", { claudeCommand: "claude", tasksFile: "TASKS.md", maxIterations: 5 });
+    } finally {
+      process.chdir(originalCwd);
+    }
+
+    expect(prompts[2]).toContain("Files touched:\n- ci.yml\n");
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  generateRunId,
+  createRun,
+  openRun,
+  listRuns,
+  findLatestRun,
+  readRunMetadata,
+  updateRunMetadata,
+  appendJournal,
+  readJournal,
+  appendEvent,
+  readEvents,
+  createEventLog,
+  rebuildState
+} from "../../src/utils/journal.js";
+import { mkdtemp, rm, appendFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+
+describe("generateRunId", () => {
+  test("should produce a sortable timestamp-based ID", () => {
+    const id = generateRunId(new Date(2026, 0, 31, 14, 25, 1));
+    expect(id).toMatch(/^20260131-142501-[0-9a-f]{4}$/);
+  });
+});
+
+describe("run storage", () => {
+  let stateDir;
+
+  beforeEach(async () => {
+    stateDir = await mkdtemp(join(tmpdir(), "rtf-journal-"));
+  });
+
+  afterEach(async () => {
+    await rm(stateDir, { recursive: true, force: true });
+  });
+
+  test("should create a run with metadata", async () => {
+    const run = await createRun({ role: "manage", initialPrompt: "Build it" }, stateDir);
+    expect(run.dir).toBe(join(stateDir, "runs", run.id));
+
+    const metadata = await readRunMetadata(run);
+    expect(metadata.id).toBe(run.id);
+    expect(metadata.status).toBe("running");
+    expect(metadata.role).toBe("manage");
+    expect(metadata.initialPrompt).toBe("Build it");
+  });
+
+  test("should update run metadata", async () => {
+    const run = await createRun({ role: "code" }, stateDir);
+    await updateRunMetadata(run, { status: "completed", exitCode: 0 });
+
+    const metadata = await readRunMetadata(run);
+    expect(metadata.status).toBe("completed");
+    expect(metadata.role).toBe("code");
+  });
+
+  test("should list runs and find the latest", async () => {
+    expect(await listRuns(stateDir)).toEqual([]);
+    expect(await findLatestRun(stateDir)).toBeNull();
+
+    const first = await createRun({}, stateDir);
+    await Bun.sleep(1100);
+    const second = await createRun({}, stateDir);
+
+    expect(await listRuns(stateDir)).toEqual([first.id, second.id]);
+    expect(await findLatestRun(stateDir)).toBe(second.id);
+  });
+
+  test("should open existing runs and reject unknown ones", async () => {
+    const run = await createRun({}, stateDir);
+    expect((await openRun(run.id, stateDir)).dir).toBe(run.dir);
+    await expect(openRun("missing", stateDir)).rejects.toThrow("Run not found");
+  });
+
+  test("should append and read journal entries", async () => {
+    const run = await createRun({}, stateDir);
+    await appendJournal(run, { step: "checkpoint", role: "manage", iteration: 1, depth: 0 });
+    await appendJournal(run, { step: "agent-start", role: "manage", iteration: 1, depth: 0 });
+
+    const entries = await readJournal(run);
+    expect(entries.map(e => e.step)).toEqual(["checkpoint", "agent-start"]);
+    expect(entries[0].ts).toBeString();
+  });
+
+  test("should skip a truncated last line", async () => {
+    const run = await createRun({}, stateDir);
+    await appendJournal(run, { step: "checkpoint", role: "manage", iteration: 1, depth: 0 });
+    await appendFile(join(run.dir, "journal.jsonl"), '{"step":"agent-');
+
+    expect((await readJournal(run)).length).toBe(1);
+  });
+
+  test("should ignore appends without a run", async () => {
+    await appendJournal(null, { step: "checkpoint" });
+    await appendEvent(null, { type: "status" });
+  });
+
+  test("should append and read events", async () => {
+    const run = await createRun({}, stateDir);
+    expect(await readEvents(run)).toEqual([]);
+
+    await appendEvent(run, { v: 2, seq: 1, type: "status", agent: "code", status: "running" });
+    await appendFile(join(run.dir, "events.jsonl"), '{"v":2,"seq":');
+
+    expect(await readEvents(run)).toEqual([{ v: 2, seq: 1, type: "status", agent: "code", status: "running" }]);
+  });
+
+  test("should write logged events in publish order", async () => {
+    const run = await createRun({}, stateDir);
+    const log = createEventLog(run);
+    for (let seq = 1; seq <= 20; seq++) {
+      log.append({ seq, type: "output", agent: "code", message: `line ${seq}` });
+    }
+    await log.flush();
+
+    expect((await readEvents(run)).map(event => event.seq)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+  });
+});
+
+describe("rebuildState", () => {
+  test("should resume from the last top-level checkpoint", () => {
+    const state = rebuildState([
+      { step: "checkpoint", role: "manage", iteration: 1, depth: 0 },
+      { step: "invoke", role: "manage", iteration: 1, depth: 0, subRole: "plan", args: "" },
+      { step: "checkpoint", role: "plan", iteration: 1, depth: 1 },
+      { step: "checkpoint", role: "manage", iteration: 2, depth: 0, continuationPrompt: "next?" }
+    ]);
+
+    expect(state).toEqual({ role: "manage", iteration: 2, continuationPrompt: "next?", pendingInvoke: null });
+  });
+
+  test("should report a sub-agent that never finished", () => {
+    const state = rebuildState([
+      { step: "checkpoint", role: "manage", iteration: 3, depth: 0, continuationPrompt: "p" },
+      { step: "agent-end", role: "manage", iteration: 3, depth: 0, exitCode: 0 },
+      { step: "invoke", role: "manage", iteration: 3, depth: 0, subRole: "code", args: "--tasks TASKS.md" },
+      { step: "agent-start", role: "code", iteration: 1, depth: 1 }
+    ]);
+
+    expect(state.iteration).toBe(3);
+    expect(state.pendingInvoke).toEqual({ role: "code", additionalArgs: "--tasks TASKS.md" });
+  });
+
+  test("should return null without checkpoints", () => {
+    expect(rebuildState([])).toBeNull();
+  });
+});
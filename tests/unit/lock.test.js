@@ -0,0 +1,143 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir, hostname } from "node:os";
+import { join } from "path";
+import { existsSync, writeFileSync, mkdirSync, readdirSync } from "node:fs";
+import { acquireRunLock, readLock, isStaleLock, getLockPath, LOCK_PID_ENV } from "../../src/utils/lock.js";
+
+describe("run lock", () => {
+  let stateDir;
+  let savedEnv;
+  let originalWarn;
+
+  beforeEach(async () => {
+    stateDir = join(await mkdtemp(join(tmpdir(), "rtf-lock-")), ".rtf");
+    savedEnv = process.env[LOCK_PID_ENV];
+    delete process.env[LOCK_PID_ENV];
+    originalWarn = console.warn;
+    console.warn = mock(() => {});
+  });
+
+  afterEach(async () => {
+    savedEnv === undefined ? delete process.env[LOCK_PID_ENV] : (process.env[LOCK_PID_ENV] = savedEnv);
+    console.warn = originalWarn;
+    await rm(join(stateDir, ".."), { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a lock as if another process held it
+   */
+  function writeLock(lock) {
+    mkdirSync(stateDir, { recursive: true });
+    writeFileSync(getLockPath(stateDir), JSON.stringify(lock));
+  }
+
+  /**
+   * Returns the PID of a process that has already exited
+   */
+  async function deadPid() {
+    const proc = Bun.spawn(["true"]);
+    await proc.exited;
+    return proc.pid;
+  }
+
+  test("is written on acquire, updated and removed on release", () => {
+    const lock = acquireRunLock({ stateDir });
+
+    expect(readLock(lock.path)).toMatchObject({ pid: process.pid, hostname: hostname(), runId: null });
+    expect(process.env[LOCK_PID_ENV]).toBe(String(process.pid));
+
+    lock.update({ runId: "20260101-000000-abcd" });
+    expect(readLock(lock.path).runId).toBe("20260101-000000-abcd");
+
+    lock.release();
+    expect(existsSync(lock.path)).toBe(false);
+  });
+
+  test("refuses while another running process holds it", async () => {
+    const other = Bun.spawn(["sleep", "10"]);
+    try {
+      writeLock({ pid: other.pid, hostname: hostname(), runId: "run-a", startedAt: "2026-01-01T00:00:00.000Z" });
+      expect(() => acquireRunLock({ stateDir })).toThrow(`Run run-a (PID ${other.pid}, started 2026-01-01T00:00:00.000Z) is already active in this directory.`);
+    } finally {
+      other.kill();
+      await other.exited;
+    }
+  });
+
+  test("takes over a stale lock", async () => {
+    const pid = await deadPid();
+    writeLock({ pid, hostname: hostname(), runId: "run-a" });
+
+    const lock = acquireRunLock({ stateDir, runId: "run-b" });
+    expect(readLock(lock.path)).toMatchObject({ pid: process.pid, runId: "run-b" });
+    expect(readdirSync(stateDir)).toEqual(["lock"]);
+    expect(console.warn.mock.calls[0][0]).toStartWith(`Warning: Removing stale lock of Run run-a (PID ${pid})`);
+    lock.release();
+  });
+
+  test("does not replace a stale lock another run took over in the meantime", async () => {
+    const pid = await deadPid();
+    const other = Bun.spawn(["sleep", "10"]);
+    try {
+      writeLock({ pid, hostname: hostname(), runId: "run-a" });
+      // The other run takes the lock over between this run reading it and replacing it
+      console.warn = mock(() => writeLock({ pid: other.pid, hostname: hostname(), runId: "run-c" }));
+
+      expect(() => acquireRunLock({ stateDir, runId: "run-b" })).toThrow(`Run run-c (PID ${other.pid}) is already active`);
+      expect(readLock(getLockPath(stateDir)).runId).toBe("run-c");
+      expect(readdirSync(stateDir)).toEqual(["lock"]);
+    } finally {
+      other.kill();
+      await other.exited;
+    }
+  });
+
+  test("update leaves a lock taken over by another process alone", () => {
+    const lock = acquireRunLock({ stateDir });
+    writeLock({ pid: 999999, hostname: hostname() });
+    const originalError = console.error;
+    console.error = mock(() => {});
+
+    try {
+      lock.update({ runId: "run-b" });
+      expect(console.error.mock.calls[0][0]).toContain("is no longer held by this run");
+    } finally {
+      console.error = originalError;
+    }
+    expect(readLock(lock.path)).toEqual({ pid: 999999, hostname: hostname() });
+  });
+
+  test("treats unreadable locks as stale and locks from other hosts as held", async () => {
+    expect(isStaleLock({})).toBe(true);
+    expect(isStaleLock({ pid: await deadPid(), hostname: "elsewhere" })).toBe(false);
+
+    mkdirSync(stateDir, { recursive: true });
+    writeFileSync(getLockPath(stateDir), "not json");
+    acquireRunLock({ stateDir }).release();
+  });
+
+  test("is shared with runs started by the holder's agents", async () => {
+    const other = Bun.spawn(["sleep", "10"]);
+    try {
+      writeLock({ pid: other.pid, hostname: hostname() });
+      process.env[LOCK_PID_ENV] = String(other.pid);
+
+      const lock = acquireRunLock({ stateDir });
+      expect(lock.shared).toBe(true);
+      lock.release();
+      expect(readLock(lock.path).pid).toBe(other.pid);
+    } finally {
+      other.kill();
+      await other.exited;
+    }
+  });
+
+  test("release leaves a lock taken over by another process alone", () => {
+    const lock = acquireRunLock({ stateDir });
+    writeLock({ pid: 999999, hostname: hostname() });
+
+    lock.release();
+    expect(readLock(lock.path).pid).toBe(999999);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeEach, afterEach, spyOn } from "bun:test";
+import { parseTimeArg, filterEvents, formatLogLine, runLogCommand } from "../../src/commands/log.js";
+import { createRun, appendEvent, updateRunMetadata } from "../../src/utils/journal.js";
+import { parseArgs } from "../../src/utils/cli.js";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+
+const events = [
+  { v: 2, seq: 1, ts: "2026-01-31T14:00:00.000Z", type: "status", agent: "manage", status: "running" },
+  { v: 2, seq: 2, ts: "2026-01-31T14:05:00.000Z", type: "output", agent: "code", message: "Writing tests" },
+  { v: 2, seq: 3, ts: "2026-01-31T14:10:00.000Z", type: "error", agent: "code", error: "Boom" },
+  { v: 2, seq: 4, ts: "2026-01-31T14:15:00.000Z", type: "status", agent: "code", status: "completed" }
+];
+
+describe("parseTimeArg", () => {
+  const now = new Date("2026-01-31T15:00:00.000Z");
+
+  test("accepts durations back from now", () => {
+    expect(parseTimeArg("30m", now)).toBe(Date.parse("2026-01-31T14:30:00.000Z"));
+    expect(parseTimeArg("2h", now)).toBe(Date.parse("2026-01-31T13:00:00.000Z"));
+    expect(parseTimeArg("1d", now)).toBe(Date.parse("2026-01-30T15:00:00.000Z"));
+  });
+
+  test("accepts ISO dates and rejects anything else", () => {
+    expect(parseTimeArg("2026-01-31T14:00:00Z")).toBe(Date.parse("2026-01-31T14:00:00Z"));
+    expect(() => parseTimeArg("yesterday")).toThrow("Invalid time 'yesterday'");
+  });
+});
+
+describe("filterEvents", () => {
+  test("filters by agent and type", () => {
+    expect(filterEvents(events, { agent: "code" }).map(e => e.seq)).toEqual([2, 3, 4]);
+    expect(filterEvents(events, { type: "status,error" }).map(e => e.seq)).toEqual([1, 3, 4]);
+    expect(filterEvents(events, { agent: "CODE", type: "status" }).map(e => e.seq)).toEqual([4]);
+  });
+
+  test("filters by time range, inclusive", () => {
+    const since = Date.parse("2026-01-31T14:05:00.000Z");
+    const until = Date.parse("2026-01-31T14:10:00.000Z");
+    expect(filterEvents(events, { since, until }).map(e => e.seq)).toEqual([2, 3]);
+    expect(filterEvents([{ type: "status", agent: "code" }], { since })).toEqual([]);
+  });
+
+  test("keeps everything without filters", () => {
+    expect(filterEvents(events)).toEqual(events);
+  });
+});
+
+describe("formatLogLine", () => {
+  test("prefixes the console line with the local time", () => {
+    expect(formatLogLine(events[1])).toMatch(/^\d{2}:\d{2}:\d{2} \[CODE\] Writing tests$/);
+    expect(formatLogLine({ type: "error", agent: "plan", error: "x" })).toBe("--:--:-- [PLAN] ERROR: x");
+  });
+});
+
+describe("runLogCommand", () => {
+  let stateDir;
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(async () => {
+    stateDir = await mkdtemp(join(tmpdir(), "rtf-log-"));
+    logSpy = spyOn(console, "log").mockImplementation(() => {});
+    errorSpy = spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    await rm(stateDir, { recursive: true, force: true });
+  });
+
+  const printed = (spy) => spy.mock.calls.map(call => call[0]);
+
+  test("lists runs with their status and event count", async () => {
+    const run = await createRun({ role: "code" }, stateDir);
+    await updateRunMetadata(run, { status: "completed" });
+    for (const event of events) {
+      await appendEvent(run, event);
+    }
+
+    await runLogCommand(parseArgs(["log"]), { stateDir });
+
+    const lines = printed(logSpy);
+    expect(lines[0]).toMatch(/^RUN\s+STATUS\s+ROLE\s+STARTED\s+EVENTS$/);
+    expect(lines[1]).toMatch(new RegExp(`^${run.id}\\s+completed\\s+code\\s+\\S+ \\S+\\s+4$`));
+  });
+
+  test("reports when there are no runs", async () => {
+    await runLogCommand(parseArgs(["log"]), { stateDir });
+    expect(printed(logSpy)).toEqual([`No runs found in ${stateDir}/runs.`]);
+  });
+
+  test("replays the latest run's events with filters", async () => {
+    const run = await createRun({}, stateDir);
+    for (const event of events) {
+      await appendEvent(run, event);
+    }
+
+    await runLogCommand(parseArgs(["log", "latest", "--agent", "code"]), { stateDir });
+
+    expect(printed(logSpy).map(line => line.slice(9))).toEqual(["[CODE] Writing tests", "[CODE] Status: completed"]);
+    expect(printed(errorSpy).map(line => line.slice(9))).toEqual(["[CODE] ERROR: Boom"]);
+  });
+
+  test("prints raw JSON lines with --json", async () => {
+    const run = await createRun({}, stateDir);
+    await appendEvent(run, events[0]);
+
+    await runLogCommand(parseArgs(["log", run.id, "--json"]), { stateDir });
+    expect(printed(logSpy)).toEqual([JSON.stringify(events[0])]);
+  });
+
+  test("rejects unknown runs", async () => {
+    await expect(runLogCommand(parseArgs(["log", "missing"]), { stateDir })).rejects.toThrow("Run not found");
+  });
+});
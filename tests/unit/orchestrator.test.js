@@ -0,0 +1,451 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import {
+  runAgentWithOrchestration,
+  resumeOrchestration,
+  parseInvokeDirective,
+  hasCompletionSignal
+} from "../../src/agents/orchestrator.js";
+import { readTasksFile, parseTaskTree } from "../../src/utils/tasks.js";
+import { createRun, readJournal, rebuildState } from "../../src/utils/journal.js";
+import { validateEvent, createEventSequence, createEnvelope } from "../../src/utils/events.js";
+import { unlink, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync } from "node:fs";
+
+const tasksFile = "tests/fixtures/test-orchestrator-tasks.md";
+
+const dependentTasks = `# Tasks
+
+## Phase 1: Setup
+### Task 1.1: Init
+- [ ] Init done
+### Task 1.2: Lint
+- [ ] Lint done
+### Task 1.3: Build
+depends: 1.1, 1.2
+- [ ] Build done
+`;
+
+/**
+ * Creates a Bun.spawn mock whose agents report the task named in their
+ * "ASSIGNED TASK" section as done after a short delay. With stats.writeFile,
+ * an agent instead rewrites the whole tasks file as it saw it when it started,
+ * checking off its own box (the lost-update case).
+ */
+function createCoderSpawnMock(stats) {
+  return mock(() => {
+    let stdin = "";
+    return {
+      stdin: {
+        write: mock((data) => { stdin += data; }),
+        end: mock(() => {})
+      },
+      stdout: {
+        async *[Symbol.asyncIterator]() {
+          await Bun.sleep(5);
+          const match = stdin.match(/Work ONLY on Task (\S+)/);
+          const taskId = match ? match[1] : null;
+          stats.started.push(taskId);
+          stats.active++;
+          stats.maxActive = Math.max(stats.maxActive, stats.active);
+          const seen = readFileSync(tasksFile, "utf8");
+
+          await Bun.sleep(30);
+
+          const name = { "1.1": "Init", "1.2": "Lint", "1.3": "Build" }[taskId];
+          if (!taskId || stats.writeFile) {
+            writeFileSync(tasksFile, seen.replace(`- [ ] ${name || "Flat item"}`, `- [x] ${name || "Flat item"}`));
+          }
+          stats.active--;
+          const report = taskId && !stats.writeFile ? `\`\`\`rtf-progress\n{"completed": ["${taskId}:1"]}\n\`\`\`\n` : "";
+          yield new TextEncoder().encode(`Finished ${taskId}\n${report}**AGENT COMPLETE**\n`);
+        }
+      },
+      stderr: {
+        async *[Symbol.asyncIterator]() {}
+      },
+      exited: Promise.resolve(0),
+      kill: mock(() => true),
+      pid: 20000
+    };
+  });
+}
+
+describe("parseInvokeDirective", () => {
+  test("extracts role and arguments", () => {
+    const directive = parseInvokeDirective("**INVOKE**: ralph-thinks-first --role code --tasks TASKS.md");
+    expect(directive).toEqual({ role: "code", additionalArgs: "--tasks TASKS.md" });
+  });
+
+  test("returns null without a directive", () => {
+    expect(parseInvokeDirective("nothing here")).toBeNull();
+  });
+});
+
+describe("hasCompletionSignal", () => {
+  test("detects completion markers", () => {
+    expect(hasCompletionSignal("done **AGENT COMPLETE**")).toBe(true);
+    expect(hasCompletionSignal("ALL_TASKS_COMPLETE")).toBe(true);
+    expect(hasCompletionSignal("still working")).toBe(false);
+  });
+});
+
+describe("Parallel coder execution", () => {
+  let originalSpawn;
+  let originalLog;
+  let stats;
+
+  beforeEach(async () => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    stats = { started: [], active: 0, maxActive: 0 };
+    Bun.spawn = createCoderSpawnMock(stats);
+    await Bun.write(tasksFile, dependentTasks);
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+    try {
+      await unlink(tasksFile);
+    } catch {
+      // File may not exist, ignore
+    }
+  });
+
+  test("runs independent tasks concurrently and waits for dependencies", async () => {
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 2 };
+
+    const result = await runAgentWithOrchestration("code", config);
+
+    expect(stats.started.slice(0, 2).sort()).toEqual(["1.1", "1.2"]);
+    expect(stats.started[2]).toBe("1.3");
+    expect(stats.maxActive).toBe(2);
+    expect(result.exitCode).toBe(0);
+    expect(hasCompletionSignal(result.output)).toBe(true);
+
+    const tree = parseTaskTree(await readTasksFile(tasksFile));
+    expect(tree.tasks.every(t => t.completed)).toBe(true);
+  });
+
+  test("checks off only what each coder reports for its own task", async () => {
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(5);
+            const taskId = stdin.match(/Work ONLY on Task (\S+)/)[1];
+            stats.started.push(taskId);
+            expect(stdin).toContain(`${taskId}:1  [ ] `);
+            yield new TextEncoder().encode(`\`\`\`rtf-progress\n{"completed": ["${taskId}:1", "1.3:1"]}\n\`\`\`\n`);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20000
+      };
+    });
+    const originalError = console.error;
+    console.error = mock(() => {});
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 2 };
+
+    try {
+      await runAgentWithOrchestration("code", config);
+      expect(console.error).toHaveBeenCalledWith("Warning: Task 1.1 reported items that are not its own: 1.3:1");
+    } finally {
+      console.error = originalError;
+    }
+
+    const tree = parseTaskTree(await readTasksFile(tasksFile));
+    expect(tree.items.map(item => [item.id, item.completed])).toEqual([["1.1:1", true], ["1.2:1", true], ["1.3:1", true]]);
+    expect(stats.started.sort()).toEqual(["1.1", "1.2", "1.3"]);
+  });
+
+  test("writes reported progress only once the other coders have exited", async () => {
+    await Bun.write(tasksFile, dependentTasks.replace("depends: 1.1, 1.2\n", ""));
+    const seenBySlowCoder = [];
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            const taskId = stdin.match(/Work ONLY on Task (\S+)/)[1];
+            if (taskId === "1.2") {
+              // Still working (and adding a note to the file) after 1.1 has reported
+              seenBySlowCoder.push(readFileSync(tasksFile, "utf8"));
+              for (let i = 0; i < 4; i++) {
+                await Bun.sleep(20);
+                seenBySlowCoder.push(readFileSync(tasksFile, "utf8"));
+              }
+              writeFileSync(tasksFile, seenBySlowCoder.at(-1).replace("- [ ] Lint done", "- [ ] Lint done\n  Note: lint config added"));
+            } else {
+              await Bun.sleep(5);
+            }
+            yield new TextEncoder().encode(`\`\`\`rtf-progress\n{"completed": ["${taskId}:1"]}\n\`\`\`\n`);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20000
+      };
+    });
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 3 };
+
+    await runAgentWithOrchestration("code", config);
+
+    expect(seenBySlowCoder.every(content => content === seenBySlowCoder[0])).toBe(true);
+    const content = await readTasksFile(tasksFile);
+    expect(content).toContain("Note: lint config added");
+    expect(parseTaskTree(content).items.filter(item => item.completed).map(item => item.id).sort()).toEqual(["1.1:1", "1.2:1", "1.3:1"]);
+  });
+
+  test("restores checkboxes a coder overwrote in the shared file", async () => {
+    stats.writeFile = true;
+    await Bun.write(tasksFile, dependentTasks.replace("- [ ] Init done", "- [x] Init done"));
+    const originalError = console.error;
+    const errors = mock(() => {});
+    console.error = errors;
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 1, concurrency: 2 };
+
+    try {
+      await runAgentWithOrchestration("code", config);
+    } finally {
+      console.error = originalError;
+    }
+
+    // The agent for 1.2 wrote back the file it read at the start; nothing it edited is kept
+    expect(errors).toHaveBeenCalledWith(expect.stringContaining("changed checkboxes"));
+    const tree = parseTaskTree(await readTasksFile(tasksFile));
+    expect(tree.items.map(item => item.completed)).toEqual([true, false, false]);
+  });
+
+  test("never exceeds the concurrency limit", async () => {
+    await Bun.write(tasksFile, dependentTasks.replace("depends: 1.1, 1.2\n", ""));
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 2 };
+
+    await runAgentWithOrchestration("code", config);
+
+    expect(stats.started.length).toBe(3);
+    expect(stats.maxActive).toBe(2);
+  });
+
+  test("runs a single coder when concurrency is 1", async () => {
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 1 };
+
+    await runAgentWithOrchestration("code", config);
+
+    expect(stats.started).toEqual([null]);
+  });
+
+  test("falls back to a single coder when no task is ready", async () => {
+    await Bun.write(tasksFile, "# Tasks\n- [ ] Flat item\n");
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, concurrency: 4 };
+
+    await runAgentWithOrchestration("code", config);
+
+    expect(stats.started).toEqual([null]);
+  });
+});
+
+/**
+ * Creates a Bun.spawn mock for a manager that invokes the coder once and
+ * completes after seeing the sub-agent result. Records the role of each call.
+ */
+function createManagerSpawnMock(calls) {
+  return mock(() => {
+    let stdin = "";
+    return {
+      stdin: {
+        write: mock((data) => { stdin += data; }),
+        end: mock(() => {})
+      },
+      stdout: {
+        async *[Symbol.asyncIterator]() {
+          await Bun.sleep(1);
+          if (stdin.includes("# Project Management Agent")) {
+            calls.push("manage");
+            yield new TextEncoder().encode(stdin.includes("--- SUB-AGENT RESULT ---")
+              ? "All done.\n**AGENT COMPLETE**\n"
+              : "**INVOKE**: ralph-thinks-first --role code\n");
+          } else {
+            calls.push("code");
+            yield new TextEncoder().encode("Implemented.\n**AGENT COMPLETE**\n");
+          }
+        }
+      },
+      stderr: {
+        async *[Symbol.asyncIterator]() {}
+      },
+      exited: Promise.resolve(0),
+      kill: mock(() => true),
+      pid: 20001
+    };
+  });
+}
+
+describe("Run journal", () => {
+  let originalSpawn;
+  let originalLog;
+  let stateDir;
+  let calls;
+
+  beforeEach(async () => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    calls = [];
+    Bun.spawn = createManagerSpawnMock(calls);
+    stateDir = await mkdtemp(join(tmpdir(), "rtf-orchestrator-"));
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+    await rm(stateDir, { recursive: true, force: true });
+  });
+
+  test("records checkpoints, invocations and agent exits", async () => {
+    const run = await createRun({ role: "manage" }, stateDir);
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, run };
+
+    await runAgentWithOrchestration("manage", config);
+
+    const entries = await readJournal(run);
+    expect(entries.map(e => `${e.step}:${e.role}:${e.depth}`)).toEqual([
+      "checkpoint:manage:0",
+      "agent-start:manage:0",
+      "agent-end:manage:0",
+      "invoke:manage:0",
+      "agent-start:code:1",
+      "agent-end:code:1",
+      "checkpoint:manage:0",
+      "agent-start:manage:0",
+      "agent-end:manage:0"
+    ]);
+    expect(entries[6].iteration).toBe(2);
+    expect(entries[6].continuationPrompt).toContain("Agent: code");
+  });
+
+  test("resumes a pending sub-agent before continuing the manager", async () => {
+    const state = rebuildState([
+      { step: "checkpoint", role: "manage", iteration: 1, depth: 0 },
+      { step: "invoke", role: "manage", iteration: 1, depth: 0, subRole: "code", args: "" }
+    ]);
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5 };
+
+    const result = await resumeOrchestration(state, config);
+
+    expect(calls).toEqual(["code", "manage"]);
+    expect(hasCompletionSignal(result.output)).toBe(true);
+  });
+
+  test("re-runs the checkpointed manager iteration", async () => {
+    const state = rebuildState([
+      { step: "checkpoint", role: "manage", iteration: 2, depth: 0, continuationPrompt: "\n--- SUB-AGENT RESULT ---\n" }
+    ]);
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5 };
+
+    await resumeOrchestration(state, config);
+
+    expect(calls).toEqual(["manage"]);
+  });
+});
+
+describe("Live events", () => {
+  let originalSpawn;
+  let originalLog;
+  let calls;
+
+  beforeEach(() => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    calls = [];
+    Bun.spawn = createManagerSpawnMock(calls);
+  });
+
+  afterEach(() => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+  });
+
+  test("publishes v2 events with run ID, lineage and order", async () => {
+    const events = [];
+    const run = { id: "20260131-142501-3fa9" };
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, run, onEvent: (event) => events.push(event) };
+
+    await runAgentWithOrchestration("manage", config);
+
+    for (const event of events) {
+      expect(validateEvent(event)).toEqual({ valid: true, errors: [] });
+      expect(event.runId).toBe(run.id);
+    }
+
+    const seqs = events.map(event => event.seq);
+    expect(seqs).toEqual([...seqs].sort((a, b) => a - b));
+    expect(new Set(seqs).size).toBe(seqs.length);
+
+    const starts = events.filter(event => event.type === "status" && event.status === "starting");
+    expect(starts.map(event => event.agent)).toEqual(["manage", "code", "manage"]);
+    expect(starts[0].parentInvocationId).toBeNull();
+    expect(starts[1].parentInvocationId).toBe(starts[0].invocationId);
+    expect(starts[2].invocationId).not.toBe(starts[0].invocationId);
+  });
+
+  test("passes the lineage to agents and keeps it on their nested events", async () => {
+    // The agent is a nested run: it reads its lineage from the environment and emits its own v2 events
+    Bun.spawn = mock((cmd, options) => ({
+      stdin: { write: mock(() => {}), end: mock(() => {}) },
+      stdout: { async *[Symbol.asyncIterator]() { yield new TextEncoder().encode("**AGENT COMPLETE**\n"); } },
+      stderr: {
+        async *[Symbol.asyncIterator]() {
+          const nested = createEnvelope({ type: "output", agent: "plan", message: "nested" }, {
+            runId: "nested-run",
+            invocationId: "nested1",
+            parentInvocationId: options.env.RTF_PARENT_INVOCATION_ID,
+            seq: 1
+          });
+          yield new TextEncoder().encode(JSON.stringify(nested) + "\n");
+        }
+      },
+      exited: Promise.resolve(0),
+      kill: mock(() => true),
+      pid: 20000
+    }));
+    const events = [];
+    const run = { id: "20260131-142501-3fa9" };
+    const config = { claudeCommand: "claude", tasksFile, maxIterations: 5, run, parentInvocationId: "outer", onEvent: (event) => events.push(event) };
+
+    await runAgentWithOrchestration("code", config);
+
+    const env = Bun.spawn.mock.calls[0][1].env;
+    const start = events.find(event => event.status === "starting");
+    expect(env.RTF_RUN_ID).toBe(run.id);
+    expect(env.RTF_PARENT_INVOCATION_ID).toBe(start.invocationId);
+    expect(start.parentInvocationId).toBe("outer");
+
+    const nested = events.find(event => event.message === "nested");
+    expect(nested).toMatchObject({ runId: "nested-run", invocationId: "nested1", parentInvocationId: start.invocationId });
+    expect(nested.seq).toBeGreaterThan(start.seq);
+  });
+
+  test("continues numbering from config.nextEventSeq", async () => {
+    const events = [];
+    const config = {
+      claudeCommand: "claude", tasksFile, maxIterations: 5,
+      nextEventSeq: createEventSequence(41),
+      onEvent: (event) => events.push(event)
+    };
+
+    await runAgentWithOrchestration("manage", config);
+    expect(events[0].seq).toBe(42);
+    expect(events.map(event => event.seq)).toEqual(events.map((_, i) => 42 + i));
+  });
+});
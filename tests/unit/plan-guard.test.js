@@ -0,0 +1,200 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync, readdirSync, existsSync } from "node:fs";
+import { findLostWork, formatLostWork, mergeLostWork, savePlan } from "../../src/utils/plan-guard.js";
+import { parseTaskTree } from "../../src/utils/tasks.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+
+const CURRENT = `# Project
+
+### Task 1: Setup
+- [x] Repo created
+- [x] CI configured
+
+### Task 2: Build
+- [x] Compiler chosen
+- [ ] Bundle built
+`;
+
+// Reworded Task 2, dropped "CI configured" and unchecked "Compiler chosen"
+const REPLAN = `# Project
+
+### Task 1: Setup
+- [x] Repo created
+
+### Task 2: Build
+- [ ] Compiler chosen
+- [ ] Bundle built
+- [ ] Bundle minified
+
+### Task 3: Release
+- [ ] Tagged
+`;
+
+describe("findLostWork", () => {
+  test("finds checked items that were removed or unchecked", () => {
+    const lost = findLostWork(parseTaskTree(CURRENT), parseTaskTree(REPLAN));
+
+    expect(lost.map(l => [l.item.description, l.status])).toEqual([
+      ["CI configured", "removed"],
+      ["Compiler chosen", "unchecked"]
+    ]);
+    expect(formatLostWork(lost)).toBe('Task 1 Setup: "CI configured" (removed); Task 2 Build: "Compiler chosen" (unchecked)');
+  });
+
+  test("matches items by description when they moved", () => {
+    const moved = CURRENT.replace("- [x] Repo created\n- [x] CI configured", "- [x] CI configured\n- [x] Repo  created");
+    expect(findLostWork(parseTaskTree(CURRENT), parseTaskTree(moved))).toEqual([]);
+  });
+
+  test("accepts plans that keep completed work", () => {
+    const extended = `${CURRENT}\n### Task 3: Release\n- [ ] Tagged\n`;
+    expect(findLostWork(parseTaskTree(CURRENT), parseTaskTree(extended))).toEqual([]);
+  });
+});
+
+describe("mergeLostWork", () => {
+  test("checks unchecked items again and puts removed items back", () => {
+    const lost = findLostWork(parseTaskTree(CURRENT), parseTaskTree(REPLAN));
+    const merged = mergeLostWork(REPLAN, lost);
+
+    expect(merged).toContain("### Task 1: Setup\n- [x] Repo created\n- [x] CI configured\n");
+    expect(merged).toContain("- [x] Compiler chosen\n- [ ] Bundle built\n- [ ] Bundle minified\n");
+    expect(findLostWork(parseTaskTree(CURRENT), parseTaskTree(merged))).toEqual([]);
+  });
+
+  test("keeps completed tasks the new plan dropped in a section of their own", () => {
+    const replan = "# Project\n\n### Task 2: Build\n- [x] Compiler chosen\n- [ ] Bundle built\n";
+    const merged = mergeLostWork(replan, findLostWork(parseTaskTree(CURRENT), parseTaskTree(replan)));
+
+    expect(merged).toEndWith("## Previously Completed\n\n### Task 1: Setup\n- [x] Repo created\n- [x] CI configured\n");
+  });
+});
+
+describe("savePlan", () => {
+  let dir;
+  let tasksFile;
+  let stateDir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-plan-"));
+    tasksFile = join(dir, "TASKS.md");
+    stateDir = join(dir, ".rtf");
+    writeFileSync(tasksFile, CURRENT);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const backups = () => existsSync(join(stateDir, "backups")) ? readdirSync(join(stateDir, "backups")) : [];
+
+  test("refuses a plan that loses completed work and keeps it aside", async () => {
+    const saved = await savePlan(tasksFile, REPLAN, { stateDir });
+
+    expect(saved.saved).toBe(false);
+    expect(saved.lost.length).toBe(2);
+    expect(readFileSync(tasksFile, "utf8")).toBe(CURRENT);
+    expect(readFileSync(saved.rejected, "utf8")).toBe(REPLAN);
+    expect(backups()).toEqual([expect.stringMatching(/^TASKS\.md\..+\.rejected$/)]);
+  });
+
+  test("merges completed work into the plan with planConflict merge", async () => {
+    const saved = await savePlan(tasksFile, REPLAN, { stateDir, planConflict: "merge" });
+
+    expect(saved).toMatchObject({ saved: true, merged: true });
+    expect(readFileSync(tasksFile, "utf8")).toContain("- [x] CI configured");
+    expect(readFileSync(saved.backup, "utf8")).toBe(CURRENT);
+  });
+
+  test("backs up the old file before saving a compatible plan", async () => {
+    const extended = `${CURRENT}\n### Task 3: Release\n- [ ] Tagged\n`;
+    const saved = await savePlan(tasksFile, extended, { stateDir });
+
+    expect(saved).toMatchObject({ saved: true, merged: false, lost: [] });
+    expect(readFileSync(tasksFile, "utf8")).toBe(extended);
+    expect(readFileSync(saved.backup, "utf8")).toBe(CURRENT);
+  });
+
+  test("writes a first plan without a backup and skips unchanged plans", async () => {
+    const fresh = join(dir, "NEW.md");
+    expect(await savePlan(fresh, REPLAN, { stateDir })).toMatchObject({ saved: true, backup: undefined });
+    expect(await savePlan(fresh, `${REPLAN}\n`, { stateDir })).toEqual({ saved: false, lost: [] });
+    expect(backups()).toEqual([]);
+  });
+});
+
+describe("Plan conflicts in the orchestrator", () => {
+  let dir;
+  let tasksFile;
+  let originalSpawn;
+  let originalLog;
+  let prompts;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-plan-"));
+    tasksFile = join(dir, "TASKS.md");
+    writeFileSync(tasksFile, CURRENT);
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    prompts = [];
+
+    // The manager invokes the planner once; the planner rewrites the plan
+    Bun.spawn = mock(() => {
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            const output = !stdin.includes("Project Management Agent")
+              ? `---BEGIN TASKS.MD---\n${REPLAN}---END TASKS.MD---\n**AGENT COMPLETE**\n`
+              : prompts.length === 1
+                ? "```rtf-directive\n{\"action\": \"invoke\", \"role\": \"plan\"}\n```\n"
+                : "**AGENT COMPLETE**\n";
+            yield new TextEncoder().encode(output);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 20007
+      };
+    });
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("reports a refused plan to the manager as an error event", async () => {
+    const events = [];
+    await runAgentWithOrchestration("manage", {
+      claudeCommand: "claude",
+      tasksFile,
+      maxIterations: 5,
+      stateDir: join(dir, ".rtf"),
+      onEvent: (event) => events.push(event)
+    });
+
+    expect(readFileSync(tasksFile, "utf8")).toBe(CURRENT);
+    expect(events.filter(e => e.type === "error").map(e => e.agent)).toEqual(["plan"]);
+    expect(prompts[2]).toContain("Errors:\n- Plan not saved: it drops or unchecks completed work");
+  });
+
+  test("saves a sub-agent's plan once, with one backup", async () => {
+    const stateDir = join(dir, ".rtf");
+    await runAgentWithOrchestration("manage", { claudeCommand: "claude", tasksFile, maxIterations: 5, stateDir, planConflict: "merge" });
+
+    const saved = console.log.mock.calls.map(call => String(call[0])).filter(line => line.includes("Saved tasks"));
+    expect(saved.length).toBe(1);
+    expect(readdirSync(join(stateDir, "backups"))).toEqual([expect.stringMatching(/^TASKS\.md\./)]);
+    expect(readFileSync(tasksFile, "utf8")).toContain("- [x] CI configured");
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { spawnProcessGroup, terminateProcessTree, resolveGracePeriod, DEFAULT_KILL_GRACE_PERIOD } from "../../src/agents/processes.js";
+import { spawnAgent } from "../../src/agents/agent.js";
+import { loadConfig } from "../../src/utils/config.js";
+import { parseArgs } from "../../src/utils/cli.js";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { writeFileSync, chmodSync, readFileSync } from "node:fs";
+
+/**
+ * True while a process exists (zombies waiting to be reaped count as gone)
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, "utf8"));
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Reads the first line a process prints (the PID of its child)
+ */
+async function readFirstLine(stream) {
+  const decoder = new TextDecoder();
+  let text = "";
+  for await (const chunk of stream) {
+    text += decoder.decode(chunk, { stream: true });
+    if (text.includes("\n")) break;
+  }
+  return text.split("\n")[0];
+}
+
+describe("resolveGracePeriod", () => {
+  test("accepts zero and positive milliseconds", () => {
+    expect(resolveGracePeriod(0)).toBe(0);
+    expect(resolveGracePeriod("250")).toBe(250);
+  });
+
+  test("falls back to the default", () => {
+    expect(resolveGracePeriod(undefined)).toBe(DEFAULT_KILL_GRACE_PERIOD);
+    expect(resolveGracePeriod("soon")).toBe(DEFAULT_KILL_GRACE_PERIOD);
+    expect(resolveGracePeriod(-1)).toBe(DEFAULT_KILL_GRACE_PERIOD);
+  });
+});
+
+describe("terminateProcessTree", () => {
+  test("stops the process and its children with SIGTERM", async () => {
+    const proc = spawnProcessGroup(["sh", "-c", "sleep 30 & echo $!; wait"], { stdout: "pipe" });
+    const child = Number(await readFirstLine(proc.stdout));
+
+    await terminateProcessTree(proc, 2000);
+
+    expect(await proc.exited).toBe(143);
+    expect(isRunning(child)).toBe(false);
+  });
+
+  test("sends SIGKILL to processes still running after the grace period", async () => {
+    const proc = spawnProcessGroup(["sh", "-c", "trap '' TERM; sleep 30 & echo $!; wait"], { stdout: "pipe" });
+    const child = Number(await readFirstLine(proc.stdout));
+
+    const start = Date.now();
+    await terminateProcessTree(proc, 200);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(200);
+    expect(await proc.exited).toBe(137);
+    await Bun.sleep(50);
+    expect(isRunning(child)).toBe(false);
+  });
+
+  test("only calls kill() on processes without their own group", async () => {
+    const proc = { pid: null, kill: mock(() => true), exited: new Promise(() => {}) };
+    await terminateProcessTree(proc, 5000);
+    expect(proc.kill).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("agent timeouts", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-timeout-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("keeps the output written before the agent was stopped", async () => {
+    const claude = join(dir, "slow-claude.sh");
+    writeFileSync(claude, "#!/bin/sh\necho 'Working on it'\nsleep 30 &\nwait\n");
+    chmodSync(claude, 0o755);
+    writeFileSync(join(dir, "TASKS.md"), "# Tasks\n");
+
+    const start = Date.now();
+    const result = await spawnAgent("code", {
+      claudeCommand: claude,
+      tasksFile: join(dir, "TASKS.md"),
+      maxIterations: 1,
+      timeout: 300,
+      killGracePeriod: 200
+    });
+
+    expect(result.timedOut).toBe(true);
+    expect(result.output).toBe("Working on it\n");
+    expect(result.exitCode).toBe(143);
+    expect(Date.now() - start).toBeLessThan(3000);
+  });
+});
+
+describe("timeout config", () => {
+  const saved = { RTF_TIMEOUT: process.env.RTF_TIMEOUT, RTF_KILL_GRACE_PERIOD: process.env.RTF_KILL_GRACE_PERIOD };
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      value === undefined ? delete process.env[key] : (process.env[key] = value);
+    }
+  });
+
+  test("--timeout and RTF_TIMEOUT set the agent timeout", async () => {
+    process.env.RTF_TIMEOUT = "60000";
+    process.env.RTF_KILL_GRACE_PERIOD = "0";
+    const fromEnv = await loadConfig({ config: "tests/fixtures/missing-rtfrc.json" });
+    expect(fromEnv.timeout).toBe(60000);
+    expect(fromEnv.killGracePeriod).toBe(0);
+
+    const args = parseArgs(["--timeout", "90000", "--config", "tests/fixtures/missing-rtfrc.json"]);
+    expect((await loadConfig(args)).timeout).toBe(90000);
+  });
+
+  test("ignores invalid timeouts", async () => {
+    process.env.RTF_TIMEOUT = "never";
+    expect((await loadConfig({ timeout: "0", config: "tests/fixtures/missing-rtfrc.json" })).timeout).toBeUndefined();
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  classifyFailure,
+  computeBackoff,
+  runWithRetry
+} from "../../src/agents/retry.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { loadConfig } from "../../src/utils/config.js";
+import { validateEvent } from "../../src/utils/events.js";
+
+const policy = resolveRetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000 });
+const failure = (stderr, exitCode = 1) => ({ exitCode, output: "", stderr, events: [] });
+
+describe("resolveRetryPolicy", () => {
+  test("fills in defaults and accepts a number of attempts or false", () => {
+    expect(resolveRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    expect(resolveRetryPolicy("5").attempts).toBe(5);
+    expect(resolveRetryPolicy(false).attempts).toBe(0);
+    expect(resolveRetryPolicy({ attempts: "nope", baseDelayMs: 10 })).toMatchObject({ attempts: 3, baseDelayMs: 10 });
+  });
+});
+
+describe("classifyFailure", () => {
+  test("retries rate limits, overloads and network errors", () => {
+    expect(classifyFailure(failure("Error: Rate limit reached for requests"), policy)).toBe("Rate limit");
+    expect(classifyFailure(failure("API Error: 529 {\"type\":\"overloaded_error\"}"), policy)).toBe("overloaded");
+    expect(classifyFailure(failure("connect ECONNRESET 1.2.3.4:443"), policy)).toBe("ECONNRESET");
+    expect(classifyFailure({ ...failure(""), events: [{ type: "error", agent: "code", error: "API Error: 503 Service Unavailable" }] }, policy)).toBe("API Error: 503");
+    expect(classifyFailure({ exitCode: 1, output: "", events: [{ type: "error", agent: "code", error: "Overloaded" }] }, policy)).toBe("Overloaded");
+  });
+
+  test("does not retry successes, timeouts, permanent or unknown failures", () => {
+    expect(classifyFailure({ exitCode: 0, output: "rate limit" }, policy)).toBeNull();
+    expect(classifyFailure({ ...failure("rate limit"), timedOut: true }, policy)).toBeNull();
+    expect(classifyFailure(failure("Invalid API key · rate limit"), policy)).toBeNull();
+    expect(classifyFailure(failure("SyntaxError: unexpected token"), policy)).toBeNull();
+    expect(classifyFailure(failure('API Error: 401 {"type":"error","error":{"type":"authentication_error"}}'), policy)).toBeNull();
+  });
+
+  test("ignores what the agent itself wrote on stdout", () => {
+    expect(classifyFailure({ ...failure(""), output: "Added a rate limit to the API client.\n" }, policy)).toBeNull();
+    expect(classifyFailure({ ...failure("Error: 429 rate limit exceeded"), output: "Wrote the authentication middleware.\n" }, policy)).toBe("rate limit");
+  });
+
+  test("retries configured exit codes", () => {
+    expect(classifyFailure(failure("", 75), { ...policy, exitCodes: [75] })).toBe("exit code 75");
+  });
+});
+
+describe("computeBackoff", () => {
+  test("doubles the delay with jitter, up to the cap", () => {
+    expect(computeBackoff(1, policy, () => 0)).toBe(500);
+    expect(computeBackoff(1, policy, () => 0.999)).toBe(1000);
+    expect(computeBackoff(3, policy, () => 0)).toBe(2000);
+    expect(computeBackoff(10, policy, () => 0.999)).toBe(4998);
+  });
+});
+
+describe("runWithRetry", () => {
+  test("retries until success and reports each retry", async () => {
+    const results = [failure("rate limit"), failure("overloaded"), { exitCode: 0, output: "ok", events: [] }];
+    const retries = [];
+    const sleeps = [];
+
+    const result = await runWithRetry(async (attempt) => results[attempt - 1], policy, {
+      onRetry: (retry) => retries.push(retry),
+      sleep: async (ms) => { sleeps.push(ms); }
+    });
+
+    expect(result).toMatchObject({ exitCode: 0, attempts: 3 });
+    expect(retries.map(r => [r.attempt, r.maxAttempts, r.reason])).toEqual([[2, 4, "rate limit"], [3, 4, "overloaded"]]);
+    expect(sleeps).toEqual(retries.map(r => r.delayMs));
+  });
+
+  test("gives up after the configured attempts or when retrying is not allowed", async () => {
+    const attempt = mock(async () => failure("rate limit"));
+    const noSleep = async () => {};
+
+    expect((await runWithRetry(attempt, { ...policy, attempts: 2 }, { sleep: noSleep })).attempts).toBe(3);
+    expect((await runWithRetry(attempt, policy, { sleep: noSleep, canRetry: () => false })).attempts).toBe(1);
+    expect((await runWithRetry(attempt, resolveRetryPolicy(false), { sleep: noSleep })).attempts).toBe(1);
+  });
+
+  test("never retries errors thrown before the CLI ran", async () => {
+    const attempt = mock(async () => { throw new Error("Claude CLI not found."); });
+    await expect(runWithRetry(attempt, policy, { sleep: async () => {} })).rejects.toThrow("Claude CLI not found");
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("retry config", () => {
+  const saved = process.env.RTF_RETRIES;
+  afterEach(() => saved === undefined ? delete process.env.RTF_RETRIES : (process.env.RTF_RETRIES = saved));
+
+  test("--retries and RTF_RETRIES set the number of attempts", async () => {
+    process.env.RTF_RETRIES = "1";
+    expect((await loadConfig({ config: "tests/fixtures/missing-rtfrc.json" })).retry).toEqual({ attempts: "1" });
+    expect((await loadConfig({ retries: "0", config: "tests/fixtures/missing-rtfrc.json" })).retry).toEqual({ attempts: "0" });
+  });
+});
+
+describe("retries in the orchestrator", () => {
+  let originalSpawn;
+  let originalLog;
+  let spawns;
+
+  beforeEach(() => {
+    originalSpawn = Bun.spawn;
+    originalLog = console.log;
+    console.log = mock(() => {});
+    spawns = 0;
+
+    // The first attempt hits a rate limit, the second succeeds
+    Bun.spawn = mock(() => {
+      spawns++;
+      const limited = spawns === 1;
+      return {
+        stdin: { write: mock(() => {}), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            if (!limited) yield new TextEncoder().encode("Done\n**AGENT COMPLETE**\n");
+          }
+        },
+        stderr: {
+          async *[Symbol.asyncIterator]() {
+            if (limited) yield new TextEncoder().encode("Error: 429 rate limit exceeded\n");
+          }
+        },
+        exited: Promise.resolve(limited ? 1 : 0),
+        kill: mock(() => true),
+        pid: 20003
+      };
+    });
+  });
+
+  afterEach(() => {
+    Bun.spawn = originalSpawn;
+    console.log = originalLog;
+  });
+
+  test("retries a rate-limited agent and publishes a retry event", async () => {
+    const events = [];
+    const result = await runAgentWithOrchestration("code", {
+      claudeCommand: "claude",
+      tasksFile: "tests/fixtures/sample-tasks.md",
+      maxIterations: 5,
+      retry: { baseDelayMs: 1 },
+      onEvent: (event) => events.push(event)
+    });
+
+    expect(spawns).toBe(2);
+    expect(result.exitCode).toBe(0);
+    expect(result.attempts).toBe(2);
+
+    const retry = events.find(event => event.type === "retry");
+    expect(retry).toMatchObject({ agent: "code", attempt: 2, maxAttempts: 4, reason: "rate limit", exitCode: 1 });
+    expect(validateEvent(retry).valid).toBe(true);
+  });
+
+  test("does not retry when retries are disabled", async () => {
+    const result = await runAgentWithOrchestration("code", {
+      claudeCommand: "claude", tasksFile: "tests/fixtures/sample-tasks.md", maxIterations: 5, retry: false
+    });
+
+    expect(spawns).toBe(1);
+    expect(result.exitCode).toBe(1);
+  });
+});
@@ -1,5 +1,16 @@
-import { describe, test, expect } from "bun:test";
-import { loadRole } from "../../src/utils/roles.js";
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  loadRole,
+  registerRole,
+  clearCustomRoles,
+  loadCustomRoles,
+  getRoleNames,
+  getRoleDefinitions,
+  isValidRole
+} from "../../src/utils/roles.js";
+import { mkdtemp, mkdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
 
 describe("loadRole", () => {
   test("should load manage role with lowercase", () => {
@@ -72,3 +83,95 @@ describe("loadRole", () => {
     expect(() => loadRole(undefined)).toThrow();
   });
 });
+
+describe("custom roles", () => {
+  let stateDir;
+
+  beforeEach(async () => {
+    stateDir = await mkdtemp(join(tmpdir(), "rtf-roles-"));
+    await mkdir(join(stateDir, "roles"));
+  });
+
+  afterEach(async () => {
+    clearCustomRoles();
+    await rm(stateDir, { recursive: true, force: true });
+  });
+
+  test("should register and load a custom role", () => {
+    registerRole("Security-Review", { prompt: "# Security Reviewer", purpose: "Reviews code for vulnerabilities." });
+    expect(loadRole("security-review")).toBe("# Security Reviewer");
+    expect(isValidRole("SECURITY-REVIEW")).toBe(true);
+    expect(getRoleNames()).toEqual(["manage", "plan", "code", "document", "security-review"]);
+  });
+
+  test("should reject redefining built-in roles", () => {
+    expect(() => registerRole("plan", { prompt: "x" })).toThrow("built-in");
+  });
+
+  test("should reject invalid names and empty prompts", () => {
+    expect(() => registerRole("bad name", { prompt: "x" })).toThrow("Invalid role name");
+    expect(() => registerRole("empty", { prompt: "  " })).toThrow("no prompt");
+  });
+
+  test("should load markdown role files with front matter", async () => {
+    await Bun.write(join(stateDir, "roles", "migrate-db.md"), "---\npurpose: Writes database migrations.\n---\n# Migration Agent\n");
+
+    const loaded = await loadCustomRoles({ stateDir });
+
+    expect(loaded).toEqual(["migrate-db"]);
+    expect(loadRole("migrate-db")).toBe("# Migration Agent\n");
+    expect(getRoleDefinitions()["migrate-db"].purpose).toBe("Writes database migrations.");
+  });
+
+  test("should load JavaScript role files", async () => {
+    await Bun.write(join(stateDir, "roles", "audit.js"), 'export const purpose = "Audits dependencies.";\nexport default "# Audit Agent";\n');
+
+    await loadCustomRoles({ stateDir });
+
+    expect(loadRole("audit")).toBe("# Audit Agent");
+    expect(getRoleDefinitions().audit.purpose).toBe("Audits dependencies.");
+  });
+
+  test("should load roles listed in the config file", async () => {
+    const promptFile = join(stateDir, "lint.md");
+    await Bun.write(promptFile, "# Lint Agent");
+
+    const loaded = await loadCustomRoles({
+      stateDir,
+      roles: {
+        "security-review": { prompt: "# Security Reviewer", purpose: "Reviews security." },
+        lint: { promptFile },
+        plan: { model: "opus" }
+      }
+    });
+
+    expect(loaded).toEqual(["security-review", "lint"]);
+    expect(loadRole("lint")).toBe("# Lint Agent");
+  });
+
+  test("should skip invalid role files with a warning", async () => {
+    await Bun.write(join(stateDir, "roles", "code.md"), "# Not allowed");
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+
+    try {
+      expect(await loadCustomRoles({ stateDir })).toEqual([]);
+    } finally {
+      console.warn = originalWarn;
+    }
+    expect(warnings.length).toBe(1);
+  });
+
+  test("should advertise every role with the directive that invokes it", () => {
+    registerRole("security-review", { prompt: "# Security Reviewer" });
+    const definitions = getRoleDefinitions();
+    expect(Object.keys(definitions)).toEqual(["manage", "plan", "code", "document", "security-review"]);
+    expect(definitions["security-review"].directive).toEqual({ action: "invoke", role: "security-review" });
+    expect(definitions.code.purpose).toContain("coder");
+    for (const definition of Object.values(definitions)) {
+      expect(JSON.stringify(definition)).not.toContain("AGENT COMPLETE");
+      expect(JSON.stringify(definition)).not.toContain("ralph-thinks-first --role");
+    }
+  });
+});
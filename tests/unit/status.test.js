@@ -0,0 +1,122 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { writeFileSync } from "node:fs";
+import { summarizeProgress, readLastRun, formatStatus, runStatusCommand } from "../../src/commands/status.js";
+import { createRun, updateRunMetadata } from "../../src/utils/journal.js";
+import { getTaskFormat } from "../../src/utils/task-formats.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+const TASKS = `# Project
+
+## Phase 1: Setup
+
+### Task 1.1: Init
+- [x] Repo created
+- [x] CI configured
+
+### Task 1.2: Build
+- [x] Compiler chosen
+- [ ] Bundle built
+
+## Phase 2: Release
+
+### Task 2.1: Publish
+- [ ] Tagged
+`;
+
+describe("summarizeProgress", () => {
+  test("counts per phase and overall and finds the next unchecked item", () => {
+    expect(summarizeProgress(TASKS)).toEqual({
+      title: "Project",
+      completed: 3,
+      total: 5,
+      percent: 60,
+      phases: [
+        { id: "1", title: "Setup", completed: 3, total: 4, percent: 75 },
+        { id: "2", title: "Release", completed: 0, total: 1, percent: 0 }
+      ],
+      next: { id: "1.2:2", description: "Bundle built", taskId: "1.2", taskTitle: "Build" }
+    });
+  });
+
+  test("handles flat checklists and finished or empty lists", () => {
+    expect(summarizeProgress("- [x] One\n- [ ] Two\n")).toMatchObject({
+      phases: [],
+      percent: 50,
+      next: { id: "#2", description: "Two", taskId: null, taskTitle: null }
+    });
+    expect(summarizeProgress("- [x] One\n").next).toBeNull();
+    expect(summarizeProgress("")).toMatchObject({ completed: 0, total: 0, percent: 0, next: null });
+  });
+});
+
+describe("formatStatus", () => {
+  test("shows phases, overall progress, the next task and the last run", () => {
+    const text = formatStatus({
+      tasksFile: "TASKS.md",
+      ...summarizeProgress(TASKS),
+      lastRun: { id: "20260131-140000-abcd", status: "completed", role: "manage", exitCode: 0, startedAt: null, finishedAt: null }
+    });
+
+    expect(text).toBe([
+      "TASKS.md: Project",
+      "",
+      "  Phase 1: Setup        3/4   75%",
+      "  Phase 2: Release      0/1    0%",
+      "",
+      "Overall: 3/5 (60%)",
+      "Next: Task 1.2 Build: Bundle built",
+      "Last run: 20260131-140000-abcd completed (exit 0), manage, started -"
+    ].join("\n"));
+  });
+
+  test("says when there is nothing left or no run yet", () => {
+    const text = formatStatus({ tasksFile: "TASKS.md", ...summarizeProgress("- [x] Done\n"), lastRun: null });
+    expect(text).toBe("TASKS.md\n\nOverall: 1/1 (100%)\nNext: nothing, every task is checked off\nLast run: none");
+  });
+});
+
+describe("runStatusCommand", () => {
+  let dir;
+  let stateDir;
+  let originalLog;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-status-"));
+    stateDir = join(dir, ".rtf");
+    originalLog = console.log;
+    console.log = mock(() => {});
+  });
+
+  afterEach(async () => {
+    console.log = originalLog;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("reports the latest run's outcome", async () => {
+    expect(await readLastRun(stateDir)).toBeNull();
+
+    const run = await createRun({ role: "code" }, stateDir);
+    await updateRunMetadata(run, { status: "failed", exitCode: 1, finishedAt: "2026-01-31T14:05:00.000Z" });
+
+    expect(await readLastRun(stateDir)).toMatchObject({ id: run.id, status: "failed", role: "code", exitCode: 1 });
+  });
+
+  test("prints JSON with --json, for tasks files in any format", async () => {
+    const tasksFile = join(dir, "tasks.json");
+    writeFileSync(tasksFile, getTaskFormat("json").fromMarkdown(TASKS));
+
+    await runStatusCommand(parseArgs(["status", "--json"]), { tasksFile, stateDir });
+
+    const status = JSON.parse(console.log.mock.calls[0][0]);
+    expect(status).toMatchObject({ tasksFile, title: "Project", completed: 3, total: 5, lastRun: null });
+    expect(status.next.id).toBe("1.2:2");
+  });
+
+  test("fails when the tasks file is missing", async () => {
+    await expect(runStatusCommand(parseArgs(["status"]), { tasksFile: join(dir, "TASKS.md"), stateDir }))
+      .rejects.toThrow("Task file not found");
+  });
+});
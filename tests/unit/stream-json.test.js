@@ -0,0 +1,120 @@
+import { describe, test, expect, mock } from "bun:test";
+import { createStreamJsonReader, OUTPUT_FORMATS } from "../../src/utils/stream-json.js";
+import { spawnAgent, prepareInvocation } from "../../src/agents/agent.js";
+import { validateEvent } from "../../src/utils/events.js";
+import { formatEvent } from "../../src/utils/display.js";
+
+// A short Claude CLI session in stream-json format
+const session = [
+  { type: "system", subtype: "init", session_id: "s1", model: "claude-sonnet-4-5", tools: ["Bash"] },
+  { type: "assistant", message: { content: [
+    { type: "text", text: "Running the tests first." },
+    { type: "tool_use", id: "toolu_1", name: "Bash", input: { command: "bun test", description: "Run tests" } }
+  ] } },
+  { type: "user", message: { content: [
+    { type: "tool_result", tool_use_id: "toolu_1", content: [{ type: "text", text: "12 pass\n0 fail" }] }
+  ] } },
+  { type: "assistant", message: { content: [{ type: "text", text: "All green.\n**AGENT COMPLETE**" }] } },
+  {
+    type: "result", subtype: "success", is_error: false, result: "All green.\n**AGENT COMPLETE**",
+    total_cost_usd: 0.0123, duration_ms: 5400, num_turns: 2,
+    usage: { input_tokens: 1200, output_tokens: 340, cache_creation_input_tokens: 10, cache_read_input_tokens: 800 }
+  }
+].map(message => JSON.stringify(message));
+
+describe("createStreamJsonReader", () => {
+  test("turns messages, tool calls and usage into events", () => {
+    const reader = createStreamJsonReader("code");
+    const events = session.flatMap(line => reader.parseLine(line));
+
+    expect(events).toEqual([
+      { type: "assistant", agent: "code", message: "Running the tests first." },
+      { type: "tool_use", agent: "code", toolUseId: "toolu_1", tool: "Bash", input: { command: "bun test", description: "Run tests" } },
+      { type: "tool_result", agent: "code", toolUseId: "toolu_1", isError: false, content: "12 pass\n0 fail" },
+      { type: "assistant", agent: "code", message: "All green.\n**AGENT COMPLETE**" },
+      {
+        type: "usage", agent: "code", inputTokens: 1200, outputTokens: 340,
+        cacheCreationInputTokens: 10, cacheReadInputTokens: 800, costUsd: 0.0123, durationMs: 5400, numTurns: 2
+      }
+    ]);
+    events.forEach(event => expect(validateEvent(event)).toEqual({ valid: true, errors: [] }));
+    expect(reader.getOutput()).toBe("All green.\n**AGENT COMPLETE**\n");
+  });
+
+  test("falls back to the text blocks when no result arrives", () => {
+    const reader = createStreamJsonReader("manage");
+    session.slice(0, 4).forEach(line => reader.parseLine(line));
+    reader.parseLine("not json");
+
+    expect(reader.getOutput()).toBe("Running the tests first.\n\nAll green.\n**AGENT COMPLETE**\n\nnot json\n");
+  });
+
+  test("reports error results and truncates long tool results", () => {
+    const reader = createStreamJsonReader("code");
+    const [result] = reader.parseLine(JSON.stringify({
+      type: "user", message: { content: [{ type: "tool_result", tool_use_id: "t", is_error: true, content: "x".repeat(3000) }] }
+    }));
+    expect(result.isError).toBe(true);
+    expect(result.content).toEndWith("[... 1000 more characters ...]");
+
+    const events = reader.parseLine(JSON.stringify({ type: "result", subtype: "error_max_turns", is_error: true }));
+    expect(events.map(event => event.type)).toEqual(["usage", "error"]);
+    expect(events[1].error).toBe("Claude CLI reported error_max_turns");
+  });
+
+  test("formats the new events for the console", () => {
+    const reader = createStreamJsonReader("code");
+    const lines = session.flatMap(line => reader.parseLine(line)).map(formatEvent);
+
+    expect(lines).toEqual([
+      "[CODE] Running the tests first.",
+      "[CODE] Tool: Bash bun test",
+      "[CODE] Tool result: 12 pass",
+      "[CODE] All green.\n**AGENT COMPLETE**",
+      "[CODE] Usage: 1200 input / 340 output tokens, $0.0123"
+    ]);
+  });
+});
+
+describe("stream-json output format", () => {
+  test("adds the Claude CLI flags", async () => {
+    const invocation = await prepareInvocation("code", { tasksFile: "tests/fixtures/sample-tasks.md", outputFormat: "stream-json" });
+    expect(invocation.args).toEqual(["--print", "--output-format", "stream-json", "--verbose"]);
+    expect(OUTPUT_FORMATS).toEqual(["text", "stream-json"]);
+    await expect(prepareInvocation("code", { outputFormat: "xml" })).rejects.toThrow("Unknown output format 'xml'");
+  });
+
+  test("spawnAgent reports events and the reassembled output", async () => {
+    const originalSpawn = Bun.spawn;
+    Bun.spawn = mock(() => ({
+      stdin: { write: mock(() => {}), end: mock(() => {}) },
+      stdout: {
+        async *[Symbol.asyncIterator]() {
+          // Split a line across chunks, as pipes do
+          const text = session.join("\n") + "\n";
+          yield new TextEncoder().encode(text.slice(0, 250));
+          yield new TextEncoder().encode(text.slice(250));
+        }
+      },
+      stderr: { async *[Symbol.asyncIterator]() {} },
+      exited: Promise.resolve(0),
+      kill: mock(() => true),
+      pid: 12345
+    }));
+
+    try {
+      const live = [];
+      const result = await spawnAgent("code", {
+        tasksFile: "tests/fixtures/sample-tasks.md",
+        outputFormat: "stream-json",
+        onEvent: (event) => live.push(event.type)
+      });
+
+      expect(result.output).toBe("All green.\n**AGENT COMPLETE**\n");
+      expect(result.events.map(event => event.type)).toEqual(["assistant", "tool_use", "tool_result", "assistant", "usage"]);
+      expect(live).toEqual(result.events.map(event => event.type));
+    } finally {
+      Bun.spawn = originalSpawn;
+    }
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  getTaskFormat,
+  getTaskFormatNames,
+  detectTaskFormat,
+  resolveTaskFormat,
+  registerTaskFormat,
+  readTasksMarkdown,
+  convertTasks,
+  treeToDocument,
+  documentToMarkdown
+} from "../../src/utils/task-formats.js";
+import { parseTaskTree, updateTasksFile, setItemsCompleted } from "../../src/utils/tasks.js";
+import { savePlan } from "../../src/utils/plan-guard.js";
+import { runConvertCommand } from "../../src/commands/convert.js";
+import { prepareInvocation } from "../../src/agents/agent.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+const TASKS = `# Project
+
+- [x] Kickoff
+
+## Phase 1: Setup
+
+### Task 1.1: Init
+**Description**: Create the repo
+- [x] Repo created
+- [ ] CI, "green"
+
+### Task 1.2: Build
+**Depends on**: 1.1
+- [ ] Bundle built
+
+## Phase 2: Release
+
+### Task 2.1: Publish
+**Depends on**: 1
+- [ ] Tagged
+`;
+
+// The parts of a tree every format keeps
+function summarize(tree) {
+  return {
+    phases: tree.phases.map(p => [p.id, p.title]),
+    tasks: tree.tasks.map(t => [t.id, t.title, t.phaseId, t.description, t.dependsOn]),
+    items: tree.items.map(i => [i.id, i.completed, i.description])
+  };
+}
+
+describe("Task formats", () => {
+  test("registers the built-in formats", () => {
+    expect(getTaskFormatNames()).toEqual(expect.arrayContaining(["markdown", "json", "yaml", "csv", "mermaid"]));
+    expect(() => getTaskFormat("toml")).toThrow("Unknown tasks format 'toml'. Use one of: markdown, json");
+  });
+
+  test("picks the format by extension unless one is configured", () => {
+    expect(detectTaskFormat("TASKS.md").name).toBe("markdown");
+    expect(detectTaskFormat("work/tasks.JSON").name).toBe("json");
+    expect(detectTaskFormat("tasks.yml").name).toBe("yaml");
+    expect(detectTaskFormat("tasks.csv").name).toBe("csv");
+    expect(detectTaskFormat("plan.mmd").name).toBe("mermaid");
+    expect(detectTaskFormat("TODO").name).toBe("markdown");
+    expect(resolveTaskFormat("tasks.txt", "yaml").name).toBe("yaml");
+  });
+
+  test.each(["json", "yaml", "csv", "mermaid"])("round-trips a task list through %s", (name) => {
+    const format = getTaskFormat(name);
+    const back = format.toMarkdown(format.fromMarkdown(TASKS));
+    expect(summarize(parseTaskTree(back))).toEqual(summarize(parseTaskTree(TASKS)));
+  });
+
+  test("writes JSON as a task document", () => {
+    const doc = JSON.parse(getTaskFormat("json").fromMarkdown(TASKS));
+
+    expect(doc).toEqual(treeToDocument(parseTaskTree(TASKS)));
+    expect(doc.title).toBe("Project");
+    expect(doc.items).toEqual([{ description: "Kickoff", done: true }]);
+    expect(doc.phases[0].tasks[0]).toEqual({
+      id: "1.1",
+      title: "Init",
+      description: "Create the repo",
+      criteria: [{ description: "Repo created", done: true }, { description: "CI, \"green\"", done: false }]
+    });
+  });
+
+  test("reads hand-written YAML, with plain strings as open items", () => {
+    const yaml = "title: Sprint\ntasks:\n  - id: 1\n    title: Docs\n    criteria:\n      - README\n      - description: Changelog\n        done: true\n";
+    expect(getTaskFormat("yaml").toMarkdown(yaml)).toBe("# Sprint\n\n### Task 1: Docs\n- [ ] README\n- [x] Changelog\n");
+  });
+
+  test("writes one CSV row per success parameter and quotes fields", () => {
+    const csv = getTaskFormat("csv").fromMarkdown(TASKS).split("\n");
+
+    expect(csv[0]).toBe("phase,phase_title,task,task_title,description,depends_on,item,done");
+    expect(csv[1]).toBe(",,,,,,Kickoff,x");
+    expect(csv[3]).toBe("1,Setup,1.1,Init,Create the repo,,\"CI, \"\"green\"\"\",");
+  });
+
+  test("draws Mermaid phases, tasks and dependencies", () => {
+    const mermaid = getTaskFormat("mermaid").fromMarkdown(TASKS);
+
+    expect(mermaid).toContain('  subgraph phase_1["Phase 1: Setup"]\n    task_1_1["1.1 Init (1/2)"]');
+    expect(mermaid).toContain("  task_1_1 --> task_1_2\n  phase_1 --> task_2_1\n");
+    expect(mermaid).toContain("%% rtf:tasks\n%% # Project\n%%\n%% - [x] Kickoff\n");
+    expect(() => getTaskFormat("mermaid").toMarkdown("flowchart TD\n  a --> b\n")).toThrow("no embedded task list");
+  });
+
+  test("rejects malformed documents", () => {
+    expect(() => getTaskFormat("json").toMarkdown("{")).toThrow("Invalid JSON");
+    expect(() => getTaskFormat("json").toMarkdown('{"tasks": {}}')).toThrow('Invalid JSON task document: "tasks" must be a list');
+    expect(() => documentToMarkdown({ tasks: [{ id: "auth", title: "Login" }] })).toThrow("Invalid task ID 'auth'");
+    expect(() => getTaskFormat("csv").toMarkdown("a,b\n1,2\n")).toThrow("the header must name the columns");
+  });
+
+  test("accepts registered formats", () => {
+    registerTaskFormat({
+      name: "lines",
+      extensions: [".lines"],
+      toMarkdown: content => content.split("\n").filter(Boolean).map(line => `- [ ] ${line}`).join("\n"),
+      fromMarkdown: markdown => parseTaskTree(markdown).items.map(item => item.description).join("\n")
+    });
+
+    expect(convertTasks("a\nb\n", detectTaskFormat("todo.lines"), getTaskFormat("json")))
+      .toBe('{\n  "items": [\n    {\n      "description": "a",\n      "done": false\n    },\n    {\n      "description": "b",\n      "done": false\n    }\n  ]\n}\n');
+    expect(() => registerTaskFormat({ name: "broken" })).toThrow("needs toMarkdown and fromMarkdown");
+  });
+});
+
+describe("Tasks files in other formats", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-formats-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("reads and updates a JSON tasks file through its markdown rendering", async () => {
+    const file = join(dir, "tasks.json");
+    const json = getTaskFormat("json");
+    writeFileSync(file, json.fromMarkdown(TASKS));
+
+    expect(await readTasksMarkdown(file)).toBe(json.toMarkdown(json.fromMarkdown(TASKS)));
+
+    await updateTasksFile(file, content => setItemsCompleted(content, ["1.2:1"], true), { format: json });
+    expect(JSON.parse(readFileSync(file, "utf8")).phases[0].tasks[1].criteria).toEqual([{ description: "Bundle built", done: true }]);
+  });
+
+  test("saves a planner's markdown plan as YAML and backs up the YAML", async () => {
+    const file = join(dir, "tasks.yaml");
+    const yaml = getTaskFormat("yaml");
+    const before = yaml.fromMarkdown(TASKS);
+    writeFileSync(file, before);
+
+    const plan = `${TASKS}\n### Task 2.2: Announce\n- [ ] Posted\n`;
+    const saved = await savePlan(file, plan, { stateDir: join(dir, ".rtf"), format: yaml });
+
+    expect(saved.saved).toBe(true);
+    expect(readFileSync(saved.backup, "utf8")).toBe(before);
+    expect(readFileSync(file, "utf8")).toContain("title: Announce");
+  });
+
+  test("shows agents the tasks file as markdown", async () => {
+    const file = join(dir, "tasks.csv");
+    writeFileSync(file, getTaskFormat("csv").fromMarkdown(TASKS));
+
+    const { prompt } = await prepareInvocation("code", { claudeCommand: "claude", tasksFile: file });
+
+    expect(prompt).toContain("The file itself is csv: keep that format when you edit it.)\n");
+    expect(prompt).toContain("### Task 1.1: Init\n**Description**: Create the repo\n- [x] Repo created\n");
+  });
+});
+
+describe("runConvertCommand", () => {
+  let dir;
+  let originalLog;
+  let originalWrite;
+  let printed;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-convert-"));
+    writeFileSync(join(dir, "TASKS.md"), TASKS);
+    originalLog = console.log;
+    originalWrite = process.stdout.write;
+    printed = "";
+    console.log = mock(() => {});
+    process.stdout.write = mock((text) => { printed += text; return true; });
+  });
+
+  afterEach(async () => {
+    console.log = originalLog;
+    process.stdout.write = originalWrite;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const convert = (...argv) => runConvertCommand(parseArgs(["convert", ...argv]));
+
+  test("exports by extension and imports back", async () => {
+    await convert(join(dir, "TASKS.md"), join(dir, "tasks.json"));
+    await convert(join(dir, "tasks.json"), join(dir, "BACK.md"));
+
+    expect(console.log).toHaveBeenCalledWith(`Converted ${join(dir, "TASKS.md")} (markdown) to ${join(dir, "tasks.json")} (json)`);
+    expect(summarize(parseTaskTree(readFileSync(join(dir, "BACK.md"), "utf8")))).toEqual(summarize(parseTaskTree(TASKS)));
+  });
+
+  test("prints the result without an output file", async () => {
+    await convert(join(dir, "TASKS.md"), "--to", "csv");
+    expect(printed).toStartWith("phase,phase_title,task,task_title,description,depends_on,item,done\n");
+  });
+
+  test("refuses to overwrite a file without --force", async () => {
+    const output = join(dir, "tasks.mmd");
+    writeFileSync(output, "keep me");
+
+    await expect(convert(join(dir, "TASKS.md"), output)).rejects.toThrow("already exists. Use --force to overwrite it.");
+    await convert(join(dir, "TASKS.md"), output, "--force");
+    expect(readFileSync(output, "utf8")).toStartWith("%% Project\nflowchart TD\n");
+  });
+
+  test("names the input when it cannot be read in its format", async () => {
+    writeFileSync(join(dir, "bad.json"), "[1, 2]");
+    await expect(convert(join(dir, "bad.json"))).rejects.toThrow(`Cannot convert ${join(dir, "bad.json")} from json: Invalid JSON task document: expected an object`);
+    await expect(convert()).rejects.toThrow("Usage: ralph-thinks-first convert <input> [output]");
+  });
+});
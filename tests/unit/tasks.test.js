@@ -1,6 +1,7 @@
 import { describe, test, expect, afterEach } from "bun:test";
-import { readTasksFile, parseTasksFile, extractTasksContent, writeTasksFile } from "../../src/utils/tasks.js";
+import { readTasksFile, parseTasksFile, parseTaskTree, findTaskNode, getReadyTasks, extractTasksContent, extractCompletedItems, writeTasksFile, updateTasksFile } from "../../src/utils/tasks.js";
 import { unlink } from "node:fs/promises";
+import { readdirSync } from "node:fs";
 
 describe("readTasksFile", () => {
   test("should read existing TASKS.md file", async () => {
@@ -112,6 +113,203 @@ describe("parseTasksFile", () => {
   });
 });
 
+describe("parseTaskTree", () => {
+  const content = `# Project Tasks
+
+## Phase 1: Setup
+
+### Task 1.1: Initialize Project
+**Description**: Set up the project structure
+
+**Success Parameters**:
+- [x] Directory structure created
+- [x] package.json configured
+
+### Task 1.2: Configure Build
+**Description**: Set up build pipeline
+
+**Success Parameters**:
+- [x] Build script added
+- [ ] Tests passing
+
+## Phase 2: Features
+
+### Task 2.1: Implement API
+- [ ] Endpoints added
+
+## Notes
+- [ ] Loose follow-up item`;
+
+  test("keeps a trailing # in a title and strips closing #s after whitespace", () => {
+    const tree = parseTaskTree("## Phase 1: Ports ##\n### Task 1.1: Port to C#\n- [ ] Builds\n### Task 1.2: Port to F# ###\n- [ ] Builds\n");
+    expect(tree.phases[0].title).toBe("Ports");
+    expect(tree.tasks.map(task => task.title)).toEqual(["Port to C#", "Port to F#"]);
+  });
+
+  test("should parse phases with stable IDs", () => {
+    const tree = parseTaskTree(content);
+    expect(tree.title).toBe("Project Tasks");
+    expect(tree.phases.map(p => p.id)).toEqual(["1", "2"]);
+    expect(tree.phases[0].title).toBe("Setup");
+    expect(tree.phases[1].title).toBe("Features");
+  });
+
+  test("should nest tasks under their phase", () => {
+    const tree = parseTaskTree(content);
+    expect(tree.phases[0].tasks.map(t => t.id)).toEqual(["1.1", "1.2"]);
+    expect(tree.phases[1].tasks.map(t => t.id)).toEqual(["2.1"]);
+    expect(tree.tasks.map(t => t.phaseId)).toEqual(["1", "1", "2"]);
+  });
+
+  test("should attach success parameters and descriptions to tasks", () => {
+    const tree = parseTaskTree(content);
+    const task = tree.tasks[1];
+    expect(task.title).toBe("Configure Build");
+    expect(task.description).toBe("Set up build pipeline");
+    expect(task.criteria.map(c => c.id)).toEqual(["1.2:1", "1.2:2"]);
+    expect(task.criteria[1].description).toBe("Tests passing");
+    expect(task.criteria[1].completed).toBe(false);
+  });
+
+  test("should derive completion for tasks and phases", () => {
+    const tree = parseTaskTree(content);
+    expect(tree.tasks[0].completed).toBe(true);
+    expect(tree.tasks[1].completed).toBe(false);
+    expect(tree.phases[0].completed).toBe(false);
+  });
+
+  test("should record line ranges", () => {
+    const tree = parseTaskTree(content);
+    expect(tree.phases[0].startLine).toBe(3);
+    expect(tree.phases[0].endLine).toBe(18);
+    expect(tree.tasks[0].startLine).toBe(5);
+    expect(tree.tasks[0].endLine).toBe(11);
+    expect(tree.tasks[0].criteria[0].line).toBe(9);
+    // "## Notes" closes the last phase
+    expect(tree.phases[1].endLine).toBe(23);
+  });
+
+  test("should keep checkboxes outside tasks as loose items", () => {
+    const tree = parseTaskTree(content);
+    const loose = tree.items.filter(i => i.taskId === null);
+    expect(loose.length).toBe(1);
+    expect(loose[0].id).toBe("#1");
+    expect(loose[0].description).toBe("Loose follow-up item");
+  });
+
+  test("should number unnumbered headings by position", () => {
+    const tree = parseTaskTree("## Phase: Setup\n### Task: First\n- [ ] A\n### Task: Second\n- [ ] B");
+    expect(tree.phases[0].id).toBe("1");
+    expect(tree.tasks.map(t => t.id)).toEqual(["1.1", "1.2"]);
+  });
+
+  test("should de-duplicate repeated IDs", () => {
+    const tree = parseTaskTree("### Task 1: First\n- [ ] A\n### Task 1: Again\n- [ ] B");
+    expect(tree.tasks.map(t => t.id)).toEqual(["1", "1-2"]);
+  });
+
+  test("should parse the sample fixture", async () => {
+    const tree = parseTaskTree(await readTasksFile("tests/fixtures/sample-tasks.md"));
+    expect(tree.phases.length).toBe(1);
+    expect(tree.tasks.map(t => t.id)).toEqual(["1.1", "2", "3"]);
+    expect(tree.items.length).toBe(9);
+  });
+
+  test("should handle empty content", () => {
+    const tree = parseTaskTree("");
+    expect(tree.phases).toEqual([]);
+    expect(tree.tasks).toEqual([]);
+    expect(tree.items).toEqual([]);
+  });
+
+  test("should expose item IDs through parseTasksFile", () => {
+    const tasks = parseTasksFile(content);
+    expect(tasks.length).toBe(6);
+    expect(tasks[0].id).toBe("1.1:1");
+    expect(tasks[0].taskId).toBe("1.1");
+    expect(tasks[5].id).toBe("#1");
+  });
+});
+
+describe("findTaskNode", () => {
+  const tree = parseTaskTree("## Phase 1: Setup\n### Task 1.1: Init\n- [ ] Done");
+
+  test("should find tasks, phases and items by ID", () => {
+    expect(findTaskNode(tree, "1.1").title).toBe("Init");
+    expect(findTaskNode(tree, "1").title).toBe("Setup");
+    expect(findTaskNode(tree, "1.1:1").description).toBe("Done");
+  });
+
+  test("should return null for unknown IDs", () => {
+    expect(findTaskNode(tree, "9.9")).toBeNull();
+    expect(findTaskNode(null, "1")).toBeNull();
+  });
+});
+
+describe("getReadyTasks", () => {
+  const content = `## Phase 1: Setup
+### Task 1.1: Init
+- [x] Done
+### Task 1.2: Build
+depends: 1.1
+- [ ] Build added
+### Task 1.3: Lint
+- [ ] Lint added
+
+## Phase 2: Features
+### Task 2.1: API
+**Depends on**: 1.2, 1.3
+- [ ] Endpoints
+### Task 2.2: Docs
+depends: 1
+- [ ] Written
+### Task 2.3: Typo
+depends: 9.9
+- [ ] Blocked`;
+
+  test("should parse task dependencies", () => {
+    const tree = parseTaskTree(content);
+    expect(findTaskNode(tree, "1.2").dependsOn).toEqual(["1.1"]);
+    expect(findTaskNode(tree, "2.1").dependsOn).toEqual(["1.2", "1.3"]);
+    expect(findTaskNode(tree, "1.3").dependsOn).toEqual([]);
+  });
+
+  test("should return incomplete tasks whose dependencies are complete", () => {
+    const ready = getReadyTasks(parseTaskTree(content));
+    expect(ready.map(t => t.id)).toEqual(["1.2", "1.3"]);
+  });
+
+  test("should treat phase dependencies as satisfied once the phase is complete", () => {
+    const done = content.replace(/- \[ \] (Build added|Lint added)/g, "- [x] $1");
+    const ready = getReadyTasks(parseTaskTree(done));
+    expect(ready.map(t => t.id)).toEqual(["2.1", "2.2"]);
+  });
+
+  test("should never release tasks with unknown dependencies", () => {
+    const allDone = content.replace(/- \[ \] (?!Blocked)/g, "- [x] ");
+    expect(getReadyTasks(parseTaskTree(allDone)).map(t => t.id)).toEqual([]);
+  });
+
+  test("should skip excluded task IDs", () => {
+    const ready = getReadyTasks(parseTaskTree(content), ["1.2"]);
+    expect(ready.map(t => t.id)).toEqual(["1.3"]);
+  });
+});
+
+describe("extractCompletedItems", () => {
+  test("should read the item IDs of the last rtf-progress block", () => {
+    const response = "Done.\n```rtf-progress\n{\"completed\": [\"1.1:1\"]}\n```\n" +
+      "Also the second one.\n~~~rtf-progress\n{\"completed\": [\"1.1:1\", \"1.1:2\"]}\n~~~\n";
+    expect(extractCompletedItems(response)).toEqual(["1.1:1", "1.1:2"]);
+  });
+
+  test("should return null without a block and reject malformed ones", () => {
+    expect(extractCompletedItems("**AGENT COMPLETE**")).toBeNull();
+    expect(() => extractCompletedItems("```rtf-progress\n{completed}\n```")).toThrow("not valid JSON");
+    expect(() => extractCompletedItems("```rtf-progress\n{\"done\": []}\n```")).toThrow('"completed" list');
+  });
+});
+
 describe("extractTasksContent", () => {
   test("should extract content between delimiters", () => {
     const response = `Some analysis here...
@@ -287,4 +485,39 @@ describe("writeTasksFile", () => {
     const writtenContent = await file.text();
     expect(writtenContent).toBe(content);
   });
+
+  test("should leave no temporary file behind", async () => {
+    await writeTasksFile(testFilePath, "# Tasks\n");
+    expect(readdirSync("tests/fixtures").filter(name => name.endsWith(".tmp"))).toEqual([]);
+  });
+
+  test("should keep the old content when the write fails", async () => {
+    await writeTasksFile(testFilePath, "# Old\n");
+    await expect(writeTasksFile(`${testFilePath}/missing/TASKS.md`, "# New\n")).rejects.toThrow("Failed to write task file");
+    expect(await Bun.file(testFilePath).text()).toBe("# Old\n");
+  });
+});
+
+describe("updateTasksFile", () => {
+  const testFilePath = "tests/fixtures/test-update-tasks.md";
+
+  afterEach(async () => {
+    await unlink(testFilePath).catch(() => {});
+  });
+
+  test("runs concurrent updates one after another", async () => {
+    await writeTasksFile(testFilePath, "# Tasks\n");
+    const append = (line) => updateTasksFile(testFilePath, async (content) => {
+      await Bun.sleep(5);
+      return `${content}- [ ] ${line}\n`;
+    });
+
+    await Promise.all([append("A"), append("B"), append("C")]);
+    expect(await Bun.file(testFilePath).text()).toBe("# Tasks\n- [ ] A\n- [ ] B\n- [ ] C\n");
+  });
+
+  test("passes null for a missing file and writes nothing when told to", async () => {
+    expect(await updateTasksFile(testFilePath, (content) => content)).toBeNull();
+    expect(await Bun.file(testFilePath).exists()).toBe(false);
+  });
 });
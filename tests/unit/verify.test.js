@@ -0,0 +1,186 @@
+import { describe, test, expect, mock, beforeEach, afterEach } from "bun:test";
+import { runVerifyCommand, formatVerifyFailure, tailOutput } from "../../src/utils/verify.js";
+import { runAgentWithOrchestration } from "../../src/agents/orchestrator.js";
+import { parseTaskTree, setItemsCompleted } from "../../src/utils/tasks.js";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "path";
+import { readFileSync, writeFileSync } from "node:fs";
+
+const tasks = `# Tasks
+
+### Task 1: Add feature
+- [ ] Feature works
+- [ ] Tests pass
+### Task 2: Docs
+- [x] README updated
+`;
+
+describe("setItemsCompleted", () => {
+  test("unchecks and checks items by ID", () => {
+    const checked = setItemsCompleted(tasks, ["1:1", "1:2"], true);
+    expect(parseTaskTree(checked).tasks[0].completed).toBe(true);
+
+    const unchecked = setItemsCompleted(checked, ["1:2", "2:1"], false);
+    expect(unchecked).toBe(tasks
+      .replace("- [ ] Feature works", "- [x] Feature works")
+      .replace("- [x] README updated", "- [ ] README updated"));
+  });
+
+  test("ignores unknown IDs", () => {
+    expect(setItemsCompleted(tasks, ["9:9"], true)).toBe(tasks);
+  });
+});
+
+describe("runVerifyCommand", () => {
+  test("passes when the command exits with 0", async () => {
+    const result = await runVerifyCommand("echo all good");
+    expect(result).toEqual({ passed: true, exitCode: 0, output: "all good\n" });
+  });
+
+  test("fails with the command's output otherwise", async () => {
+    const result = await runVerifyCommand("echo '1 test failed' >&2; exit 3");
+    expect(result.passed).toBe(false);
+    expect(result.exitCode).toBe(3);
+    expect(result.output).toContain("1 test failed");
+  });
+});
+
+describe("formatVerifyFailure", () => {
+  test("lists the unchecked items and the output", () => {
+    const items = parseTaskTree(tasks).items.slice(0, 1);
+    const prompt = formatVerifyFailure("bun test", { exitCode: 1, output: "expected 2, got 3\n" }, items);
+
+    expect(prompt).toContain("--- VERIFICATION FAILED ---");
+    expect(prompt).toContain("Command: bun test");
+    expect(prompt).toContain("- 1:1: Feature works");
+    expect(prompt).toContain("expected 2, got 3");
+  });
+
+  test("keeps only the end of long output", () => {
+    const output = Array.from({ length: 500 }, (_, i) => `line ${i}`).join("\n");
+    const tail = tailOutput(output);
+    expect(tail).toStartWith("[... output truncated ...]");
+    expect(tail).toEndWith("line 499");
+    expect(tail).not.toContain("line 299\n");
+  });
+});
+
+describe("Verification gate", () => {
+  let dir;
+  let tasksFile;
+  let originalSpawn;
+  let prompts;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "rtf-verify-"));
+    tasksFile = join(dir, "TASKS.md");
+    writeFileSync(tasksFile, tasks);
+    prompts = [];
+    originalSpawn = Bun.spawn;
+
+    // Fake coder that checks off Task 1; the first attempt leaves the tests red
+    Bun.spawn = mock((cmd, options) => {
+      if (cmd[0] === "sh") {
+        return originalSpawn(cmd, options);
+      }
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            await Bun.sleep(1);
+            prompts.push(stdin);
+            if (prompts.length > 1) {
+              writeFileSync(join(dir, "fixed"), "");
+            }
+            writeFileSync(tasksFile, readFileSync(tasksFile, "utf8").replace(/- \[ \]/g, "- [x]"));
+            yield new TextEncoder().encode("Done\n**AGENT COMPLETE**\n");
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 12345
+      };
+    });
+  });
+
+  afterEach(async () => {
+    Bun.spawn = originalSpawn;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("unchecks boxes and retries the coder with the failure output", async () => {
+    const config = { tasksFile, maxIterations: 5, verify: `test -f ${dir}/fixed || { echo "FAIL: feature test"; exit 1; }` };
+    const result = await runAgentWithOrchestration("code", config);
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(2);
+    expect(prompts[0]).not.toContain("VERIFICATION FAILED");
+    expect(prompts[1]).toContain("--- VERIFICATION FAILED ---");
+    expect(prompts[1]).toContain("FAIL: feature test");
+    // The retry saw the boxes unchecked again
+    expect(prompts[1]).toContain("- [ ] Feature works");
+    expect(parseTaskTree(readFileSync(tasksFile, "utf8")).tasks[0].completed).toBe(true);
+  });
+
+  test("stops at the iteration limit when verification keeps failing", async () => {
+    const config = { tasksFile, maxIterations: 1, verify: "echo still red; exit 1" };
+    const result = await runAgentWithOrchestration("code", config);
+
+    expect(result.reachedMaxIterations).toBe(true);
+    expect(prompts.length).toBe(1);
+    expect(readFileSync(tasksFile, "utf8")).toBe(tasks);
+  });
+
+  test("verifies parallel tasks one at a time, never against another task's unfinished work", async () => {
+    writeFileSync(tasksFile, "### Task 1: Parser\n- [ ] Parses\n### Task 2: Printer\n- [ ] Prints\n");
+    Bun.spawn = mock((cmd, options) => {
+      if (cmd[0] === "sh") {
+        return originalSpawn(cmd, options);
+      }
+      let stdin = "";
+      return {
+        stdin: { write: mock((data) => { stdin += data; }), end: mock(() => {}) },
+        stdout: {
+          async *[Symbol.asyncIterator]() {
+            const taskId = stdin.match(/Work ONLY on Task (\S+)/)[1];
+            prompts.push(stdin);
+            // Work in progress breaks the build until the coder is done
+            writeFileSync(join(dir, `wip-${taskId}`), "");
+            await Bun.sleep(20);
+            await rm(join(dir, `wip-${taskId}`));
+            yield new TextEncoder().encode(`\`\`\`rtf-progress\n{"completed": ["${taskId}:1"]}\n\`\`\`\n**AGENT COMPLETE**\n`);
+          }
+        },
+        stderr: { async *[Symbol.asyncIterator]() {} },
+        exited: Promise.resolve(0),
+        kill: mock(() => true),
+        pid: 12345
+      };
+    });
+    const originalError = console.error;
+    console.error = mock(() => {});
+
+    try {
+      const verify = `if ls ${dir}/wip-* >/dev/null 2>&1; then echo "FAIL: unfinished work"; exit 1; fi`;
+      await runAgentWithOrchestration("code", { tasksFile, maxIterations: 5, concurrency: 2, verify });
+    } finally {
+      console.error = originalError;
+    }
+
+    expect(prompts.length).toBe(2);
+    expect(prompts.some(prompt => prompt.includes("VERIFICATION FAILED"))).toBe(false);
+    expect(parseTaskTree(readFileSync(tasksFile, "utf8")).tasks.every(task => task.completed)).toBe(true);
+  });
+
+  test("does not run when the coder checked nothing", async () => {
+    writeFileSync(tasksFile, tasks.replace(/- \[ \]/g, "- [x]"));
+    const config = { tasksFile, maxIterations: 5, verify: "exit 1" };
+    const result = await runAgentWithOrchestration("code", config);
+
+    expect(result.exitCode).toBe(0);
+    expect(prompts.length).toBe(1);
+  });
+});